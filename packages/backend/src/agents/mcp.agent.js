@@ -163,8 +163,8 @@ class McpAgent extends IAgent {
 
         // 为每个工具创建 ITool 实例
         for (const tool of tools) {
-          // 使用 mcp__${serverName}__${tool.name} 格式作为工具名称（与前端保持一致）
-          const registeredToolName = `mcp__${serverName}__${tool.name}`;
+          // 使用 mcp__${serverName}__${tool.name} 格式作为工具名称（与前端保持一致），配置了别名时使用别名
+          const registeredToolName = mcpService.getAgentToolName(serverName, tool.name);
 
           // 检查是否已存在同名工具（避免重复注册）
           if (this.tools.has(registeredToolName)) {
@@ -202,11 +202,24 @@ class McpAgent extends IAgent {
 
   /**
    * 解析工具名称，提取服务器名称和原始工具名称
-   * @param {string} toolName - 工具名称（可能是 mcp__${serverName}__${toolName} 格式）
+   * @param {string} toolName - 工具名称（可能是 mcp__${serverName}__${toolName} 格式，toolName 可能是别名）
    * @returns {{serverName: string, originalToolName: string} | null} 解析结果
    */
   parseToolName(toolName) {
-    // 检查是否是 mcp__${serverName}__${toolName} 格式
+    if (!toolName.startsWith('mcp__')) {
+      return null;
+    }
+
+    // 服务器名称可能包含 __，按已连接的服务器名称匹配；工具名称可能是别名，还原为原始名称
+    const hubName = mcpService.parseHubName(toolName.slice('mcp__'.length));
+    if (hubName) {
+      return {
+        serverName: hubName.serverName,
+        originalToolName: mcpService.resolveToolAlias(hubName.serverName, hubName.name),
+      };
+    }
+
+    // 服务器未连接时按格式解析
     const match = toolName.match(/^mcp__(.+?)__(.+)$/);
     if (match) {
       return {
@@ -27,6 +27,10 @@ const MCP_TOOL_CALL_LOG_DIR = join(MCP_LOG_DIR, "tool-calls")
 
 /* 项目保存目录 */
 const PROJECT_DIR = join(HOME_DIR, "projects");
+/* 对话搜索索引文件：存储 ai_chat 对话的全文搜索索引 */
+const CHAT_SEARCH_INDEX_FILE = join(HOME_DIR, "chat-search-index.json");
+/* 流式事件日志目录：持久化 ai_chat 流式事件，用于重连回放和重启后恢复 */
+const CHAT_STREAMS_DIR = join(HOME_DIR, "chat-streams");
 /* 聊天消息目录：存储聊天消息的目录 */
 const CHAT_MESSAGE_DIR = join(HOME_DIR, "chat-message")
 /* PID 文件：存储后台服务进程 ID 的文件 */
@@ -35,6 +39,14 @@ const PID_FILE = join(HOME_DIR, ".claude-llm.pid");
 const CLIPBOARD_WATCH_PID_FILE = join(HOME_DIR, ".watch-clipboard.pid");
 /* 重启信号文件：用于通知主进程重启子进程的信号文件 */
 const RESTART_SIGNAL_FILE = join(HOME_DIR, ".restart");
+/* Key 健康状态文件：持久化各 provider 密钥的请求统计、冷却和手动禁用状态 */
+const KEY_HEALTH_FILE = join(HOME_DIR, "key-health.json");
+/* 访问令牌文件：保存多用户访问令牌（仅哈希）、配额和每日用量 */
+const ACCESS_TOKENS_FILE = join(HOME_DIR, "access-tokens.json");
+/* 用量账本目录：按天记录每次请求的 token 用量和费用（<日期>.jsonl） */
+const USAGE_LEDGER_DIR = join(HOME_DIR, "usage-ledger");
+/* 分词词表目录：存放 tiktoken 格式的 BPE 词表（<名称>.tiktoken），用于本地计算 token 数 */
+const TOKENIZER_DIR = join(HOME_DIR, "tokenizers");
 /* 插件目录：存储自定义插件的位置 */
 const PLUGINS_DIR = join(HOME_DIR, "plugins");
 /* 日志目录：存储日志文件的位置 */
@@ -63,10 +75,16 @@ module.exports = {
   CONFIG_BACKUP_DIR,
   MCP_SERVER_DIR,
   PROJECT_DIR,
+  CHAT_SEARCH_INDEX_FILE,
+  CHAT_STREAMS_DIR,
   CHAT_MESSAGE_DIR,
   PID_FILE,
   RESTART_SIGNAL_FILE,
   PLUGINS_DIR,
+  TOKENIZER_DIR,
+  KEY_HEALTH_FILE,
+  ACCESS_TOKENS_FILE,
+  USAGE_LEDGER_DIR,
   LOGS_DIR,
   REFERENCE_COUNT_FILE,
   CLAUDE_DIR,
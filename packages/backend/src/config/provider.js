@@ -4,14 +4,20 @@
  * @property {string} LOG_LEVEL - 日志级别，可选值: "debug" | "info" | "warn" | "error"
  * @property {string} CLAUDE_PATH - Claude 服务的可执行文件路径，如果为空则使用系统默认路径
  * @property {string} API_TIMEOUT_MS - API 请求超时时间（毫秒），字符串格式
+ * @property {number} [FALLBACK_TIMEOUT_MS] - 配置了备用模型时，单次上游请求等待响应的超时时间（毫秒），超时后切换到下一个模型；不配置则不限制
  * @property {string} HOST - 服务监听的主机地址
  * @property {number} PORT - 服务监听的端口号
- * @property {string} APIKEY - API 密钥，访问 /v1/messages 端点时需要携带，Claude 服务启动时必须设置
+ * @property {string} APIKEY - API 密钥，访问 /v1/messages 和 OpenAI 兼容的 /v1/chat/completions、/v1/models 端点时需要携带，Claude 服务启动时必须设置；
+ *   需要区分使用者时可通过 /api/tokens 创建带模型限制和配额的访问令牌，与 APIKEY 同样放在 authorization / x-api-key 头中
  * @property {string} CUSTOM_ROUTER_PATH - 自定义路由配置文件的路径，如果为空则使用默认路由配置
  * @property {string} PROXY_URL - HTTP/HTTPS 代理地址，用于 @musistudio/llms 库的请求代理
  * @property {TransformerConfig[]} transformers - 全局 Transformer 配置列表
  * @property {ProviderConfig[]} Providers - LLM 提供商配置列表
  * @property {RouterConfig} Router - 路由规则配置，定义不同场景下使用的提供商和模型
+ * @property {Object} [ResponseCache] - /v1/messages 响应缓存 { enabled, ttl（秒）, maxEntries, maxBytes, maxEntryBytes }，
+ *   相同请求直接返回缓存的响应；请求头 x-cache-bypass 可跳过缓存，GET / DELETE /api/response-cache 查看和清空
+ * @property {Object[]} [Budgets] - 花费预算（见 utils/budgets.js），按 Provider 的 pricing 计算费用，超过 soft 时提醒、超过 hard 时拒绝请求
+ * @property {Object} [Guardrails] - 安全规则 { enabled, builtin, entropy, rules }（见 utils/guardrails.js），替换 / 拦截请求中的密钥，检查响应内容
  * @property {StatusLineConfig} StatusLine - 状态栏显示配置
  */
 
@@ -119,6 +125,10 @@ const config = {
       // limit: 1,
       // sort: 1,
       // enabled: true,
+      // key_strategy: "sticky_session", // key 选择策略：round_robin（默认）/ weighted / least_inflight / sticky_session（同一会话固定使用同一个 key）
+      // key_weights: [3, 1], // weighted 策略的权重，与 api_keys 按顺序对应
+      // tokenizer: "o200k", // 本地计算 token 数使用的分词器（o200k/cl100k/claude/cjk），不配置时按模型名称自动选择
+      // pricing: { "glm-4.6": { input: 0.6, output: 2.2, cache_read: 0.11 }, "*": { input: 1, output: 4 } }, // 模型价格（美元 / 百万 tokens），用于用量账本和预算
       api_key: "sk-xxx",
       api_keys: ["sk-U3SKSHcCuyi6eDtR0h9QjZ05VVVi8hPIinlme8yRfafN6BS0"],
       models: [
@@ -185,9 +195,14 @@ const config = {
    * @description - think: 思考任务路由，用于需要深度思考的复杂任务
    * @description - longContext: 长上下文路由，用于需要处理大量上下文的任务
    * @description - webSearch: 网络搜索路由，用于需要网络搜索能力的任务
+   * @description 每一项也可以是按优先级排列的数组，例如 ["iflow,glm-4.6", "yunwu,glm-4.6"]，
+   * @description 首选模型返回 408/429/5xx、网络错误或超时时，在向客户端发送数据前依次切换到后面的模型
+   * @description rules: 声明式路由规则（见 utils/routeRules.js），按顺序匹配，优先级仅次于请求中显式指定的模型，
+   * @description 没有命中时再按上面的内置场景路由；可通过 POST /api/router/dry-run 试运行查看命中情况
    */
   Router: {
     default: "iflow,glm-4.6",
+    // default: ["iflow,glm-4.6", "yunwu,glm-4.6"],
     // default: "yunwu,glm-4.6",
     // background: "iflow_2,glm-4.6",
     // think: "yunwu,gpt-5-mini",
@@ -198,6 +213,56 @@ const config = {
     // think: "yunwu_code,claude-haiku-4-5-20251001",
     // longContext: "yunwu_code,claude-haiku-4-5-20251001",
     // webSearch: "yunwu_code,claude-haiku-4-5-20251001"
+    // rules: [
+    //   { name: "图片", when: { hasImages: true }, model: "yunwu,gpt-5-mini" },
+    //   { name: "夜间", when: { time: { from: "22:00", to: "08:00" } }, model: "iflow,glm-4.6" },
+    // ],
+  },
+
+  /**
+   * @type {Object}
+   * @description 响应缓存：模型、messages、system、tools 和生成参数完全相同的请求直接返回缓存的响应（流式响应按原事件顺序重放）
+   * @description 适合重复执行的评测提示词和标题生成等请求；请求头 x-cache-bypass: 1 或 Cache-Control: no-cache 跳过缓存
+   */
+  ResponseCache: {
+    enabled: false,
+    ttl: 3600, // 秒
+    maxEntries: 500,
+    // maxBytes: 52428800, // 缓存总大小上限（字节）
+    // maxEntryBytes: 5242880, // 单条响应大小上限（字节）
+  },
+
+  /**
+   * @type {Object[]}
+   * @description 花费预算
+   * @description scope: global / provider / model / session / conversation / project / token，对每个取值分别计算，match 限定生效的取值
+   * @description period: day / month；soft 为提醒线，hard 为上限（美元），可通过 GET /api/usage/budgets 查看当前花费
+   */
+  Budgets: [
+    // { scope: "global", period: "day", soft: 5, hard: 10 },
+    // { scope: "provider", match: "yunwu", period: "month", hard: 50 },
+    // { scope: "session", period: "day", soft: 2 },
+  ],
+
+  /**
+   * @type {Object}
+   * @description 安全规则（见 utils/guardrails.js）：发往上游之前检查请求中的 API key、私钥、.env 内容和高熵字符串
+   * @description 动作 redact 替换为 [REDACTED:<规则名>]，block 拒绝请求，warn 只记录，off 关闭；命中记录写入消息日志的 guardrails 字段
+   * @description rules 为自定义正则规则，target 为 request / response / both，可用于过滤响应中的违规内容
+   */
+  Guardrails: {
+    enabled: false,
+    builtin: {
+      api_key: "redact",
+      private_key: "redact",
+      env_file: "redact",
+      high_entropy: "warn",
+    },
+    // entropy: { minLength: 32, threshold: 4.5 },
+    rules: [
+      // { name: "内网地址", pattern: "\\.corp\\.internal\\b", action: "block" },
+      // { name: "敏感词", pattern: "机密", target: "response", action: "redact", replacement: "***" },
+    ],
   },
 
   /**
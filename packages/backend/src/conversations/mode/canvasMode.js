@@ -19,13 +19,117 @@ const { requestLLM } = require("../utils/llmRequest");
 const { addFilesToLastUserMessage } = require("../utils/messageHelper");
 const {
   extractHtmlCodeIncremental,
-  extractHtmlCode,
-  extractDiffBlocks,
+  extractFileCodeIncremental,
   hasDiffFormat,
+  hasFileBlocks,
 } = require("../parser");
-const { addCodeVersion } = require("../utils/canvasFileManager");
+const { addCodeVersion, readCanvasFile } = require("../utils/canvasFileManager");
+const {
+  ENTRY_FILE,
+  getProjectFiles,
+  formatProjectFiles,
+  applyCanvasResponse,
+  splitEntryFile,
+} = require("../utils/canvasProject");
 const { sendEvent } = require("../sessionService");
 
+/**
+ * 发送 diff 应用结果事件（canvas:diff_applied / canvas:diff_conflict）
+ * 冲突时 code 为部分应用后的代码，failedBlocks 为匹配失败或不唯一的块
+ * @param {string} requestId - SSE 请求ID
+ * @param {Object} data
+ */
+function sendDiffResultEvent(requestId, { recordId, code, diffResults }) {
+  const failedBlocks = diffResults.filter((result) => result.status !== "applied");
+  const hasConflict = diffResults.length === 0 || failedBlocks.length > 0;
+  sendEvent(requestId, {
+    type: hasConflict ? "canvas:diff_conflict" : "canvas:diff_applied",
+    recordId,
+    code,
+    appliedCount: diffResults.length - failedBlocks.length,
+    results: diffResults,
+    ...(hasConflict && { failedBlocks }),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * 保存模型输出的代码为新的 Canvas 版本，并发送对应的 canvas 事件
+ * @param {Object} params
+ * @param {string} params.conversationId - 对话ID
+ * @param {string} params.requestId - SSE 请求ID
+ * @param {string} params.originalCode - 用户编辑器中的入口文件代码
+ * @param {Object} params.output - applyCanvasResponse 的结果
+ */
+async function saveCanvasOutput({ conversationId, requestId, originalCode, output }) {
+  const { type, diff, diffResults } = output;
+  const { code, files } = splitEntryFile(output.files);
+  const appliedCount = diffResults.filter((result) => result.status === "applied").length;
+  console.log(`📝 [Canvas Mode] Saving ${type} code:`, {
+    changedFiles: output.changedFiles,
+    diffBlocks: diffResults.length,
+    applied: appliedCount,
+  });
+
+  const { recordId } = await addCodeVersion(conversationId, {
+    // 单文件 diff 没有任何块应用成功时 code 为空，前端回退到 originalCode
+    code: type === "diff" && appliedCount === 0 ? "" : code,
+    diff: diff || "",
+    originalCode, // 保存用户编辑的原始代码
+    files,
+    // 每个 diff 块的应用结果（不含 SEARCH/REPLACE 内容，diff 字段中已有）
+    diffResults:
+      diffResults.length > 0 ? diffResults.map(({ search, replace, ...result }) => result) : undefined,
+    requestId, // 关联 assistant 消息版本（用于分叉对话时匹配记录）
+  });
+
+  if (!requestId) return;
+
+  const timestamp = () => new Date().toISOString();
+
+  if (type === "diff") {
+    // 单文件 diff：前端展示 diff 视图
+    sendEvent(requestId, {
+      type: "canvas:diff_detected",
+      diff,
+      recordId,
+      originalCode,
+      timestamp: timestamp(),
+    });
+    sendDiffResultEvent(requestId, { recordId, code, diffResults });
+    sendEvent(requestId, {
+      type: "canvas:code_complete",
+      recordId,
+      codeType: "diff",
+      ...(appliedCount > 0 && { code }),
+      timestamp: timestamp(),
+    });
+  } else {
+    if (type === "files") {
+      // 多文件：将最终的入口文件写入编辑器，其余文件由预览接口提供
+      sendEvent(requestId, { type: "canvas:show_editor", timestamp: timestamp() });
+      sendEvent(requestId, { type: "canvas:code_delta", code, timestamp: timestamp() });
+      if (diffResults.length > 0) {
+        sendDiffResultEvent(requestId, { recordId, code, diffResults });
+      }
+    }
+    sendEvent(requestId, {
+      type: "canvas:code_complete",
+      recordId,
+      codeType: "full",
+      code,
+      ...(files && { files: Object.keys(output.files), changedFiles: output.changedFiles }),
+      timestamp: timestamp(),
+    });
+  }
+
+  sendEvent(requestId, {
+    type: "canvas:record_created",
+    recordId,
+    timestamp: timestamp(),
+  });
+}
+
 async function processCanvasMode(context) {
   const {
     editorCode,
@@ -47,11 +151,16 @@ async function processCanvasMode(context) {
   // 1. 构建消息数组
   const messages = [];
 
+  // 多文件项目：入口文件以外的文件从最近的代码记录中读取（编辑器只编辑入口文件）
+  const canvasData = conversationId ? await readCanvasFile(conversationId) : null;
+  const projectFiles = getProjectFiles(canvasData?.codeHistory);
+
   // 加载系统提示词（包含格式选择提示），替换变量
   // 注意：editorCode 变量会被替换，如果为空则带有 _checkVariables: ["editorCode"] 的消息会被自动删除
   const systemPrompts = replaceVariablesInMessages(canvasModePrompt, {
     userInput: currentInput || "",
     editorCode: editorCode || "",
+    projectFiles: formatProjectFiles(projectFiles),
   });
   messages.push(...systemPrompts);
 
@@ -84,10 +193,12 @@ async function processCanvasMode(context) {
         console.log("🔍 [Canvas Mode] Detected diff format in stream, will process after completion");
       }
 
-      // 如果不是 diff 格式，尝试增量提取 HTML 代码
+      // 如果不是 diff 格式，尝试增量提取 HTML 代码（多文件输出时提取入口文件）
       // 注意：需要在流式写入过程中持续提取和发送代码增量
       if (!hasDetectedDiff) {
-        const htmlCode = extractHtmlCodeIncremental(accumulatedContent);
+        const htmlCode = hasFileBlocks(accumulatedContent)
+          ? extractFileCodeIncremental(accumulatedContent, ENTRY_FILE)
+          : extractHtmlCodeIncremental(accumulatedContent);
         if (htmlCode && htmlCode !== lastHtmlCode) {
           // 检查是否以 diff 标记开头（避免误判）
           if (htmlCode.trim().startsWith("-")) {
@@ -152,77 +263,17 @@ async function processCanvasMode(context) {
     abortSignal,
   });
 
-  // 5. 流式完成后，识别完整代码并保存
+  // 5. 流式完成后，识别代码（完整 HTML / diff / 多文件）并保存
   const fullContent = result.fullResponse || accumulatedContent;
 
   if (fullContent && conversationId) {
     try {
-      // 检查是否是 diff 格式
-      const diffContent = extractDiffBlocks(fullContent);
-      const htmlCode = extractHtmlCode(fullContent);
-
-      if (diffContent) {
-        // Diff 模式：保存 diff 和 originalCode
-        console.log("📝 [Canvas Mode] Saving diff format code");
-
-        const { recordId } = await addCodeVersion(conversationId, {
-          code: "", // diff 模式下，code 为空，等待前端应用
-          diff: diffContent,
-          originalCode: editorCode || "", // 保存用户编辑的原始代码
-        });
-
-        // 发送 canvas:diff_detected 事件
-        if (requestId) {
-          sendEvent(requestId, {
-            type: "canvas:diff_detected",
-            diff: diffContent,
-            recordId,
-            originalCode: editorCode || "",
-            timestamp: new Date().toISOString(),
-          });
-
-          // 发送 canvas:code_complete 事件
-          sendEvent(requestId, {
-            type: "canvas:code_complete",
-            recordId,
-            codeType: "diff",
-            timestamp: new Date().toISOString(),
-          });
-
-          // 发送 canvas:record_created 事件
-          sendEvent(requestId, {
-            type: "canvas:record_created",
-            recordId,
-            timestamp: new Date().toISOString(),
-          });
-        }
-      } else if (htmlCode) {
-        // 完整代码模式：保存完整代码
-        console.log("📝 [Canvas Mode] Saving full HTML code");
-
-        const { recordId } = await addCodeVersion(conversationId, {
-          code: htmlCode,
-          diff: "",
-          originalCode: editorCode || "", // 如果用户编辑过，保存原始代码
-        });
-
-        // 发送 canvas:code_complete 事件
-        if (requestId) {
-          sendEvent(requestId, {
-            type: "canvas:code_complete",
-            recordId,
-            codeType: "full",
-            code: htmlCode,
-            timestamp: new Date().toISOString(),
-          });
-
-          // 发送 canvas:record_created 事件
-          sendEvent(requestId, {
-            type: "canvas:record_created",
-            recordId,
-            timestamp: new Date().toISOString(),
-          });
-        }
+      const output = applyCanvasResponse(fullContent, {
+        ...projectFiles,
+        [ENTRY_FILE]: editorCode || "",
+      });
+      if (output) {
+        await saveCanvasOutput({ conversationId, requestId, originalCode: editorCode || "", output });
       }
     } catch (error) {
       console.error("❌ [Canvas Mode] Failed to save code:", error);
@@ -8,6 +8,7 @@
  * @param {string} context.model - 模型ID
  * @param {string} context.apiKey - API Key（可选）
  * @param {Function} context.onStreamEvent - 流式事件回调函数 (event) => void
+ * @param {number} [context.historyTokenBudget] - 历史消息 token 预算（可选）
  * @param {AbortSignal} [context.abortSignal] - 中断信号（可选）
  * @returns {Promise<Object>} 返回请求结果 { requestId, fullResponse, events }
  */
@@ -15,6 +16,7 @@ const chatModePrompt = require("../prompts/chatMode");
 const { replaceVariablesInMessages } = require("../utils/variableReplacer");
 const { requestLLM } = require("../utils/llmRequest");
 const { addFilesToLastUserMessage } = require("../utils/messageHelper");
+const { buildHistoryMessages } = require("../utils/historyBuilder");
 
 async function processChatMode(context) {
   const {
@@ -31,6 +33,7 @@ async function processChatMode(context) {
     maxTokens,
     tools,
     reasoning,
+    historyTokenBudget,
     abortSignal,
   } = context;
 
@@ -43,15 +46,12 @@ async function processChatMode(context) {
   // 添加系统提示词
   messages.push(...systemPrompts);
 
-  // 添加历史消息（限制最近 10 条，避免上下文过大）
-  if (conversation && conversation.messages) {
-    const historyMessages = conversation.messages
-      .filter((msg) => msg.role !== "system" && !msg.isRequesting) // 过滤系统消息和正在请求的消息
-      .slice(-10) // 只取最近 10 条
-      .map((msg) => ({
-        role: msg.role,
-        content: msg.content,
-      }));
+  // 添加历史消息（还原工具调用，按 token 预算截取）
+  if (conversation) {
+    const historyMessages = buildHistoryMessages(conversation, {
+      tokenBudget: historyTokenBudget,
+      keepToolBlocks: Array.isArray(tools) && tools.length > 0,
+    });
     messages.push(...historyMessages);
   }
 
@@ -7,6 +7,7 @@
  * @param {string} context.model - 模型ID
  * @param {string} context.apiKey - API Key（可选）
  * @param {Function} context.onStreamEvent - 流式事件回调函数 (event) => void
+ * @param {number} [context.historyTokenBudget] - 历史消息 token 预算（可选）
  * @param {AbortSignal} [context.abortSignal] - 中断信号（可选）
  * @returns {Promise<Object>} 返回请求结果 { requestId, fullResponse, events }
  */
@@ -14,6 +15,7 @@ const videoModePrompt = require("../prompts/videoMode");
 const { replaceVariablesInMessages } = require("../utils/variableReplacer");
 const { requestLLM } = require("../utils/llmRequest");
 const { addFilesToLastUserMessage } = require("../utils/messageHelper");
+const { buildHistoryMessages } = require("../utils/historyBuilder");
 
 async function processVideoMode(context) {
   const {
@@ -30,6 +32,7 @@ async function processVideoMode(context) {
     maxTokens,
     tools,
     reasoning,
+    historyTokenBudget,
     abortSignal,
   } = context;
 
@@ -40,15 +43,12 @@ async function processVideoMode(context) {
   const systemPrompts = replaceVariablesInMessages(videoModePrompt, {});
   messages.push(...systemPrompts);
 
-  // 添加历史消息（限制最近 10 条）
-  if (conversation && conversation.messages) {
-    const historyMessages = conversation.messages
-      .filter((msg) => msg.role !== "system" && !msg.isRequesting)
-      .slice(-10)
-      .map((msg) => ({
-        role: msg.role,
-        content: msg.content,
-      }));
+  // 添加历史消息（还原工具调用，按 token 预算截取）
+  if (conversation) {
+    const historyMessages = buildHistoryMessages(conversation, {
+      tokenBudget: historyTokenBudget,
+      keepToolBlocks: Array.isArray(tools) && tools.length > 0,
+    });
     messages.push(...historyMessages);
   }
 
@@ -0,0 +1,357 @@
+/**
+ * Diff 应用模块：将 SEARCH/REPLACE 格式的 diff 应用到原始代码
+ * 匹配顺序：精确匹配 → 忽略空白的逐行匹配 → 模糊匹配，
+ * 每个 diff 块单独记录结果（applied / ambiguous / not_found）
+ */
+
+/** 模糊匹配的最低相似度 */
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+/** 与最高相似度相差不超过该值的候选位置视为并列（匹配不唯一） */
+const FUZZY_TIE_TOLERANCE = 0.01;
+
+// 标记行必须独占一行，避免把代码中的 `===` 误判为分隔符
+const SEARCH_LINE = /^\s*\d*(?:-{3,}|<{3,})\s*SEARCH\s*$/i;
+const SEARCH_PREFIX_LINE = /^\s*\d*(?:-{3,}|<{3,})\s*$/;
+const SEARCH_WORD_LINE = /^\s*SEARCH\s*$/i;
+const SEPARATOR_LINE = /^\s*={3,}\s*$/;
+const REPLACE_LINE = /^\s*(?:\+{3,}|>{3,})\s*REPLACE\s*$/i;
+const REPLACE_PREFIX_LINE = /^\s*(?:\+{3,}|>{3,})\s*$/;
+const REPLACE_WORD_LINE = /^\s*REPLACE\s*$/i;
+
+/**
+ * 统一换行符并去除 BOM
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeLineEndings(text) {
+  return (text || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
+
+/**
+ * 解析 diff 字符串为 SEARCH/REPLACE 块
+ * 支持 `------- SEARCH`、`<<<<<<< SEARCH`、`>>>>>>> REPLACE`、`+++++++ REPLACE` 以及标记换行的写法，
+ * 缺少 REPLACE 结束标记的最后一个块也会被保留
+ * @param {string} diff diff 内容
+ * @returns {Array<{search: string, replace: string}>} diff 块数组
+ */
+function parseDiffBlocks(diff) {
+  const lines = normalizeLineEndings(diff).split("\n");
+  const blocks = [];
+  let current = null;
+  let section = null; // "search" | "replace" | null
+
+  const finishBlock = () => {
+    if (current) {
+      blocks.push({
+        search: current.search.join("\n"),
+        replace: current.replace.join("\n"),
+      });
+    }
+    current = null;
+    section = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const nextLine = lines[i + 1];
+
+    if (SEARCH_LINE.test(line) || (SEARCH_PREFIX_LINE.test(line) && SEARCH_WORD_LINE.test(nextLine || ""))) {
+      finishBlock();
+      current = { search: [], replace: [] };
+      section = "search";
+      if (!SEARCH_LINE.test(line)) i++;
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (section === "search" && SEPARATOR_LINE.test(line)) {
+      section = "replace";
+      continue;
+    }
+
+    if (section === "replace") {
+      if (REPLACE_LINE.test(line)) {
+        finishBlock();
+        continue;
+      }
+      if (REPLACE_PREFIX_LINE.test(line) && REPLACE_WORD_LINE.test(nextLine || "")) {
+        finishBlock();
+        i++;
+        continue;
+      }
+    }
+
+    current[section].push(line);
+  }
+
+  // 没有分隔符的块无法确定替换内容，直接丢弃
+  if (current && section === "replace") {
+    finishBlock();
+  }
+
+  return blocks.filter((block) => block.search.trim());
+}
+
+/**
+ * 统计子串出现的位置
+ * @param {string} text
+ * @param {string} search
+ * @returns {number[]} 起始索引数组
+ */
+function findAllOccurrences(text, search) {
+  const positions = [];
+  let index = text.indexOf(search);
+  while (index !== -1) {
+    positions.push(index);
+    index = text.indexOf(search, index + 1);
+  }
+  return positions;
+}
+
+/**
+ * 去除首尾的空行
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+/**
+ * 获取行首缩进
+ * @param {string} line
+ * @returns {string}
+ */
+function getIndent(line) {
+  return line.match(/^\s*/)[0];
+}
+
+/**
+ * 按匹配位置的缩进重新缩进替换内容
+ * SEARCH 第一行非空行的缩进视为基准，替换内容保持相对缩进
+ * @param {string[]} replaceLines 替换内容
+ * @param {string[]} searchLines 搜索内容
+ * @param {string[]} matchedLines 原始代码中匹配到的行
+ * @returns {string[]}
+ */
+function reindentLines(replaceLines, searchLines, matchedLines) {
+  const searchIndex = searchLines.findIndex((line) => line.trim());
+  if (searchIndex === -1) return replaceLines;
+
+  const searchIndent = getIndent(searchLines[searchIndex]);
+  const baseIndent = getIndent(matchedLines[searchIndex] || "");
+  if (searchIndent === baseIndent) return replaceLines;
+
+  return replaceLines.map((line) => {
+    if (!line.trim()) return line;
+    if (line.startsWith(searchIndent)) {
+      return baseIndent + line.slice(searchIndent.length);
+    }
+    return baseIndent + line.trimStart();
+  });
+}
+
+/**
+ * 计算两个字符串的编辑距离相似度（0 ~ 1）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+
+  let previous = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return 1 - previous[b.length] / maxLength;
+}
+
+/**
+ * 压缩行内空白，用于忽略空白差异的比较
+ * @param {string} line
+ * @returns {string}
+ */
+function collapseWhitespace(line) {
+  return line.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * 在代码行中查找忽略空白后与搜索内容一致的所有位置
+ * @param {string[]} codeLines
+ * @param {string[]} searchLines 已去除首尾空行的搜索内容
+ * @returns {number[]} 匹配的起始行号
+ */
+function findWhitespaceMatches(codeLines, searchLines) {
+  const target = searchLines.map(collapseWhitespace);
+  const matches = [];
+  for (let i = 0; i + target.length <= codeLines.length; i++) {
+    let matched = true;
+    for (let j = 0; j < target.length; j++) {
+      if (collapseWhitespace(codeLines[i + j]) !== target[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) matches.push(i);
+  }
+  return matches;
+}
+
+/**
+ * 在代码行中查找与搜索内容最相似的位置（逐行比较相似度后取平均）
+ * @param {string[]} codeLines
+ * @param {string[]} searchLines 已去除首尾空行的搜索内容
+ * @param {number} threshold 最低相似度
+ * @returns {{matches: number[], score: number}} 达到阈值且得分最高的起始行号（并列时有多个）
+ */
+function findFuzzyMatches(codeLines, searchLines, threshold) {
+  const target = searchLines.map(collapseWhitespace);
+  const collapsedCode = codeLines.map(collapseWhitespace);
+  const candidates = [];
+
+  for (let i = 0; i + target.length <= collapsedCode.length; i++) {
+    let total = 0;
+    for (let j = 0; j < target.length; j++) {
+      total += similarity(collapsedCode[i + j], target[j]);
+      // 剩余行全部完全匹配也达不到阈值时提前结束
+      if ((total + target.length - j - 1) / target.length < threshold) {
+        total = -1;
+        break;
+      }
+    }
+    if (total >= 0) {
+      candidates.push({ line: i, score: total / target.length });
+    }
+  }
+
+  if (candidates.length === 0) {
+    return { matches: [], score: 0 };
+  }
+  const score = Math.max(...candidates.map((candidate) => candidate.score));
+  const matches = candidates
+    .filter((candidate) => score - candidate.score <= FUZZY_TIE_TOLERANCE)
+    .map((candidate) => candidate.line);
+  return { matches, score };
+}
+
+/**
+ * 将单个 diff 块应用到代码
+ * @param {string} code 当前代码
+ * @param {{search: string, replace: string}} block diff 块
+ * @param {number} fuzzyThreshold 模糊匹配的最低相似度
+ * @returns {{code: string, status: "applied"|"ambiguous"|"not_found", matchType: string|null, similarity?: number, matchCount?: number}}
+ */
+function applyDiffBlock(code, block, fuzzyThreshold) {
+  const search = normalizeLineEndings(block.search);
+  const replace = normalizeLineEndings(block.replace);
+  if (!search.trim()) {
+    return { code, status: "not_found", matchType: null };
+  }
+
+  // 1. 精确匹配
+  const exactMatches = findAllOccurrences(code, search);
+  if (exactMatches.length === 1) {
+    const index = exactMatches[0];
+    return {
+      code: code.slice(0, index) + replace + code.slice(index + search.length),
+      status: "applied",
+      matchType: "exact",
+    };
+  }
+  if (exactMatches.length > 1) {
+    return { code, status: "ambiguous", matchType: "exact", matchCount: exactMatches.length };
+  }
+
+  const codeLines = code.split("\n");
+  const searchLines = trimBlankLines(search.split("\n"));
+  const replaceLines = trimBlankLines(replace.split("\n"));
+
+  const replaceAt = (start) => {
+    const matchedLines = codeLines.slice(start, start + searchLines.length);
+    const newLines = reindentLines(replaceLines, searchLines, matchedLines);
+    return [
+      ...codeLines.slice(0, start),
+      ...newLines,
+      ...codeLines.slice(start + searchLines.length),
+    ].join("\n");
+  };
+
+  // 2. 忽略空白差异的逐行匹配
+  const whitespaceMatches = findWhitespaceMatches(codeLines, searchLines);
+  if (whitespaceMatches.length === 1) {
+    return { code: replaceAt(whitespaceMatches[0]), status: "applied", matchType: "whitespace" };
+  }
+  if (whitespaceMatches.length > 1) {
+    return { code, status: "ambiguous", matchType: "whitespace", matchCount: whitespaceMatches.length };
+  }
+
+  // 3. 模糊匹配
+  const fuzzy = findFuzzyMatches(codeLines, searchLines, fuzzyThreshold);
+  const score = Math.round(fuzzy.score * 1000) / 1000;
+  if (fuzzy.matches.length === 1) {
+    return { code: replaceAt(fuzzy.matches[0]), status: "applied", matchType: "fuzzy", similarity: score };
+  }
+  if (fuzzy.matches.length > 1) {
+    return {
+      code,
+      status: "ambiguous",
+      matchType: "fuzzy",
+      similarity: score,
+      matchCount: fuzzy.matches.length,
+    };
+  }
+
+  return { code, status: "not_found", matchType: null };
+}
+
+/**
+ * 将 diff 应用到原始代码
+ * 各个块按顺序应用，后面的块基于前面块应用后的代码查找；
+ * 匹配失败或不唯一的块会被跳过，不影响其他块
+ * @param {string} originalCode 原始代码
+ * @param {string|Array<{search: string, replace: string}>} diff diff 字符串或已解析的 diff 块
+ * @param {Object} [options]
+ * @param {number} [options.fuzzyThreshold] 模糊匹配的最低相似度（默认 0.85）
+ * @returns {{code: string, appliedCount: number, results: Array<{index: number, status: string, matchType: string|null, search: string, replace: string, similarity?: number, matchCount?: number}>}}
+ */
+function applyDiff(originalCode, diff, options = {}) {
+  const { fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD } = options;
+  const blocks = typeof diff === "string" ? parseDiffBlocks(diff) : diff || [];
+
+  let code = normalizeLineEndings(originalCode);
+  let appliedCount = 0;
+  const results = blocks.map((block, index) => {
+    const { code: nextCode, ...result } = applyDiffBlock(code, block, fuzzyThreshold);
+    if (result.status === "applied") {
+      code = nextCode;
+      appliedCount++;
+    }
+    return { index, ...result, search: block.search, replace: block.replace };
+  });
+
+  return { code, appliedCount, results };
+}
+
+module.exports = {
+  parseDiffBlocks,
+  applyDiff,
+  DEFAULT_FUZZY_THRESHOLD,
+};
@@ -0,0 +1,183 @@
+/**
+ * 多文件代码块解析：识别标注了文件路径的代码块
+ * 支持的标注方式：
+ * - ```html index.html
+ * - ```css:style.css
+ * - ```js title="app.js" / file="app.js" / filename="app.js"
+ * - ```app.js（省略语言，从扩展名推断）
+ */
+
+/** 扩展名到语言的映射 */
+const EXTENSION_LANGUAGES = {
+  html: "html",
+  htm: "html",
+  css: "css",
+  js: "javascript",
+  mjs: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  json: "json",
+  svg: "svg",
+  md: "markdown",
+  txt: "text",
+};
+
+const FENCE_LINE_REGEX = /^\s*```(.*)$/;
+const FILE_ATTRIBUTE_REGEX = /\b(?:title|file|filename|path)\s*=\s*["']?([^"'\s]+)["']?/i;
+const FILE_PATH_REGEX = /^(?:\.\/)?[\w@-][\w@.\-/]*\.[A-Za-z0-9]+$/;
+
+/**
+ * 规范化项目内的相对文件路径
+ * @param {string} filePath 文件路径
+ * @returns {string|null} 规范化后的路径（以 / 分隔、不带 ./ 前缀），路径非法（绝对路径、包含 ..）时返回 null
+ */
+function normalizeFilePath(filePath) {
+  if (!filePath || typeof filePath !== "string") return null;
+  const normalized = filePath.trim().replace(/\\/g, "/");
+  if (normalized.startsWith("/") || /^[a-zA-Z]:/.test(normalized)) return null;
+
+  const segments = normalized.split("/").filter((segment) => segment && segment !== ".");
+  if (segments.length === 0 || segments.includes("..")) return null;
+  return segments.join("/");
+}
+
+/**
+ * 根据文件扩展名推断语言
+ * @param {string} filePath 文件路径
+ * @returns {string} 语言标识，未知扩展名返回空字符串
+ */
+function getLanguageByPath(filePath) {
+  const extension = filePath.split(".").pop().toLowerCase();
+  return EXTENSION_LANGUAGES[extension] || "";
+}
+
+/**
+ * 从代码块的 info string 中解析语言和文件路径
+ * @param {string} info 开始标记后的内容（如 "html index.html"）
+ * @returns {{language: string, path: string|null}}
+ */
+function parseFenceInfo(info) {
+  const trimmed = info.trim();
+  if (!trimmed) return { language: "", path: null };
+
+  const attribute = trimmed.match(FILE_ATTRIBUTE_REGEX);
+  const [firstToken, ...restTokens] = trimmed.replace(FILE_ATTRIBUTE_REGEX, "").trim().split(/\s+/);
+
+  // ```css:style.css
+  if (firstToken && firstToken.includes(":") && !attribute) {
+    const [language, filePath] = firstToken.split(/:(.*)/);
+    return { language: language.toLowerCase(), path: normalizeFilePath(filePath) };
+  }
+
+  let language = "";
+  let candidate = attribute ? attribute[1] : null;
+  if (firstToken && FILE_PATH_REGEX.test(firstToken) && !candidate) {
+    // ```app.js（省略语言）
+    candidate = firstToken;
+  } else if (firstToken) {
+    language = firstToken.toLowerCase();
+    if (!candidate && restTokens[0] && FILE_PATH_REGEX.test(restTokens[0])) {
+      candidate = restTokens[0];
+    }
+  }
+
+  const filePath = candidate ? normalizeFilePath(candidate) : null;
+  return {
+    language: language || (filePath ? getLanguageByPath(filePath) : ""),
+    path: filePath,
+  };
+}
+
+/**
+ * 逐行扫描 markdown 中的代码块（支持末尾未闭合的代码块，用于流式内容）
+ * 代码块内出现带 info string 的 ``` 行时，视为上一个代码块未闭合、新代码块开始
+ * @param {string} content markdown 内容
+ * @returns {Array<{info: string, code: string, complete: boolean}>}
+ */
+function scanFencedBlocks(content) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of (content || "").split("\n")) {
+    const fence = line.match(FENCE_LINE_REGEX);
+    if (!fence) {
+      if (current) current.lines.push(line);
+      continue;
+    }
+
+    const info = fence[1].trim();
+    if (current) {
+      blocks.push({ info: current.info, code: current.lines.join("\n"), complete: !info });
+      current = null;
+      if (!info) continue;
+    }
+    current = { info, lines: [] };
+  }
+
+  if (current) {
+    blocks.push({ info: current.info, code: current.lines.join("\n"), complete: false });
+  }
+  return blocks;
+}
+
+/**
+ * 从 markdown 内容中解析标注了文件路径的代码块
+ * 同一文件出现多次时保留最后一次（diff 块除外，按顺序全部保留）
+ * @param {string} content markdown 内容
+ * @param {Function} [isDiff] 判断代码块是否为 diff 格式的函数
+ * @param {string|null} [defaultDiffPath] 未标注路径的 diff 块对应的文件，为空时忽略这些 diff 块
+ * @returns {Array<{path: string, language: string, code: string, isDiff: boolean}>} 文件代码块数组（只包含已闭合的代码块）
+ */
+function parseFileBlocks(content, isDiff = () => false, defaultDiffPath = null) {
+  const blocks = [];
+
+  for (const fenced of scanFencedBlocks(content)) {
+    if (!fenced.complete) continue;
+    const code = fenced.code.replace(/\s+$/, "");
+    const info = parseFenceInfo(fenced.info);
+    const diff = isDiff(code);
+    const filePath = info.path || (diff ? defaultDiffPath : null);
+    if (!filePath) continue;
+    const language = info.path ? info.language : getLanguageByPath(filePath);
+
+    if (!diff) {
+      const existingIndex = blocks.findIndex((block) => block.path === filePath && !block.isDiff);
+      if (existingIndex !== -1) blocks.splice(existingIndex, 1);
+    }
+    blocks.push({ path: filePath, language, code: diff ? code : code.trim(), isDiff: diff });
+  }
+
+  return blocks;
+}
+
+/**
+ * 检查内容中是否出现了标注文件路径的代码块（包括未闭合的）
+ * @param {string} content markdown 内容
+ * @returns {boolean}
+ */
+function hasFileBlocks(content) {
+  return scanFencedBlocks(content).some((block) => parseFenceInfo(block.info).path);
+}
+
+/**
+ * 增量提取指定文件的代码（支持未闭合的代码块，用于流式写入）
+ * @param {string} content markdown 内容
+ * @param {string} filePath 文件路径
+ * @returns {string|null} 最后一个该文件代码块的内容，未找到时返回 null
+ */
+function extractFileCodeIncremental(content, filePath) {
+  const blocks = scanFencedBlocks(content).filter(
+    (block) => parseFenceInfo(block.info).path === filePath
+  );
+  if (blocks.length === 0) return null;
+  return blocks[blocks.length - 1].code.trim() || null;
+}
+
+module.exports = {
+  parseFileBlocks,
+  hasFileBlocks,
+  extractFileCodeIncremental,
+  normalizeFilePath,
+  getLanguageByPath,
+};
@@ -2,6 +2,15 @@
  * Parser 模块：用于从 markdown 流式内容中提取代码块和 diff
  */
 
+const {
+  parseFileBlocks: parseAnnotatedFileBlocks,
+  hasFileBlocks,
+  extractFileCodeIncremental,
+  normalizeFilePath,
+  getLanguageByPath,
+} = require("./fileBlocks");
+const { parseDiffBlocks, applyDiff, DEFAULT_FUZZY_THRESHOLD } = require("./diffApplier");
+
 /**
  * 从 markdown 内容中解析代码块
  * @param {string} content markdown 内容
@@ -305,6 +314,19 @@ function extractDiffBlocks(content, config = DEFAULT_DIFF_FORMAT_CONFIG) {
   return extracted;
 }
 
+/**
+ * 从 markdown 内容中解析标注了文件路径的代码块（多文件 Canvas 项目）
+ * @param {string} content markdown 内容
+ * @param {Object} [options]
+ * @param {string} [options.defaultDiffPath] 未标注路径的 diff 块对应的文件（不传则忽略这些 diff 块）
+ * @param {DiffFormatConfig} [options.config] diff 格式配置（用于识别 diff 块）
+ * @returns {Array<{path: string, language: string, code: string, isDiff: boolean}>} 文件代码块数组
+ */
+function parseFileBlocks(content, options = {}) {
+  const { defaultDiffPath = null, config = DEFAULT_DIFF_FORMAT_CONFIG } = options;
+  return parseAnnotatedFileBlocks(content, (code) => hasDiffFormat(code, config), defaultDiffPath);
+}
+
 module.exports = {
   parseCodeBlocks,
   extractHtmlCode,
@@ -312,5 +334,13 @@ module.exports = {
   extractDiffBlocks,
   hasDiffFormat,
   DEFAULT_DIFF_FORMAT_CONFIG,
+  parseDiffBlocks,
+  applyDiff,
+  DEFAULT_FUZZY_THRESHOLD,
+  parseFileBlocks,
+  hasFileBlocks,
+  extractFileCodeIncremental,
+  normalizeFilePath,
+  getLanguageByPath,
 };
 
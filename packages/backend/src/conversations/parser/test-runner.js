@@ -13,6 +13,11 @@ const {
   extractDiffBlocks,
   hasDiffFormat,
   parseCodeBlocks,
+  parseDiffBlocks,
+  applyDiff,
+  parseFileBlocks,
+  extractFileCodeIncremental,
+  normalizeFilePath,
 } = require("./index");
 
 // 简单的测试辅助函数
@@ -358,6 +363,191 @@ new code
     });
   });
 
+  describe("parseDiffBlocks", () => {
+    test("应该解析多个 diff 块", () => {
+      const diff = `------- SEARCH
+<div>A</div>
+=======
+<div>A2</div>
++++++++ REPLACE
+<<<<<<< SEARCH
+<div>B</div>
+=======
+<div>B2</div>
+>>>>>>> REPLACE`;
+      const blocks = parseDiffBlocks(diff);
+      expect(blocks).toHaveLength(2);
+      expect(blocks[0].search).toBe("<div>A</div>");
+      expect(blocks[1].replace).toBe("<div>B2</div>");
+    });
+
+    test("不应该把代码中的 === 当作分隔符", () => {
+      const diff = `------- SEARCH
+if (a === b) {
+=======
+if (a !== b) {
++++++++ REPLACE`;
+      const blocks = parseDiffBlocks(diff);
+      expect(blocks).toHaveLength(1);
+      expect(blocks[0].search).toBe("if (a === b) {");
+      expect(blocks[0].replace).toBe("if (a !== b) {");
+    });
+
+    test("应该支持标记换行的格式", () => {
+      const diff = `-------\nSEARCH\nold\n=======\nnew\n>>>>>>>\nREPLACE`;
+      const blocks = parseDiffBlocks(diff);
+      expect(blocks).toHaveLength(1);
+      expect(blocks[0].search).toBe("old");
+      expect(blocks[0].replace).toBe("new");
+    });
+  });
+
+  describe("applyDiff", () => {
+    const code = `<html>
+  <body>
+    <h1>Title</h1>
+    <p class="intro">Hello world</p>
+    <button onclick="go()">Go</button>
+  </body>
+</html>`;
+
+    test("应该精确匹配并替换", () => {
+      const result = applyDiff(code, `------- SEARCH
+    <h1>Title</h1>
+=======
+    <h1>New Title</h1>
++++++++ REPLACE`);
+      expect(result.appliedCount).toBe(1);
+      expect(result.results[0].matchType).toBe("exact");
+      expect(result.code).toContain("    <h1>New Title</h1>");
+    });
+
+    test("应该忽略缩进差异并保留原始缩进", () => {
+      const result = applyDiff(code, `------- SEARCH
+<h1>Title</h1>
+<p class="intro">Hello world</p>
+=======
+<h1>Title</h1>
+<p class="intro">Hello diff</p>
++++++++ REPLACE`);
+      expect(result.results[0].status).toBe("applied");
+      expect(result.results[0].matchType).toBe("whitespace");
+      expect(result.code).toContain(`    <p class="intro">Hello diff</p>`);
+    });
+
+    test("应该模糊匹配轻微差异", () => {
+      const result = applyDiff(code, `------- SEARCH
+<button onclick="go();">Go</button>
+=======
+<button onclick="go()">Start</button>
++++++++ REPLACE`);
+      expect(result.results[0].status).toBe("applied");
+      expect(result.results[0].matchType).toBe("fuzzy");
+      expect(result.code).toContain(`    <button onclick="go()">Start</button>`);
+    });
+
+    test("匹配不唯一时应该标记为 ambiguous", () => {
+      const result = applyDiff("<li>x</li>\n<li>x</li>", `------- SEARCH
+<li>x</li>
+=======
+<li>y</li>
++++++++ REPLACE`);
+      expect(result.results[0].status).toBe("ambiguous");
+      expect(result.results[0].matchCount).toBe(2);
+      expect(result.code).toBe("<li>x</li>\n<li>x</li>");
+    });
+
+    test("未找到时应该标记为 not_found 且不影响其他块", () => {
+      const result = applyDiff(code, `------- SEARCH
+<footer>Nothing here</footer>
+=======
+<footer>Still nothing</footer>
++++++++ REPLACE
+------- SEARCH
+  </body>
+=======
+    <footer>Footer</footer>
+  </body>
++++++++ REPLACE`);
+      expect(result.appliedCount).toBe(1);
+      expect(result.results[0].status).toBe("not_found");
+      expect(result.results[1].status).toBe("applied");
+      expect(result.code).toContain("<footer>Footer</footer>");
+    });
+
+    test("替换内容中的 $ 应该原样保留", () => {
+      const result = applyDiff("const a = 1;", `------- SEARCH
+const a = 1;
+=======
+const a = "$&$1";
++++++++ REPLACE`);
+      expect(result.code).toBe(`const a = "$&$1";`);
+    });
+  });
+
+  describe("parseFileBlocks", () => {
+    test("应该识别多种文件路径标注方式", () => {
+      const content = `
+\`\`\`html index.html
+<link rel="stylesheet" href="style.css">
+\`\`\`
+\`\`\`css:style.css
+body {}
+\`\`\`
+\`\`\`js title="js/app.js"
+import "./util.js";
+\`\`\`
+\`\`\`js/util.js
+export {};
+\`\`\`
+\`\`\`html
+<div>未标注路径</div>
+\`\`\`
+`;
+      const blocks = parseFileBlocks(content);
+      expect(blocks).toHaveLength(4);
+      expect(blocks.map((block) => block.path).join(",")).toBe("index.html,style.css,js/app.js,js/util.js");
+      expect(blocks[3].language).toBe("javascript");
+      expect(blocks[1].code).toBe("body {}");
+    });
+
+    test("应该识别针对单个文件的 diff 块", () => {
+      const content = `
+\`\`\`css style.css
+------- SEARCH
+body {}
+=======
+body { margin: 0; }
++++++++ REPLACE
+\`\`\`
+\`\`\`
+------- SEARCH
+<h1>Old</h1>
+=======
+<h1>New</h1>
++++++++ REPLACE
+\`\`\`
+`;
+      const blocks = parseFileBlocks(content, { defaultDiffPath: "index.html" });
+      expect(blocks).toHaveLength(2);
+      expect(blocks[0].isDiff).toBe(true);
+      expect(blocks[0].path).toBe("style.css");
+      expect(blocks[1].path).toBe("index.html");
+    });
+
+    test("应该拒绝项目外的路径", () => {
+      expect(normalizeFilePath("../secret.js")).toBeNull();
+      expect(normalizeFilePath("/etc/passwd.txt")).toBeNull();
+      expect(normalizeFilePath("./js//app.js")).toBe("js/app.js");
+    });
+
+    test("应该增量提取未闭合的入口文件", () => {
+      const content = `\`\`\`css style.css\nbody {}\n\`\`\`\n\`\`\`html index.html\n<html><body>`;
+      expect(extractFileCodeIncremental(content, "index.html")).toBe("<html><body>");
+      expect(extractFileCodeIncremental(content, "app.js")).toBeNull();
+    });
+  });
+
   // 输出测试结果
   console.log(`\n${"=".repeat(50)}`);
   console.log(`测试完成: ${testCount} 个测试`);
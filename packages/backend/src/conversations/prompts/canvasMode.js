@@ -23,6 +23,7 @@ When the user requests web page creation or modification, you must respond in th
    - Provide ONE complete, single-file HTML code block with embedded CSS and JavaScript
    - Wrap in \`\`\`html code block
    - Use ONLY when there is NO existing code provided and user explicitly asks to create a NEW page
+   - For larger pages you may split the project into multiple files instead (see "Multi-file projects" below)
    
    **Format B - Diff Blocks (for modifying existing code):**
    - Provide SEARCH/REPLACE diff blocks for targeted modifications
@@ -38,6 +39,13 @@ When the user requests web page creation or modification, you must respond in th
    - Each diff block should be wrapped in its own code block (no language tag needed)
    - Copy the EXACT code from the existing file for the SEARCH section (including whitespace and indentation)
 
+   **Multi-file projects:**
+   - A project is a small file tree; \`index.html\` is always the entry file shown in the editor
+   - Write each file in its own code block with the file path after the language tag, e.g. \`\`\`html index.html, \`\`\`css style.css, \`\`\`javascript js/app.js
+   - Reference other files with relative paths (e.g. \`<link rel="stylesheet" href="style.css">\`, \`<script type="module" src="js/app.js"></script>\`, \`import { x } from "./utils.js"\`)
+   - A complete file block replaces that file; files you do not output are kept unchanged
+   - To modify a file other than index.html with Format B, put its path after the opening fence of the diff block (e.g. \`\`\`css style.css); diff blocks without a path apply to index.html
+
 TECHNICAL STACK (use by default):
 - Use TailwindCSS for styling (CDN: https://cdn.tailwindcss.com)
 - Use Lucide icons (CDN: https://unpkg.com/lucide@latest/dist/umd/lucide.js)
@@ -59,6 +67,11 @@ Always prioritize user experience and create responsive, accessible designs.
     content: `Current code in editor:\n\`\`\`\n{{editorCode}}\n\`\`\``,
     _checkVariables: ["editorCode"],
   },
+  {
+    role: "user",
+    content: `Other files in the project (the code in editor is index.html):\n{{projectFiles}}`,
+    _checkVariables: ["projectFiles"],
+  },
   {
     role: "user",
     content: `<format_selection>
@@ -0,0 +1,39 @@
+/**
+ * 上下文压缩（对话摘要）的提示词
+ *
+ * 将较早的对话轮次压缩为一段摘要，作为检查点保存在对话文件中
+ * 使用 {{transcript}} 变量占位符（已包含上一次的摘要）
+ */
+module.exports = [
+  {
+    role: "system",
+    type: "system",
+    content: [
+      {
+        type: "text",
+        text: "You are a helpful assistant that compresses long conversations into concise but complete summaries.",
+      },
+    ],
+  },
+  {
+    role: "user",
+    content: [
+      {
+        type: "text",
+        text: `Summarize the following conversation so that it can replace the original messages as context for continuing the conversation.
+
+Requirements:
+- Keep the user's goals, requirements, constraints and preferences.
+- Keep key decisions, conclusions and the current status of the task.
+- Keep important code, file paths, commands, identifiers and tool results verbatim when they are needed later.
+- Keep unresolved questions and pending work.
+- If an earlier summary is included, merge it into the new summary instead of repeating it.
+- Write the summary in the same language as the conversation, and output the summary only.
+
+<conversation>
+{{transcript}}
+</conversation>`,
+      },
+    ],
+  },
+];
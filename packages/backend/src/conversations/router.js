@@ -21,14 +21,49 @@ const {
   updateSessionContentBlocks,
   setSessionConversationId,
   abortSession,
+  getReplayEvents,
+  loadPersistedSession,
 } = require("./sessionService");
 const {
   readConversationFile,
   writeConversationFile,
   updateMessageByRequestId,
+  updateConversationFile,
   deleteConversationFile,
 } = require("./utils/conversationFileLock");
+const { compactConversationIfNeeded } = require("./utils/contextCompactor");
+const { createContentBlockBuilder } = require("./utils/contentBlockBuilder");
+const { recoverInterruptedStreams } = require("./utils/streamRecovery");
+const { getActiveVersion } = require("./utils/historyBuilder");
+const { searchConversations, rebuildSearchIndex } = require("./utils/searchIndex");
+const {
+  ENTRY_FILE,
+  getContentType,
+  getRecordFiles,
+  getCurrentRecord,
+  getProjectFiles,
+  findRecordWithFiles,
+} = require("./utils/canvasProject");
+const { createLineDiff } = require("./utils/lineDiff");
+const { normalizeFilePath } = require("./parser");
+const {
+  EXPORT_FORMATS,
+  toFileBaseName,
+  conversationToMarkdown,
+  conversationToAnthropicRequest,
+  loadConversations,
+  createConversationBundle,
+  createFormattedArchive,
+  importConversationBundle,
+} = require("./utils/conversationExporter");
+const {
+  isConversationRequesting,
+  getVersionText,
+  addActiveVersion,
+  switchActiveVersion,
+} = require("./utils/messageBranch");
 const mcpService = require("../mcp/mcpService");
+const configService = require("../mcp/configService");
 
 // 模式处理函数
 const processChatMode = require("./mode/chatMode");
@@ -84,7 +119,7 @@ function generateMessageKey(role, requestId) {
 
 /**
  * 将新的 tools 格式转换为可用的 tools 数组
- * @param {Object} toolsConfig - Record<string, "all" | string[]>，key 是 MCP 服务器名称，value 是 "all" 或工具名称数组
+ * @param {Object} toolsConfig - Record<string, "all" | string[]>，key 是 MCP 服务器名称或虚拟分组名称，value 是 "all" 或工具名称数组
  * @returns {Array} 工具数组
  */
 function convertToolsConfigToTools(toolsConfig) {
@@ -93,8 +128,33 @@ function convertToolsConfigToTools(toolsConfig) {
   }
 
   const tools = [];
-  for (const [serverName, toolSelection] of Object.entries(toolsConfig)) {
+  const addedNames = new Set();
+  // 名称与 mcp agent 注册的名称一致，服务器和分组选中同一个工具时只添加一次
+  const addTool = (serverName, tool) => {
+    const name = mcpService.getAgentToolName(serverName, tool.name);
+    if (addedNames.has(name)) return;
+    addedNames.add(name);
+    tools.push({
+      name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+    });
+  };
+
+  for (const [key, toolSelection] of Object.entries(toolsConfig)) {
+    // 虚拟分组：使用分组选中的工具（包含分组中覆盖的描述），数组按原始工具名称过滤
+    const group = configService.getGroup(key);
+    if (group) {
+      for (const { serverName, tool } of mcpService.getGroupTools(group)) {
+        if (toolSelection === "all" || (Array.isArray(toolSelection) && toolSelection.includes(tool.name))) {
+          addTool(serverName, tool);
+        }
+      }
+      continue;
+    }
+
     // 获取该服务器的所有工具
+    const serverName = key;
     const serverTools = mcpService.getServerTools(serverName);
     if (!serverTools || serverTools.length === 0) {
       continue;
@@ -103,22 +163,14 @@ function convertToolsConfigToTools(toolsConfig) {
     if (toolSelection === "all") {
       // 如果值为 "all"，使用该服务器的所有工具
       for (const tool of serverTools) {
-        tools.push({
-          name: `mcp__${serverName}__${tool.name}`,
-          description: tool.description,
-          inputSchema: tool.inputSchema,
-        });
+        addTool(serverName, tool);
       }
     } else if (Array.isArray(toolSelection) && toolSelection.length > 0) {
       // 如果值是数组，根据选中的工具名称过滤工具
       for (const toolName of toolSelection) {
         const tool = serverTools.find((t) => t.name === toolName);
         if (tool) {
-          tools.push({
-            name: `mcp__${serverName}__${tool.name}`,
-            description: tool.description,
-            inputSchema: tool.inputSchema,
-          });
+          addTool(serverName, tool);
         }
       }
     }
@@ -132,7 +184,7 @@ function convertToolsConfigToTools(toolsConfig) {
  * 优先从 config 对象中读取，如果没有则从 req.body 中读取
  * @param {Object} config - config 对象（可选）
  * @param {Object} body - 请求体对象
- * @returns {Object} 配置参数对象 { temperature, topP, maxTokens, tools, reasoning }
+ * @returns {Object} 配置参数对象 { temperature, topP, maxTokens, tools, reasoning, historyTokenBudget, compactThreshold }
  */
 function extractModelConfig(config, body) {
   // 优先从 config.tools 读取，如果没有则从 body.tools 读取
@@ -150,6 +202,8 @@ function extractModelConfig(config, body) {
     maxTokens: config?.maxTokens ?? body.maxTokens,
     tools,
     reasoning: config?.reasoning ?? body.reasoning,
+    historyTokenBudget: config?.historyTokenBudget ?? body.historyTokenBudget,
+    compactThreshold: config?.compactThreshold ?? body.compactThreshold,
   };
 }
 
@@ -161,6 +215,7 @@ function extractModelConfig(config, body) {
  * @param {Function} options.processMode - 模式处理函数
  * @param {Object} options.processModeOptions - 传递给 processMode 的选项
  * @param {Promise<string>} [options.titlePromise] - 标题生成 Promise（可选，仅用于新对话）
+ * @param {Array} [options.initialContentBlocks] - 初始内容块（可选，继续生成时为已有的部分输出）
  * @returns {Promise<void>}
  */
 async function handleStreamResponse({
@@ -169,6 +224,7 @@ async function handleStreamResponse({
   processMode,
   processModeOptions,
   titlePromise,
+  initialContentBlocks,
 }) {
   // 设置会话的对话ID（用于中断时更新消息）
   setSessionConversationId(requestId, conversationId);
@@ -201,233 +257,17 @@ async function handleStreamResponse({
 
     // 构建流式事件处理回调
     // 使用 contentBlocks 数组来保存块结构（与前端一致）
-    const contentBlocks = [];
-    let currentBlock = null; // 当前正在处理的块
-    let currentToolInputJson = ""; // 工具调用的 partial_json 累积
+    const blockBuilder = createContentBlockBuilder(initialContentBlocks);
 
     const onStreamEvent = (event) => {
       // 发送事件到 SSE 客户端
       sendEvent(requestId, event);
 
       // 根据事件类型构建 contentBlocks
-      switch (event.type) {
-        case "content_block_start":
-          // 内容块开始
-          if (event.content_block?.name) {
-            // 工具调用块（正常情况下，工具未被拦截时会收到此事件）
-            const toolId =
-              event.content_block.id || `tool-${Date.now()}-${Math.random()}`;
-            // 检查是否已存在该工具块（避免与 tool:start 重复创建）
-            const existingToolBlock = contentBlocks.find(
-              (block) => block.type === "tool" && block.id === toolId
-            );
-            if (!existingToolBlock) {
-              currentBlock = {
-                type: "tool",
-                id: toolId,
-                toolCall: {
-                  toolCallId: toolId,
-                  type: `tool-${event.content_block.name}`,
-                  state: "input-streaming",
-                  input: {},
-                },
-              };
-              currentToolInputJson = "";
-            }
-          } else {
-            // 文本块
-            const textId =
-              event.content_block?.id || `text-${Date.now()}-${Math.random()}`;
-            currentBlock = {
-              type: "text",
-              id: textId,
-              content: "",
-            };
-          }
-          break;
-
-        case "content_block_delta":
-          // 内容块增量更新
-          if (event.delta?.text) {
-            // 文本增量
-            if (currentBlock && currentBlock.type === "text") {
-              currentBlock.content += event.delta.text;
-            }
-          } else if (event.delta?.partial_json) {
-            // 工具参数增量（流式 JSON）
-            if (currentBlock && currentBlock.type === "tool") {
-              currentToolInputJson += event.delta.partial_json;
-              // 尝试解析 JSON（可能不完整，忽略解析错误）
-              try {
-                const input = JSON.parse(currentToolInputJson);
-                currentBlock.toolCall.input = input;
-                currentBlock.toolCall.state = "input-streaming";
-              } catch {
-                // JSON 不完整，忽略解析错误，继续累积
-              }
-            }
-          }
-          break;
-
-        case "content_block_stop":
-          // 内容块结束
-          if (currentBlock) {
-            // 如果是工具块，尝试最终解析 JSON
-            if (currentBlock.type === "tool" && currentToolInputJson) {
-              try {
-                const input = JSON.parse(currentToolInputJson);
-                currentBlock.toolCall.input = input;
-                currentBlock.toolCall.state = "input-available";
-              } catch (error) {
-                // 如果最终解析失败，保留已解析的部分或空对象
-                console.warn("工具参数 JSON 解析失败:", error, currentToolInputJson);
-                if (
-                  !currentBlock.toolCall.input ||
-                  Object.keys(currentBlock.toolCall.input).length === 0
-                ) {
-                  currentBlock.toolCall.input = {};
-                }
-              }
-            }
-            // 完成当前块，添加到数组
-            contentBlocks.push(currentBlock);
-            currentBlock = null;
-            currentToolInputJson = "";
-          }
-          break;
-
-        case "message_delta":
-          // 消息增量（兼容旧版本）
-          if (event.delta?.text) {
-            // 如果没有当前块，创建一个文本块
-            if (!currentBlock) {
-              const textId = `text-${Date.now()}-${Math.random()}`;
-              currentBlock = {
-                type: "text",
-                id: textId,
-                content: event.delta.text,
-              };
-            } else if (currentBlock.type === "text") {
-              currentBlock.content += event.delta.text;
-            }
-          }
-          break;
-
-        case "tool:start":
-          // 工具调用开始（当工具被中间件拦截时，content_block_start 被隐藏，改为发送 tool:start）
-          if (event.tool_id && event.tool_name) {
-            const toolId = event.tool_id;
-            // 检查是否已存在该工具块（避免重复创建）
-            const existingToolBlock = contentBlocks.find(
-              (block) => block.type === "tool" && block.id === toolId
-            );
-            if (!existingToolBlock) {
-              // 创建工具块并立即添加到数组（因为不会被 content_block_stop 处理）
-              const toolBlock = {
-                type: "tool",
-                id: toolId,
-                toolCall: {
-                  toolCallId: toolId,
-                  type: `tool-${event.tool_name}`,
-                  state: "input-available",
-                  input: {},
-                },
-              };
-              contentBlocks.push(toolBlock);
-              // 也设置 currentBlock，以便后续更新（如果需要）
-              currentBlock = toolBlock;
-            }
-          }
-          break;
-
-        case "tool:result":
-          // 工具执行成功
-          if (event.tool_id) {
-            // 查找或创建工具块
-            let toolBlock = contentBlocks.find(
-              (block) => block.type === "tool" && block.id === event.tool_id
-            );
-            if (!toolBlock) {
-              // 如果不存在，创建新的工具块
-              toolBlock = {
-                type: "tool",
-                id: event.tool_id,
-                toolCall: {
-                  toolCallId: event.tool_id,
-                  type: `tool-${event.tool_name || "unknown"}`,
-                  state: "result",
-                  input: event.input || {}, // 使用事件中的 input 字段
-                  output: event.result,
-                },
-              };
-              contentBlocks.push(toolBlock);
-            } else {
-              // 更新现有工具块
-              toolBlock.toolCall.state = "result";
-              // 如果事件中包含 input，更新 input
-              if (event.input !== undefined) {
-                toolBlock.toolCall.input = event.input;
-              }
-              if (event.result !== undefined) {
-                toolBlock.toolCall.output = event.result;
-              }
-            }
-            // 如果当前块就是这个工具块，清空 currentBlock
-            if (
-              currentBlock &&
-              currentBlock.type === "tool" &&
-              currentBlock.id === event.tool_id
-            ) {
-              currentBlock = null;
-            }
-          }
-          break;
-
-        case "tool:error":
-          // 工具执行失败
-          if (event.tool_id) {
-            // 查找或创建工具块
-            let toolBlock = contentBlocks.find(
-              (block) => block.type === "tool" && block.id === event.tool_id
-            );
-            if (!toolBlock) {
-              // 如果不存在，创建新的工具块
-              toolBlock = {
-                type: "tool",
-                id: event.tool_id,
-                toolCall: {
-                  toolCallId: event.tool_id,
-                  type: `tool-${event.tool_name || "unknown"}`,
-                  state: "error",
-                  input: {},
-                  errorText: event.error || "未知错误",
-                },
-              };
-              contentBlocks.push(toolBlock);
-            } else {
-              // 更新现有工具块
-              toolBlock.toolCall.state = "error";
-              toolBlock.toolCall.errorText = event.error || "未知错误";
-            }
-            // 如果当前块就是这个工具块，清空 currentBlock
-            if (
-              currentBlock &&
-              currentBlock.type === "tool" &&
-              currentBlock.id === event.tool_id
-            ) {
-              currentBlock = null;
-            }
-          }
-          break;
-      }
+      blockBuilder.apply(event);
 
       // 同步 contentBlocks 到 session（用于中断时保存已生成的内容）
-      // 需要包含当前正在处理的块
-      const blocksToSave = [...contentBlocks];
-      if (currentBlock) {
-        blocksToSave.push(currentBlock);
-      }
-      updateSessionContentBlocks(requestId, blocksToSave);
+      updateSessionContentBlocks(requestId, blockBuilder.snapshot());
     };
 
     // 调用模式处理函数
@@ -439,25 +279,7 @@ async function handleStreamResponse({
     });
 
     // 处理流结束后可能还有未完成的块
-    if (currentBlock) {
-      // 如果是工具块，尝试最终解析 JSON
-      if (currentBlock.type === "tool" && currentToolInputJson) {
-        try {
-          const input = JSON.parse(currentToolInputJson);
-          currentBlock.toolCall.input = input;
-          currentBlock.toolCall.state = "input-available";
-        } catch (error) {
-          console.warn("工具参数 JSON 解析失败:", error, currentToolInputJson);
-          if (
-            !currentBlock.toolCall.input ||
-            Object.keys(currentBlock.toolCall.input).length === 0
-          ) {
-            currentBlock.toolCall.input = {};
-          }
-        }
-      }
-      contentBlocks.push(currentBlock);
-    }
+    const contentBlocks = blockBuilder.finish();
 
     // 更新消息版本内容（使用 requestId 查找）
     await updateMessageByRequestId(conversationId, requestId, (version, _message) => {
@@ -550,6 +372,158 @@ async function generateConversationTitle(firstUserContent, model, apiKey) {
   }
 }
 
+/**
+ * 在后台为对话生成回复（先按需压缩上下文，再执行模式处理并流式写入版本）
+ * 回复写入 requestId 对应的消息版本，调用方需提前创建 SSE 会话和占位版本
+ * @param {Object} options
+ * @param {string} options.conversationId - 对话ID
+ * @param {Object} options.conversation - 对话对象（用于读取检查点等元数据）
+ * @param {Array} options.historyMessages - 本轮使用的历史消息（不包含当前输入和占位消息）
+ * @param {string} options.requestId - SSE 请求ID（也是版本ID）
+ * @param {string} options.mode - 对话模式
+ * @param {number} [options.compactThreshold] - 上下文压缩阈值
+ * @param {Object} options.processModeOptions - 传递给模式处理函数的其余参数
+ * @returns {Promise<void>}
+ */
+async function streamConversationReply({
+  conversationId,
+  conversation,
+  historyMessages,
+  requestId,
+  mode,
+  compactThreshold,
+  processModeOptions,
+  initialContentBlocks,
+}) {
+  const historyConversation = { ...conversation, messages: historyMessages };
+
+  // 历史超过阈值时先压缩较早的轮次（生成检查点），再发送“摘要 + 最近轮次”
+  const checkpoint = await compactConversationIfNeeded({
+    conversationId,
+    conversation: historyConversation,
+    model: processModeOptions.model,
+    apiKey: processModeOptions.apiKey,
+    threshold: compactThreshold,
+    onCompactStart: ({ tokensBefore, threshold }) => {
+      sendEvent(requestId, {
+        type: "conversation:compacting",
+        conversationId,
+        tokens: tokensBefore,
+        threshold,
+        timestamp: new Date().toISOString(),
+      });
+    },
+  });
+  if (checkpoint) {
+    historyConversation.checkpoints = [...(conversation.checkpoints || []), checkpoint];
+    sendEvent(requestId, {
+      type: "conversation:compacted",
+      conversationId,
+      checkpoint,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  await handleStreamResponse({
+    conversationId,
+    requestId,
+    processMode: getModeProcessor(mode),
+    processModeOptions: {
+      ...processModeOptions,
+      conversation: historyConversation,
+      mode,
+      conversationId, // 传递对话ID，用于保存 canvas 文件
+    },
+    initialContentBlocks,
+  });
+}
+
+/**
+ * 收集消息列表中所有版本ID（包含暂存的分支轮次）
+ * @param {Array} messages - 消息数组
+ * @param {Set<string>} [ids] - 结果集合
+ * @returns {Set<string>}
+ */
+function collectVersionIds(messages, ids = new Set()) {
+  for (const message of messages || []) {
+    for (const version of message.versions || []) {
+      ids.add(version.id);
+      collectVersionIds(version.branchMessages, ids);
+    }
+  }
+  return ids;
+}
+
+/**
+ * 获取版本的部分输出，用于继续生成
+ * 末尾文本块去掉结尾空白（作为 assistant 预填充时上游不接受结尾空白）
+ * @param {Object} version - 被中断的消息版本
+ * @returns {Array} 内容块（深拷贝）
+ */
+function getContinuationBlocks(version) {
+  const blocks = Array.isArray(version?.contentBlocks)
+    ? JSON.parse(JSON.stringify(version.contentBlocks))
+    : typeof version?.content === "string" && version.content
+      ? [{ type: "text", id: `text-${Date.now()}`, content: version.content }]
+      : [];
+
+  while (blocks.length > 0) {
+    const last = blocks[blocks.length - 1];
+    if (last.type !== "text") break;
+    last.content = (last.content || "").trimEnd();
+    if (last.content) break;
+    blocks.pop();
+  }
+  return blocks;
+}
+
+/**
+ * 创建 SSE 会话和对应的 AbortController
+ * @returns {{requestId: string, abortController: AbortController}}
+ */
+function createStreamRequest() {
+  const requestId = randomUUID();
+  createSession(requestId);
+
+  const abortController = new AbortController();
+  setAbortController(requestId, abortController);
+  return { requestId, abortController };
+}
+
+/** 导入的对话导出包大小上限 */
+const MAX_IMPORT_BUNDLE_SIZE = 50 * 1024 * 1024;
+
+/**
+ * 生成下载文件的 Content-Disposition 头（兼容非 ASCII 文件名）
+ * @param {string} fileName - 文件名
+ * @returns {string}
+ */
+function contentDisposition(fileName) {
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * 发送 Canvas 项目中的文件（用于预览，相对路径引用的文件也通过该接口加载）
+ * @param {Object} reply - Fastify reply
+ * @param {Object<string, string>} files - 文件树
+ * @param {string} [requestedPath] - 请求的文件路径，为空时返回入口文件
+ */
+function sendCanvasFile(reply, files, requestedPath) {
+  const filePath = requestedPath ? normalizeFilePath(requestedPath) : ENTRY_FILE;
+  if (!filePath || files[filePath] === undefined) {
+    reply.code(404).send({ error: "文件未找到" });
+    return;
+  }
+
+  reply
+    .header("Content-Type", getContentType(filePath))
+    .header("Cache-Control", "no-store")
+    // 预览使用 srcdoc iframe（origin 为 null），模块脚本需要允许跨域加载
+    .header("Access-Control-Allow-Origin", "*")
+    .send(files[filePath]);
+}
+
 /**
  * 注册 AI Chat 路由
  */
@@ -559,6 +533,20 @@ function registerAiChatRoutes(server) {
   // 确保项目目录存在
   ensureDir(PROJECT_DIR);
 
+  // 将重启前未完成的请求标记为中断（后台执行，不阻塞路由注册）
+  recoverInterruptedStreams().catch((error) => {
+    console.error("恢复中断的请求失败:", error);
+  });
+
+  // 对话导出包以原始 ZIP 内容上传
+  if (!app.hasContentTypeParser("application/zip")) {
+    app.addContentTypeParser(
+      "application/zip",
+      { parseAs: "buffer", bodyLimit: MAX_IMPORT_BUNDLE_SIZE },
+      (_req, body, done) => done(null, body)
+    );
+  }
+
   /**
    * GET /api/ai_chat/conversations
    * 获取所有对话列表
@@ -582,6 +570,7 @@ function registerAiChatRoutes(server) {
               id,
               title: data.title || "新对话",
               mode: data.mode || "chat",
+              forkedFrom: data.forkedFrom,
               createdAt: data.createdAt || 0,
               updatedAt: data.updatedAt || 0,
             };
@@ -608,6 +597,119 @@ function registerAiChatRoutes(server) {
     }
   });
 
+  /**
+   * GET /api/ai_chat/conversations/search
+   * 全文搜索对话（标题、用户文本、助手文本、工具名称）
+   * 查询参数：q（支持 "短语" 和 前缀*）、mode、model、from、to、limit、offset
+   */
+  app.get("/api/ai_chat/conversations/search", async (req, reply) => {
+    try {
+      const { q = "", mode, model, from, to, limit, offset } = req.query || {};
+      const result = await searchConversations({
+        query: q,
+        mode,
+        model,
+        from,
+        to,
+        limit,
+        offset,
+      });
+      return { query: q, ...result };
+    } catch (error) {
+      console.error("搜索对话失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/ai_chat/conversations/search/reindex
+   * 重建对话搜索索引
+   */
+  app.post("/api/ai_chat/conversations/search/reindex", async (_req, reply) => {
+    try {
+      const { total } = await rebuildSearchIndex();
+      return { success: true, total };
+    } catch (error) {
+      console.error("重建搜索索引失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/ai_chat/conversations/export
+   * 批量导出对话，返回 ZIP
+   * body: { ids: string[], format?: "bundle" | "markdown" | "anthropic", model?, maxTokens? }
+   * bundle 格式为可导入的导出包，其余格式每个对话一个文件
+   */
+  app.post("/api/ai_chat/conversations/export", async (req, reply) => {
+    try {
+      const { ids, format = "bundle", model, maxTokens } = req.body || {};
+
+      if (!Array.isArray(ids) || ids.length === 0) {
+        reply.code(400).send({ error: "ids 必须是非空数组" });
+        return;
+      }
+      if (!EXPORT_FORMATS.includes(format)) {
+        reply.code(400).send({ error: `不支持的导出格式: ${format}` });
+        return;
+      }
+
+      const { items, missing } = await loadConversations([...new Set(ids)]);
+      if (missing.length > 0) {
+        reply.code(404).send({ error: `对话未找到: ${missing.join(", ")}` });
+        return;
+      }
+
+      let archive;
+      try {
+        archive =
+          format === "bundle"
+            ? createConversationBundle(items)
+            : createFormattedArchive(items, format, { model, maxTokens });
+      } catch (error) {
+        reply.code(400).send({ error: error.message });
+        return;
+      }
+
+      const date = new Date().toISOString().split("T")[0];
+      reply
+        .header("Content-Type", "application/zip")
+        .header("Content-Disposition", contentDisposition(`conversations-${format}-${date}.zip`));
+      return archive;
+    } catch (error) {
+      console.error("批量导出对话失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/ai_chat/conversations/import
+   * 导入对话导出包（Content-Type: application/zip），每个对话使用新的ID保存
+   */
+  app.post("/api/ai_chat/conversations/import", async (req, reply) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        reply.code(400).send({ error: "请以 application/zip 格式上传导出包" });
+        return;
+      }
+
+      let imported;
+      try {
+        imported = await importConversationBundle(req.body, {
+          generateId: generateConversationId,
+        });
+      } catch (error) {
+        reply.code(400).send({ error: `导出包无效: ${error.message}` });
+        return;
+      }
+
+      return { success: true, imported };
+    } catch (error) {
+      console.error("导入对话失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/ai_chat/conversations/:id
    * 获取单个对话详情
@@ -645,10 +747,8 @@ function registerAiChatRoutes(server) {
       } = req.body;
 
       // 从 config 对象中提取配置参数（向后兼容：也支持直接传递这些字段）
-      const { temperature, topP, maxTokens, tools, reasoning } = extractModelConfig(
-        config,
-        req.body
-      );
+      const { temperature, topP, maxTokens, tools, reasoning, historyTokenBudget } =
+        extractModelConfig(config, req.body);
 
       if (!initialInput && (!customMessages || customMessages.length === 0)) {
         reply.code(400).send({ error: "initialInput 必填" });
@@ -713,6 +813,9 @@ function registerAiChatRoutes(server) {
         }
       }
 
+      // 自定义消息作为历史传递给模式处理函数（不包含 assistant 占位消息）
+      const historyMessages = initialInput ? [] : [...conversation.messages];
+
       const assistantMessageKey = generateMessageKey("assistant", requestId);
 
       // 添加初始 assistant 消息（正在请求中，新格式）
@@ -724,6 +827,7 @@ function registerAiChatRoutes(server) {
             id: requestId, // 直接使用 requestId
             content: "",
             isRequesting: true,
+            model, // 记录生成该版本的模型（用于搜索过滤）
             createdAt: Date.now(),
           },
         ],
@@ -741,7 +845,10 @@ function registerAiChatRoutes(server) {
           requestId,
           processMode,
           processModeOptions: {
-            conversation: null, // 新对话，没有历史
+            // 新对话，仅在传入自定义消息时携带历史
+            conversation: historyMessages.length > 0
+              ? { ...conversation, messages: historyMessages }
+              : null,
             currentInput: initialInput || "",
             mode,
             files,
@@ -754,6 +861,7 @@ function registerAiChatRoutes(server) {
             maxTokens,
             tools,
             reasoning,
+            historyTokenBudget,
             abortSignal: abortController.signal,
           },
           titlePromise,
@@ -790,10 +898,15 @@ function registerAiChatRoutes(server) {
       } = req.body;
 
       // 从 config 对象中提取配置参数（向后兼容：也支持直接传递这些字段）
-      const { temperature, topP, maxTokens, tools, reasoning } = extractModelConfig(
-        config,
-        req.body
-      );
+      const {
+        temperature,
+        topP,
+        maxTokens,
+        tools,
+        reasoning,
+        historyTokenBudget,
+        compactThreshold,
+      } = extractModelConfig(config, req.body);
 
       if (!content) {
         reply.code(400).send({ error: "content 必填" });
@@ -820,17 +933,15 @@ function registerAiChatRoutes(server) {
         conversation.mode = newMode;
       }
 
-      // 生成新的请求ID
-      const requestId = randomUUID();
-      createSession(requestId);
-
-      // 创建 AbortController 并设置到会话中
-      const abortController = new AbortController();
-      setAbortController(requestId, abortController);
+      // 生成新的请求ID，创建 SSE 会话和 AbortController
+      const { requestId, abortController } = createStreamRequest();
 
       // 检查是否有重试请求（通过 messageKey 参数判断）
       const { messageKey: retryMessageKey } = req.body;
 
+      // 本轮之前的历史消息（不包含即将追加的用户消息和 assistant 占位消息）
+      let historyMessages = [...conversation.messages];
+
       // 如果是重试，不创建新的用户消息，使用之前的用户消息内容
       if (!retryMessageKey) {
         // 添加用户消息（messageKey + versions）- 仅非重试时
@@ -862,14 +973,14 @@ function registerAiChatRoutes(server) {
         existingMessage = conversation.messages[existingMessageIndex];
 
         if (existingMessage) {
-          // 在同一消息下添加新版本
-          existingMessage.versions.push({
+          // 在同一消息下添加新版本（之后的轮次保留到原版本的分支中）
+          addActiveVersion(conversation, existingMessageIndex, {
             id: requestId, // 直接使用 requestId
             content: "",
             isRequesting: true,
+            model,
             createdAt: Date.now(),
           });
-          existingMessage.updatedAt = Date.now();
         } else {
           // 如果找不到原消息，创建新消息
           conversation.messages.push({
@@ -880,6 +991,7 @@ function registerAiChatRoutes(server) {
                 id: requestId, // 直接使用 requestId
                 content: "",
                 isRequesting: true,
+                model,
                 createdAt: Date.now(),
               },
             ],
@@ -896,6 +1008,7 @@ function registerAiChatRoutes(server) {
               id: requestId, // 直接使用 requestId
               content: "",
               isRequesting: true,
+              model,
               createdAt: Date.now(),
             },
           ],
@@ -906,86 +1019,592 @@ function registerAiChatRoutes(server) {
       conversation.updatedAt = Date.now();
       await writeConversationFile(id, conversation);
 
+      // 重试时，历史截止到被重试的 assistant 消息对应的用户消息之前
       if (existingMessageIndex !== -1) {
-        conversation.messages = conversation.messages.slice(0, existingMessageIndex - 1);
+        historyMessages = conversation.messages.slice(0, Math.max(existingMessageIndex - 1, 0));
       }
 
       // 异步处理流式响应
-      (async () => {
-        const processMode = getModeProcessor(mode);
-        await handleStreamResponse({
+      streamConversationReply({
+        conversationId: id,
+        conversation,
+        historyMessages,
+        requestId,
+        mode,
+        compactThreshold,
+        processModeOptions: {
+          currentInput: content,
+          files,
+          editorCode,
+          model,
+          apiKey,
+          temperature,
+          topP,
+          maxTokens,
+          tools,
+          reasoning,
+          historyTokenBudget,
+          abortSignal: abortController.signal,
+        },
+      });
+
+      return {
+        requestId,
+        streamUrl: `/api/ai_chat/conversations/${id}/stream/${requestId}`,
+      };
+    } catch (error) {
+      console.error("发送消息失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/ai_chat/conversations/:id/messages/:messageKey/regenerate
+   * 重新生成 assistant 消息（作为新版本，原版本之后的轮次保留为分支）
+   */
+  app.post(
+    "/api/ai_chat/conversations/:id/messages/:messageKey/regenerate",
+    async (req, reply) => {
+      try {
+        const { id, messageKey } = req.params;
+        const { mode: newMode, model, apiKey, files = [], editorCode, config } = req.body || {};
+        const {
+          temperature,
+          topP,
+          maxTokens,
+          tools,
+          reasoning,
+          historyTokenBudget,
+          compactThreshold,
+        } = extractModelConfig(config, req.body || {});
+
+        const conversation = await readConversationFile(id);
+        if (!conversation) {
+          reply.code(404).send({ error: "对话未找到" });
+          return;
+        }
+
+        const messageIndex = conversation.messages.findIndex(
+          (msg) => msg.messageKey === messageKey
+        );
+        if (messageIndex === -1) {
+          reply.code(404).send({ error: "消息未找到" });
+          return;
+        }
+        if (conversation.messages[messageIndex].role !== "assistant") {
+          reply.code(400).send({ error: "只能重新生成 assistant 消息" });
+          return;
+        }
+        if (isConversationRequesting(conversation)) {
+          reply.code(409).send({ error: "对话正在请求中，请稍候" });
+          return;
+        }
+
+        // 查找该回复对应的用户消息
+        let userIndex = messageIndex - 1;
+        while (userIndex >= 0 && conversation.messages[userIndex].role !== "user") {
+          userIndex--;
+        }
+        if (userIndex === -1) {
+          reply.code(400).send({ error: "未找到对应的用户消息" });
+          return;
+        }
+        const currentInput = getVersionText(getActiveVersion(conversation.messages[userIndex]));
+
+        const mode = newMode || conversation.mode || "chat";
+        if (newMode) {
+          conversation.mode = newMode;
+        }
+
+        const { requestId, abortController } = createStreamRequest();
+
+        addActiveVersion(conversation, messageIndex, {
+          id: requestId, // 直接使用 requestId
+          content: "",
+          isRequesting: true,
+          model,
+          createdAt: Date.now(),
+        });
+
+        conversation.updatedAt = Date.now();
+        await writeConversationFile(id, conversation);
+
+        streamConversationReply({
           conversationId: id,
+          conversation,
+          historyMessages: conversation.messages.slice(0, userIndex),
           requestId,
-          processMode,
+          mode,
+          compactThreshold,
           processModeOptions: {
-            conversation,
-            currentInput: content,
-            mode,
+            currentInput,
             files,
             editorCode,
             model,
             apiKey,
-            conversationId: id, // 传递对话ID，用于保存 canvas 文件
             temperature,
             topP,
             maxTokens,
             tools,
             reasoning,
+            historyTokenBudget,
             abortSignal: abortController.signal,
           },
         });
-      })();
 
-      return {
-        requestId,
-        streamUrl: `/api/ai_chat/conversations/${id}/stream/${requestId}`,
-      };
-    } catch (error) {
-      console.error("发送消息失败:", error);
-      reply.code(500).send({ error: error.message });
+        return {
+          requestId,
+          messageKey,
+          versionId: requestId,
+          streamUrl: `/api/ai_chat/conversations/${id}/stream/${requestId}`,
+        };
+      } catch (error) {
+        console.error("重新生成消息失败:", error);
+        reply.code(500).send({ error: error.message });
+      }
     }
-  });
+  );
 
   /**
-   * GET /api/ai_chat/conversations/:id/stream/:requestId
-   * SSE 流式响应端点
+   * POST /api/ai_chat/conversations/:id/messages/:messageKey/edit
+   * 编辑用户消息并从该处重新发送（作为新版本，原版本之后的轮次保留为分支）
    */
-  app.get("/api/ai_chat/conversations/:id/stream/:requestId", async (req, reply) => {
-    const { requestId } = req.params;
+  app.post(
+    "/api/ai_chat/conversations/:id/messages/:messageKey/edit",
+    async (req, reply) => {
+      try {
+        const { id, messageKey } = req.params;
+        const {
+          content,
+          mode: newMode,
+          model,
+          apiKey,
+          files = [],
+          editorCode,
+          config,
+        } = req.body || {};
+        const {
+          temperature,
+          topP,
+          maxTokens,
+          tools,
+          reasoning,
+          historyTokenBudget,
+          compactThreshold,
+        } = extractModelConfig(config, req.body || {});
+
+        if (!content) {
+          reply.code(400).send({ error: "content 必填" });
+          return;
+        }
 
-    if (!hasSession(requestId)) {
-      reply.code(404).send("stream not found");
-      return;
-    }
+        const conversation = await readConversationFile(id);
+        if (!conversation) {
+          reply.code(404).send({ error: "对话未找到" });
+          return;
+        }
 
-    const session = getSession(requestId);
+        const messageIndex = conversation.messages.findIndex(
+          (msg) => msg.messageKey === messageKey
+        );
+        if (messageIndex === -1) {
+          reply.code(404).send({ error: "消息未找到" });
+          return;
+        }
+        if (conversation.messages[messageIndex].role !== "user") {
+          reply.code(400).send({ error: "只能编辑用户消息" });
+          return;
+        }
+        if (isConversationRequesting(conversation)) {
+          reply.code(409).send({ error: "对话正在请求中，请稍候" });
+          return;
+        }
 
-    // 设置 CORS 头（SSE 流式响应需要手动设置）
-    const origin = req.headers.origin || "*";
-    const allowCredentials = origin && origin !== "*" ? "true" : "false";
-    const reqHeaders =
-      req.headers["access-control-request-headers"] ||
-      "Content-Type,Authorization,Accept,Cache-Control,Last-Event-ID";
+        const mode = newMode || conversation.mode || "chat";
+        if (newMode) {
+          conversation.mode = newMode;
+        }
 
-    // 设置 SSE 响应头（包含 CORS 头）
-    reply.raw.writeHead(200, {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-      "Access-Control-Allow-Origin": origin || "*",
-      "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-      "Access-Control-Allow-Headers": reqHeaders,
-      "Access-Control-Allow-Credentials": allowCredentials,
-      "Access-Control-Expose-Headers": "*",
-      Vary: "Origin",
-    });
+        const { requestId, abortController } = createStreamRequest();
+
+        // 添加编辑后的用户消息版本
+        const userVersionId = generateMessageKey("user");
+        addActiveVersion(conversation, messageIndex, {
+          id: userVersionId,
+          content,
+          createdAt: Date.now(),
+        });
+
+        // 添加新的 assistant 消息（正在请求中）
+        const assistantMessageKey = generateMessageKey("assistant", requestId);
+        conversation.messages.push({
+          messageKey: assistantMessageKey,
+          role: "assistant",
+          versions: [
+            {
+              id: requestId, // 直接使用 requestId
+              content: "",
+              isRequesting: true,
+              model,
+              createdAt: Date.now(),
+            },
+          ],
+          createdAt: Date.now(),
+        });
+
+        conversation.updatedAt = Date.now();
+        await writeConversationFile(id, conversation);
+
+        streamConversationReply({
+          conversationId: id,
+          conversation,
+          historyMessages: conversation.messages.slice(0, messageIndex),
+          requestId,
+          mode,
+          compactThreshold,
+          processModeOptions: {
+            currentInput: content,
+            files,
+            editorCode,
+            model,
+            apiKey,
+            temperature,
+            topP,
+            maxTokens,
+            tools,
+            reasoning,
+            historyTokenBudget,
+            abortSignal: abortController.signal,
+          },
+        });
+
+        return {
+          requestId,
+          messageKey,
+          versionId: userVersionId,
+          assistantMessageKey,
+          streamUrl: `/api/ai_chat/conversations/${id}/stream/${requestId}`,
+        };
+      } catch (error) {
+        console.error("编辑消息失败:", error);
+        reply.code(500).send({ error: error.message });
+      }
+    }
+  );
+
+  /**
+   * PUT /api/ai_chat/conversations/:id/messages/:messageKey/active
+   * 设置消息的激活版本（同时切换到该版本所在的分支）
+   */
+  app.put(
+    "/api/ai_chat/conversations/:id/messages/:messageKey/active",
+    async (req, reply) => {
+      try {
+        const { id, messageKey } = req.params;
+        const { versionId } = req.body || {};
+
+        if (!versionId) {
+          reply.code(400).send({ error: "versionId 必填" });
+          return;
+        }
+
+        const conversation = await readConversationFile(id);
+        if (!conversation) {
+          reply.code(404).send({ error: "对话未找到" });
+          return;
+        }
+
+        const messageIndex = conversation.messages.findIndex(
+          (msg) => msg.messageKey === messageKey
+        );
+        if (messageIndex === -1) {
+          reply.code(404).send({ error: "消息未找到" });
+          return;
+        }
+        if (isConversationRequesting(conversation)) {
+          reply.code(409).send({ error: "对话正在请求中，请稍候" });
+          return;
+        }
+
+        if (!switchActiveVersion(conversation, messageIndex, versionId)) {
+          reply.code(404).send({ error: "版本未找到" });
+          return;
+        }
+
+        conversation.updatedAt = Date.now();
+        await writeConversationFile(id, conversation);
+
+        return { id, ...conversation };
+      } catch (error) {
+        console.error("切换消息版本失败:", error);
+        reply.code(500).send({ error: error.message });
+      }
+    }
+  );
+
+  /**
+   * POST /api/ai_chat/conversations/:id/messages/:messageKey/continue
+   * 从被中断（interrupted / aborted）的 assistant 回复继续生成
+   * 部分输出作为 assistant 预填充发送，新版本包含部分输出和续写内容
+   */
+  app.post(
+    "/api/ai_chat/conversations/:id/messages/:messageKey/continue",
+    async (req, reply) => {
+      try {
+        const { id, messageKey } = req.params;
+        const { model, apiKey, config } = req.body || {};
+        const {
+          temperature,
+          topP,
+          maxTokens,
+          tools,
+          reasoning,
+          historyTokenBudget,
+          compactThreshold,
+        } = extractModelConfig(config, req.body || {});
+
+        const conversation = await readConversationFile(id);
+        if (!conversation) {
+          reply.code(404).send({ error: "对话未找到" });
+          return;
+        }
+
+        const messageIndex = conversation.messages.findIndex(
+          (msg) => msg.messageKey === messageKey
+        );
+        if (messageIndex === -1) {
+          reply.code(404).send({ error: "消息未找到" });
+          return;
+        }
+        const message = conversation.messages[messageIndex];
+        if (message.role !== "assistant") {
+          reply.code(400).send({ error: "只能继续生成 assistant 消息" });
+          return;
+        }
+        if (isConversationRequesting(conversation)) {
+          reply.code(409).send({ error: "对话正在请求中，请稍候" });
+          return;
+        }
+
+        // 仅基于历史消息构建请求的模式支持预填充续写
+        const mode = conversation.mode || "chat";
+        if (!["chat", "agent"].includes(mode)) {
+          reply.code(400).send({ error: `${mode} 模式不支持继续生成` });
+          return;
+        }
+
+        const partialVersion = getActiveVersion(message);
+        if (!["interrupted", "aborted"].includes(partialVersion?.status)) {
+          reply.code(400).send({ error: "只能继续生成被中断的回复" });
+          return;
+        }
+        const partialBlocks = getContinuationBlocks(partialVersion);
+        if (partialBlocks.length === 0) {
+          reply.code(400).send({ error: "没有可继续的内容，请重新生成" });
+          return;
+        }
+
+        // 历史以部分输出结尾（在添加新版本之前拷贝，避免新版本被视为激活版本）
+        const historyMessages = [
+          ...conversation.messages.slice(0, messageIndex),
+          {
+            ...message,
+            versions: [{ ...partialVersion, status: "completed", contentBlocks: partialBlocks }],
+            activeVersionId: partialVersion.id,
+          },
+        ];
+
+        const { requestId, abortController } = createStreamRequest();
+        const resolvedModel = model || partialVersion.model;
+
+        addActiveVersion(conversation, messageIndex, {
+          id: requestId, // 直接使用 requestId
+          content: "",
+          contentBlocks: partialBlocks,
+          isRequesting: true,
+          model: resolvedModel,
+          continuedFrom: partialVersion.id,
+          createdAt: Date.now(),
+        });
+
+        conversation.updatedAt = Date.now();
+        await writeConversationFile(id, conversation);
+
+        streamConversationReply({
+          conversationId: id,
+          conversation,
+          historyMessages,
+          requestId,
+          mode,
+          compactThreshold,
+          initialContentBlocks: partialBlocks,
+          processModeOptions: {
+            currentInput: "",
+            files: [],
+            model: resolvedModel,
+            apiKey,
+            temperature,
+            topP,
+            maxTokens,
+            tools,
+            reasoning,
+            historyTokenBudget,
+            abortSignal: abortController.signal,
+          },
+        });
+
+        return {
+          requestId,
+          messageKey,
+          versionId: requestId,
+          streamUrl: `/api/ai_chat/conversations/${id}/stream/${requestId}`,
+        };
+      } catch (error) {
+        console.error("继续生成失败:", error);
+        reply.code(500).send({ error: error.message });
+      }
+    }
+  );
+
+  /**
+   * POST /api/ai_chat/conversations/:id/fork
+   * 从指定消息处分叉出新对话（复制截止到该消息的历史和对应的 Canvas 代码历史）
+   */
+  app.post("/api/ai_chat/conversations/:id/fork", async (req, reply) => {
+    try {
+      const { id } = req.params;
+      const { messageKey, model, apiKey } = req.body || {};
+
+      if (!messageKey) {
+        reply.code(400).send({ error: "messageKey 必填" });
+        return;
+      }
+
+      const conversation = await readConversationFile(id);
+      if (!conversation) {
+        reply.code(404).send({ error: "对话未找到" });
+        return;
+      }
+
+      const messageIndex = conversation.messages.findIndex(
+        (msg) => msg.messageKey === messageKey
+      );
+      if (messageIndex === -1) {
+        reply.code(404).send({ error: "消息未找到" });
+        return;
+      }
+
+      // 深拷贝截止到分叉点的历史
+      const messages = JSON.parse(
+        JSON.stringify(conversation.messages.slice(0, messageIndex + 1))
+      );
+      if (isConversationRequesting({ messages })) {
+        reply.code(409).send({ error: "对话正在请求中，请稍候" });
+        return;
+      }
+
+      // 仅保留仍然适用于新历史的压缩检查点
+      const messageKeys = new Set(messages.map((msg) => msg.messageKey));
+      const checkpoints = (conversation.checkpoints || []).filter((checkpoint) =>
+        messageKeys.has(checkpoint.upToMessageKey)
+      );
+
+      const conversationId = generateConversationId();
+      const newConversation = {
+        id: conversationId,
+        title: "新对话",
+        mode: conversation.mode || "chat",
+        messages,
+        forkedFrom: {
+          conversationId: id,
+          messageKey,
+          title: conversation.title || "新对话",
+          forkedAt: Date.now(),
+        },
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      if (checkpoints.length > 0) {
+        newConversation.checkpoints = checkpoints;
+      }
+
+      await writeConversationFile(conversationId, newConversation);
+
+      // 复制 Canvas 代码历史：优先按记录关联的请求ID匹配，旧记录按时间截止到分叉点之后的第一条消息
+      const { copyCanvasHistory } = require("./utils/canvasFileManager");
+      const versionIds = collectVersionIds(messages);
+      const nextMessage = conversation.messages[messageIndex + 1];
+      const cutoffTime = nextMessage?.createdAt ?? Infinity;
+      const canvasData = await copyCanvasHistory(id, conversationId, (record) =>
+        record.requestId ? versionIds.has(record.requestId) : record.timestamp < cutoffTime
+      );
+
+      // 根据分叉后的历史生成新标题（首条和最后一条用户消息）
+      const userTexts = messages
+        .filter((msg) => msg.role === "user")
+        .map((msg) => getVersionText(getActiveVersion(msg)))
+        .filter(Boolean);
+      const titleSource = [...new Set([userTexts[0], userTexts[userTexts.length - 1]])]
+        .filter(Boolean)
+        .join("\n");
+      const title = await generateConversationTitle(titleSource, model, apiKey);
+
+      const saved = await updateConversationFile(conversationId, (data) => {
+        data.title = title;
+      });
+
+      return {
+        ...(saved || { ...newConversation, title }),
+        id: conversationId,
+        codeHistory: canvasData?.codeHistory,
+      };
+    } catch (error) {
+      console.error("分叉对话失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/ai_chat/conversations/:id/stream/:requestId
+   * SSE 流式响应端点
+   */
+  app.get("/api/ai_chat/conversations/:id/stream/:requestId", async (req, reply) => {
+    const { requestId } = req.params;
+
+    // 服务重启后内存中没有会话，从事件日志回放
+    const session = getSession(requestId) || (await loadPersistedSession(requestId));
+    if (!session) {
+      reply.code(404).send("stream not found");
+      return;
+    }
+
+    // 设置 CORS 头（SSE 流式响应需要手动设置）
+    const origin = req.headers.origin || "*";
+    const allowCredentials = origin && origin !== "*" ? "true" : "false";
+    const reqHeaders =
+      req.headers["access-control-request-headers"] ||
+      "Content-Type,Authorization,Accept,Cache-Control,Last-Event-ID";
+
+    // 设置 SSE 响应头（包含 CORS 头）
+    reply.raw.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": origin || "*",
+      "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+      "Access-Control-Allow-Headers": reqHeaders,
+      "Access-Control-Allow-Credentials": allowCredentials,
+      "Access-Control-Expose-Headers": "*",
+      Vary: "Origin",
+    });
     reply.raw.write("\n");
 
     session.clients.add(reply.raw);
 
-    // 回放已有事件
-    for (const evt of session.events) {
-      reply.raw.write(`data: ${JSON.stringify(evt)}\n\n`);
+    // 回放已有事件（EventSource 重连时只回放 Last-Event-ID 之后的事件）
+    const lastEventId = req.headers["last-event-id"] ?? req.query?.lastEventId;
+    for (const data of getReplayEvents(session, lastEventId)) {
+      reply.raw.write(data);
     }
 
     // 如果会话已结束，直接结束响应
@@ -1025,6 +1644,54 @@ function registerAiChatRoutes(server) {
     }
   });
 
+  /**
+   * GET /api/ai_chat/conversations/:id/export
+   * 导出单个对话
+   * 查询参数：format（markdown | bundle | anthropic，默认 markdown）、model、maxTokens（仅 anthropic）
+   */
+  app.get("/api/ai_chat/conversations/:id/export", async (req, reply) => {
+    try {
+      const { id } = req.params;
+      const { format = "markdown", model, maxTokens } = req.query || {};
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        reply.code(400).send({ error: `不支持的导出格式: ${format}` });
+        return;
+      }
+
+      const { items } = await loadConversations([id]);
+      if (items.length === 0) {
+        reply.code(404).send({ error: "对话未找到" });
+        return;
+      }
+      const { conversation, canvasData } = items[0];
+      const baseName = toFileBaseName(conversation.title, id);
+
+      if (format === "markdown") {
+        reply
+          .header("Content-Type", "text/markdown; charset=utf-8")
+          .header("Content-Disposition", contentDisposition(`${baseName}.md`));
+        return conversationToMarkdown(conversation, canvasData);
+      }
+
+      if (format === "bundle") {
+        reply
+          .header("Content-Type", "application/zip")
+          .header("Content-Disposition", contentDisposition(`${baseName}.zip`));
+        return createConversationBundle(items);
+      }
+
+      try {
+        return conversationToAnthropicRequest(conversation, { model, maxTokens });
+      } catch (error) {
+        reply.code(400).send({ error: error.message });
+      }
+    } catch (error) {
+      console.error("导出对话失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
   /**
    * GET /api/ai_chat/conversations/:id/canvas
    * 获取 Canvas 代码历史
@@ -1061,7 +1728,11 @@ function registerAiChatRoutes(server) {
   app.put("/api/ai_chat/conversations/:id/canvas", async (req, reply) => {
     try {
       const { id } = req.params;
-      const { writeCanvasFile } = require("./utils/canvasFileManager");
+      const {
+        readCanvasFile,
+        writeCanvasFile,
+        preserveBackendRecordFields,
+      } = require("./utils/canvasFileManager");
 
       const canvasData = req.body;
       if (!canvasData || !canvasData.conversationId) {
@@ -1074,6 +1745,10 @@ function registerAiChatRoutes(server) {
         canvasData.conversationId = id;
       }
 
+      // 前端不会回传多文件、diff 结果等后端字段，按记录ID从原数据中保留
+      const previous = await readCanvasFile(id);
+      preserveBackendRecordFields(previous?.codeHistory, canvasData.codeHistory);
+
       await writeCanvasFile(id, canvasData);
       return { success: true };
     } catch (error) {
@@ -1113,6 +1788,226 @@ function registerAiChatRoutes(server) {
     }
   );
 
+  /**
+   * GET /api/ai_chat/conversations/:id/canvas/records/:recordId/files/*
+   * 获取指定代码记录中的项目文件
+   */
+  app.get("/api/ai_chat/conversations/:id/canvas/records/:recordId/files/*", async (req, reply) => {
+    try {
+      const { id, recordId } = req.params;
+      const { readCanvasFile } = require("./utils/canvasFileManager");
+
+      // 前端保存的记录只有入口代码，其余文件沿用之前最近一个带有 files 的记录
+      const canvasData = await readCanvasFile(id);
+      const found = findRecordWithFiles(canvasData?.codeHistory, recordId);
+      if (!found) {
+        reply.code(404).send({ error: "记录未找到" });
+        return;
+      }
+
+      sendCanvasFile(reply, found.files, req.params["*"]);
+    } catch (error) {
+      console.error("获取 Canvas 文件失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/ai_chat/conversations/:id/canvas/preview/*
+   * 预览当前版本的项目文件（入口文件之外的文件取最近一次模型输出的文件树）
+   */
+  app.get("/api/ai_chat/conversations/:id/canvas/preview/*", async (req, reply) => {
+    try {
+      const { id } = req.params;
+      const { readCanvasFile } = require("./utils/canvasFileManager");
+
+      const canvasData = await readCanvasFile(id);
+      const record = getCurrentRecord(canvasData?.codeHistory);
+      if (!record) {
+        reply.code(404).send({ error: "Canvas 代码不存在" });
+        return;
+      }
+
+      const files = {
+        ...getProjectFiles(canvasData.codeHistory),
+        ...getRecordFiles(record),
+      };
+      sendCanvasFile(reply, files, req.params["*"]);
+    } catch (error) {
+      console.error("预览 Canvas 文件失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/ai_chat/conversations/:id/canvas/versions
+   * 列出 Canvas 版本及记录元数据（不包含代码内容）
+   */
+  app.get("/api/ai_chat/conversations/:id/canvas/versions", async (req, reply) => {
+    try {
+      const { id } = req.params;
+      const { listCodeVersions } = require("./utils/canvasFileManager");
+
+      const result = await listCodeVersions(id);
+      return result || { currentVersionIndex: 0, versions: [] };
+    } catch (error) {
+      console.error("获取 Canvas 版本列表失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/ai_chat/conversations/:id/canvas/diff?from=<recordId>&to=<recordId>[&file=<path>][&context=3]
+   * 按文件比较两个代码记录的差异
+   */
+  app.get("/api/ai_chat/conversations/:id/canvas/diff", async (req, reply) => {
+    try {
+      const { id } = req.params;
+      const { from, to, file, context } = req.query;
+      const { readCanvasFile } = require("./utils/canvasFileManager");
+
+      if (!from || !to) {
+        reply.code(400).send({ error: "from 和 to 必填" });
+        return;
+      }
+      const filePath = file ? normalizeFilePath(file) : null;
+      if (file && !filePath) {
+        reply.code(400).send({ error: "无效的文件路径" });
+        return;
+      }
+
+      const canvasData = await readCanvasFile(id);
+      const source = findRecordWithFiles(canvasData?.codeHistory, from);
+      const target = findRecordWithFiles(canvasData?.codeHistory, to);
+      if (!source || !target) {
+        reply.code(404).send({ error: "记录未找到" });
+        return;
+      }
+
+      const paths = filePath
+        ? [filePath]
+        : [...new Set([...Object.keys(source.files), ...Object.keys(target.files)])];
+      const contextLines = Number.isInteger(Number(context)) && Number(context) >= 0 ? Number(context) : 3;
+
+      const files = paths.map((item) => {
+        const oldContent = source.files[item];
+        const newContent = target.files[item];
+        const lineDiff = createLineDiff(oldContent || "", newContent || "", {
+          fromFile: `a/${item}`,
+          toFile: `b/${item}`,
+          context: contextLines,
+        });
+        let status = "modified";
+        if (oldContent === undefined && newContent === undefined) status = "missing";
+        else if (oldContent === undefined) status = "added";
+        else if (newContent === undefined) status = "removed";
+        else if (lineDiff.hunks.length === 0) status = "unchanged";
+        return { path: item, status, ...lineDiff };
+      });
+
+      return {
+        from,
+        to,
+        added: files.reduce((sum, item) => sum + item.added, 0),
+        removed: files.reduce((sum, item) => sum + item.removed, 0),
+        files,
+      };
+    } catch (error) {
+      console.error("比较 Canvas 记录失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/ai_chat/conversations/:id/canvas/records/:recordId/restore
+   * 将历史记录恢复为新版本
+   */
+  app.post(
+    "/api/ai_chat/conversations/:id/canvas/records/:recordId/restore",
+    async (req, reply) => {
+      try {
+        const { id, recordId } = req.params;
+        const { label } = req.body || {};
+        const { restoreCodeRecord } = require("./utils/canvasFileManager");
+
+        const result = await restoreCodeRecord(id, recordId, { label });
+        if (!result) {
+          reply.code(404).send({ error: "记录未找到" });
+          return;
+        }
+
+        return { success: true, ...result };
+      } catch (error) {
+        console.error("恢复 Canvas 记录失败:", error);
+        reply.code(500).send({ error: error.message });
+      }
+    }
+  );
+
+  /**
+   * PATCH /api/ai_chat/conversations/:id/canvas/versions/:versionId
+   * 修改版本标签（label 为空时恢复默认标签）
+   */
+  app.patch("/api/ai_chat/conversations/:id/canvas/versions/:versionId", async (req, reply) => {
+    try {
+      const { id, versionId } = req.params;
+      const { label } = req.body || {};
+      const { renameCodeVersion } = require("./utils/canvasFileManager");
+
+      if (label !== undefined && label !== null && typeof label !== "string") {
+        reply.code(400).send({ error: "label 必须是字符串" });
+        return;
+      }
+
+      const version = await renameCodeVersion(id, versionId, label);
+      if (!version) {
+        reply.code(404).send({ error: "版本未找到" });
+        return;
+      }
+
+      return { success: true, version };
+    } catch (error) {
+      console.error("修改 Canvas 版本标签失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/ai_chat/conversations/:id/canvas/prune
+   * 按保留策略清理旧版本
+   * Body: { keepLast?: number, maxAgeDays?: number, keepLabeled?: boolean, dryRun?: boolean }
+   */
+  app.post("/api/ai_chat/conversations/:id/canvas/prune", async (req, reply) => {
+    try {
+      const { id } = req.params;
+      const { keepLast, maxAgeDays, keepLabeled, dryRun } = req.body || {};
+      const { pruneCodeVersions } = require("./utils/canvasFileManager");
+
+      if (keepLast === undefined && maxAgeDays === undefined) {
+        reply.code(400).send({ error: "keepLast 和 maxAgeDays 至少需要一个" });
+        return;
+      }
+      if (
+        (keepLast !== undefined && !(Number.isInteger(keepLast) && keepLast >= 0)) ||
+        (maxAgeDays !== undefined && !(typeof maxAgeDays === "number" && maxAgeDays >= 0))
+      ) {
+        reply.code(400).send({ error: "keepLast 和 maxAgeDays 必须是非负数" });
+        return;
+      }
+
+      const result = await pruneCodeVersions(id, {
+        keepLast,
+        maxAgeDays,
+        keepLabeled: keepLabeled !== false,
+        dryRun: Boolean(dryRun),
+      });
+      return { success: true, dryRun: Boolean(dryRun), ...result };
+    } catch (error) {
+      console.error("清理 Canvas 版本失败:", error);
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
   /**
    * POST /api/ai_chat/conversations/:id/stream/:requestId/abort
    * 中断正在进行的流式请求
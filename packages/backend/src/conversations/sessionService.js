@@ -1,24 +1,187 @@
 /**
  * AI Chat SSE 会话管理服务
  * 管理流式会话的生命周期，包括会话创建、事件推送、会话关闭
+ * 事件在推送的同时追加写入磁盘（每个会话一个 JSONL 文件），
+ * 用于 Last-Event-ID 重连回放，以及服务重启后恢复被中断的消息
  */
 
+const fs = require("fs");
+const path = require("path");
+const { CHAT_STREAMS_DIR } = require("../config/constants");
+
 /** @type {Map<string, Session>} 内存会话表 */
 const sessions = new Map();
 
 /** 会话保留时间（毫秒），避免 EventSource 自动重连时 404 */
 const SESSION_TTL_MS = 30_000;
 
+/** 未正常关闭的事件日志保留时间（毫秒），超过后在启动时清理 */
+const STREAM_LOG_RETENTION_MS = 24 * 60 * 60 * 1000;
+
 /**
  * @typedef {Object} Session
  * @property {Set<import('http').ServerResponse>} clients - SSE 客户端连接集合
- * @property {Array<Object>} events - 已发送的事件列表（用于重连回放）
+ * @property {Array<{id: number, payload: Object}>} events - 已发送的事件列表（用于重连回放）
+ * @property {number} nextEventId - 下一个事件ID（SSE id 字段，从 1 开始）
+ * @property {fs.WriteStream|null} logStream - 事件日志写入流
  * @property {boolean} closed - 会话是否已关闭
  * @property {AbortController} [abortController] - 可选的中断控制器
  * @property {Array<Object>} [contentBlocks] - 当前已生成的内容块（用于中断时保存）
  * @property {string} [conversationId] - 对话ID（用于中断时更新消息）
  */
 
+/**
+ * 获取会话事件日志文件路径
+ *
+ * @param {string} streamingId - 会话唯一标识
+ * @returns {string}
+ */
+function getStreamLogPath(streamingId) {
+  const safeId = String(streamingId).replace(/[^a-zA-Z0-9_-]/g, "");
+  return path.join(CHAT_STREAMS_DIR, `${safeId}.jsonl`);
+}
+
+/**
+ * 格式化 SSE 事件
+ *
+ * @param {number} id - 事件ID
+ * @param {Object} payload - 事件数据
+ * @returns {string}
+ */
+function formatEvent(id, payload) {
+  // SSE 格式：id: N\ndata: JSON\n\n
+  return `id: ${id}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * 打开会话事件日志（追加写入）
+ *
+ * @param {string} streamingId - 会话唯一标识
+ * @returns {fs.WriteStream|null} 打开失败时返回 null（不影响推送）
+ */
+function openStreamLog(streamingId) {
+  try {
+    fs.mkdirSync(CHAT_STREAMS_DIR, { recursive: true });
+    const logStream = fs.createWriteStream(getStreamLogPath(streamingId), { flags: "a" });
+    logStream.on("error", (error) => {
+      console.error("[aiChatSessionService] Failed to write stream log:", error);
+    });
+    return logStream;
+  } catch (error) {
+    console.error("[aiChatSessionService] Failed to open stream log:", error);
+    return null;
+  }
+}
+
+/**
+ * 删除会话事件日志
+ *
+ * @param {string} streamingId - 会话唯一标识
+ */
+function removeStreamLog(streamingId) {
+  fs.promises.unlink(getStreamLogPath(streamingId)).catch((error) => {
+    if (error.code !== "ENOENT") {
+      console.error("[aiChatSessionService] Failed to remove stream log:", error);
+    }
+  });
+}
+
+/**
+ * 读取会话事件日志
+ *
+ * @param {string} streamingId - 会话唯一标识
+ * @returns {Promise<Array<{id: number, payload: Object}>|null>} 日志不存在时返回 null
+ */
+async function readStreamLog(streamingId) {
+  let content;
+  try {
+    content = await fs.promises.readFile(getStreamLogPath(streamingId), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  const events = [];
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const { id, event } = JSON.parse(line);
+      events.push({ id, payload: event });
+    } catch {
+      // 不完整的行（进程崩溃时写入中断）忽略
+    }
+  }
+  return events;
+}
+
+/**
+ * 向会话事件日志追加事件（用于已不在内存中的会话，例如重启后标记中断）
+ *
+ * @param {string} streamingId - 会话唯一标识
+ * @param {Array<Object>} payloads - 事件数据列表
+ * @returns {Promise<void>}
+ */
+async function appendStreamLog(streamingId, payloads) {
+  const events = (await readStreamLog(streamingId)) || [];
+  let nextId = events.length > 0 ? events[events.length - 1].id + 1 : 1;
+  const lines = payloads.map((payload) => `${JSON.stringify({ id: nextId++, event: payload })}\n`);
+
+  await fs.promises.mkdir(CHAT_STREAMS_DIR, { recursive: true });
+  // 进程崩溃时最后一行可能不完整，从新的一行开始追加（空行在读取时忽略）
+  await fs.promises.appendFile(getStreamLogPath(streamingId), `\n${lines.join("")}`, "utf-8");
+}
+
+/**
+ * 从事件日志恢复已结束的会话（服务重启后内存中已没有该会话）
+ *
+ * @param {string} streamingId - 会话唯一标识
+ * @returns {Promise<Session|null>} 日志不存在时返回 null
+ */
+async function loadPersistedSession(streamingId) {
+  const events = await readStreamLog(streamingId);
+  if (!events) return null;
+
+  return {
+    clients: new Set(),
+    events,
+    nextEventId: events.length > 0 ? events[events.length - 1].id + 1 : 1,
+    logStream: null,
+    closed: true,
+  };
+}
+
+/**
+ * 清理过期的事件日志
+ *
+ * @returns {Promise<number>} 删除的日志数量
+ */
+async function cleanupStreamLogs() {
+  let files;
+  try {
+    files = await fs.promises.readdir(CHAT_STREAMS_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  let removed = 0;
+  const expireBefore = Date.now() - STREAM_LOG_RETENTION_MS;
+  for (const file of files) {
+    if (!file.endsWith(".jsonl")) continue;
+    const filePath = path.join(CHAT_STREAMS_DIR, file);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.mtimeMs < expireBefore) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    } catch (error) {
+      console.error("[aiChatSessionService] Failed to clean up stream log:", error);
+    }
+  }
+  return removed;
+}
+
 /**
  * 向指定会话的所有客户端推送 SSE 事件
  * 
@@ -29,8 +192,8 @@ function sendEvent(streamingId, payload) {
   const session = sessions.get(streamingId);
   if (!session) return;
 
-  // SSE 格式：data: JSON\n\n
-  const data = `data: ${JSON.stringify(payload)}\n\n`;
+  const id = session.nextEventId++;
+  const data = formatEvent(id, payload);
 
   // 向所有客户端推送
   for (const res of session.clients) {
@@ -42,7 +205,8 @@ function sendEvent(streamingId, payload) {
   }
 
   // 保存事件用于重连时回放
-  session.events.push(payload);
+  session.events.push({ id, payload });
+  session.logStream?.write(`${JSON.stringify({ id, event: payload })}\n`);
 }
 
 /**
@@ -77,8 +241,15 @@ function closeSession(streamingId) {
   }
   session.clients.clear();
 
+  // 消息状态已写入对话文件，日志只需保留到会话删除
+  session.logStream?.end();
+  session.logStream = null;
+
   // 延迟删除会话，避免 EventSource 自动重连立刻 404
-  setTimeout(() => sessions.delete(streamingId), SESSION_TTL_MS);
+  setTimeout(() => {
+    sessions.delete(streamingId);
+    removeStreamLog(streamingId);
+  }, SESSION_TTL_MS);
 }
 
 /**
@@ -91,6 +262,8 @@ function createSession(streamingId) {
   const session = {
     clients: new Set(),
     events: [],
+    nextEventId: 1,
+    logStream: openStreamLog(streamingId),
     closed: false,
   };
   sessions.set(streamingId, session);
@@ -107,6 +280,20 @@ function getSession(streamingId) {
   return sessions.get(streamingId);
 }
 
+/**
+ * 获取需要回放的事件（Last-Event-ID 之后的事件）
+ *
+ * @param {Session} session - 会话对象
+ * @param {number|string} [lastEventId] - 客户端已收到的最后一个事件ID
+ * @returns {string[]} 格式化后的 SSE 事件
+ */
+function getReplayEvents(session, lastEventId) {
+  const afterId = Number.parseInt(lastEventId, 10);
+  return session.events
+    .filter((evt) => !(afterId >= 0) || evt.id > afterId)
+    .map((evt) => formatEvent(evt.id, evt.payload));
+}
+
 /**
  * 检查会话是否存在
  *
@@ -180,6 +367,11 @@ module.exports = {
   updateSessionContentBlocks,
   setSessionConversationId,
   abortSession,
+  getReplayEvents,
+  readStreamLog,
+  appendStreamLog,
+  loadPersistedSession,
+  cleanupStreamLogs,
   SESSION_TTL_MS,
 };
 
@@ -8,6 +8,7 @@ const path = require("path");
 const { PROJECT_DIR } = require("../../config/constants");
 const { ensureDir } = require("../../utils/paths");
 const { randomUUID } = require("crypto");
+const { ENTRY_FILE, findRecordWithFiles, splitEntryFile } = require("./canvasProject");
 
 // 文件锁映射：conversationId -> Promise
 const fileLocks = new Map();
@@ -212,6 +213,7 @@ async function updateCanvasCodeHistory(conversationId, updateFn) {
  * @param {string} record.code - 完整代码（可选）
  * @param {string} record.diff - Diff 内容（可选）
  * @param {string} record.originalCode - 原始代码（可选）
+ * @param {string} [record.requestId] - 生成该记录的请求ID（即 assistant 消息版本ID，可选）
  * @returns {Promise<{recordId: string, versionId: string}>} 返回记录ID和版本ID
  */
 async function addCodeRecord(conversationId, record) {
@@ -257,6 +259,9 @@ async function addCodeRecord(conversationId, record) {
       originalCode: record.originalCode || "",
       timestamp,
     };
+    if (record.requestId) {
+      newRecord.requestId = record.requestId;
+    }
 
     // 添加到当前版本的记录列表
     if (!currentVersion.records) {
@@ -283,6 +288,10 @@ async function addCodeRecord(conversationId, record) {
  * @param {string} record.diff - Diff 内容（可选）
  * @param {string} record.originalCode - 原始代码（可选）
  * @param {string} [record.label] - 版本标签（可选，默认自动生成）
+ * @param {Object<string, string>} [record.files] - 多文件项目中入口文件以外的文件（路径 -> 内容，可选）
+ * @param {Array} [record.diffResults] - 后端应用 diff 时每个块的结果（可选）
+ * @param {string} [record.requestId] - 生成该记录的请求ID（即 assistant 消息版本ID，可选）
+ * @param {string} [record.restoredFrom] - 恢复来源的记录ID（可选）
  * @returns {Promise<{recordId: string, versionId: string}>} 返回记录ID和版本ID
  */
 async function addCodeVersion(conversationId, record) {
@@ -314,6 +323,18 @@ async function addCodeVersion(conversationId, record) {
       originalCode: record.originalCode || "",
       timestamp,
     };
+    if (record.files) {
+      newRecord.files = record.files;
+    }
+    if (record.diffResults) {
+      newRecord.diffResults = record.diffResults;
+    }
+    if (record.requestId) {
+      newRecord.requestId = record.requestId;
+    }
+    if (record.restoredFrom) {
+      newRecord.restoredFrom = record.restoredFrom;
+    }
 
     // 将记录添加到新版本
     newVersion.records.push(newRecord);
@@ -387,6 +408,260 @@ async function getCodeRecord(conversationId, recordId) {
   return null;
 }
 
+/** 只由后端写入、前端保存代码历史时不会回传的记录字段 */
+const BACKEND_RECORD_FIELDS = ["files", "diffResults", "requestId", "restoredFrom"];
+
+/** 只由后端写入的版本字段 */
+const BACKEND_VERSION_FIELDS = ["customLabel"];
+
+/**
+ * 前端整体保存代码历史时，保留已有版本和记录中只由后端维护的字段
+ * @param {Object} previousHistory - 原代码历史
+ * @param {Object} nextHistory - 前端提交的代码历史（会被直接修改）
+ * @returns {Object} nextHistory
+ */
+function preserveBackendRecordFields(previousHistory, nextHistory) {
+  const previousVersions = new Map();
+  const previousRecords = new Map();
+  for (const version of previousHistory?.versions || []) {
+    previousVersions.set(version.id, version);
+    for (const record of version.records || []) {
+      previousRecords.set(record.id, record);
+    }
+  }
+
+  for (const version of nextHistory?.versions || []) {
+    const previousVersion = previousVersions.get(version.id);
+    for (const field of BACKEND_VERSION_FIELDS) {
+      if (previousVersion?.[field] !== undefined && version[field] === undefined) {
+        version[field] = previousVersion[field];
+      }
+    }
+    for (const record of version.records || []) {
+      const previous = previousRecords.get(record.id);
+      if (!previous) continue;
+      for (const field of BACKEND_RECORD_FIELDS) {
+        if (previous[field] !== undefined && record[field] === undefined) {
+          record[field] = previous[field];
+        }
+      }
+    }
+  }
+  return nextHistory;
+}
+
+/**
+ * 统计文本行数
+ * @param {string} text
+ * @returns {number}
+ */
+function countLines(text) {
+  return text ? text.split("\n").length : 0;
+}
+
+/**
+ * 列出代码历史中的所有版本及记录元数据（不包含代码内容）
+ * @param {string} conversationId - 对话ID
+ * @returns {Promise<{currentVersionIndex: number, versions: Array}|null>} Canvas 文件不存在时返回 null
+ */
+async function listCodeVersions(conversationId) {
+  const canvasData = await readCanvasFile(conversationId);
+  if (!canvasData || !canvasData.codeHistory) {
+    return null;
+  }
+
+  const { codeHistory } = canvasData;
+  const { versions = [], currentVersionIndex = 0 } = codeHistory;
+  return {
+    currentVersionIndex,
+    versions: versions.map((version, index) => ({
+      id: version.id,
+      index,
+      label: version.label,
+      customLabel: Boolean(version.customLabel),
+      timestamp: version.timestamp,
+      isCurrent: index === currentVersionIndex,
+      currentIndex: version.currentIndex ?? 0,
+      records: (version.records || []).map((record) => {
+        const { files } = findRecordWithFiles(codeHistory, record.id);
+        const diffResults = record.diffResults || [];
+        return {
+          id: record.id,
+          timestamp: record.timestamp,
+          requestId: record.requestId || null,
+          restoredFrom: record.restoredFrom || null,
+          hasDiff: Boolean(record.diff),
+          lines: countLines(files[ENTRY_FILE]),
+          files: Object.keys(files),
+          diffSummary:
+            diffResults.length > 0
+              ? {
+                  total: diffResults.length,
+                  applied: diffResults.filter((item) => item.status === "applied").length,
+                }
+              : null,
+        };
+      }),
+    })),
+  };
+}
+
+/**
+ * 将历史记录恢复为一个新版本（不修改原记录）
+ * @param {string} conversationId - 对话ID
+ * @param {string} recordId - 要恢复的记录ID
+ * @param {Object} [options]
+ * @param {string} [options.label] - 新版本标签（默认为 "恢复自 <原版本标签>"）
+ * @returns {Promise<{recordId: string, versionId: string}|null>} 记录不存在时返回 null
+ */
+async function restoreCodeRecord(conversationId, recordId, options = {}) {
+  const canvasData = await readCanvasFile(conversationId);
+  const source = findRecordWithFiles(canvasData?.codeHistory, recordId);
+  if (!source) {
+    return null;
+  }
+
+  // 恢复完整文件树，diff 只是当时的变更记录，不再保留
+  // 单文件记录也写入空的 files，避免继承之后版本中的其余文件
+  const { code, files } = splitEntryFile(source.files);
+  return addCodeVersion(conversationId, {
+    code,
+    files: files || {},
+    label: options.label || `恢复自 ${source.version.label}`,
+    restoredFrom: recordId,
+  });
+}
+
+/**
+ * 修改版本标签
+ * @param {string} conversationId - 对话ID
+ * @param {string} versionId - 版本ID
+ * @param {string} label - 新标签，为空时恢复默认标签
+ * @returns {Promise<Object|null>} 更新后的版本（不含记录），版本不存在时返回 null
+ */
+async function renameCodeVersion(conversationId, versionId, label) {
+  let renamed = null;
+
+  await updateCanvasCodeHistory(conversationId, (codeHistory) => {
+    const index = (codeHistory.versions || []).findIndex((v) => v.id === versionId);
+    if (index === -1) {
+      return false;
+    }
+
+    const version = codeHistory.versions[index];
+    const trimmed = (label || "").trim();
+    if (trimmed) {
+      version.label = trimmed;
+      version.customLabel = true;
+    } else {
+      version.label = `版本 ${index + 1}`;
+      delete version.customLabel;
+    }
+    const { records, ...rest } = version;
+    renamed = rest;
+    return true;
+  });
+
+  return renamed;
+}
+
+/**
+ * 按保留策略清理旧版本
+ * 当前版本和手动命名过的版本（keepLabeled 为 true 时）始终保留
+ * @param {string} conversationId - 对话ID
+ * @param {Object} policy - 保留策略
+ * @param {number} [policy.keepLast] - 保留最近的版本数量
+ * @param {number} [policy.maxAgeDays] - 保留最近多少天内创建的版本
+ * @param {boolean} [policy.keepLabeled] - 是否保留手动命名过的版本（默认 true）
+ * @param {boolean} [policy.dryRun] - 只返回将被删除的版本，不写入文件
+ * @returns {Promise<{removed: Array<{id: string, label: string}>, remaining: number}>}
+ */
+async function pruneCodeVersions(conversationId, policy = {}) {
+  const { keepLast, maxAgeDays, keepLabeled = true, dryRun = false } = policy;
+  const minTimestamp = maxAgeDays !== undefined ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  let removed = [];
+  let remaining = 0;
+
+  await updateCanvasCodeHistory(conversationId, (codeHistory) => {
+    const versions = codeHistory.versions || [];
+    const currentVersion = versions[codeHistory.currentVersionIndex];
+
+    const kept = versions.filter((version, index) => {
+      if (version === currentVersion) return true;
+      if (keepLabeled && version.customLabel) return true;
+      if (keepLast !== undefined && index >= versions.length - keepLast) return true;
+      if (minTimestamp !== null && (version.timestamp || 0) >= minTimestamp) return true;
+      return false;
+    });
+
+    removed = versions
+      .filter((version) => !kept.includes(version))
+      .map((version) => ({ id: version.id, label: version.label }));
+    remaining = kept.length;
+    if (dryRun || removed.length === 0) {
+      return false;
+    }
+
+    // 记录可能沿用更早记录中的 files，删除前先把继承的文件树写入保留的记录
+    let inheritedFiles = null;
+    for (const version of versions) {
+      for (const record of version.records || []) {
+        if (record.files) {
+          inheritedFiles = record.files;
+        } else if (inheritedFiles && kept.includes(version)) {
+          record.files = { ...inheritedFiles };
+        }
+      }
+    }
+
+    codeHistory.versions = kept;
+    codeHistory.currentVersionIndex = Math.max(0, kept.indexOf(currentVersion));
+    return true;
+  });
+
+  return { removed, remaining };
+}
+
+/**
+ * 复制 Canvas 代码历史到另一个对话（用于分叉对话）
+ * @param {string} sourceId - 源对话ID
+ * @param {string} targetId - 目标对话ID
+ * @param {Function} [filterRecord] - 记录过滤函数 (record) => boolean，返回 false 的记录不复制
+ * @returns {Promise<Object|null>} 目标对话的 Canvas 数据，没有可复制的记录时返回 null
+ */
+async function copyCanvasHistory(sourceId, targetId, filterRecord = () => true) {
+  const source = await readCanvasFile(sourceId);
+  if (!source || !source.codeHistory) {
+    return null;
+  }
+
+  const versions = [];
+  for (const version of source.codeHistory.versions || []) {
+    const records = (version.records || []).filter(filterRecord);
+    if (records.length === 0) continue;
+    versions.push({
+      ...JSON.parse(JSON.stringify(version)),
+      records: JSON.parse(JSON.stringify(records)),
+      currentIndex: Math.min(version.currentIndex ?? records.length - 1, records.length - 1),
+    });
+  }
+
+  if (versions.length === 0) {
+    return null;
+  }
+
+  const canvasData = {
+    conversationId: targetId,
+    codeHistory: {
+      versions,
+      currentVersionIndex: versions.length - 1,
+    },
+    updatedAt: Date.now(),
+  };
+  await writeCanvasFile(targetId, canvasData);
+  return canvasData;
+}
+
 module.exports = {
   getCanvasFilePath,
   readCanvasFile,
@@ -397,5 +672,11 @@ module.exports = {
   addCodeVersion,
   updateCodeRecord,
   getCodeRecord,
+  preserveBackendRecordFields,
+  listCodeVersions,
+  restoreCodeRecord,
+  renameCodeVersion,
+  pruneCodeVersions,
+  copyCanvasHistory,
 };
 
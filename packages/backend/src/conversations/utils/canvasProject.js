@@ -0,0 +1,200 @@
+/**
+ * Canvas 多文件项目工具
+ * 每个代码记录的 code 字段保存入口文件（index.html），其余文件保存在 files 字段（路径 -> 内容），
+ * 只有单个 HTML 文件的记录保持原有结构不变
+ */
+
+const {
+  parseFileBlocks,
+  hasFileBlocks,
+  extractDiffBlocks,
+  extractHtmlCode,
+  applyDiff,
+  getLanguageByPath,
+} = require("../parser");
+
+/** 入口文件路径 */
+const ENTRY_FILE = "index.html";
+
+/** 预览时使用的 Content-Type */
+const CONTENT_TYPES = {
+  html: "text/html; charset=utf-8",
+  htm: "text/html; charset=utf-8",
+  css: "text/css; charset=utf-8",
+  js: "text/javascript; charset=utf-8",
+  mjs: "text/javascript; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  svg: "image/svg+xml; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+  txt: "text/plain; charset=utf-8",
+};
+
+/**
+ * 获取文件的 Content-Type
+ * @param {string} filePath 文件路径
+ * @returns {string}
+ */
+function getContentType(filePath) {
+  const extension = filePath.split(".").pop().toLowerCase();
+  return CONTENT_TYPES[extension] || "text/plain; charset=utf-8";
+}
+
+/**
+ * 获取代码记录的完整文件树
+ * @param {Object} record 代码记录
+ * @returns {Object<string, string>} 路径 -> 内容（入口文件在前）
+ */
+function getRecordFiles(record) {
+  if (!record) return {};
+  return {
+    [ENTRY_FILE]: record.code || record.originalCode || "",
+    ...(record.files || {}),
+  };
+}
+
+/**
+ * 获取代码历史中当前选中的记录
+ * @param {Object} codeHistory 代码历史
+ * @returns {Object|null}
+ */
+function getCurrentRecord(codeHistory) {
+  const versions = codeHistory?.versions || [];
+  const version = versions[codeHistory?.currentVersionIndex] || versions[versions.length - 1];
+  if (!version?.records?.length) return null;
+  return version.records[version.currentIndex] || version.records[version.records.length - 1];
+}
+
+/**
+ * 获取当前项目中入口文件以外的文件
+ * 前端保存代码历史时不会回传 files 字段，因此从当前记录向前查找最近一个带有 files 的记录
+ * @param {Object} codeHistory 代码历史
+ * @returns {Object<string, string>}
+ */
+function getProjectFiles(codeHistory) {
+  const versions = codeHistory?.versions || [];
+  const lastIndex = Math.min(codeHistory?.currentVersionIndex ?? versions.length - 1, versions.length - 1);
+
+  for (let i = lastIndex; i >= 0; i--) {
+    const records = versions[i].records || [];
+    const lastRecordIndex = i === lastIndex ? (versions[i].currentIndex ?? records.length - 1) : records.length - 1;
+    for (let j = Math.min(lastRecordIndex, records.length - 1); j >= 0; j--) {
+      if (records[j].files) return { ...records[j].files };
+    }
+  }
+  return {};
+}
+
+/**
+ * 获取指定记录的完整文件树，记录本身没有 files 时沿用之前最近一个带有 files 的记录
+ * @param {Object} codeHistory 代码历史
+ * @param {string} recordId 记录ID
+ * @returns {{record: Object, version: Object, files: Object<string, string>}|null} 记录不存在时返回 null
+ */
+function findRecordWithFiles(codeHistory, recordId) {
+  let inheritedFiles = {};
+  for (const version of codeHistory?.versions || []) {
+    for (const record of version.records || []) {
+      if (record.files) inheritedFiles = record.files;
+      if (record.id === recordId) {
+        return { record, version, files: { ...getRecordFiles({ code: record.code, originalCode: record.originalCode }), ...inheritedFiles } };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 将文件树格式化为带路径标注的代码块（用于提示词）
+ * @param {Object<string, string>} files 路径 -> 内容
+ * @returns {string}
+ */
+function formatProjectFiles(files) {
+  return Object.entries(files)
+    .map(([filePath, content]) => `\`\`\`${getLanguageByPath(filePath) || "text"} ${filePath}\n${content}\n\`\`\``)
+    .join("\n\n");
+}
+
+/**
+ * 将模型输出应用到项目文件树
+ * - 标注了文件路径的完整代码块：新增或覆盖对应文件
+ * - 标注了文件路径的 diff 块：应用到对应文件，未标注路径的 diff 块应用到入口文件
+ * - 没有任何路径标注时沿用单文件逻辑：diff 或完整 HTML 都作用于入口文件
+ * @param {string} content 模型输出
+ * @param {Object<string, string>} files 当前文件树（包含入口文件）
+ * @returns {{type: "files"|"diff"|"full", files: Object<string, string>, changedFiles: string[], diff: string|null, diffResults: Array}|null} 没有可识别的代码时返回 null
+ */
+function applyCanvasResponse(content, files) {
+  if (hasFileBlocks(content)) {
+    const fileBlocks = parseFileBlocks(content, { defaultDiffPath: ENTRY_FILE });
+    const nextFiles = { ...files };
+    const changedFiles = new Set();
+    const diffResults = [];
+
+    for (const block of fileBlocks) {
+      if (block.isDiff) {
+        const result = applyDiff(nextFiles[block.path] || "", block.code);
+        nextFiles[block.path] = result.code;
+        if (result.appliedCount > 0) changedFiles.add(block.path);
+        diffResults.push(...result.results.map((item) => ({ ...item, file: block.path })));
+      } else {
+        nextFiles[block.path] = block.code;
+        changedFiles.add(block.path);
+      }
+    }
+
+    return {
+      type: "files",
+      files: nextFiles,
+      changedFiles: [...changedFiles],
+      diff: null, // 各文件的 diff 结果见 diffResults（带 file 字段），原始 diff 保留在助手消息中
+      diffResults,
+    };
+  }
+
+  const diffContent = extractDiffBlocks(content);
+  if (diffContent) {
+    const result = applyDiff(files[ENTRY_FILE] || "", diffContent);
+    return {
+      type: "diff",
+      files: { ...files, [ENTRY_FILE]: result.code },
+      changedFiles: result.appliedCount > 0 ? [ENTRY_FILE] : [],
+      diff: diffContent,
+      diffResults: result.results.map((item) => ({ ...item, file: ENTRY_FILE })),
+    };
+  }
+
+  const htmlCode = extractHtmlCode(content);
+  if (htmlCode) {
+    return {
+      type: "full",
+      files: { ...files, [ENTRY_FILE]: htmlCode },
+      changedFiles: [ENTRY_FILE],
+      diff: null,
+      diffResults: [],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 拆分文件树为入口文件内容和其余文件
+ * @param {Object<string, string>} files
+ * @returns {{code: string, files: Object<string, string>|undefined}} 没有其余文件时 files 为 undefined
+ */
+function splitEntryFile(files) {
+  const { [ENTRY_FILE]: code = "", ...rest } = files;
+  return { code, files: Object.keys(rest).length > 0 ? rest : undefined };
+}
+
+module.exports = {
+  ENTRY_FILE,
+  getContentType,
+  getRecordFiles,
+  getCurrentRecord,
+  getProjectFiles,
+  findRecordWithFiles,
+  formatProjectFiles,
+  applyCanvasResponse,
+  splitEntryFile,
+};
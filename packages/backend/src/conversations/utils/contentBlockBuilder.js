@@ -0,0 +1,248 @@
+/**
+ * 内容块构建工具
+ * 将流式事件（content_block_* / tool:*）累积为与前端一致的 contentBlocks 数组，
+ * 流式响应处理和重启后的中断恢复（回放持久化事件）共用
+ */
+
+/**
+ * 尝试最终解析工具参数 JSON
+ * @param {Object} block - 工具块
+ * @param {string} inputJson - 累积的 partial_json
+ */
+function finalizeToolInput(block, inputJson) {
+  if (block.type !== "tool" || !inputJson) return;
+  try {
+    block.toolCall.input = JSON.parse(inputJson);
+    block.toolCall.state = "input-available";
+  } catch (error) {
+    // 如果最终解析失败，保留已解析的部分或空对象
+    console.warn("工具参数 JSON 解析失败:", error, inputJson);
+    if (!block.toolCall.input || Object.keys(block.toolCall.input).length === 0) {
+      block.toolCall.input = {};
+    }
+  }
+}
+
+/**
+ * 创建内容块构建器
+ * @param {Array} [initialBlocks] - 初始内容块（继续生成时为已有的部分输出）
+ * @returns {{apply: Function, snapshot: Function, finish: Function}}
+ */
+function createContentBlockBuilder(initialBlocks = []) {
+  const contentBlocks = [...initialBlocks];
+  let currentBlock = null; // 当前正在处理的块
+  let currentToolInputJson = ""; // 工具调用的 partial_json 累积
+
+  // 部分输出以文本结尾时，续写的第一个文本块接在该文本块之后
+  let resumableTextBlock = null;
+  const lastInitialBlock = contentBlocks[contentBlocks.length - 1];
+  if (lastInitialBlock?.type === "text") {
+    resumableTextBlock = { ...lastInitialBlock };
+    contentBlocks[contentBlocks.length - 1] = resumableTextBlock;
+  }
+
+  /**
+   * 查找已存在的工具块
+   * @param {string} toolId
+   * @returns {Object|undefined}
+   */
+  const findToolBlock = (toolId) =>
+    contentBlocks.find((block) => block.type === "tool" && block.id === toolId);
+
+  /**
+   * 工具执行结束后，如果当前块就是该工具块则清空
+   * @param {string} toolId
+   */
+  const releaseToolBlock = (toolId) => {
+    if (currentBlock && currentBlock.type === "tool" && currentBlock.id === toolId) {
+      currentBlock = null;
+    }
+  };
+
+  /**
+   * 处理一个流式事件
+   * @param {Object} event
+   */
+  function apply(event) {
+    switch (event.type) {
+      case "content_block_start":
+        // 内容块开始
+        if (event.content_block?.name) {
+          // 工具调用块（正常情况下，工具未被拦截时会收到此事件）
+          const toolId = event.content_block.id || `tool-${Date.now()}-${Math.random()}`;
+          // 检查是否已存在该工具块（避免与 tool:start 重复创建）
+          if (!findToolBlock(toolId)) {
+            currentBlock = {
+              type: "tool",
+              id: toolId,
+              toolCall: {
+                toolCallId: toolId,
+                type: `tool-${event.content_block.name}`,
+                state: "input-streaming",
+                input: {},
+              },
+            };
+            currentToolInputJson = "";
+          }
+        } else if (resumableTextBlock && contentBlocks.at(-1) === resumableTextBlock) {
+          // 续写部分输出的最后一个文本块
+          currentBlock = contentBlocks.pop();
+        } else {
+          // 文本块
+          currentBlock = {
+            type: "text",
+            id: event.content_block?.id || `text-${Date.now()}-${Math.random()}`,
+            content: "",
+          };
+        }
+        resumableTextBlock = null;
+        break;
+
+      case "content_block_delta":
+        if (event.delta?.text) {
+          // 文本增量
+          if (currentBlock && currentBlock.type === "text") {
+            currentBlock.content += event.delta.text;
+          }
+        } else if (event.delta?.partial_json) {
+          // 工具参数增量（流式 JSON）
+          if (currentBlock && currentBlock.type === "tool") {
+            currentToolInputJson += event.delta.partial_json;
+            // 尝试解析 JSON（可能不完整，忽略解析错误）
+            try {
+              currentBlock.toolCall.input = JSON.parse(currentToolInputJson);
+              currentBlock.toolCall.state = "input-streaming";
+            } catch {
+              // JSON 不完整，继续累积
+            }
+          }
+        }
+        break;
+
+      case "content_block_stop":
+        // 内容块结束，添加到数组
+        if (currentBlock) {
+          finalizeToolInput(currentBlock, currentToolInputJson);
+          contentBlocks.push(currentBlock);
+          currentBlock = null;
+          currentToolInputJson = "";
+        }
+        break;
+
+      case "message_delta":
+        // 消息增量（兼容旧版本）
+        if (event.delta?.text) {
+          if (!currentBlock) {
+            currentBlock = {
+              type: "text",
+              id: `text-${Date.now()}-${Math.random()}`,
+              content: event.delta.text,
+            };
+          } else if (currentBlock.type === "text") {
+            currentBlock.content += event.delta.text;
+          }
+        }
+        break;
+
+      case "tool:start":
+        // 工具调用开始（当工具被中间件拦截时，content_block_start 被隐藏，改为发送 tool:start）
+        if (event.tool_id && event.tool_name && !findToolBlock(event.tool_id)) {
+          // 创建工具块并立即添加到数组（因为不会被 content_block_stop 处理）
+          const toolBlock = {
+            type: "tool",
+            id: event.tool_id,
+            toolCall: {
+              toolCallId: event.tool_id,
+              type: `tool-${event.tool_name}`,
+              state: "input-available",
+              input: {},
+            },
+          };
+          contentBlocks.push(toolBlock);
+          currentBlock = toolBlock;
+        }
+        break;
+
+      case "tool:result":
+        // 工具执行成功
+        if (event.tool_id) {
+          const toolBlock = findToolBlock(event.tool_id);
+          if (!toolBlock) {
+            contentBlocks.push({
+              type: "tool",
+              id: event.tool_id,
+              toolCall: {
+                toolCallId: event.tool_id,
+                type: `tool-${event.tool_name || "unknown"}`,
+                state: "result",
+                input: event.input || {},
+                output: event.result,
+              },
+            });
+          } else {
+            toolBlock.toolCall.state = "result";
+            if (event.input !== undefined) {
+              toolBlock.toolCall.input = event.input;
+            }
+            if (event.result !== undefined) {
+              toolBlock.toolCall.output = event.result;
+            }
+          }
+          releaseToolBlock(event.tool_id);
+        }
+        break;
+
+      case "tool:error":
+        // 工具执行失败
+        if (event.tool_id) {
+          const toolBlock = findToolBlock(event.tool_id);
+          if (!toolBlock) {
+            contentBlocks.push({
+              type: "tool",
+              id: event.tool_id,
+              toolCall: {
+                toolCallId: event.tool_id,
+                type: `tool-${event.tool_name || "unknown"}`,
+                state: "error",
+                input: {},
+                errorText: event.error || "未知错误",
+              },
+            });
+          } else {
+            toolBlock.toolCall.state = "error";
+            toolBlock.toolCall.errorText = event.error || "未知错误";
+          }
+          releaseToolBlock(event.tool_id);
+        }
+        break;
+    }
+  }
+
+  /**
+   * 获取当前内容块（包含正在处理的块，用于中断时保存）
+   * @returns {Array}
+   */
+  function snapshot() {
+    return currentBlock ? [...contentBlocks, currentBlock] : [...contentBlocks];
+  }
+
+  /**
+   * 结束构建，处理流结束后可能还未完成的块
+   * @returns {Array}
+   */
+  function finish() {
+    if (currentBlock) {
+      finalizeToolInput(currentBlock, currentToolInputJson);
+      contentBlocks.push(currentBlock);
+      currentBlock = null;
+      currentToolInputJson = "";
+    }
+    return contentBlocks;
+  }
+
+  return { apply, snapshot, finish };
+}
+
+module.exports = {
+  createContentBlockBuilder,
+};
@@ -0,0 +1,197 @@
+/**
+ * 对话上下文压缩工具
+ * 当历史消息超过 token 阈值时，将较早的轮次通过 LLM 总结为摘要，
+ * 并以检查点（checkpoint）的形式保存到对话文件中
+ */
+
+const { randomUUID } = require("crypto");
+const { calculateTokenCount } = require("../../middleware/routeMiddleware");
+const { requestLLMSync } = require("./llmRequest");
+const { replaceVariablesInMessages } = require("./variableReplacer");
+const { updateConversationFile } = require("./conversationFileLock");
+const { buildMessageGroups } = require("./historyBuilder");
+const contextCompactionPrompt = require("../prompts/contextCompaction");
+
+/** 默认压缩阈值：历史 token 超过该值时触发压缩 */
+const DEFAULT_COMPACT_THRESHOLD = 24000;
+
+/** 默认保留的最近轮次 token 数（不参与压缩） */
+const DEFAULT_KEEP_RECENT_TOKENS = 8000;
+
+/** 摘要输入中单条消息的最大字符数（超出部分截断，避免总结请求本身溢出） */
+const MAX_TRANSCRIPT_MESSAGE_CHARS = 8000;
+
+/**
+ * 将 API 消息内容转换为纯文本
+ * @param {string|Array} content
+ * @returns {string}
+ */
+function contentToText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .map((part) => {
+      if (part.type === "text") return part.text || "";
+      if (part.type === "image") return "[图片]";
+      return "";
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * 构建用于总结的对话文本
+ * @param {Object|null} previousCheckpoint - 上一个检查点（其摘要会被合并）
+ * @param {Array} groups - 待压缩的消息分组（工具调用已转换为文本）
+ * @returns {string}
+ */
+function buildTranscript(previousCheckpoint, groups) {
+  const parts = [];
+  if (previousCheckpoint) {
+    parts.push(`[Earlier summary]\n${previousCheckpoint.summary}`);
+  }
+  for (const group of groups) {
+    for (const msg of group.messages) {
+      let text = contentToText(msg.content).trim();
+      if (!text) continue;
+      if (text.length > MAX_TRANSCRIPT_MESSAGE_CHARS) {
+        text = `${text.slice(0, MAX_TRANSCRIPT_MESSAGE_CHARS)}\n...(已截断)`;
+      }
+      parts.push(`[${msg.role === "assistant" ? "Assistant" : "User"}]\n${text}`);
+    }
+  }
+  return parts.join("\n\n");
+}
+
+/**
+ * 计算分组的 token 总数
+ * @param {Array} groups
+ * @returns {number}
+ */
+function countGroupTokens(groups) {
+  return groups.reduce((sum, group) => sum + calculateTokenCount(group.messages), 0);
+}
+
+/**
+ * 检查历史消息是否超过阈值，超过时压缩较早的轮次并保存检查点
+ * 压缩失败不会影响本次请求（返回 null，继续使用原始历史）
+ * @param {Object} options
+ * @param {string} options.conversationId - 对话ID
+ * @param {Object} options.conversation - 本轮使用的历史对话对象 { messages, checkpoints? }
+ * @param {string} options.model - 用于总结的模型ID
+ * @param {string} [options.apiKey] - API Key（可选）
+ * @param {number} [options.threshold] - 压缩阈值，<= 0 表示禁用压缩
+ * @param {number} [options.keepRecentTokens] - 保留的最近轮次 token 数
+ * @param {Function} [options.onCompactStart] - 开始压缩时的回调
+ * @returns {Promise<Object|null>} 新创建的检查点，未压缩时返回 null
+ */
+async function compactConversationIfNeeded({
+  conversationId,
+  conversation,
+  model,
+  apiKey,
+  threshold,
+  keepRecentTokens,
+  onCompactStart,
+}) {
+  const compactThreshold = threshold ?? DEFAULT_COMPACT_THRESHOLD;
+  if (!conversationId || !conversation || !(compactThreshold > 0)) {
+    return null;
+  }
+  const keepTokens = Math.min(
+    keepRecentTokens ?? DEFAULT_KEEP_RECENT_TOKENS,
+    Math.floor(compactThreshold / 2)
+  );
+
+  try {
+    // 1. 统计当前历史（上一个检查点摘要 + 之后的轮次）
+    const { checkpoint: previousCheckpoint, groups } = buildMessageGroups(conversation);
+    const summaryTokens = previousCheckpoint
+      ? calculateTokenCount([{ role: "user", content: previousCheckpoint.summary }])
+      : 0;
+    const tokensBefore = summaryTokens + countGroupTokens(groups);
+    if (tokensBefore <= compactThreshold) {
+      return null;
+    }
+
+    // 2. 从最近的轮次往前保留 keepTokens，其余轮次参与压缩
+    let splitIndex = groups.length;
+    let recentTokens = 0;
+    while (splitIndex > 0) {
+      const tokens = calculateTokenCount(groups[splitIndex - 1].messages);
+      if (recentTokens + tokens > keepTokens) break;
+      recentTokens += tokens;
+      splitIndex--;
+    }
+    // 保留部分必须从 user 消息开始
+    while (splitIndex < groups.length && groups[splitIndex].role !== "user") {
+      recentTokens -= calculateTokenCount(groups[splitIndex].messages);
+      splitIndex++;
+    }
+    if (splitIndex === 0) {
+      return null;
+    }
+
+    const upToMessageKey = groups[splitIndex - 1].messageKey;
+
+    // 3. 总结待压缩的轮次（工具调用转换为文本描述）
+    const { groups: textGroups } = buildMessageGroups(conversation, { keepToolBlocks: false });
+    const endIndex = textGroups.findIndex((group) => group.messageKey === upToMessageKey);
+    const transcript = buildTranscript(previousCheckpoint, textGroups.slice(0, endIndex + 1));
+
+    onCompactStart?.({ tokensBefore, threshold: compactThreshold });
+
+    const summaryDraft = await requestLLMSync({
+      messages: replaceVariablesInMessages(contextCompactionPrompt, { transcript }),
+      model,
+      apiKey,
+      // 压缩请求不需要 sessionId，不进行用量缓存
+    });
+    const summary = (summaryDraft || "").trim();
+    if (!summary) {
+      console.warn(`对话 ${conversationId} 压缩失败：摘要为空`);
+      return null;
+    }
+
+    // 4. 记录检查点覆盖的所有消息（用于前端展开查看原始消息）
+    const upToIndex = conversation.messages.findIndex((msg) => msg.messageKey === upToMessageKey);
+    const coveredMessageKeys = conversation.messages
+      .slice(0, upToIndex + 1)
+      .map((msg) => msg.messageKey);
+
+    const checkpoint = {
+      id: `checkpoint-${randomUUID()}`,
+      summary,
+      upToMessageKey,
+      coveredMessageKeys,
+      previousCheckpointId: previousCheckpoint?.id || null,
+      tokensBefore,
+      tokensAfter:
+        calculateTokenCount([{ role: "user", content: summary }]) + Math.max(recentTokens, 0),
+      model,
+      createdAt: Date.now(),
+    };
+
+    // 5. 保存检查点到对话文件
+    const saved = await updateConversationFile(conversationId, (data) => {
+      data.checkpoints = [...(data.checkpoints || []), checkpoint];
+    });
+    if (!saved) {
+      return null;
+    }
+
+    console.log(
+      `对话 ${conversationId} 已压缩: ${tokensBefore} -> ${checkpoint.tokensAfter} tokens（截止 ${upToMessageKey}）`
+    );
+    return checkpoint;
+  } catch (error) {
+    console.error("压缩对话上下文失败:", error);
+    return null;
+  }
+}
+
+module.exports = {
+  compactConversationIfNeeded,
+  DEFAULT_COMPACT_THRESHOLD,
+  DEFAULT_KEEP_RECENT_TOKENS,
+};
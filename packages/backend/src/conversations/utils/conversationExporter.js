@@ -0,0 +1,493 @@
+/**
+ * 对话导出/导入工具
+ * 支持三种导出格式：
+ * - markdown：可读的 Markdown 记录（包含工具调用和 Canvas 代码版本）
+ * - bundle：原始对话 JSON + Canvas 文件的 ZIP 包（可再次导入）
+ * - anthropic：可直接重放的 Anthropic /v1/messages 请求体
+ */
+
+const { createZip, readZip } = require("../../utils/zipArchive");
+const {
+  buildHistoryMessages,
+  getActiveVersion,
+  parseToolBlock,
+} = require("./historyBuilder");
+const { readConversationFile, writeConversationFile } = require("./conversationFileLock");
+const { readCanvasFile, writeCanvasFile } = require("./canvasFileManager");
+
+/** 导出包格式标识 */
+const BUNDLE_FORMAT = "naimo-chat-conversations";
+
+/** 导出包格式版本 */
+const BUNDLE_VERSION = 1;
+
+/** 支持的导出格式 */
+const EXPORT_FORMATS = ["markdown", "bundle", "anthropic"];
+
+/** 重放请求体默认的 max_tokens */
+const DEFAULT_REPLAY_MAX_TOKENS = 8192;
+
+/** 各模式的系统提示词（导出 Anthropic 请求体时使用） */
+const MODE_PROMPTS = {
+  chat: require("../prompts/chatMode"),
+  canvas: require("../prompts/canvasMode"),
+  agent: require("../prompts/agentMode"),
+  image: require("../prompts/imageMode"),
+  video: require("../prompts/videoMode"),
+};
+
+/**
+ * 格式化时间戳
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  if (!timestamp) return "";
+  return new Date(timestamp).toLocaleString("zh-CN", { hour12: false });
+}
+
+/**
+ * 生成代码块（围栏长度大于内容中最长的反引号序列）
+ * @param {string} content - 代码内容
+ * @param {string} [lang] - 语言
+ * @returns {string}
+ */
+function codeFence(content, lang = "") {
+  const text = String(content ?? "");
+  const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const fence = "`".repeat(Math.max(3, longest + 1));
+  return `${fence}${lang}\n${text}\n${fence}`;
+}
+
+/**
+ * 将对话标题转换为安全的文件名
+ * @param {string} title
+ * @param {string} id
+ * @returns {string}
+ */
+function toFileBaseName(title, id) {
+  const safeTitle = String(title || "")
+    .replace(/[\\/:*?"<>|\r\n\t]+/g, " ")
+    .trim()
+    .slice(0, 50);
+  return safeTitle ? `${safeTitle}-${id}` : id;
+}
+
+/**
+ * 将版本内容转换为 Markdown
+ * @param {string} role - 消息角色
+ * @param {Object} version - 消息版本
+ * @returns {string}
+ */
+function versionToMarkdown(role, version) {
+  const blocks = Array.isArray(version.contentBlocks) ? version.contentBlocks : null;
+  if (!blocks || blocks.length === 0) {
+    if (typeof version.content === "string") return version.content;
+    if (Array.isArray(version.content)) {
+      return version.content
+        .map((part) => (part.type === "text" ? part.text : part.type === "image" ? "[图片]" : ""))
+        .filter(Boolean)
+        .join("\n\n");
+    }
+    return "";
+  }
+
+  const parts = [];
+  for (const block of blocks) {
+    if (block.type === "text") {
+      if (block.content && block.content.trim()) parts.push(block.content);
+    } else if (block.type === "tool" && role === "assistant") {
+      const tool = parseToolBlock(block);
+      parts.push(
+        [
+          `> **工具调用** \`${tool.name}\`${tool.isError ? "（失败）" : ""}`,
+          "",
+          "输入：",
+          "",
+          codeFence(JSON.stringify(tool.input, null, 2), "json"),
+          "",
+          tool.isError ? "错误：" : "结果：",
+          "",
+          codeFence(tool.resultText),
+        ].join("\n")
+      );
+    }
+  }
+  return parts.join("\n\n");
+}
+
+/**
+ * 将 Canvas 代码历史转换为 Markdown
+ * @param {Object|null} canvasData - Canvas 数据
+ * @returns {string}
+ */
+function canvasToMarkdown(canvasData) {
+  const versions = canvasData?.codeHistory?.versions || [];
+  if (versions.length === 0) return "";
+
+  const parts = ["## Canvas 代码历史"];
+  versions.forEach((version, index) => {
+    const records = version.records || [];
+    const record = records[version.currentIndex ?? records.length - 1] || records[records.length - 1];
+    if (!record) return;
+
+    parts.push(`### ${version.label || `版本 ${index + 1}`}（${formatTime(version.timestamp)}）`);
+    if (record.code) {
+      parts.push(codeFence(record.code, "html"));
+    } else if (record.diff) {
+      parts.push(codeFence(record.diff, "diff"));
+    }
+  });
+  return parts.join("\n\n");
+}
+
+/**
+ * 导出为 Markdown 记录（仅包含当前激活的对话路径）
+ * @param {Object} conversation - 对话对象
+ * @param {Object|null} [canvasData] - Canvas 数据
+ * @returns {string}
+ */
+function conversationToMarkdown(conversation, canvasData = null) {
+  const lines = [`# ${conversation.title || "新对话"}`, ""];
+  lines.push(`- 对话ID：${conversation.id}`);
+  lines.push(`- 模式：${conversation.mode || "chat"}`);
+  if (conversation.createdAt) lines.push(`- 创建时间：${formatTime(conversation.createdAt)}`);
+  if (conversation.updatedAt) lines.push(`- 更新时间：${formatTime(conversation.updatedAt)}`);
+  if (conversation.forkedFrom) {
+    lines.push(`- 分叉自：${conversation.forkedFrom.title}（${conversation.forkedFrom.conversationId}）`);
+  }
+
+  const checkpointsByKey = new Map(
+    (conversation.checkpoints || []).map((checkpoint) => [checkpoint.upToMessageKey, checkpoint])
+  );
+
+  for (const message of conversation.messages || []) {
+    const version = getActiveVersion(message);
+    if (!version) continue;
+
+    const roleLabel = message.role === "assistant" ? "助手" : "用户";
+    const meta = [
+      version.model,
+      formatTime(message.createdAt || version.createdAt),
+      message.versions.length > 1
+        ? `版本 ${message.versions.indexOf(version) + 1}/${message.versions.length}`
+        : "",
+      version.status === "aborted" ? "已中断" : version.status === "error" ? "出错" : "",
+    ].filter(Boolean);
+
+    lines.push("", "---", "", `## ${roleLabel}${meta.length > 0 ? `（${meta.join(" · ")}）` : ""}`, "");
+    lines.push(versionToMarkdown(message.role, version) || "_（空）_");
+
+    const checkpoint = checkpointsByKey.get(message.messageKey);
+    if (checkpoint) {
+      lines.push("", "> **上下文摘要**", ">");
+      lines.push(...checkpoint.summary.split("\n").map((line) => `> ${line}`));
+    }
+  }
+
+  const canvasMarkdown = canvasToMarkdown(canvasData);
+  if (canvasMarkdown) {
+    lines.push("", "---", "", canvasMarkdown);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * 获取对话中最后使用的模型
+ * @param {Object} conversation
+ * @returns {string|null}
+ */
+function getLastModel(conversation) {
+  const messages = conversation.messages || [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const model = getActiveVersion(messages[i])?.model;
+    if (model) return model;
+  }
+  return null;
+}
+
+/**
+ * 导出为 Anthropic /v1/messages 请求体
+ * 工具调用转换为文本描述（请求体不包含工具定义）；末尾的助手回复不包含在内，重放即重新生成最后一次回复
+ * @param {Object} conversation - 对话对象
+ * @param {Object} [options]
+ * @param {string} [options.model] - 模型ID（默认使用对话最后使用的模型）
+ * @param {number} [options.maxTokens] - max_tokens
+ * @returns {Object} 请求体
+ * @throws {Error} 无法确定模型时抛出
+ */
+function conversationToAnthropicRequest(conversation, options = {}) {
+  const model = options.model || getLastModel(conversation);
+  if (!model) {
+    throw new Error("无法确定模型，请通过 model 参数指定");
+  }
+
+  const messages = buildHistoryMessages(conversation, {
+    tokenBudget: 0,
+    useCheckpoint: false,
+    keepToolBlocks: false,
+  });
+  while (messages.length > 0 && messages[messages.length - 1].role === "assistant") {
+    messages.pop();
+  }
+
+  const system = (MODE_PROMPTS[conversation.mode] || [])
+    .filter((msg) => msg.role === "system")
+    .flatMap((msg) =>
+      typeof msg.content === "string" ? [{ type: "text", text: msg.content }] : msg.content || []
+    )
+    .filter((part) => part.type === "text" && part.text)
+    .map((part) => ({ type: "text", text: part.text }));
+
+  const body = {
+    model,
+    max_tokens: Number(options.maxTokens) || DEFAULT_REPLAY_MAX_TOKENS,
+  };
+  if (system.length > 0) {
+    body.system = system;
+  }
+  body.messages = messages;
+  return body;
+}
+
+/**
+ * 读取对话及其 Canvas 数据
+ * @param {string[]} ids - 对话ID列表
+ * @returns {Promise<{items: Array<{conversation: Object, canvasData: Object|null}>, missing: string[]}>}
+ */
+async function loadConversations(ids) {
+  const items = [];
+  const missing = [];
+  for (const id of ids) {
+    const conversation = await readConversationFile(id);
+    if (!conversation) {
+      missing.push(id);
+      continue;
+    }
+    items.push({ conversation: { ...conversation, id }, canvasData: await readCanvasFile(id) });
+  }
+  return { items, missing };
+}
+
+/**
+ * 创建导出包（manifest.json + conversations/<id>.json + conversations/<id>-canvas.json）
+ * @param {Array<{conversation: Object, canvasData: Object|null}>} items
+ * @returns {Buffer} ZIP 文件内容
+ */
+function createConversationBundle(items) {
+  const entries = [];
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: Date.now(),
+    conversations: [],
+  };
+
+  for (const { conversation, canvasData } of items) {
+    const file = `conversations/${conversation.id}.json`;
+    const record = { id: conversation.id, title: conversation.title, mode: conversation.mode, file };
+    entries.push({ name: file, data: JSON.stringify(conversation, null, 2) });
+    if (canvasData?.codeHistory?.versions?.length > 0) {
+      record.canvasFile = `conversations/${conversation.id}-canvas.json`;
+      entries.push({ name: record.canvasFile, data: JSON.stringify(canvasData, null, 2) });
+    }
+    manifest.conversations.push(record);
+  }
+
+  entries.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+  return createZip(entries);
+}
+
+/**
+ * 按格式导出多个对话（每个对话一个文件）为 ZIP
+ * @param {Array<{conversation: Object, canvasData: Object|null}>} items
+ * @param {string} format - markdown | anthropic
+ * @param {Object} [options] - 传递给 conversationToAnthropicRequest 的选项
+ * @returns {Buffer}
+ */
+function createFormattedArchive(items, format, options = {}) {
+  const usedNames = new Set();
+  const entries = items.map(({ conversation, canvasData }) => {
+    let baseName = toFileBaseName(conversation.title, conversation.id);
+    while (usedNames.has(baseName)) baseName = `${baseName}_`;
+    usedNames.add(baseName);
+
+    return format === "markdown"
+      ? { name: `${baseName}.md`, data: conversationToMarkdown(conversation, canvasData) }
+      : {
+          name: `${baseName}.json`,
+          data: JSON.stringify(conversationToAnthropicRequest(conversation, options), null, 2),
+        };
+  });
+  return createZip(entries);
+}
+
+/**
+ * 校验导出包中的对话数据
+ * @param {Object} conversation
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+function validateConversation(conversation) {
+  if (!conversation || typeof conversation !== "object" || Array.isArray(conversation)) {
+    return "对话数据必须是对象";
+  }
+  if (!Array.isArray(conversation.messages)) {
+    return "messages 必须是数组";
+  }
+
+  const checkMessages = (messages) => {
+    for (const message of messages) {
+      if (!message || typeof message.messageKey !== "string") {
+        return "消息缺少 messageKey";
+      }
+      if (!["user", "assistant", "system"].includes(message.role)) {
+        return `消息 ${message.messageKey} 的 role 无效`;
+      }
+      if (!Array.isArray(message.versions) || message.versions.length === 0) {
+        return `消息 ${message.messageKey} 缺少 versions`;
+      }
+      for (const version of message.versions) {
+        if (!version || typeof version.id !== "string") {
+          return `消息 ${message.messageKey} 的版本缺少 id`;
+        }
+        if (version.branchMessages !== undefined) {
+          if (!Array.isArray(version.branchMessages)) {
+            return `消息 ${message.messageKey} 的 branchMessages 必须是数组`;
+          }
+          const error = checkMessages(version.branchMessages);
+          if (error) return error;
+        }
+      }
+    }
+    return null;
+  };
+  return checkMessages(conversation.messages);
+}
+
+/**
+ * 重置导出时仍在请求中的版本（导入后不会再有对应的流）
+ * @param {Array} messages
+ */
+function resetRequestingVersions(messages) {
+  for (const message of messages) {
+    for (const version of message.versions) {
+      if (version.isRequesting) {
+        version.isRequesting = false;
+        version.status = "aborted";
+      }
+      if (version.branchMessages) {
+        resetRequestingVersions(version.branchMessages);
+      }
+    }
+  }
+}
+
+/**
+ * 解析并校验导出包
+ * @param {Buffer} buffer - ZIP 文件内容
+ * @returns {{manifest: Object, items: Array<{conversation: Object, canvasData: Object|null}>}}
+ * @throws {Error} 导出包无效时抛出
+ */
+function parseConversationBundle(buffer) {
+  const files = new Map(readZip(buffer).map((entry) => [entry.name, entry.data]));
+
+  const parseJson = (name) => {
+    const data = files.get(name);
+    if (!data) {
+      throw new Error(`导出包缺少文件: ${name}`);
+    }
+    try {
+      return JSON.parse(data.toString("utf-8"));
+    } catch {
+      throw new Error(`导出包文件 JSON 解析失败: ${name}`);
+    }
+  };
+
+  const manifest = parseJson("manifest.json");
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error("不是有效的对话导出包");
+  }
+  if (!(manifest.version <= BUNDLE_VERSION)) {
+    throw new Error(`不支持的导出包版本: ${manifest.version}`);
+  }
+  if (!Array.isArray(manifest.conversations) || manifest.conversations.length === 0) {
+    throw new Error("导出包中没有对话");
+  }
+
+  const items = manifest.conversations.map((record) => {
+    const conversation = parseJson(record.file);
+    const error = validateConversation(conversation);
+    if (error) {
+      throw new Error(`${record.file}: ${error}`);
+    }
+
+    let canvasData = null;
+    if (record.canvasFile) {
+      canvasData = parseJson(record.canvasFile);
+      if (!Array.isArray(canvasData?.codeHistory?.versions)) {
+        throw new Error(`${record.canvasFile}: codeHistory.versions 必须是数组`);
+      }
+    }
+    return { conversation, canvasData };
+  });
+
+  return { manifest, items };
+}
+
+/**
+ * 导入导出包，每个对话使用新的ID保存（不会覆盖已有对话）
+ * 整个导出包校验通过后才会写入
+ * @param {Buffer} buffer - ZIP 文件内容
+ * @param {Object} options
+ * @param {Function} options.generateId - 生成对话ID的函数
+ * @returns {Promise<Array<{id: string, sourceId: string, title: string, mode: string}>>}
+ * @throws {Error} 导出包无效时抛出
+ */
+async function importConversationBundle(buffer, { generateId }) {
+  const { manifest, items } = parseConversationBundle(buffer);
+  const imported = [];
+
+  for (const { conversation, canvasData } of items) {
+    let id = generateId();
+    while (await readConversationFile(id)) {
+      id = generateId();
+    }
+
+    const sourceId = conversation.id;
+    resetRequestingVersions(conversation.messages);
+    const now = Date.now();
+    const restored = {
+      ...conversation,
+      id,
+      title: conversation.title || "新对话",
+      mode: conversation.mode || "chat",
+      importedFrom: {
+        conversationId: sourceId,
+        exportedAt: manifest.exportedAt,
+        importedAt: now,
+      },
+      createdAt: conversation.createdAt || now,
+    };
+    await writeConversationFile(id, restored);
+
+    if (canvasData) {
+      await writeCanvasFile(id, { ...canvasData, conversationId: id });
+    }
+
+    imported.push({ id, sourceId, title: restored.title, mode: restored.mode });
+  }
+
+  return imported;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toFileBaseName,
+  conversationToMarkdown,
+  conversationToAnthropicRequest,
+  loadConversations,
+  createConversationBundle,
+  createFormattedArchive,
+  importConversationBundle,
+};
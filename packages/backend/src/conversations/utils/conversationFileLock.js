@@ -6,6 +6,7 @@
 const fs = require("fs").promises;
 const path = require("path");
 const { PROJECT_DIR } = require("../../config/constants");
+const { indexConversation, removeConversationFromIndex } = require("./searchIndex");
 
 // 文件锁映射：conversationId -> Promise
 const fileLocks = new Map();
@@ -88,6 +89,13 @@ async function _readConversationFileInternal(id) {
 async function _writeConversationFileInternal(id, data) {
   const filePath = getConversationFilePath(id);
   await fs.writeFile(filePath, JSON.stringify(data, null, 2), "utf-8");
+
+  // 增量更新搜索索引（索引失败不影响写入）
+  try {
+    indexConversation(id, data);
+  } catch (error) {
+    console.error("更新对话搜索索引失败:", error);
+  }
 }
 
 /**
@@ -121,6 +129,34 @@ async function writeConversationFile(id, data) {
   }
 }
 
+/**
+ * 在消息列表中查找指定ID的版本
+ * 递归查找版本的 branchMessages（被新版本取代后暂存的分支轮次）
+ * @param {Array} messages - 消息数组
+ * @param {string} versionId - 版本ID
+ * @returns {{message: Object, version: Object}|null}
+ */
+function findMessageVersion(messages, versionId) {
+  if (!Array.isArray(messages)) return null;
+
+  for (const message of messages) {
+    if (!Array.isArray(message.versions)) continue;
+    const version = message.versions.find((v) => v.id === versionId);
+    if (version) {
+      return { message, version };
+    }
+  }
+
+  for (const message of messages) {
+    if (!Array.isArray(message.versions)) continue;
+    for (const version of message.versions) {
+      const found = findMessageVersion(version.branchMessages, versionId);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
 /**
  * 更新对话文件中的特定消息版本（带锁）
  * 根据 versionId 匹配消息版本并更新
@@ -138,19 +174,14 @@ async function updateMessageByRequestId(conversationId, versionId, updateFn) {
       return false;
     }
 
-    // 查找匹配的消息版本
+    // 查找匹配的消息版本（包含暂存在非激活分支中的版本）
     let updated = false;
-    for (const message of conversation.messages) {
-      if (message.versions && Array.isArray(message.versions)) {
-        const version = message.versions.find((v) => v.id === versionId);
-        if (version) {
-          const result = updateFn(version, message);
-          if (result !== false) {
-            updated = true;
-            conversation.updatedAt = Date.now();
-          }
-          break;
-        }
+    const found = findMessageVersion(conversation.messages, versionId);
+    if (found) {
+      const result = updateFn(found.version, found.message);
+      if (result !== false) {
+        updated = true;
+        conversation.updatedAt = Date.now();
       }
     }
 
@@ -165,6 +196,35 @@ async function updateMessageByRequestId(conversationId, versionId, updateFn) {
 }
 
 
+/**
+ * 读取并更新整个对话文件（带锁）
+ * @param {string} id - 对话ID
+ * @param {Function} updateFn - 更新函数 (conversation) => void，返回 false 表示不写入
+ * @returns {Promise<Object|null>} 更新后的对话对象，对话不存在或未更新时返回 null
+ */
+async function updateConversationFile(id, updateFn) {
+  const releaseLock = await acquireLock(id);
+
+  try {
+    const conversation = await _readConversationFileInternal(id);
+    if (!conversation) {
+      return null;
+    }
+
+    const result = await updateFn(conversation);
+    if (result === false) {
+      return null;
+    }
+
+    conversation.updatedAt = Date.now();
+    await _writeConversationFileInternal(id, conversation);
+    return conversation;
+  } finally {
+    releaseLock();
+  }
+}
+
+
 /**
  * 删除对话文件（带锁）
  * @param {string} id - 对话ID
@@ -176,6 +236,7 @@ async function deleteConversationFile(id) {
 
   try {
     await fs.unlink(filePath);
+    removeConversationFromIndex(id);
   } catch (error) {
     if (error.code !== "ENOENT") {
       throw error;
@@ -189,6 +250,7 @@ module.exports = {
   readConversationFile,
   writeConversationFile,
   updateMessageByRequestId,
+  updateConversationFile,
   deleteConversationFile,
   getConversationFilePath,
 };
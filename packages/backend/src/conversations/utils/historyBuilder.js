@@ -0,0 +1,328 @@
+/**
+ * 历史消息构建工具
+ * 将持久化的对话格式（messageKey + versions + contentBlocks）还原为 Anthropic /v1/messages 的 messages 数组
+ */
+
+const { calculateTokenCount } = require("../../middleware/routeMiddleware");
+
+/** 默认历史 token 预算（估算值） */
+const DEFAULT_HISTORY_TOKEN_BUDGET = 32000;
+
+/**
+ * 获取消息当前激活的版本
+ * 优先使用 activeVersionId 指定的版本，否则使用最后一个版本
+ * @param {Object} message - 对话消息 { messageKey, role, versions, activeVersionId? }
+ * @returns {Object|null} 版本对象
+ */
+function getActiveVersion(message) {
+  const versions = Array.isArray(message?.versions) ? message.versions : [];
+  if (versions.length === 0) return null;
+
+  if (message.activeVersionId) {
+    const active = versions.find((v) => v.id === message.activeVersionId);
+    if (active) return active;
+  }
+  return versions[versions.length - 1];
+}
+
+/**
+ * 规范化 tool_use id（Anthropic 要求仅包含字母、数字、下划线和中划线）
+ * @param {string} id - 原始工具调用ID
+ * @returns {string}
+ */
+function normalizeToolUseId(id) {
+  return String(id || "tool").replace(/[^a-zA-Z0-9_-]/g, "_");
+}
+
+/**
+ * 将工具输出转换为 tool_result 可用的文本
+ * @param {*} output - 工具输出
+ * @returns {string}
+ */
+function stringifyToolOutput(output) {
+  if (output === undefined || output === null) return "";
+  if (typeof output === "string") return output;
+  try {
+    return JSON.stringify(output);
+  } catch {
+    return String(output);
+  }
+}
+
+/**
+ * 从工具块中解析工具名称、输入与结果
+ * @param {Object} block - { type: "tool", id, toolCall: { toolCallId, type: "tool-xxx", state, input, output, errorText } }
+ * @returns {{id: string, name: string, input: Object, resultText: string, isError: boolean}}
+ */
+function parseToolBlock(block) {
+  const toolCall = block.toolCall || {};
+  const name = String(toolCall.type || "").replace(/^tool-/, "") || "unknown";
+  const input =
+    toolCall.input && typeof toolCall.input === "object" ? toolCall.input : {};
+
+  let resultText;
+  let isError = false;
+  if (toolCall.state === "result") {
+    resultText = stringifyToolOutput(toolCall.output);
+  } else if (toolCall.state === "error") {
+    resultText = toolCall.errorText || "工具执行失败";
+    isError = true;
+  } else {
+    // 工具调用未执行完成（例如请求被中断）
+    resultText = "工具调用未完成";
+    isError = true;
+  }
+
+  return {
+    id: normalizeToolUseId(toolCall.toolCallId || block.id),
+    name,
+    input,
+    resultText,
+    isError,
+  };
+}
+
+/**
+ * 将一个版本转换为 Anthropic 消息数组
+ * 工具块会被拆分为 assistant(tool_use) + user(tool_result) 配对
+ * @param {string} role - 消息角色
+ * @param {Object} version - 消息版本
+ * @param {Object} options
+ * @param {boolean} options.keepToolBlocks - 是否保留 tool_use/tool_result 结构（false 时转换为文本）
+ * @returns {Array<{role: string, content: string|Array}>}
+ */
+function versionToMessages(role, version, { keepToolBlocks }) {
+  const blocks = Array.isArray(version.contentBlocks) ? version.contentBlocks : null;
+
+  // 兼容旧格式：只有 content 字段
+  if (!blocks || blocks.length === 0) {
+    const content = version.content;
+    if (typeof content === "string") {
+      return content.trim() ? [{ role, content }] : [];
+    }
+    if (Array.isArray(content) && content.length > 0) {
+      return [{ role, content }];
+    }
+    return [];
+  }
+
+  // user 消息不包含工具调用，直接拼接文本
+  if (role !== "assistant") {
+    const text = blocks
+      .filter((block) => block.type === "text" && block.content)
+      .map((block) => block.content)
+      .join("\n");
+    return text.trim() ? [{ role, content: text }] : [];
+  }
+
+  const messages = [];
+  let assistantParts = [];
+  let toolResults = [];
+
+  const flush = () => {
+    if (assistantParts.length > 0) {
+      messages.push({ role: "assistant", content: assistantParts });
+    }
+    if (toolResults.length > 0) {
+      messages.push({ role: "user", content: toolResults });
+    }
+    assistantParts = [];
+    toolResults = [];
+  };
+
+  for (const block of blocks) {
+    if (block.type === "text") {
+      if (!block.content || !block.content.trim()) continue;
+      // 工具结果之后出现的文本属于下一轮 assistant 回复
+      if (toolResults.length > 0) flush();
+      assistantParts.push({ type: "text", text: block.content });
+    } else if (block.type === "tool") {
+      const tool = parseToolBlock(block);
+      if (keepToolBlocks) {
+        assistantParts.push({
+          type: "tool_use",
+          id: tool.id,
+          name: tool.name,
+          input: tool.input,
+        });
+        const result = {
+          type: "tool_result",
+          tool_use_id: tool.id,
+          content: tool.resultText,
+        };
+        if (tool.isError) result.is_error = true;
+        toolResults.push(result);
+      } else {
+        // 当前请求未携带工具定义时，上游不接受 tool_use 块，转换为文本描述
+        const label = tool.isError ? "错误" : "结果";
+        assistantParts.push({
+          type: "text",
+          text: `[工具调用 ${tool.name}] 输入: ${stringifyToolOutput(tool.input)}\n${label}: ${tool.resultText}`,
+        });
+      }
+    }
+  }
+  flush();
+
+  return messages;
+}
+
+/**
+ * 将内容统一为块数组
+ * @param {string|Array} content
+ * @returns {Array}
+ */
+function toContentParts(content) {
+  if (Array.isArray(content)) return content;
+  return content ? [{ type: "text", text: content }] : [];
+}
+
+/**
+ * 合并相邻的同角色消息，保证 user/assistant 交替出现
+ * tool_result 块必须位于 user 消息的最前面
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function mergeAdjacentMessages(messages) {
+  const merged = [];
+  for (const msg of messages) {
+    const last = merged[merged.length - 1];
+    if (last && last.role === msg.role) {
+      const parts = [...toContentParts(last.content), ...toContentParts(msg.content)];
+      parts.sort((a, b) => (b.type === "tool_result") - (a.type === "tool_result"));
+      last.content = parts;
+    } else {
+      merged.push({ ...msg });
+    }
+  }
+  return merged;
+}
+
+/**
+ * 获取当前生效的上下文压缩检查点
+ * 从最新的检查点往前查找，要求其截止消息仍存在于当前消息列表中
+ * （重试更早的消息时，历史被截断，较新的检查点不再适用）
+ * @param {Object} conversation - 对话对象 { messages, checkpoints? }
+ * @returns {{checkpoint: Object, index: number}|null} 检查点及其截止消息的下标
+ */
+function getActiveCheckpoint(conversation) {
+  const checkpoints = Array.isArray(conversation?.checkpoints) ? conversation.checkpoints : [];
+  const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
+
+  for (let i = checkpoints.length - 1; i >= 0; i--) {
+    const checkpoint = checkpoints[i];
+    if (!checkpoint?.summary) continue;
+    const index = messages.findIndex((msg) => msg.messageKey === checkpoint.upToMessageKey);
+    if (index !== -1) {
+      return { checkpoint, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * 将检查点摘要转换为 user 消息
+ * @param {Object} checkpoint - 检查点 { summary }
+ * @returns {{role: string, content: string}}
+ */
+function buildCheckpointMessage(checkpoint) {
+  return {
+    role: "user",
+    content: `以下是此前对话的摘要（更早的消息已被压缩）：\n\n<summary>\n${checkpoint.summary}\n</summary>`,
+  };
+}
+
+/**
+ * 将对话消息转换为按轮次分组的 API 消息
+ * @param {Object} conversation - 对话对象 { messages: [{ messageKey, role, versions }], checkpoints? }
+ * @param {Object} [options]
+ * @param {boolean} [options.skipAborted=false] - 是否跳过已中断的版本
+ * @param {boolean} [options.skipError=true] - 是否跳过出错的版本
+ * @param {boolean} [options.keepToolBlocks=true] - 是否保留 tool_use/tool_result 结构
+ * @param {boolean} [options.useCheckpoint=true] - 是否跳过已被检查点压缩的消息
+ * @returns {{checkpoint: Object|null, groups: Array<{messageKey: string, role: string, messages: Array}>}}
+ */
+function buildMessageGroups(conversation, options = {}) {
+  const {
+    skipAborted = false,
+    skipError = true,
+    keepToolBlocks = true,
+    useCheckpoint = true,
+  } = options;
+
+  if (!conversation || !Array.isArray(conversation.messages)) {
+    return { checkpoint: null, groups: [] };
+  }
+
+  const active = useCheckpoint ? getActiveCheckpoint(conversation) : null;
+  const startIndex = active ? active.index + 1 : 0;
+
+  const groups = [];
+  for (const message of conversation.messages.slice(startIndex)) {
+    if (!message || message.role === "system") continue;
+
+    const version = getActiveVersion(message);
+    if (!version || version.isRequesting) continue;
+    if (skipError && version.status === "error") continue;
+    if (skipAborted && version.status === "aborted") continue;
+
+    const apiMessages = versionToMessages(message.role, version, { keepToolBlocks });
+    if (apiMessages.length === 0) continue;
+
+    groups.push({ messageKey: message.messageKey, role: message.role, messages: apiMessages });
+  }
+
+  return { checkpoint: active ? active.checkpoint : null, groups };
+}
+
+/**
+ * 从对话中构建历史消息
+ * 存在上下文压缩检查点时，发送“摘要 + 检查点之后的轮次”
+ * @param {Object} conversation - 对话对象 { messages: [{ messageKey, role, versions }], checkpoints? }
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget] - 历史消息 token 预算，按轮次从最近往前截取
+ * @param {boolean} [options.skipAborted=false] - 是否跳过已中断的版本
+ * @param {boolean} [options.skipError=true] - 是否跳过出错的版本
+ * @param {boolean} [options.keepToolBlocks=true] - 是否保留 tool_use/tool_result 结构
+ * @param {boolean} [options.useCheckpoint=true] - 是否使用检查点摘要替代已压缩的消息
+ * @returns {Array<{role: string, content: string|Array}>} Anthropic 格式的消息数组
+ */
+function buildHistoryMessages(conversation, options = {}) {
+  const { tokenBudget = DEFAULT_HISTORY_TOKEN_BUDGET } = options;
+
+  // 1. 每条对话消息转换为一组 API 消息（一个轮次）
+  const { checkpoint, groups } = buildMessageGroups(conversation, options);
+
+  // 2. 按 token 预算从最近的轮次往前截取（摘要优先占用预算）
+  const summaryGroup = checkpoint
+    ? { role: "user", messages: [buildCheckpointMessage(checkpoint)] }
+    : null;
+  const selected = [];
+  let usedTokens = summaryGroup ? calculateTokenCount(summaryGroup.messages) : 0;
+  for (let i = groups.length - 1; i >= 0; i--) {
+    const tokens = calculateTokenCount(groups[i].messages);
+    if (tokenBudget > 0 && usedTokens + tokens > tokenBudget) break;
+    usedTokens += tokens;
+    selected.unshift(groups[i]);
+  }
+
+  // 3. 历史必须从 user 消息开始（摘要本身是 user 消息）
+  if (summaryGroup) {
+    selected.unshift(summaryGroup);
+  } else {
+    while (selected.length > 0 && selected[0].role !== "user") {
+      selected.shift();
+    }
+  }
+
+  return mergeAdjacentMessages(selected.flatMap((group) => group.messages));
+}
+
+module.exports = {
+  buildHistoryMessages,
+  buildMessageGroups,
+  getActiveVersion,
+  getActiveCheckpoint,
+  parseToolBlock,
+  DEFAULT_HISTORY_TOKEN_BUDGET,
+};
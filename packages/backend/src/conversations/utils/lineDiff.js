@@ -0,0 +1,157 @@
+/**
+ * 按行比较文本差异（Myers 算法），用于 Canvas 版本对比
+ */
+
+/**
+ * 计算两组行的编辑脚本
+ * @param {string[]} a - 旧内容的行
+ * @param {string[]} b - 新内容的行
+ * @returns {Array<{type: "equal"|"remove"|"add", line: string}>}
+ */
+function diffLineArrays(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max;
+  let v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  // 前向搜索最短编辑路径，记录每一步的 v 用于回溯
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // 回溯生成编辑脚本
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: "equal", line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: "add", line: b[--y] });
+      } else {
+        ops.push({ type: "remove", line: a[--x] });
+      }
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: "equal", line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * 将文本拆分为行（空字符串视为没有行）
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n?/g, "\n").split("\n");
+}
+
+/**
+ * 比较两段文本并生成统一格式（unified）的差异
+ * @param {string} oldText - 旧内容
+ * @param {string} newText - 新内容
+ * @param {Object} [options]
+ * @param {string} [options.fromFile] - 旧文件名（用于 --- 行）
+ * @param {string} [options.toFile] - 新文件名（用于 +++ 行）
+ * @param {number} [options.context] - 上下文行数（默认 3）
+ * @returns {{added: number, removed: number, hunks: Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: string[]}>, unified: string}}
+ */
+function createLineDiff(oldText, newText, options = {}) {
+  const { fromFile = "a", toFile = "b", context = 3 } = options;
+  const ops = diffLineArrays(splitLines(oldText), splitLines(newText));
+
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.type === "add") added++;
+    if (op.type === "remove") removed++;
+  }
+
+  // 每个操作前的行号（从 1 开始）
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== "add") oldLine++;
+    if (op.type !== "remove") newLine++;
+  }
+
+  // 变更行前后各扩展 context 行，重叠或相邻的范围合并为一个 hunk
+  const ranges = [];
+  ops.forEach((op, index) => {
+    if (op.type === "equal") return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const hunks = ranges.map(({ start, end }) => {
+    const slice = ops.slice(start, end + 1);
+    return {
+      oldStart: positions[start].oldLine,
+      oldLines: slice.filter((op) => op.type !== "add").length,
+      newStart: positions[start].newLine,
+      newLines: slice.filter((op) => op.type !== "remove").length,
+      lines: slice.map((op) => `${op.type === "add" ? "+" : op.type === "remove" ? "-" : " "}${op.line}`),
+    };
+  });
+
+  const unified =
+    hunks.length === 0
+      ? ""
+      : [
+          `--- ${fromFile}`,
+          `+++ ${toFile}`,
+          ...hunks.flatMap((item) => [
+            `@@ -${item.oldStart},${item.oldLines} +${item.newStart},${item.newLines} @@`,
+            ...item.lines,
+          ]),
+        ].join("\n");
+
+  return { added, removed, hunks, unified };
+}
+
+module.exports = {
+  diffLineArrays,
+  createLineDiff,
+};
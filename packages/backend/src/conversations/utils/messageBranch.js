@@ -0,0 +1,107 @@
+/**
+ * 消息版本分支工具
+ * conversation.messages 始终表示当前激活的对话路径；
+ * 某个版本被新版本取代时，其后的轮次暂存到该版本的 branchMessages 中，切换版本时再交换回来
+ */
+
+const { getActiveVersion } = require("./historyBuilder");
+
+/**
+ * 检查对话中是否有正在请求的消息版本
+ * @param {Object} conversation - 对话对象
+ * @returns {boolean}
+ */
+function isConversationRequesting(conversation) {
+  return (conversation?.messages || []).some((message) =>
+    (message.versions || []).some((version) => version.isRequesting)
+  );
+}
+
+/**
+ * 获取消息版本的纯文本内容
+ * @param {Object} version - 消息版本 { content?, contentBlocks? }
+ * @returns {string}
+ */
+function getVersionText(version) {
+  if (!version) return "";
+  if (Array.isArray(version.contentBlocks) && version.contentBlocks.length > 0) {
+    return version.contentBlocks
+      .filter((block) => block.type === "text" && block.content)
+      .map((block) => block.content)
+      .join("\n");
+  }
+  return typeof version.content === "string" ? version.content : "";
+}
+
+/**
+ * 将指定消息之后的轮次暂存到该消息当前激活的版本中，并截断消息列表
+ * @param {Object} conversation - 对话对象（会被直接修改）
+ * @param {number} messageIndex - 分支点消息下标
+ * @returns {Array} 被暂存的消息
+ */
+function stashBranchTail(conversation, messageIndex) {
+  const message = conversation.messages[messageIndex];
+  const activeVersion = getActiveVersion(message);
+  const tail = conversation.messages.slice(messageIndex + 1);
+
+  if (activeVersion) {
+    if (tail.length > 0) {
+      activeVersion.branchMessages = tail;
+    } else {
+      delete activeVersion.branchMessages;
+    }
+  }
+
+  conversation.messages = conversation.messages.slice(0, messageIndex + 1);
+  return tail;
+}
+
+/**
+ * 在消息下添加新版本并设为激活版本（原激活版本之后的轮次作为分支保留）
+ * @param {Object} conversation - 对话对象（会被直接修改）
+ * @param {number} messageIndex - 消息下标
+ * @param {Object} version - 新版本 { id, ... }
+ */
+function addActiveVersion(conversation, messageIndex, version) {
+  stashBranchTail(conversation, messageIndex);
+
+  const message = conversation.messages[messageIndex];
+  message.versions.push(version);
+  message.activeVersionId = version.id;
+  message.updatedAt = Date.now();
+}
+
+/**
+ * 切换消息的激活版本，同时交换其后的轮次
+ * @param {Object} conversation - 对话对象（会被直接修改）
+ * @param {number} messageIndex - 消息下标
+ * @param {string} versionId - 目标版本ID
+ * @returns {boolean} 目标版本是否存在
+ */
+function switchActiveVersion(conversation, messageIndex, versionId) {
+  const message = conversation.messages[messageIndex];
+  const target = (message?.versions || []).find((version) => version.id === versionId);
+  if (!target) return false;
+
+  if (getActiveVersion(message) === target) {
+    message.activeVersionId = versionId;
+    return true;
+  }
+
+  // 当前路径暂存到原激活版本，恢复目标版本的分支
+  stashBranchTail(conversation, messageIndex);
+  const restored = Array.isArray(target.branchMessages) ? target.branchMessages : [];
+  delete target.branchMessages;
+
+  conversation.messages.push(...restored);
+  message.activeVersionId = versionId;
+  message.updatedAt = Date.now();
+  return true;
+}
+
+module.exports = {
+  isConversationRequesting,
+  getVersionText,
+  addActiveVersion,
+  switchActiveVersion,
+};
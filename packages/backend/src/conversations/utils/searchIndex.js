@@ -0,0 +1,715 @@
+/**
+ * 对话全文搜索索引
+ * 索引对话标题、用户文本、助手文本和工具名称（包括 branchMessages 中暂存的非激活分支），持久化到 CHAT_SEARCH_INDEX_FILE；
+ * 对话文件写入/删除时增量更新（只重新分词内容变化的文档），启动后首次搜索时与 PROJECT_DIR 中的文件同步
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { PROJECT_DIR, CHAT_SEARCH_INDEX_FILE } = require("../../config/constants");
+const { ensureDirAsync } = require("../../utils/paths");
+
+/** 索引格式版本，格式变化时旧索引会被丢弃并重建 */
+const INDEX_VERSION = 2;
+
+/** 单个文档最多索引的字符数（超长的代码输出只索引开头部分） */
+const MAX_DOC_TEXT_LENGTH = 20000;
+
+/** 摘要片段中匹配位置前后保留的字符数 */
+const SNIPPET_RADIUS = 60;
+
+/** 每个对话最多返回的匹配片段数 */
+const MAX_MATCHES_PER_CONVERSATION = 5;
+
+/** 索引持久化延迟（合并短时间内的多次写入） */
+const SAVE_DELAY_MS = 1000;
+
+/** 各字段的评分权重 */
+const FIELD_WEIGHTS = {
+  title: 3,
+  user: 1.5,
+  assistant: 1,
+  tool: 1,
+};
+
+const LATIN_TOKEN_RE = /[a-z0-9]+/g;
+const CJK_SEQUENCE_RE = /[\u3400-\u9fff\uf900-\ufaff]+/g;
+const WORD_CHAR_RE = /[a-z0-9]/;
+
+// 对话ID -> 索引条目
+let entries = null;
+// 词项 -> 包含该词项的对话ID集合
+let termIndex = new Map();
+// 索引加载中的 Promise
+let loadingPromise = null;
+// 加载期间收到的更新（加载完成后应用）：对话ID -> 对话数据（null 表示删除）
+const pendingUpdates = new Map();
+// 持久化定时器
+let saveTimer = null;
+// 文档 -> 词项集合（只缓存在内存中，对话更新时内容未变化的文档复用分词结果）
+const docTerms = new WeakMap();
+
+/**
+ * 规范化对话ID（与对话文件名保持一致）
+ * @param {string} id
+ * @returns {string}
+ */
+function normalizeId(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, "");
+}
+
+/**
+ * 判断是否为对话文件（排除 canvas 文件）
+ * @param {string} file - 文件名
+ * @returns {boolean}
+ */
+function isConversationFile(file) {
+  return file.startsWith("chat_") && file.endsWith(".json") && !file.endsWith("canvas.json");
+}
+
+/**
+ * 文本分词：英文/数字按单词切分，中日韩文字按单字和双字切分
+ * @param {string} text - 已转为小写的文本
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+  const tokens = new Set();
+  for (const word of text.match(LATIN_TOKEN_RE) || []) {
+    tokens.add(word);
+  }
+  for (const sequence of text.match(CJK_SEQUENCE_RE) || []) {
+    for (let i = 0; i < sequence.length; i++) {
+      tokens.add(sequence[i]);
+      if (i < sequence.length - 1) {
+        tokens.add(sequence.slice(i, i + 2));
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * 获取消息版本的纯文本
+ * @param {Object} version
+ * @returns {string}
+ */
+function getVersionText(version) {
+  if (Array.isArray(version.contentBlocks) && version.contentBlocks.length > 0) {
+    return version.contentBlocks
+      .filter((block) => block.type === "text" && block.content)
+      .map((block) => block.content)
+      .join("\n");
+  }
+  if (typeof version.content === "string") return version.content;
+  if (Array.isArray(version.content)) {
+    return version.content
+      .filter((part) => part.type === "text" && part.text)
+      .map((part) => part.text)
+      .join("\n");
+  }
+  return "";
+}
+
+/**
+ * 收集消息中的文档，递归进入版本的 branchMessages
+ * @param {Array} messages
+ * @param {string|null} branchVersionId - 暂存这些消息的版本ID，激活分支为 null
+ * @param {Array} docs - 收集的文档
+ * @param {Set<string>} models - 收集的模型
+ */
+function collectDocs(messages, branchVersionId, docs, models) {
+  for (const message of Array.isArray(messages) ? messages : []) {
+    for (const version of message.versions || []) {
+      if (version.model) models.add(version.model);
+
+      const text = getVersionText(version);
+      if (text.trim()) {
+        docs.push({
+          messageKey: message.messageKey,
+          versionId: version.id,
+          branchVersionId,
+          role: message.role,
+          field: message.role === "assistant" ? "assistant" : "user",
+          text: text.slice(0, MAX_DOC_TEXT_LENGTH),
+        });
+      }
+
+      // 工具名称（同一版本内去重）
+      const toolNames = new Set(
+        (version.contentBlocks || [])
+          .filter((block) => block.type === "tool" && block.toolCall?.type)
+          .map((block) => block.toolCall.type.replace(/^tool-/, ""))
+      );
+      for (const toolName of toolNames) {
+        docs.push({
+          messageKey: message.messageKey,
+          versionId: version.id,
+          branchVersionId,
+          role: message.role,
+          field: "tool",
+          text: toolName,
+        });
+      }
+
+      if (version.branchMessages) {
+        collectDocs(version.branchMessages, version.id, docs, models);
+      }
+    }
+  }
+}
+
+/**
+ * 文档的词项集合（带缓存）
+ * @param {Object} doc
+ * @returns {Set<string>}
+ */
+function getDocTerms(doc) {
+  let terms = docTerms.get(doc);
+  if (!terms) {
+    terms = tokenize(doc.text.toLowerCase());
+    docTerms.set(doc, terms);
+  }
+  return terms;
+}
+
+/**
+ * 从对话数据构建索引条目
+ * @param {string} id - 对话ID
+ * @param {Object} conversation - 对话数据
+ * @param {Object} [previous] - 该对话之前的索引条目，内容未变化的文档直接复用
+ * @returns {Object} 索引条目
+ */
+function buildEntry(id, conversation, previous) {
+  const docs = [];
+  const models = new Set();
+
+  if (conversation.title) {
+    docs.push({
+      messageKey: null,
+      versionId: null,
+      branchVersionId: null,
+      role: null,
+      field: "title",
+      text: conversation.title,
+    });
+  }
+  collectDocs(conversation.messages, null, docs, models);
+
+  const docKey = (doc) => `${doc.field}|${doc.messageKey}|${doc.versionId}|${doc.branchVersionId}`;
+  const previousDocs = new Map((previous?.docs || []).map((doc) => [docKey(doc), doc]));
+  const terms = new Set();
+  docs.forEach((doc, index) => {
+    const reused = previousDocs.get(docKey(doc));
+    if (reused && reused.text === doc.text) docs[index] = reused;
+    for (const token of getDocTerms(docs[index])) {
+      terms.add(token);
+    }
+  });
+
+  return {
+    id,
+    title: conversation.title || "新对话",
+    mode: conversation.mode || "chat",
+    models: [...models],
+    createdAt: conversation.createdAt || 0,
+    updatedAt: conversation.updatedAt || 0,
+    indexedAt: Date.now(),
+    docs,
+    terms: [...terms],
+  };
+}
+
+/**
+ * 将对话的词项加入倒排索引
+ * @param {string} id - 对话ID
+ * @param {Iterable<string>} terms
+ */
+function addTerms(id, terms) {
+  for (const term of terms) {
+    let ids = termIndex.get(term);
+    if (!ids) {
+      ids = new Set();
+      termIndex.set(term, ids);
+    }
+    ids.add(id);
+  }
+}
+
+/**
+ * 从倒排索引中移除对话的词项
+ * @param {string} id - 对话ID
+ * @param {Iterable<string>} terms
+ */
+function removeTerms(id, terms) {
+  for (const term of terms) {
+    const ids = termIndex.get(term);
+    if (!ids) continue;
+    ids.delete(id);
+    if (ids.size === 0) termIndex.delete(term);
+  }
+}
+
+/**
+ * 设置或删除对话的索引条目（索引已加载时），倒排索引只更新增减的词项
+ * @param {string} id - 对话ID
+ * @param {Object|null} conversation - 对话数据，null 表示删除
+ */
+function applyUpdate(id, conversation) {
+  const existing = entries.get(id);
+  if (!conversation) {
+    if (existing) {
+      removeTerms(id, existing.terms);
+      entries.delete(id);
+    }
+    return;
+  }
+
+  const entry = buildEntry(id, conversation, existing);
+  entries.set(id, entry);
+  const previousTerms = new Set(existing?.terms || []);
+  const nextTerms = new Set(entry.terms);
+  removeTerms(id, [...previousTerms].filter((term) => !nextTerms.has(term)));
+  addTerms(id, entry.terms.filter((term) => !previousTerms.has(term)));
+}
+
+/**
+ * 延迟持久化索引文件
+ */
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(async () => {
+    saveTimer = null;
+    if (!entries) return;
+    try {
+      await ensureDirAsync(path.dirname(CHAT_SEARCH_INDEX_FILE));
+      const data = {
+        version: INDEX_VERSION,
+        updatedAt: Date.now(),
+        conversations: [...entries.values()],
+      };
+      await fs.writeFile(CHAT_SEARCH_INDEX_FILE, JSON.stringify(data), "utf-8");
+    } catch (error) {
+      console.error("保存对话搜索索引失败:", error);
+    }
+  }, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+/**
+ * 加载索引并与对话目录同步（新增/修改的文件重新索引，已删除的文件移除）
+ * @param {Object} [options]
+ * @param {boolean} [options.rebuild=false] - 是否忽略已有索引文件，全部重建
+ * @returns {Promise<void>}
+ */
+async function loadIndex({ rebuild = false } = {}) {
+  const loaded = new Map();
+  if (!rebuild) {
+    try {
+      const data = JSON.parse(await fs.readFile(CHAT_SEARCH_INDEX_FILE, "utf-8"));
+      if (data?.version === INDEX_VERSION && Array.isArray(data.conversations)) {
+        for (const entry of data.conversations) {
+          loaded.set(entry.id, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn("读取对话搜索索引失败，将重建索引:", error.message);
+      }
+    }
+  }
+
+  let files = [];
+  try {
+    files = await fs.readdir(PROJECT_DIR);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  let changed = rebuild;
+  const existingIds = new Set();
+  for (const file of files) {
+    if (!isConversationFile(file)) continue;
+    const id = file.replace(/^chat_/, "").replace(/\.json$/, "");
+    const filePath = path.join(PROJECT_DIR, file);
+    existingIds.add(id);
+
+    try {
+      const stat = await fs.stat(filePath);
+      const cached = loaded.get(id);
+      if (cached && cached.indexedAt >= stat.mtimeMs) continue;
+
+      const conversation = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      loaded.set(id, buildEntry(id, conversation, cached));
+      changed = true;
+    } catch (error) {
+      console.warn(`索引对话文件 ${file} 失败:`, error.message);
+    }
+  }
+
+  for (const id of loaded.keys()) {
+    if (!existingIds.has(id)) {
+      loaded.delete(id);
+      changed = true;
+    }
+  }
+
+  entries = loaded;
+  termIndex = new Map();
+  for (const entry of entries.values()) {
+    addTerms(entry.id, entry.terms);
+  }
+
+  // 应用加载期间收到的更新
+  for (const [id, conversation] of pendingUpdates) {
+    applyUpdate(id, conversation);
+    changed = true;
+  }
+  pendingUpdates.clear();
+
+  if (changed) scheduleSave();
+}
+
+/**
+ * 确保索引已加载
+ * @returns {Promise<void>}
+ */
+async function ensureIndexLoaded() {
+  if (entries) return;
+  if (!loadingPromise) {
+    loadingPromise = loadIndex().finally(() => {
+      loadingPromise = null;
+    });
+  }
+  await loadingPromise;
+}
+
+/**
+ * 对话文件写入后更新索引（由 conversationFileLock 调用）
+ * @param {string} id - 对话ID
+ * @param {Object} conversation - 对话数据
+ */
+function indexConversation(id, conversation) {
+  const safeId = normalizeId(id);
+  if (!entries) {
+    // 索引尚未加载：加载中则记录待应用，未加载则在首次加载时按文件修改时间同步
+    if (loadingPromise) pendingUpdates.set(safeId, conversation);
+    return;
+  }
+  applyUpdate(safeId, conversation);
+  scheduleSave();
+}
+
+/**
+ * 对话文件删除后移除索引（由 conversationFileLock 调用）
+ * @param {string} id - 对话ID
+ */
+function removeConversationFromIndex(id) {
+  indexConversation(id, null);
+}
+
+/**
+ * 重建整个索引
+ * @returns {Promise<{total: number}>}
+ */
+async function rebuildSearchIndex() {
+  if (loadingPromise) await loadingPromise;
+  entries = null;
+  loadingPromise = loadIndex({ rebuild: true }).finally(() => {
+    loadingPromise = null;
+  });
+  await loadingPromise;
+  return { total: entries.size };
+}
+
+/**
+ * 解析查询字符串
+ * 支持 "短语查询"、前缀查询（term*）和普通词项，多个子句之间为 AND 关系
+ * @param {string} query
+ * @returns {Array<{type: "term"|"prefix"|"phrase", text: string}>}
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(String(query || "").toLowerCase())) !== null) {
+    if (match[1] !== undefined) {
+      const text = match[1].trim().replace(/\s+/g, " ");
+      if (text) clauses.push({ type: "phrase", text });
+    } else {
+      const word = match[2].replace(/^"+|"+$/g, "");
+      if (word.length > 1 && word.endsWith("*")) {
+        clauses.push({ type: "prefix", text: word.slice(0, -1) });
+      } else if (word && word !== "*") {
+        clauses.push({ type: "term", text: word });
+      }
+    }
+  }
+  return clauses;
+}
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 为子句构建匹配正则
+ * 英文/数字开头或结尾的词项需要单词边界，前缀查询只要求左边界
+ * @param {Object} clause
+ * @returns {RegExp}
+ */
+function buildClauseRegExp(clause) {
+  const body = clause.text.split(" ").map(escapeRegExp).join("\\s+");
+  const first = clause.text[0];
+  const last = clause.text[clause.text.length - 1];
+  const left = WORD_CHAR_RE.test(first) ? "(?<![a-z0-9])" : "";
+  // 前缀查询高亮整个单词
+  const right = WORD_CHAR_RE.test(last)
+    ? clause.type === "prefix"
+      ? "[a-z0-9]*"
+      : "(?![a-z0-9])"
+    : "";
+  return new RegExp(`${left}${body}${right}`, "g");
+}
+
+/**
+ * 通过倒排索引获取子句的候选对话
+ * @param {Object} clause
+ * @returns {Set<string>|null} 候选对话ID集合，null 表示无法通过词项过滤（需全部检查）
+ */
+function getClauseCandidates(clause) {
+  const tokens = [...tokenize(clause.text)];
+  if (tokens.length === 0) return null;
+
+  // 前缀查询：最后一个英文词项按前缀展开
+  let prefixToken = null;
+  if (clause.type === "prefix") {
+    const words = clause.text.match(LATIN_TOKEN_RE) || [];
+    if (words.length > 0 && clause.text.endsWith(words[words.length - 1])) {
+      prefixToken = words[words.length - 1];
+    }
+  }
+
+  let candidates = null;
+  const intersect = (ids) => {
+    candidates = candidates ? new Set([...candidates].filter((id) => ids.has(id))) : new Set(ids);
+  };
+
+  for (const token of tokens) {
+    if (token === prefixToken) continue;
+    intersect(termIndex.get(token) || new Set());
+  }
+
+  if (prefixToken) {
+    const ids = new Set();
+    for (const [term, termIds] of termIndex) {
+      if (term.startsWith(prefixToken)) {
+        for (const id of termIds) ids.add(id);
+      }
+    }
+    intersect(ids);
+  }
+
+  return candidates;
+}
+
+/**
+ * 转义 HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * 合并重叠的区间
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * 生成高亮片段（HTML 转义，匹配部分使用 <mark> 包裹）
+ * @param {string} text - 原始文本
+ * @param {Array<[number, number]>} ranges - 匹配区间
+ * @returns {string}
+ */
+function buildSnippet(text, ranges) {
+  const merged = mergeRanges(ranges);
+  const start = Math.max(0, merged[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, merged[0][1] + SNIPPET_RADIUS * 2);
+
+  let snippet = start > 0 ? "…" : "";
+  let cursor = start;
+  for (const [from, to] of merged) {
+    if (from >= end) break;
+    if (from < cursor) continue;
+    snippet += escapeHtml(text.slice(cursor, from));
+    snippet += `<mark>${escapeHtml(text.slice(from, Math.min(to, end)))}</mark>`;
+    cursor = Math.min(to, end);
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+  if (end < text.length) snippet += "…";
+  return snippet.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * 解析日期参数（毫秒时间戳或日期字符串）
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const num = Number(value);
+  if (Number.isFinite(num)) return num;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * 搜索对话
+ * @param {Object} options
+ * @param {string} options.query - 查询字符串
+ * @param {string} [options.mode] - 按对话模式过滤
+ * @param {string} [options.model] - 按使用过的模型过滤（包含匹配，不区分大小写）
+ * @param {string|number} [options.from] - 更新时间下限（毫秒时间戳或日期字符串）
+ * @param {string|number} [options.to] - 更新时间上限（毫秒时间戳或日期字符串）
+ * @param {number} [options.limit=20] - 返回数量
+ * @param {number} [options.offset=0] - 偏移量
+ * @returns {Promise<{total: number, results: Array}>}
+ */
+async function searchConversations({ query, mode, model, from, to, limit = 20, offset = 0 }) {
+  await ensureIndexLoaded();
+
+  const clauses = parseQuery(query);
+  const fromTime = parseDate(from);
+  const toTime = parseDate(to);
+  const modelFilter = model ? String(model).toLowerCase() : null;
+
+  // 1. 通过倒排索引筛选候选对话
+  let candidateIds = null;
+  for (const clause of clauses) {
+    const ids = getClauseCandidates(clause);
+    if (!ids) continue;
+    candidateIds = candidateIds ? new Set([...candidateIds].filter((id) => ids.has(id))) : ids;
+  }
+  const candidates = candidateIds
+    ? [...candidateIds].map((id) => entries.get(id)).filter(Boolean)
+    : [...entries.values()];
+
+  // 2. 过滤并逐个文档验证匹配
+  const regexps = clauses.map(buildClauseRegExp);
+  const results = [];
+  for (const entry of candidates) {
+    if (mode && entry.mode !== mode) continue;
+    if (modelFilter && !entry.models.some((m) => m.toLowerCase().includes(modelFilter))) continue;
+    const time = entry.updatedAt || entry.createdAt;
+    if (fromTime !== null && time < fromTime) continue;
+    if (toTime !== null && time > toTime) continue;
+
+    // 无查询词时只按过滤条件返回
+    if (clauses.length === 0) {
+      results.push({ entry, score: 0, matches: [] });
+      continue;
+    }
+
+    const clauseMatched = new Array(clauses.length).fill(false);
+    const hits = [];
+    for (const doc of entry.docs) {
+      const lower = doc.text.toLowerCase();
+      // toLowerCase 改变长度时（少数字符），使用小写文本生成片段，保证区间正确
+      const source = lower.length === doc.text.length ? doc.text : lower;
+      const ranges = [];
+      let matchedClauses = 0;
+      regexps.forEach((re, index) => {
+        re.lastIndex = 0;
+        let found = false;
+        let m;
+        while ((m = re.exec(lower)) !== null) {
+          found = true;
+          ranges.push([m.index, m.index + m[0].length]);
+          if (m[0].length === 0) re.lastIndex++;
+        }
+        if (found) {
+          matchedClauses++;
+          clauseMatched[index] = true;
+        }
+      });
+      if (matchedClauses === 0) continue;
+
+      hits.push({
+        doc,
+        score: matchedClauses * (FIELD_WEIGHTS[doc.field] || 1),
+        snippet: buildSnippet(source, ranges),
+      });
+    }
+
+    // 所有子句都必须在对话中出现
+    if (!clauseMatched.every(Boolean)) continue;
+
+    hits.sort((a, b) => b.score - a.score);
+    results.push({
+      entry,
+      score: hits.reduce((sum, hit) => sum + hit.score, 0),
+      matches: hits.slice(0, MAX_MATCHES_PER_CONVERSATION).map((hit) => ({
+        messageKey: hit.doc.messageKey,
+        versionId: hit.doc.versionId,
+        branchVersionId: hit.doc.branchVersionId ?? null,
+        role: hit.doc.role,
+        field: hit.doc.field,
+        snippet: hit.snippet,
+      })),
+    });
+  }
+
+  // 3. 按得分和更新时间排序
+  results.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (b.entry.updatedAt || b.entry.createdAt) - (a.entry.updatedAt || a.entry.createdAt)
+  );
+
+  const start = Math.max(0, Number(offset) || 0);
+  const size = Math.min(Math.max(1, Number(limit) || 20), 100);
+  return {
+    total: results.length,
+    results: results.slice(start, start + size).map(({ entry, score, matches }) => ({
+      id: entry.id,
+      title: entry.title,
+      mode: entry.mode,
+      models: entry.models,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      score,
+      matches,
+    })),
+  };
+}
+
+module.exports = {
+  searchConversations,
+  indexConversation,
+  removeConversationFromIndex,
+  rebuildSearchIndex,
+};
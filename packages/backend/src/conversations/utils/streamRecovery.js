@@ -0,0 +1,122 @@
+/**
+ * 流式请求中断恢复工具
+ * 服务重启（/api/restart 或崩溃）后，内存中的会话全部丢失，
+ * 仍处于 isRequesting 的消息版本会被标记为 interrupted，并从事件日志中还原已生成的部分内容
+ */
+
+const fs = require("fs").promises;
+const { PROJECT_DIR } = require("../../config/constants");
+const {
+  hasSession,
+  readStreamLog,
+  appendStreamLog,
+  cleanupStreamLogs,
+} = require("../sessionService");
+const { readConversationFile, updateMessageByRequestId } = require("./conversationFileLock");
+const { createContentBlockBuilder } = require("./contentBlockBuilder");
+
+/**
+ * 收集消息列表中正在请求的版本ID（包含暂存的分支轮次）
+ * @param {Array} messages - 消息数组
+ * @param {string[]} [ids] - 结果数组
+ * @returns {string[]}
+ */
+function collectRequestingVersionIds(messages, ids = []) {
+  for (const message of messages || []) {
+    for (const version of message.versions || []) {
+      if (version.isRequesting) ids.push(version.id);
+      collectRequestingVersionIds(version.branchMessages, ids);
+    }
+  }
+  return ids;
+}
+
+/**
+ * 从事件日志还原已生成的内容块
+ * @param {Array<{id: number, payload: Object}>} events - 日志事件
+ * @param {Array} [initialContentBlocks] - 版本已有的内容块（继续生成时的部分输出）
+ * @returns {Array}
+ */
+function rebuildContentBlocks(events, initialContentBlocks) {
+  const builder = createContentBlockBuilder(initialContentBlocks);
+  for (const { payload } of events) {
+    builder.apply(payload);
+  }
+  return builder.finish();
+}
+
+/**
+ * 将单个中断的版本标记为 interrupted，并在事件日志末尾追加结束事件
+ * @param {string} conversationId - 对话ID
+ * @param {string} requestId - 请求ID（版本ID）
+ * @returns {Promise<void>}
+ */
+async function markVersionInterrupted(conversationId, requestId) {
+  const events = (await readStreamLog(requestId)) || [];
+
+  await updateMessageByRequestId(conversationId, requestId, (version) => {
+    const contentBlocks = rebuildContentBlocks(events, version.contentBlocks);
+    if (contentBlocks.length > 0) {
+      version.contentBlocks = contentBlocks;
+    }
+    version.isRequesting = false;
+    version.status = "interrupted";
+    version.interruptedAt = Date.now();
+    return true;
+  });
+
+  // 重连的客户端回放日志后会收到中断和结束事件
+  const timestamp = new Date().toISOString();
+  await appendStreamLog(requestId, [
+    { type: "request_interrupted", requestId, timestamp },
+    { type: "session_end", timestamp },
+  ]);
+}
+
+/**
+ * 恢复服务重启前被中断的流式请求
+ * 启动时调用一次；正在进行中的会话（内存中存在）不会被处理
+ * @returns {Promise<number>} 标记为中断的版本数量
+ */
+async function recoverInterruptedStreams() {
+  await cleanupStreamLogs();
+
+  let files;
+  try {
+    files = await fs.readdir(PROJECT_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  let recovered = 0;
+  for (const file of files) {
+    if (!file.startsWith("chat_") || !file.endsWith(".json") || file.endsWith("canvas.json")) {
+      continue;
+    }
+    const conversationId = file.replace(/^chat_/, "").replace(/\.json$/, "");
+
+    try {
+      const conversation = await readConversationFile(conversationId);
+      const requestIds = collectRequestingVersionIds(conversation?.messages).filter(
+        (requestId) => !hasSession(requestId)
+      );
+
+      for (const requestId of requestIds) {
+        await markVersionInterrupted(conversationId, requestId);
+        recovered++;
+      }
+    } catch (error) {
+      console.error(`恢复对话 ${conversationId} 的中断请求失败:`, error);
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`已将 ${recovered} 个中断的 ai_chat 请求标记为 interrupted`);
+  }
+  return recovered;
+}
+
+module.exports = {
+  recoverInterruptedStreams,
+};
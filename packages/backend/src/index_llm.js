@@ -24,8 +24,14 @@ const {
   createRouteMiddleware,
   createUsageCacheMiddleware,
   createProviderKeyMiddleware,
+  createFallbackMiddleware,
   createMessageLoggerMiddleware,
   createProviderTransformerMiddleware,
+  createAccessTokenMiddleware,
+  createCostMiddleware,
+  createResponseCacheMiddleware,
+  createOpenAICompatMiddleware,
+  createGuardrailMiddleware,
 } = require("./middleware");
 const { runStatusLine } = require("./utils/statusline");
 const { setProvider } = require("./utils/providerService");
@@ -329,6 +335,8 @@ async function startService() {
               {
                 apiKeys: cfgProvider.api_keys,
                 limit: cfgProvider.limit,
+                keyStrategy: cfgProvider.key_strategy,
+                keyWeights: cfgProvider.key_weights,
                 sort: cfgProvider.sort,
                 enabled: cfgProvider.enabled,
               },
@@ -373,6 +381,19 @@ async function startService() {
       createRouteMiddleware(config, sessionUsageCache, appLogger)
     );
 
+    // 访问令牌的模型 / provider 权限检查（需要在路由之后执行）
+    const accessTokenMiddleware = createAccessTokenMiddleware();
+    server.addHook("preHandler", accessTokenMiddleware.preHandler);
+
+    // 费用统计与预算检查（需要路由后的模型）
+    const costMiddleware = createCostMiddleware(config, appLogger);
+    server.addHook("preHandler", costMiddleware.preHandler);
+
+    // 响应缓存（命中时直接返回，跳过后续的 key 分配和上游请求）
+    const responseCacheMiddleware = createResponseCacheMiddleware(config);
+    server.addHook("preHandler", responseCacheMiddleware.preHandler);
+    server.addHook("onSend", responseCacheMiddleware.onSend);
+
     // 通过provider的配置中的enable来判断当前模型是否可用，如果没有则直接返回报错
     // 添加一个 hook prehandler 来判断 当前的provider 是否启用，如果没有则直接返回报错
     server.addHook("preHandler", async (req, reply) => {
@@ -417,17 +438,7 @@ async function startService() {
     const transformerMiddleware = createProviderTransformerMiddleware(server, appLogger);
     server.addHook("preHandler", transformerMiddleware.preHandler);
 
-    // Provider 密钥轮换 hook（api_keys / api_key）
-    const keyMiddleware = createProviderKeyMiddleware(config, server);
-    server.addHook("preHandler", keyMiddleware.preHandler);
-
-    // 添加错误处理 hook
-    server.addHook("onError", async (request, _reply, error) => {
-      await keyMiddleware.onError(request, _reply, error);
-      appLogger.error("请求错误:", error);
-    });
-
-    // 消息日志记录中间件 - 保存 /v1/messages 的请求和响应
+    // 消息日志记录中间件 - 保存 /v1/messages 的请求和响应（hook 在 key 轮换之后注册）
     const messageLogger = createMessageLoggerMiddleware({
       logDir: CHAT_MESSAGE_DIR,
       saveToFile: true,
@@ -438,9 +449,45 @@ async function startService() {
       //   await saveToDatabase(requestData, responseData);
       // },
     });
+
+    // 安全规则 - 替换 / 拦截请求中的密钥等敏感内容，检查响应内容
+    // 需要在消息日志之前执行，日志中只保存替换后的内容；被拦截的请求也会记录
+    const guardrailMiddleware = createGuardrailMiddleware(config, {
+      onBlock: messageLogger.preHandler,
+      onHits: messageLogger.logGuardrailHits,
+      logger: appLogger,
+    });
+    server.addHook("preHandler", guardrailMiddleware.preHandler);
+    server.addHook("onSend", guardrailMiddleware.onSend);
+
+    // Provider 密钥轮换 hook（api_keys / api_key）
+    const keyMiddleware = createProviderKeyMiddleware(config, server, appLogger);
+    server.addHook("preHandler", keyMiddleware.preHandler);
+
+    // 添加错误处理 hook
+    server.addHook("onError", async (request, _reply, error) => {
+      await keyMiddleware.onError(request, _reply, error);
+      appLogger.error("请求错误:", error);
+    });
+
+    // 消息日志记录
     server.addHook("preHandler", messageLogger.preHandler);
     server.addHook("onSend", messageLogger.onSend);
 
+    // 备用模型 - Router 配置项为候选列表时，上游失败后依次切换到下一个模型
+    // 使用 onRoute 包装 /v1/messages 的处理函数，必须在 server.start() 注册路由之前添加
+    const fallbackMiddleware = createFallbackMiddleware(config, server, {
+      keyMiddleware,
+      signalStore: requestSignalStore,
+      onHop: messageLogger.logFallbackHop,
+      logger: appLogger,
+    });
+    server.addHook("onRoute", fallbackMiddleware.onRoute);
+
+    // OpenAI 兼容接口 - /v1/chat/completions 转换为 /v1/messages 请求，经过同样的中间件链
+    const openaiCompatMiddleware = createOpenAICompatMiddleware(config, appLogger);
+    server.addHook("onRoute", openaiCompatMiddleware.onRoute);
+
     // 初始化 agentsManager 和注册 MCP agent
     // 注意：mcpService.initUpstreamServers() 在 registerMcpRoutes 中异步执行
     // 这里先注册 agent，工具将在 mcpService 初始化完成后自动加载
@@ -456,7 +503,14 @@ async function startService() {
     // 添加用量缓存中间件（包含 preHandler 和 onSend）
     // preHandler: 在请求处理前准备好所有 agents
     // onSend: 处理响应和缓存用量
-    const usageCacheMiddleware = createUsageCacheMiddleware(sessionUsageCache, config, agentsManager);
+    const usageCacheMiddleware = createUsageCacheMiddleware(sessionUsageCache, config, agentsManager, {
+      onUsage: (req, usage) => {
+        // 缓存命中的响应没有产生上游费用
+        if (req.responseCacheHit) return;
+        accessTokenMiddleware.onUsage(req, usage);
+        costMiddleware.onUsage(req, usage);
+      },
+    });
     server.addHook("preHandler", usageCacheMiddleware.preHandler);
     server.addHook("onSend", usageCacheMiddleware.onSend);
 
@@ -3,6 +3,12 @@ const { MCP_SERVERS_CONFIG_FILE } = require("../config/constants");
 
 const CONFIG_FILE = MCP_SERVERS_CONFIG_FILE;
 
+// 上游服务器的传输方式：http 为 streamable-http 的别名；auto 先尝试 Streamable HTTP，失败后改用旧版 HTTP+SSE
+const TRANSPORT_TYPES = ["stdio", "streamable-http", "http", "sse", "websocket", "auto"];
+
+// 聚合 hub 中工具的命名方式：raw 使用原始名称，prefixed 使用 <服务器名>__<原始名称>
+const TOOL_NAMING = ["raw", "prefixed"];
+
 class ConfigService {
   constructor() {
     this.config = { mcpServers: {} };
@@ -10,8 +16,10 @@ class ConfigService {
   }
 
   normalizeConfig(config = {}) {
+    // status / toolCollisions 是接口返回的运行时信息，不保存
+    const { status, toolCollisions, ...serverConfig } = config;
     // 默认开启，如果显式传入 false 则关闭
-    return { ...config, enabled: config.enabled !== false };
+    return { ...serverConfig, enabled: config.enabled !== false };
   }
 
   loadConfig() {
@@ -19,6 +27,7 @@ class ConfigService {
       if (fs.existsSync(CONFIG_FILE)) {
         const data = fs.readFileSync(CONFIG_FILE, "utf8");
         this.config = JSON.parse(data);
+        this.dropInvalidGroups();
       } else {
         // 如果配置文件不存在，则创建默认配置文件
         this.saveConfig();
@@ -29,6 +38,27 @@ class ConfigService {
     }
   }
 
+  /**
+   * 忽略配置文件中无效的分组（例如手动编辑出错），避免请求分组端点或使用分组工具时出错
+   */
+  dropInvalidGroups() {
+    const groups = this.config.groups;
+    if (groups === undefined) return;
+    if (!groups || typeof groups !== "object" || Array.isArray(groups)) {
+      console.warn("已忽略无效的 MCP 分组配置: groups 必须为对象");
+      delete this.config.groups;
+      return;
+    }
+    for (const [name, group] of Object.entries(groups)) {
+      try {
+        this.validateGroupConfig(name, group);
+      } catch (error) {
+        console.warn(`已忽略 MCP 分组 ${name}: ${error.message}`);
+        delete groups[name];
+      }
+    }
+  }
+
   saveConfig() {
     try {
       fs.writeFileSync(
@@ -54,6 +84,39 @@ class ConfigService {
     return this.config.mcpServers?.[name];
   }
 
+  getAllGroups() {
+    return this.config.groups || {};
+  }
+
+  /**
+   * 获取虚拟分组，与服务器同名时以服务器为准
+   * @param {string} name 分组名称
+   * @returns {Object|undefined} { description?, tools: { 服务器名: "all" | [工具名 | { name, description }] } }
+   */
+  getGroup(name) {
+    if (this.getServer(name)) return undefined;
+    return this.config.groups?.[name];
+  }
+
+  setGroup(name, group) {
+    if (this.getServer(name)) {
+      throw new Error(`名为 "${name}" 的服务器已存在，分组不能与服务器同名`);
+    }
+    this.validateGroupConfig(name, group);
+    this.config.groups = { ...this.getAllGroups(), [name]: group };
+    this.saveConfig();
+    return group;
+  }
+
+  deleteGroup(name) {
+    if (this.config.groups?.[name]) {
+      delete this.config.groups[name];
+      this.saveConfig();
+      return true;
+    }
+    return false;
+  }
+
   createServer(name, config) {
     if (!this.config.mcpServers) {
       this.config.mcpServers = {};
@@ -62,6 +125,9 @@ class ConfigService {
     if (this.config.mcpServers[name]) {
       throw new Error(`名为 "${name}" 的服务器已存在`);
     }
+    if (this.config.groups?.[name]) {
+      throw new Error(`名为 "${name}" 的分组已存在，服务器不能与分组同名`);
+    }
 
     const normalizedConfig = this.normalizeConfig(config);
     this.validateServerConfig(normalizedConfig);
@@ -91,20 +157,107 @@ class ConfigService {
     return false;
   }
 
+  /**
+   * 服务器使用的传输方式，未配置 type 时：有 command 为 stdio，有 url 为 auto
+   * @param {Object} config 服务器配置
+   * @returns {string} stdio / streamable-http / sse / websocket / auto
+   */
+  getTransportType(config = {}) {
+    if (config.type === "http") return "streamable-http";
+    if (config.type) return config.type;
+    return config.command ? "stdio" : "auto";
+  }
+
   validateServerConfig(config) {
-    // 基本验证
-    const isStdio = config.command && Array.isArray(config.args);
-    const isHttp = config.url; // HTTP/SSE 的基本检查
+    if (config.type !== undefined && !TRANSPORT_TYPES.includes(config.type)) {
+      throw new Error(
+        `无效的服务器配置: 不支持的 type "${config.type}"，可选值为 ${TRANSPORT_TYPES.join(" / ")}`
+      );
+    }
+    if (!config.command && !config.url) {
+      throw new Error(
+        '无效的服务器配置: 必须为 stdio 提供 "command" 和 "args"，或为 HTTP/SSE/WebSocket 提供 "url"'
+      );
+    }
+
+    this.validateToolNaming(config);
+
+    const type = this.getTransportType(config);
+    if (type === "stdio") {
+      if (!config.command || !Array.isArray(config.args)) {
+        throw new Error('无效的服务器配置: stdio 必须提供 "command" 和 "args"（数组）');
+      }
+      return;
+    }
 
-    if (!isStdio && !isHttp) {
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch {
+      throw new Error(`无效的服务器配置: ${type} 必须提供有效的 "url"`);
+    }
+    const protocols = type === "websocket" ? ["ws:", "wss:"] : ["http:", "https:"];
+    if (!protocols.includes(url.protocol)) {
       throw new Error(
-        '无效的服务器配置: 必须为 stdio 提供 "command" 和 "args"，或为 HTTP/SSE 提供 "url"'
+        `无效的服务器配置: ${type} 的 url 必须以 ${protocols.map((p) => `${p}//`).join(" 或 ")} 开头`
       );
     }
   }
 
+  /**
+   * 校验工具命名配置：toolNaming、toolPrefix、toolAliases（{ 原始名称: 别名 }）
+   * @param {Object} config 服务器配置
+   */
+  validateToolNaming(config) {
+    if (config.toolNaming !== undefined && !TOOL_NAMING.includes(config.toolNaming)) {
+      throw new Error(`无效的服务器配置: toolNaming 必须为 ${TOOL_NAMING.join(" / ")}`);
+    }
+    if (config.toolPrefix !== undefined && typeof config.toolPrefix !== "string") {
+      throw new Error("无效的服务器配置: toolPrefix 必须为字符串");
+    }
+    if (config.toolAliases === undefined) return;
+    if (!config.toolAliases || typeof config.toolAliases !== "object" || Array.isArray(config.toolAliases)) {
+      throw new Error("无效的服务器配置: toolAliases 必须为 { 原始名称: 别名 } 对象");
+    }
+    const aliases = Object.values(config.toolAliases);
+    if (aliases.some((alias) => typeof alias !== "string" || !alias)) {
+      throw new Error("无效的服务器配置: toolAliases 的别名必须为非空字符串");
+    }
+    const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+    if (duplicate) {
+      throw new Error(`无效的服务器配置: 多个工具使用了相同的别名 "${duplicate}"`);
+    }
+  }
+
+  /**
+   * 校验虚拟分组：tools 的键为服务器名称，值为 "all" 或工具列表，
+   * 工具可以是名称，也可以是 { name, description } 以覆盖描述
+   * @param {string} name 分组名称
+   * @param {Object} group 分组配置
+   */
+  validateGroupConfig(name, group) {
+    if (!group || typeof group !== "object" || !group.tools || typeof group.tools !== "object" || Array.isArray(group.tools)) {
+      throw new Error(`无效的分组配置 ${name}: 必须提供 tools（{ 服务器名: "all" | 工具列表 }）`);
+    }
+    for (const [serverName, selection] of Object.entries(group.tools)) {
+      if (selection === "all") continue;
+      const valid =
+        Array.isArray(selection) &&
+        selection.every(
+          (item) =>
+            (typeof item === "string" && item) ||
+            (item && typeof item.name === "string" && item.name && (item.description === undefined || typeof item.description === "string"))
+        );
+      if (!valid) {
+        throw new Error(
+          `无效的分组配置 ${name}: ${serverName} 的工具必须为 "all"，或由工具名称 / { name, description } 组成的数组`
+        );
+      }
+    }
+  }
+
   setConfig(config = {}) {
-    // 全量替换配置，目前仅支持 mcpServers
+    // 全量替换配置，支持 toolNaming、mcpServers 和 groups
     const inputServers = config.mcpServers || {};
     const normalizedServers = {};
 
@@ -114,7 +267,23 @@ class ConfigService {
       normalizedServers[name] = normalizedConfig;
     }
 
-    this.config = { mcpServers: normalizedServers };
+    if (config.toolNaming !== undefined && !TOOL_NAMING.includes(config.toolNaming)) {
+      throw new Error(`无效的配置: toolNaming 必须为 ${TOOL_NAMING.join(" / ")}`);
+    }
+
+    const groups = config.groups || {};
+    for (const [name, group] of Object.entries(groups)) {
+      if (normalizedServers[name]) {
+        throw new Error(`无效的配置: 分组 ${name} 与服务器同名`);
+      }
+      this.validateGroupConfig(name, group);
+    }
+
+    this.config = {
+      ...(config.toolNaming && { toolNaming: config.toolNaming }),
+      mcpServers: normalizedServers,
+      ...(Object.keys(groups).length > 0 && { groups }),
+    };
     this.saveConfig();
     return this.config;
   }
@@ -5,22 +5,49 @@ const {
 const {
   StreamableHTTPClientTransport,
 } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
+const { SSEClientTransport } = require("@modelcontextprotocol/sdk/client/sse.js");
+const { WebSocketClientTransport } = require("@modelcontextprotocol/sdk/client/websocket.js");
 // Use low-level Server API for dynamic tool registration with JSON Schema
 // McpServer requires Zod schemas, but we receive JSON Schema from upstream servers
 const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
 const {
   ListToolsRequestSchema,
   CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ResourceListChangedNotificationSchema,
+  ResourceUpdatedNotificationSchema,
+  PromptListChangedNotificationSchema,
   ErrorCode,
   McpError,
 } = require("@modelcontextprotocol/sdk/types.js");
 const configService = require("./configService");
 const mcpLogger = require("./mcpLogger");
 
+// hub 中资源 URI 的前缀：naimo://<服务器名>/<原始 URI>，URI 模板同样只加前缀，模板变量保持不变
+const HUB_URI_PREFIX = "naimo://";
+// hub 中提示词名称的前缀：<服务器名>__<原始名称>，工具使用 prefixed 命名或重名时同样使用该格式
+const HUB_NAME_SEPARATOR = "__";
+
+// 上游连接监控：定时 ping，连接断开后按指数退避重连（1s、2s、4s…最长 60s），连续失败超过次数后标记为 failed
+const HEALTH_CHECK_INTERVAL = 30 * 1000;
+const HEALTH_CHECK_TIMEOUT = 10 * 1000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+
 class McpService {
   constructor() {
     this.upstreamClients = new Map(); // serverName -> Client 上游客户端映射
     this.serverTools = new Map(); // serverName -> [tools] 服务器工具映射
+    this.hubServers = new Map(); // 已初始化的 hub Server -> { group, subscriptions } 用于转发上游的变更通知
+    this.supervisors = new Map(); // serverName -> { config, attempts, pingTimer, retryTimer } 上游连接监控
+    this.serverStatus = new Map(); // serverName -> { state, lastError, ... } 上游连接状态
   }
 
   async initUpstreamServers() {
@@ -31,33 +58,127 @@ class McpService {
         continue;
       }
       try {
-        await this.connectToUpstream(name, config);
+        // 启动时上游可能尚未就绪，失败后继续在后台重连
+        await this.connectToUpstream(name, config, { retry: true });
       } catch (error) {
         console.error(`连接到上游服务器 ${name} 失败:`, error);
       }
     }
   }
 
-  async connectToUpstream(name, config) {
+  /**
+   * 连接上游服务器并开始监控连接状态
+   * @param {string} name 服务器名称
+   * @param {Object} config 服务器配置
+   * @param {Object} [options]
+   * @param {boolean} [options.retry] 首次连接失败时是否继续在后台重连（默认直接标记为 failed）
+   */
+  async connectToUpstream(name, config, options = {}) {
     if (config?.enabled === false) {
       console.log(`服务器 ${name} 已关闭（enabled=false），跳过连接`);
       return;
     }
-    let transport;
-    if (config.command) {
-      transport = new StdioClientTransport({
-        command: config.command,
-        args: config.args || [],
-        env: { ...process.env, ...config.env },
-      });
-    } else if (config.url) {
-      transport = new StreamableHTTPClientTransport(config.url, {
-        headers: config.headers,
-      });
-    } else {
-      throw new Error(`服务器 ${name} 的配置无效`);
+
+    this.stopSupervisor(name);
+    const supervisor = { config, attempts: 0, pingTimer: null, retryTimer: null };
+    this.supervisors.set(name, supervisor);
+
+    let upstream;
+    try {
+      upstream = await this.openUpstream(name, config);
+    } catch (error) {
+      if (this.supervisors.get(name) !== supervisor) throw error;
+      if (options.retry) {
+        this.scheduleReconnect(name, supervisor, error);
+      } else {
+        this.supervisors.delete(name);
+        this.setServerStatus(name, { state: "failed", lastError: error.message });
+      }
+      throw error;
     }
 
+    // 连接过程中服务器已被断开或重新连接
+    if (this.supervisors.get(name) !== supervisor) {
+      await upstream.client.close().catch(() => {});
+      return;
+    }
+    this.attachUpstream(name, supervisor, upstream);
+  }
+
+  /**
+   * 创建上游客户端，连接并列出工具
+   * type 为 auto 时先尝试 Streamable HTTP，失败后改用旧版 HTTP+SSE
+   * @param {string} name 服务器名称
+   * @param {Object} config 服务器配置
+   * @returns {Promise<{client: Client, tools: Array, transport: string}>}
+   */
+  async openUpstream(name, config) {
+    const type = configService.getTransportType(config);
+    if (type !== "auto") {
+      return this.openUpstreamWith(name, config, type);
+    }
+
+    try {
+      return await this.openUpstreamWith(name, config, "streamable-http");
+    } catch (streamableError) {
+      console.warn(`[McpService] ${name} 使用 Streamable HTTP 连接失败，尝试 SSE: ${streamableError.message}`);
+      try {
+        return await this.openUpstreamWith(name, config, "sse");
+      } catch (sseError) {
+        throw new Error(`Streamable HTTP: ${streamableError.message}; SSE: ${sseError.message}`);
+      }
+    }
+  }
+
+  /**
+   * 按传输方式创建传输对象
+   * @param {string} name 服务器名称
+   * @param {Object} config 服务器配置
+   * @param {string} type stdio / streamable-http / sse / websocket
+   * @returns {Transport}
+   */
+  createTransport(name, config, type) {
+    switch (type) {
+      case "stdio":
+        if (!config.command) break;
+        return new StdioClientTransport({
+          command: config.command,
+          args: config.args || [],
+          env: { ...process.env, ...config.env },
+        });
+      case "streamable-http":
+        if (!config.url) break;
+        return new StreamableHTTPClientTransport(new URL(config.url), {
+          requestInit: { headers: config.headers },
+        });
+      case "sse":
+        if (!config.url) break;
+        // 请求头同时用于 GET 事件流和 POST 消息
+        return new SSEClientTransport(new URL(config.url), {
+          requestInit: { headers: config.headers },
+        });
+      case "websocket":
+        if (!config.url) break;
+        // SDK 的 WebSocket 传输使用全局 WebSocket（Node.js 22+、Bun），不支持自定义请求头
+        if (typeof WebSocket === "undefined") {
+          throw new Error(`服务器 ${name} 使用 websocket 传输，但当前运行环境不支持 WebSocket`);
+        }
+        return new WebSocketClientTransport(new URL(config.url));
+      default:
+        throw new Error(`服务器 ${name} 的传输方式 ${type} 不受支持`);
+    }
+    throw new Error(`服务器 ${name} 的配置无效`);
+  }
+
+  /**
+   * 使用指定的传输方式连接上游服务器
+   * @param {string} name 服务器名称
+   * @param {Object} config 服务器配置
+   * @param {string} type stdio / streamable-http / sse / websocket
+   * @returns {Promise<{client: Client, tools: Array, transport: string}>}
+   */
+  async openUpstreamWith(name, config, type) {
+    const transport = this.createTransport(name, config, type);
     const client = new Client(
       {
         name: "demo-router-client",
@@ -68,16 +189,237 @@ class McpService {
       }
     );
 
-    await client.connect(transport);
+    try {
+      await client.connect(transport);
+      // 列出工具
+      const result = await client.listTools();
+      return { client, tools: result.tools || [], transport: type };
+    } catch (error) {
+      // 失败时同样关闭传输，避免重连时遗留进程和连接
+      await transport.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * 启用已连接的上游客户端：注册工具（mcp.agent 监听 serverTools 的变化）、转发通知并开始健康检查
+   * @param {string} name 服务器名称
+   * @param {Object} supervisor 连接监控
+   * @param {{client: Client, tools: Array, transport: string}} upstream
+   */
+  attachUpstream(name, supervisor, { client, tools, transport }) {
+    supervisor.attempts = 0;
     this.upstreamClients.set(name, client);
+    this.watchUpstreamNotifications(name, client);
+    this.serverTools.set(name, tools);
+    this.setServerStatus(name, { state: "connected", transport, connectedAt: new Date().toISOString() });
+
+    // stdio 进程退出、HTTP 连接关闭时触发
+    client.onclose = () => this.handleUpstreamLost(name, supervisor, client, new Error("连接已关闭"));
+    supervisor.pingTimer = setInterval(async () => {
+      if (supervisor.pinging) return;
+      supervisor.pinging = true;
+      try {
+        await client.ping({ timeout: HEALTH_CHECK_TIMEOUT });
+      } catch (error) {
+        this.handleUpstreamLost(name, supervisor, client, new Error(`健康检查失败: ${error.message}`));
+      } finally {
+        supervisor.pinging = false;
+      }
+    }, HEALTH_CHECK_INTERVAL);
+    supervisor.pingTimer.unref?.();
+
+    console.log(`已连接到 ${name}（${transport}），找到 ${tools.length} 个工具`);
+    this.notifyHubListChanged(name);
+  }
+
+  /**
+   * 上游连接断开或健康检查失败：移除客户端和工具，然后开始重连
+   * @param {string} name 服务器名称
+   * @param {Object} supervisor 连接监控
+   * @param {Client} client 断开的客户端
+   * @param {Error} error 断开原因
+   */
+  handleUpstreamLost(name, supervisor, client, error) {
+    // 主动断开（disconnectUpstream）或已经在重连的客户端不再处理
+    if (this.supervisors.get(name) !== supervisor || this.upstreamClients.get(name) !== client) return;
+
+    console.warn(`[McpService] 上游服务器 ${name} 连接中断: ${error.message}`);
+    clearInterval(supervisor.pingTimer);
+    supervisor.pingTimer = null;
+    this.upstreamClients.delete(name);
+    this.serverTools.delete(name);
+    this.notifyHubListChanged(name);
+
+    client.onclose = undefined;
+    client.close().catch(() => {});
+    this.scheduleReconnect(name, supervisor, error);
+  }
+
+  /**
+   * 按指数退避安排下一次重连，超过最大次数后标记为 failed
+   * @param {string} name 服务器名称
+   * @param {Object} supervisor 连接监控
+   * @param {Error} error 上一次失败的原因
+   */
+  scheduleReconnect(name, supervisor, error) {
+    supervisor.attempts += 1;
+    if (supervisor.attempts > MAX_RECONNECT_ATTEMPTS) {
+      console.error(`[McpService] 上游服务器 ${name} 重连 ${MAX_RECONNECT_ATTEMPTS} 次仍失败，停止重连`);
+      this.supervisors.delete(name);
+      this.setServerStatus(name, {
+        state: "failed",
+        lastError: error.message,
+        attempts: MAX_RECONNECT_ATTEMPTS,
+        nextRetryAt: null,
+      });
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (supervisor.attempts - 1), RECONNECT_MAX_DELAY);
+    this.setServerStatus(name, {
+      state: "reconnecting",
+      lastError: error.message,
+      attempts: supervisor.attempts,
+      nextRetryAt: new Date(Date.now() + delay).toISOString(),
+    });
+    console.log(`[McpService] ${delay}ms 后第 ${supervisor.attempts} 次重连 ${name}`);
 
-    // 列出工具
-    const result = await client.listTools();
-    this.serverTools.set(name, result.tools || []);
-    console.log(`已连接到 ${name}，找到 ${result.tools?.length || 0} 个工具`);
+    supervisor.retryTimer = setTimeout(async () => {
+      supervisor.retryTimer = null;
+      let upstream;
+      try {
+        upstream = await this.openUpstream(name, supervisor.config);
+      } catch (retryError) {
+        if (this.supervisors.get(name) === supervisor) this.scheduleReconnect(name, supervisor, retryError);
+        return;
+      }
+      if (this.supervisors.get(name) !== supervisor) {
+        await upstream.client.close().catch(() => {});
+        return;
+      }
+      console.log(`[McpService] 上游服务器 ${name} 已重新连接`);
+      this.attachUpstream(name, supervisor, upstream);
+    }, delay);
+    supervisor.retryTimer.unref?.();
+  }
+
+  /**
+   * 停止监控指定服务器（取消健康检查和等待中的重连）
+   * @param {string} name 服务器名称
+   */
+  stopSupervisor(name) {
+    const supervisor = this.supervisors.get(name);
+    if (!supervisor) return;
+    clearInterval(supervisor.pingTimer);
+    clearTimeout(supervisor.retryTimer);
+    this.supervisors.delete(name);
+  }
+
+  /**
+   * 更新服务器连接状态
+   * @param {string} name 服务器名称
+   * @param {Object} patch 变化的字段
+   */
+  setServerStatus(name, patch) {
+    const previous = this.serverStatus.get(name) || {
+      transport: null,
+      lastError: null,
+      connectedAt: null,
+      attempts: 0,
+      nextRetryAt: null,
+    };
+    const status = { ...previous, ...patch, updatedAt: new Date().toISOString() };
+    if (status.state === "connected") {
+      status.attempts = 0;
+      status.nextRetryAt = null;
+    }
+    this.serverStatus.set(name, status);
+  }
+
+  /**
+   * 获取服务器连接状态
+   * @param {string} name 服务器名称
+   * @returns {{state: "connected"|"reconnecting"|"failed"|"disconnected", transport: string|null, lastError: string|null, connectedAt: string|null, attempts: number, nextRetryAt: string|null}}
+   */
+  getServerStatus(name) {
+    return (
+      this.serverStatus.get(name) || {
+        state: "disconnected",
+        transport: null,
+        lastError: null,
+        connectedAt: null,
+        attempts: 0,
+        nextRetryAt: null,
+      }
+    );
+  }
+
+  /**
+   * 转发上游服务器的资源 / 提示词变更通知到已连接的 hub
+   * @param {string} serverName 服务器名称
+   * @param {Client} client 上游客户端
+   */
+  watchUpstreamNotifications(serverName, client) {
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, async () => {
+      this.notifyHubs(serverName, (server) => server.sendResourceListChanged());
+    });
+    client.setNotificationHandler(PromptListChangedNotificationSchema, async () => {
+      this.notifyHubs(serverName, (server) => server.sendPromptListChanged());
+    });
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, async (notification) => {
+      const uri = this.toHubUri(serverName, notification.params.uri);
+      this.notifyHubs(
+        serverName,
+        (server) => server.sendResourceUpdated({ uri }),
+        (hub) => hub.subscriptions.has(uri)
+      );
+    });
+  }
+
+  /**
+   * 向包含指定服务器的 hub 发送通知，发送失败的 hub 视为已断开
+   * @param {string|null} serverName 服务器名称，为 null 时不按服务器过滤
+   * @param {(server: Server) => Promise<void>} send 发送函数
+   * @param {(hub: Object) => boolean} [filter] 额外的过滤条件
+   */
+  notifyHubs(serverName, send, filter = () => true) {
+    for (const [server, hub] of this.hubServers) {
+      if ((serverName !== null && !this.groupIncludes(hub.group, serverName)) || !filter(hub)) continue;
+      Promise.resolve()
+        .then(() => send(server))
+        .catch((error) => {
+          console.warn(`[McpService] 向 hub 转发 ${serverName ?? "配置变更"} 的通知失败，移除该 hub:`, error.message);
+          this.hubServers.delete(server);
+        });
+    }
+  }
+
+  /**
+   * 上游服务器连接或断开后，通知 hub 工具、资源和提示词列表已变化
+   * @param {string} serverName 服务器名称
+   */
+  notifyHubListChanged(serverName) {
+    this.notifyHubs(serverName, (server) => server.sendToolListChanged());
+    this.notifyHubs(serverName, (server) => server.sendResourceListChanged());
+    this.notifyHubs(serverName, (server) => server.sendPromptListChanged());
+  }
+
+  /**
+   * 命名规则、别名或分组配置变化后，通知 hub 重新获取工具列表
+   * @param {string} [group] 只通知该分组的 hub，不传时通知所有 hub
+   */
+  notifyHubToolsChanged(group) {
+    this.notifyHubs(
+      null,
+      (server) => server.sendToolListChanged(),
+      (hub) => group === undefined || hub.group === group
+    );
   }
 
   async disconnectUpstream(name) {
+    this.stopSupervisor(name);
+    this.serverStatus.delete(name);
     const client = this.upstreamClients.get(name);
     if (client) {
       try {
@@ -88,14 +430,16 @@ class McpService {
       this.upstreamClients.delete(name);
       this.serverTools.delete(name);
       console.log(`已断开与 ${name} 的连接`);
+      this.notifyHubListChanged(name);
     }
   }
 
   async disconnectAllUpstreams() {
-    const serverNames = Array.from(this.upstreamClients.keys());
+    const serverNames = Array.from(new Set([...this.upstreamClients.keys(), ...this.supervisors.keys()]));
     for (const name of serverNames) {
       await this.disconnectUpstream(name);
     }
+    this.serverStatus.clear();
   }
 
   /**
@@ -116,6 +460,7 @@ class McpService {
 
       // 保存到 serverTools Map 中
       this.serverTools.set(serverName, tools);
+      this.notifyHubs(serverName, (server) => server.sendToolListChanged());
 
       console.log(`已刷新服务器 ${serverName} 的工具列表，找到 ${tools.length} 个工具`);
       return tools;
@@ -134,9 +479,338 @@ class McpService {
     return this.serverTools.get(serverName) || [];
   }
 
+  /**
+   * 工具别名（配置中的 toolAliases: { 原始名称: 别名 }），没有别名时返回原始名称
+   * @param {string} serverName 服务器名称
+   * @param {string} toolName 原始工具名称
+   * @returns {string}
+   */
+  getToolAlias(serverName, toolName) {
+    const alias = configService.getServer(serverName)?.toolAliases?.[toolName];
+    return typeof alias === "string" && alias ? alias : toolName;
+  }
+
+  /**
+   * 别名还原为原始工具名称
+   * @param {string} serverName 服务器名称
+   * @param {string} name 别名或原始名称
+   * @returns {string}
+   */
+  resolveToolAlias(serverName, name) {
+    const aliases = configService.getServer(serverName)?.toolAliases || {};
+    const original = Object.keys(aliases).find((toolName) => aliases[toolName] === name);
+    return original || name;
+  }
+
+  /**
+   * 工具在 agent 和对话中的名称：mcp__<服务器名>__<别名或原始名称>
+   * @param {string} serverName 服务器名称
+   * @param {string} toolName 原始工具名称
+   * @returns {string}
+   */
+  getAgentToolName(serverName, toolName) {
+    return `mcp__${serverName}${HUB_NAME_SEPARATOR}${this.getToolAlias(serverName, toolName)}`;
+  }
+
+  /**
+   * 工具在聚合 hub（未指定 group）中的名称
+   * 优先级：别名 > 服务器的 toolPrefix > toolNaming（服务器配置优先于全局配置，默认 raw）
+   * @param {string} serverName 服务器名称
+   * @param {string} toolName 原始工具名称
+   * @returns {string}
+   */
+  getHubToolName(serverName, toolName) {
+    const config = configService.getServer(serverName) || {};
+    const alias = this.getToolAlias(serverName, toolName);
+    if (alias !== toolName) return alias;
+    if (typeof config.toolPrefix === "string" && config.toolPrefix) return `${config.toolPrefix}${toolName}`;
+    const naming = config.toolNaming || configService.getConfig().toolNaming || "raw";
+    return naming === "prefixed" ? `${serverName}${HUB_NAME_SEPARATOR}${toolName}` : toolName;
+  }
+
+  /**
+   * hub 的组是否包含指定服务器
+   * @param {string} [group] 服务器名称或虚拟分组名称，为空时包含所有服务器
+   * @param {string} serverName 服务器名称
+   * @returns {boolean}
+   */
+  groupIncludes(group, serverName) {
+    if (!group) return true;
+    const virtualGroup = configService.getGroup(group);
+    if (virtualGroup) return Object.prototype.hasOwnProperty.call(virtualGroup.tools || {}, serverName);
+    return serverName === group;
+  }
+
+  /**
+   * 虚拟分组中选中的、已连接服务器的工具，配置了 description 时覆盖工具描述
+   * @param {Object} virtualGroup 分组配置
+   * @returns {Array<{serverName: string, tool: Object}>}
+   */
+  getGroupTools(virtualGroup) {
+    const result = [];
+    for (const [serverName, selection] of Object.entries(virtualGroup.tools || {})) {
+      if (!this.upstreamClients.has(serverName)) continue;
+      const tools = this.serverTools.get(serverName) || [];
+      if (selection === "all") {
+        result.push(...tools.map((tool) => ({ serverName, tool })));
+        continue;
+      }
+      if (!Array.isArray(selection)) continue;
+      for (const item of selection) {
+        const name = typeof item === "string" ? item : item?.name;
+        const tool = tools.find((t) => t.name === name);
+        if (!tool) continue;
+        result.push({
+          serverName,
+          tool: typeof item.description === "string" ? { ...tool, description: item.description } : tool,
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 生成 hub 发布的工具列表和名称到上游工具的映射
+   * group 为服务器名称时只包含该服务器的工具，只应用别名；为虚拟分组时只包含分组选中的工具；
+   * 未指定 group 或虚拟分组按命名规则生成名称，重名的工具全部改用 <服务器名>__<原始名称>，仍然重名的工具不发布
+   * @param {string} [group] 服务器名称或虚拟分组名称
+   * @returns {{tools: Map<string, {serverName: string, tool: Object}>, collisions: Object[]}}
+   */
+  buildToolIndex(group) {
+    const virtualGroup = group ? configService.getGroup(group) : undefined;
+    let entries;
+    if (virtualGroup) {
+      entries = this.getGroupTools(virtualGroup);
+    } else {
+      entries = Array.from(this.upstreamClients.keys())
+        .filter((serverName) => !group || serverName === group)
+        .flatMap((serverName) => (this.serverTools.get(serverName) || []).map((tool) => ({ serverName, tool })));
+    }
+
+    const candidates = new Map(); // 名称 -> [{ serverName, tool }]
+    for (const entry of entries) {
+      const name =
+        group && !virtualGroup
+          ? this.getToolAlias(entry.serverName, entry.tool.name)
+          : this.getHubToolName(entry.serverName, entry.tool.name);
+      candidates.set(name, [...(candidates.get(name) || []), entry]);
+    }
+
+    const tools = new Map();
+    const collisions = [];
+    for (const [name, entries] of candidates) {
+      if (entries.length === 1) tools.set(name, entries[0]);
+    }
+    for (const [name, entries] of candidates) {
+      if (entries.length === 1) continue;
+      const resolved = entries.map((entry) => {
+        const fallback = `${entry.serverName}${HUB_NAME_SEPARATOR}${entry.tool.name}`;
+        if (tools.has(fallback)) return { serverName: entry.serverName, tool: entry.tool.name, name: null };
+        tools.set(fallback, entry);
+        return { serverName: entry.serverName, tool: entry.tool.name, name: fallback };
+      });
+      collisions.push({ name, tools: resolved });
+    }
+    return { tools, collisions };
+  }
+
+  /**
+   * 聚合 hub 中各服务器的工具名称冲突
+   * @returns {Map<string, Array<{tool: string, name: string, resolvedName: string|null, conflictsWith: string[]}>>} 服务器名称 -> 冲突列表
+   */
+  getToolCollisions() {
+    const result = new Map();
+    for (const collision of this.buildToolIndex().collisions) {
+      for (const item of collision.tools) {
+        const list = result.get(item.serverName) || [];
+        list.push({
+          tool: item.tool,
+          name: collision.name,
+          resolvedName: item.name,
+          conflictsWith: collision.tools
+            .filter((other) => other !== item)
+            .map((other) => other.serverName),
+        });
+        result.set(item.serverName, list);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 上游资源 URI 转换为 hub 中的 URI
+   * @param {string} serverName 服务器名称
+   * @param {string} uri 上游资源 URI 或 URI 模板
+   * @returns {string}
+   */
+  toHubUri(serverName, uri) {
+    return `${HUB_URI_PREFIX}${encodeURIComponent(serverName)}/${uri}`;
+  }
+
+  /**
+   * 解析 hub 中的资源 URI
+   * @param {string} uri hub 资源 URI
+   * @returns {{serverName: string, uri: string}|null}
+   */
+  parseHubUri(uri = "") {
+    if (!uri.startsWith(HUB_URI_PREFIX)) return null;
+    const rest = uri.slice(HUB_URI_PREFIX.length);
+    const index = rest.indexOf("/");
+    if (index <= 0) return null;
+    return { serverName: decodeURIComponent(rest.slice(0, index)), uri: rest.slice(index + 1) };
+  }
+
+  /**
+   * 解析 hub 中的提示词名称（服务器名本身可能包含分隔符，取最长匹配）
+   * @param {string} name hub 提示词名称
+   * @returns {{serverName: string, name: string}|null}
+   */
+  parseHubName(name = "") {
+    const serverName = Array.from(this.upstreamClients.keys())
+      .filter((server) => name.startsWith(`${server}${HUB_NAME_SEPARATOR}`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!serverName) return null;
+    return { serverName, name: name.slice(serverName.length + HUB_NAME_SEPARATOR.length) };
+  }
+
+  /**
+   * 读取分页列表的全部数据
+   * @param {(params?: Object) => Promise<Object>} list 列表请求函数
+   * @param {string} key 结果中的列表字段
+   * @returns {Promise<Array>}
+   */
+  async listAllPages(list, key) {
+    const items = [];
+    let cursor;
+    do {
+      const result = await list(cursor ? { cursor } : undefined);
+      items.push(...(result[key] || []));
+      // 防止上游返回相同的游标导致死循环
+      cursor = result.nextCursor && result.nextCursor !== cursor ? result.nextCursor : undefined;
+    } while (cursor);
+    return items;
+  }
+
+  /**
+   * 从 hub 包含的、支持指定能力的上游服务器收集数据，单个服务器失败时跳过
+   * @param {string} group 组名（为空时包含所有服务器，虚拟分组包含其中的服务器）
+   * @param {string} capability 上游需要声明的能力（resources / prompts）
+   * @param {(client: Client, serverName: string) => Promise<Array>} collect 收集函数
+   * @returns {Promise<Array>}
+   */
+  async collectFromUpstreams(group, capability, collect) {
+    const serverNames = Array.from(this.upstreamClients.keys()).filter(
+      (name) =>
+        this.groupIncludes(group, name) &&
+        this.upstreamClients.get(name).getServerCapabilities()?.[capability]
+    );
+    const results = await Promise.allSettled(
+      serverNames.map((name) => collect(this.upstreamClients.get(name), name))
+    );
+    return results.flatMap((result, index) => {
+      if (result.status === "fulfilled") return result.value;
+      console.error(`[McpService] 获取 ${serverNames[index]} 的 ${capability} 失败:`, result.reason);
+      return [];
+    });
+  }
+
+  /**
+   * 获取 hub URI / 名称对应的上游客户端
+   * @param {string} group 组名
+   * @param {{serverName: string}|null} target 解析结果
+   * @param {string} label 用于错误信息
+   * @returns {Client}
+   */
+  getHubUpstream(group, target, label) {
+    const client = target && this.groupIncludes(group, target.serverName) && this.upstreamClients.get(target.serverName);
+    if (!client) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} not found`);
+    }
+    return client;
+  }
+
+  /**
+   * 为 hub 注册资源和提示词的代理处理函数
+   * @param {Server} server hub Server
+   * @param {string} group 组名
+   * @param {{subscriptions: Set<string>}} hub hub 状态
+   */
+  registerHubResourceHandlers(server, group, hub) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await this.collectFromUpstreams(group, "resources", async (client, serverName) => {
+        const resources = await this.listAllPages((params) => client.listResources(params), "resources");
+        return resources.map((resource) => ({ ...resource, uri: this.toHubUri(serverName, resource.uri) }));
+      }),
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: await this.collectFromUpstreams(group, "resources", async (client, serverName) => {
+        const templates = await this.listAllPages(
+          (params) => client.listResourceTemplates(params),
+          "resourceTemplates"
+        );
+        return templates.map((template) => ({
+          ...template,
+          uriTemplate: this.toHubUri(serverName, template.uriTemplate),
+        }));
+      }),
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const target = this.parseHubUri(request.params.uri);
+      const client = this.getHubUpstream(group, target, `Resource ${request.params.uri}`);
+      const result = await client.readResource({ uri: target.uri });
+      return {
+        ...result,
+        contents: (result.contents || []).map((content) => ({
+          ...content,
+          uri: this.toHubUri(target.serverName, content.uri),
+        })),
+      };
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const target = this.parseHubUri(request.params.uri);
+      const client = this.getHubUpstream(group, target, `Resource ${request.params.uri}`);
+      if (!client.getServerCapabilities()?.resources?.subscribe) {
+        throw new McpError(ErrorCode.InvalidRequest, `Server ${target.serverName} does not support resource subscriptions`);
+      }
+      await client.subscribeResource({ uri: target.uri });
+      hub.subscriptions.add(request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const target = this.parseHubUri(request.params.uri);
+      const client = this.getHubUpstream(group, target, `Resource ${request.params.uri}`);
+      hub.subscriptions.delete(request.params.uri);
+      // 其它 hub 仍在订阅时保留上游订阅
+      const stillSubscribed = Array.from(this.hubServers.values()).some((other) =>
+        other.subscriptions.has(request.params.uri)
+      );
+      if (!stillSubscribed && client.getServerCapabilities()?.resources?.subscribe) {
+        await client.unsubscribeResource({ uri: target.uri });
+      }
+      return {};
+    });
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: await this.collectFromUpstreams(group, "prompts", async (client, serverName) => {
+        const prompts = await this.listAllPages((params) => client.listPrompts(params), "prompts");
+        return prompts.map((prompt) => ({ ...prompt, name: `${serverName}${HUB_NAME_SEPARATOR}${prompt.name}` }));
+      }),
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const target = this.parseHubName(request.params.name);
+      const client = this.getHubUpstream(group, target, `Prompt ${request.params.name}`);
+      return client.getPrompt({ name: target.name, arguments: request.params.arguments });
+    });
+  }
+
   async getMcpServer(sessionId, group) {
-    // group 参数直接对应 mcpServers[name] 中的 name
-    // 如果提供了 group，只返回该服务器的工具；否则返回所有服务器的工具
+    // group 参数对应 mcpServers[name] 中的 name，或 groups[name] 中的虚拟分组
+    // 如果提供了 group，只返回该服务器（或分组选中）的工具；否则返回所有服务器的工具
 
     // Use low-level Server API for dynamic tool registration with JSON Schema
     const server = new Server(
@@ -146,44 +820,25 @@ class McpService {
       },
       {
         capabilities: {
-          tools: {}, // 我们将注册工具
+          tools: { listChanged: true }, // 工具随上游连接和配置变化，变更时通知客户端
+          resources: { subscribe: true, listChanged: true }, // 代理上游的资源
+          prompts: { listChanged: true }, // 代理上游的提示词
         },
       }
     );
     server.displayName = "naimo_mcp_hub";
     server.name = "naimo_mcp_hub"; // 同时设置 name 属性以便日志读取
 
-    // 收集所有工具
-    let allTools = [];
-    let matchedServers = 0;
-
-    for (const [serverName] of this.upstreamClients) {
-      // 如果指定了 group，只处理名称匹配的服务器
-      if (group && serverName !== group) {
-        console.log(
-          `[getMcpServer] 跳过服务器 ${serverName}，因为 group (${group}) 不匹配`
-        );
-        continue;
-      }
-
-      const tools = this.serverTools.get(serverName) || [];
-      console.log(
-        `[getMcpServer] 正在注册来自 ${serverName} 的 ${tools.length
-        } 个工具（group: ${group || "all"}）`
-      );
+    // 每次 POST 请求都会创建 Server，只有完成初始化的 Server 才接收变更通知
+    const hub = { group, subscriptions: new Set() };
+    server.oninitialized = () => this.hubServers.set(server, hub);
+    server.onclose = () => this.hubServers.delete(server);
+    this.registerHubResourceHandlers(server, group, hub);
 
-      if (tools.length > 0) {
-        matchedServers++;
-        // 直接使用工具名称，不需要前缀
-        for (const tool of tools) {
-          allTools.push({
-            name: tool.name,
-            description: tool.description,
-            inputSchema: tool.inputSchema,
-          });
-        }
-      }
-    }
+    // Streamable HTTP 会话会复用 Server，工具索引在每次请求时按当前连接和配置重建
+    // （名称按命名规则和别名生成，CallTool 按同一映射转发）
+    const initialIndex = this.buildToolIndex(group);
+    const matchedServers = new Set(Array.from(initialIndex.tools.values(), (entry) => entry.serverName)).size;
 
     if (group && matchedServers === 0) {
       console.warn(
@@ -195,8 +850,13 @@ class McpService {
 
     // 1. 处理 ListTools
     server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const toolIndex = this.buildToolIndex(group);
       return {
-        tools: allTools,
+        tools: Array.from(toolIndex.tools, ([name, { tool }]) => ({
+          name,
+          description: tool.description,
+          inputSchema: tool.inputSchema,
+        })),
       };
     });
 
@@ -206,31 +866,19 @@ class McpService {
         "[McpService] 调用工具请求:",
         JSON.stringify(request.params, null, 2)
       );
-      const toolName = request.params.name;
       const args = request.params.arguments || {};
 
-      // 如果指定了 group，使用 group 作为服务器名
-      // 如果没有指定 group，需要查找工具所在的服务器
-      let serverName = group;
+      // 按 ListTools 返回的名称查找上游服务器和原始工具名称
+      // group 为服务器名称时，不在列表中的工具仍按原始名称转发到该服务器；虚拟分组只能调用选中的工具
+      const entry = this.buildToolIndex(group).tools.get(request.params.name);
+      const serverName = entry?.serverName || (configService.getGroup(group) ? null : group);
+      const toolName = entry?.tool.name || request.params.name;
 
       if (!serverName) {
-        // 如果没有指定 group，需要查找工具所在的服务器
-        // 遍历所有服务器，找到包含该工具的服务器
-        serverName = null;
-        for (const [name] of this.upstreamClients) {
-          const tools = this.serverTools.get(name) || [];
-          if (tools.some((t) => t.name === toolName)) {
-            serverName = name;
-            break;
-          }
-        }
-
-        if (!serverName) {
-          throw new McpError(
-            ErrorCode.MethodNotFound,
-            `Tool ${toolName} not found`
-          );
-        }
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          `Tool ${request.params.name} not found`
+        );
       }
 
       const client = this.upstreamClients.get(serverName);
@@ -295,7 +943,7 @@ class McpService {
 
     console.log(
       `[getMcpServer] 已为组 ${group || "all"
-      } 创建服务器，匹配 ${matchedServers} 个服务器，共 ${allTools.length
+      } 创建服务器，匹配 ${matchedServers} 个服务器，共 ${initialIndex.tools.size
       } 个工具`
     );
 
@@ -0,0 +1,57 @@
+/**
+ * 访问令牌中间件
+ *
+ * 认证中间件（authMiddleware）识别出访问令牌后，本中间件负责：
+ * - preHandler：在路由之后检查令牌是否允许使用选中的模型 / provider，首选模型不允许时改用第一个允许的备用模型，
+ *   都不允许时返回 403 permission_error
+ * - onUsage：作为 usageCacheMiddleware 的回调，把响应中的 usage 计入令牌的每日用量
+ */
+
+const { accessTokenStore } = require("../utils/accessTokens");
+const { sendAnthropicError } = require("./authMiddleware");
+
+/**
+ * 创建访问令牌中间件
+ * @param {Object} [store] - 令牌存储，默认使用全局 accessTokenStore
+ * @returns {{preHandler: Function, onUsage: Function}}
+ */
+function createAccessTokenMiddleware(store = accessTokenStore) {
+  const preHandler = async (req, reply) => {
+    if (
+      !req.accessToken ||
+      !req.url.startsWith("/v1/messages") ||
+      req.url.startsWith("/v1/messages/count_tokens")
+    ) {
+      return;
+    }
+
+    const model = req.body?.model;
+    if (!model || typeof model !== "string") return;
+
+    const candidates = [model, ...(Array.isArray(req.fallbackModels) ? req.fallbackModels : [])];
+    const allowed = candidates.filter((candidate) => store.allowsModel(req.accessToken, candidate));
+    if (allowed.length === 0) {
+      sendAnthropicError(reply, {
+        status: 403,
+        type: "permission_error",
+        message: `令牌 ${req.accessToken.name} 不允许使用模型 ${model}`,
+      });
+      return reply;
+    }
+
+    req.body.model = allowed[0];
+    req.fallbackModels = allowed.slice(1);
+  };
+
+  const onUsage = (req, usage) => {
+    if (req.accessToken) {
+      store.recordUsage(req.accessToken.id, usage);
+    }
+  };
+
+  return { preHandler, onUsage };
+}
+
+module.exports = {
+  createAccessTokenMiddleware,
+};
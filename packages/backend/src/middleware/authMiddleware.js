@@ -1,5 +1,33 @@
+const { accessTokenStore } = require("../utils/accessTokens");
+
+/**
+ * 从请求头中读取令牌（authorization 或 x-api-key，去掉 Bearer 前缀）
+ * @param {Object} headers
+ * @returns {string}
+ */
+function getRequestToken(headers) {
+  const authHeaderValue = headers.authorization || headers["x-api-key"];
+  const authKey = Array.isArray(authHeaderValue)
+    ? authHeaderValue[0]
+    : authHeaderValue || "";
+  return authKey.startsWith("Bearer") ? authKey.split(" ")[1] || "" : authKey;
+}
+
+/**
+ * 发送 Anthropic 格式的错误响应
+ * @param {Object} reply
+ * @param {{status: number, type: string, message: string, retryAfter?: number}} error
+ */
+function sendAnthropicError(reply, { status, type, message, retryAfter }) {
+  if (retryAfter) reply.header("retry-after", String(retryAfter));
+  reply.status(status).send({ type: "error", error: { type, message } });
+}
+
 /**
  * API Key 认证中间件
+ *
+ * 除全局 APIKEY 外也接受访问令牌（见 utils/accessTokens），令牌请求会检查有效期和 rpm / 每日 token 配额，
+ * 并在 req.accessToken 上保存令牌记录；req.authIdentity 记录调用方身份，供消息日志使用
  */
 function createAuthMiddleware(config) {
   return async (req, reply) => {
@@ -9,13 +37,33 @@ function createAuthMiddleware(config) {
         else resolve();
       };
 
+      // OpenAI 兼容接口
+      const isOpenAIEndpoint =
+        req.url.startsWith("/v1/chat/completions") || req.url.startsWith("/v1/models");
+
       // 公开端点不需要认证
-      if (req.url.indexOf("/v1/messages") === -1) {
+      if (req.url.indexOf("/v1/messages") === -1 && !isOpenAIEndpoint) {
+        return done();
+      }
+
+      const accessToken = accessTokenStore.find(getRequestToken(req.headers));
+      if (accessToken) {
+        // count_tokens 不计入请求配额；/v1/chat/completions 转发到 /v1/messages 时才计入
+        const result = req.url.includes("/count_tokens") || isOpenAIEndpoint
+          ? accessTokenStore.validate(accessToken)
+          : accessTokenStore.admit(accessToken);
+        if (!result.ok) {
+          sendAnthropicError(reply, result);
+          return done(new Error(result.message));
+        }
+        req.accessToken = accessToken;
+        req.authIdentity = { id: accessToken.id, name: accessToken.name };
         return done();
       }
 
       const apiKey = config.APIKEY;
       if (!apiKey) {
+        req.authIdentity = { id: null, name: "anonymous" };
         // 如果没有设置 API key，允许本地 CORS
         const allowedOrigins = [
           `http://127.0.0.1:${config.PORT || 3457}`,
@@ -40,29 +88,18 @@ function createAuthMiddleware(config) {
         return done();
       }
 
-      const authHeaderValue =
-        req.headers.authorization || req.headers["x-api-key"];
-
-      const authKey = Array.isArray(authHeaderValue)
-        ? authHeaderValue[0]
-        : authHeaderValue || "";
-
-      if (!authKey) {
+      const token = getRequestToken(req.headers);
+      if (!token) {
         reply.status(401).send("APIKEY is missing");
         return done(new Error("APIKEY is missing"));
       }
-      let token = "";
-      if (authKey.startsWith("Bearer")) {
-        token = authKey.split(" ")[1];
-      } else {
-        token = authKey;
-      }
 
       if (token !== apiKey) {
         reply.status(401).send("Invalid API key");
         return done(new Error("Invalid API key"));
       }
 
+      req.authIdentity = { id: null, name: "APIKEY" };
       done();
     });
   };
@@ -70,4 +107,5 @@ function createAuthMiddleware(config) {
 
 module.exports = {
   createAuthMiddleware,
+  sendAnthropicError,
 };
@@ -0,0 +1,150 @@
+/**
+ * 费用统计与预算中间件
+ *
+ * - preHandler：在路由之后记录请求的会话、对话、项目和令牌信息（req.costContext），并检查 Budgets 配置的预算，
+ *   超过 hard 上限时返回 402 billing_error，超过 soft 上限时添加 x-budget-warning 响应头
+ * - onUsage：作为 usageCacheMiddleware 的回调，按 Provider 的 pricing 计算费用并写入用量账本
+ */
+
+const { usageLedger } = require("../utils/usageLedger");
+const { findModelPrice, calculateCost } = require("../utils/pricing");
+const { normalizeBudgets, checkBudgets } = require("../utils/budgets");
+const { readConfigFile } = require("../utils/configFile");
+const { searchProjectBySession } = require("./routeMiddleware");
+const { sendAnthropicError } = require("./authMiddleware");
+
+const PERIOD_LABELS = { day: "今日", month: "本月" };
+
+/**
+ * 格式化金额
+ * @param {number} cost
+ * @returns {string}
+ */
+const formatUsd = (cost) => `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+/**
+ * 创建费用统计与预算中间件
+ * @param {Object} config - 配置对象（Budgets 和 Providers[].pricing 每次请求从配置文件读取，读取失败时使用该对象）
+ * @param {Object} [logger] - 日志对象
+ * @param {Object} [ledger] - 用量账本，默认使用全局 usageLedger
+ * @returns {{preHandler: Function, onUsage: Function}}
+ */
+function createCostMiddleware(config, logger = console, ledger = usageLedger) {
+  // 与路由配置一样每次请求读取配置文件，保存后无需重启即可生效；Budgets 未变化时复用上次校验的结果
+  let budgetsSource;
+  let budgets = [];
+  const loadConfig = async () => {
+    const currentConfig = (await readConfigFile()) || config;
+    const source = JSON.stringify(currentConfig?.Budgets ?? null);
+    if (source !== budgetsSource) {
+      budgetsSource = source;
+      budgets = normalizeBudgets(currentConfig);
+    }
+    return { currentConfig, budgets };
+  };
+  // 已经提示过的 soft 预算（预算名 + 取值 + 日期），避免每个请求都记录警告
+  const warned = new Set();
+
+  const preHandler = async (req, reply) => {
+    if (
+      !req.url.startsWith("/v1/messages") ||
+      req.url.startsWith("/v1/messages/count_tokens")
+    ) {
+      return;
+    }
+
+    const model = req.body?.model;
+    if (!model || typeof model !== "string") return;
+
+    const userId = req.body?.metadata?.user_id;
+    req.costContext = {
+      sessionId: req.sessionId || null,
+      // AI 对话以 chat_session_<对话 ID> 作为 user_id
+      conversationId:
+        typeof userId === "string" && userId.startsWith("chat_session_") ? req.sessionId || null : null,
+      project: req.sessionId ? await searchProjectBySession(req.sessionId) : null,
+      token: req.authIdentity?.id ? req.authIdentity : null,
+    };
+    const { currentConfig, budgets: currentBudgets } = await loadConfig();
+    // onUsage 按同一份配置计算费用
+    req.costConfig = currentConfig;
+    if (currentBudgets.length === 0) return;
+
+    const { exceeded, warnings } = checkBudgets(
+      currentBudgets,
+      {
+        global: "*",
+        provider: model.split(",")[0],
+        model,
+        session: req.costContext.sessionId,
+        conversation: req.costContext.conversationId,
+        project: req.costContext.project,
+        token: req.costContext.token?.id,
+      },
+      ledger
+    );
+
+    if (exceeded.length > 0) {
+      const { budget, value, spent } = exceeded[0];
+      logger.warn?.(`[budget] 预算 ${budget.name}（${value}）已用尽，拒绝请求`);
+      sendAnthropicError(reply, {
+        status: 402,
+        type: "billing_error",
+        message: `预算 ${budget.name}（${value}）${PERIOD_LABELS[budget.period]}已花费 ${formatUsd(spent)}，达到上限 ${formatUsd(budget.hard)}`,
+      });
+      return reply;
+    }
+
+    if (warnings.length > 0) {
+      reply.header(
+        "x-budget-warning",
+        warnings
+          .map(({ budget, spent }) => `${encodeURIComponent(budget.name)}=${spent.toFixed(4)}/${budget.soft}`)
+          .join(", ")
+      );
+      for (const { budget, value, spent } of warnings) {
+        const key = `${budget.name}|${value}|${ledger.totalsDay}`;
+        if (warned.has(key)) continue;
+        warned.add(key);
+        logger.warn?.(
+          `[budget] 预算 ${budget.name}（${value}）${PERIOD_LABELS[budget.period]}已花费 ${formatUsd(spent)}，超过提醒线 ${formatUsd(budget.soft)}`
+        );
+      }
+    }
+  };
+
+  const onUsage = (req, usage) => {
+    // llms 处理后 req.body.model 只剩模型名，provider 在 req.provider 上（发生备用模型切换时为最终使用的 provider）
+    const [routedProvider, ...rest] = String(req.body?.model || "").split(",");
+    const provider = req.provider || (rest.length ? routedProvider : null);
+    const model = rest.length ? rest.join(",") : routedProvider;
+
+    const price = findModelPrice(req.costConfig || config, provider, model);
+    ledger
+      .record({
+        requestId: req.headers["x-request-id"] || req.id,
+        provider,
+        model,
+        sessionId: req.sessionId || null,
+        conversationId: null,
+        project: null,
+        token: null,
+        ...req.costContext,
+        usage: {
+          input_tokens: usage.input_tokens || 0,
+          output_tokens: usage.output_tokens || 0,
+          cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+          cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+        },
+        cost: calculateCost(usage, price),
+        priced: Boolean(price),
+      })
+      .catch((error) => logger.error?.("写入用量账本失败:", error));
+  };
+
+  return { preHandler, onUsage };
+}
+
+module.exports = {
+  createCostMiddleware,
+};
@@ -0,0 +1,166 @@
+/**
+ * 备用模型中间件
+ *
+ * 功能概述：
+ * - Router 配置项为候选列表时（见 routeMiddleware 的 toModelCandidates），首选模型之外的候选保存在 req.fallbackModels
+ * - 包装 /v1/messages 的路由处理函数：上游返回 408/429/5xx、网络错误或超时，且还没有向客户端发送任何数据时，
+ *   依次切换到下一个候选模型重新发送请求
+ * - 每次切换都会冷却失败的 key、为新的 provider 重新分配 key，并通过 onHop 回调记录到消息日志
+ *
+ * 流式请求只要上游返回了响应头就视为成功，之后的流式错误不会再切换模型
+ */
+
+const { getProviderService } = require("../utils");
+
+/** 会触发切换的上游状态码（5xx 另外判断） */
+const FALLBACK_STATUS_CODES = [408, 429];
+
+/** 会触发切换的网络错误码 */
+const FALLBACK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_SOCKET",
+];
+
+const isMessagesRoute = (url = "") =>
+  url.startsWith("/v1/messages") && !url.startsWith("/v1/messages/count_tokens");
+
+/**
+ * 判断上游错误是否可以切换到备用模型
+ * 客户端主动中断（AbortError）和 4xx 请求错误不切换
+ * @param {Error} error - 路由处理函数抛出的错误
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+  if (!error) return false;
+  const status = Number(error.statusCode || error.status);
+  if (status) {
+    return FALLBACK_STATUS_CODES.includes(status) || (status >= 500 && status < 600);
+  }
+  if (error.name === "TimeoutError") return true;
+  if (error.name === "AbortError") return false;
+  const code = error.code || error.cause?.code;
+  if (FALLBACK_ERROR_CODES.includes(code)) return true;
+  // undici 的网络错误统一为 TypeError: fetch failed
+  return error instanceof TypeError && error.message === "fetch failed";
+};
+
+/**
+ * 创建备用模型中间件
+ *
+ * @param {Object} config - 配置对象，可选 FALLBACK_TIMEOUT_MS：有备用模型时单次上游请求等待响应的超时（毫秒）
+ * @param {Object} server - 服务器实例，用于获取 providerService
+ * @param {Object} options
+ * @param {Object} options.keyMiddleware - providerKeyMiddleware 实例（onError 冷却失败的 key，assignKey 分配新 key）
+ * @param {AsyncLocalStorage} [options.signalStore] - 全局 fetch 读取中断信号的异步存储，用于实现单次请求超时
+ * @param {Function} [options.onHop] - 每次切换模型时调用 (req, hop) => void
+ * @param {Object} [options.logger] - 日志对象
+ * @returns {Object} 包含 onRoute 方法的对象
+ */
+function createFallbackMiddleware(config, server, options = {}) {
+  const { keyMiddleware, signalStore, onHop, logger = console } = options;
+  const attemptTimeoutMs = Number(config.FALLBACK_TIMEOUT_MS) > 0 ? Number(config.FALLBACK_TIMEOUT_MS) : 0;
+
+  // 检查候选模型的 provider 是否存在且已启用
+  const isProviderAvailable = (providerName) => {
+    const providerService = getProviderService(server);
+    const runtimeProvider = providerService?.getProvider(providerName);
+    if (runtimeProvider) return runtimeProvider.enabled !== false;
+    const configProvider = (config.Providers || config.providers || []).find(
+      (p) => p.name === providerName
+    );
+    return Boolean(configProvider) && configProvider.enabled !== false;
+  };
+
+  // 执行一次路由处理函数；配置了超时时，超时会中断本次上游请求（只限制等待响应的时间，不限制后续的流）
+  const runAttempt = async (handler, context, req, reply) => {
+    if (!attemptTimeoutMs || !signalStore) {
+      return handler.call(context, req, reply);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const error = new Error(`上游请求超过 ${attemptTimeoutMs}ms 未响应`);
+      error.name = "TimeoutError";
+      controller.abort(error);
+    }, attemptTimeoutMs);
+    const parentSignal = signalStore.getStore();
+    const signal = parentSignal ? AbortSignal.any([parentSignal, controller.signal]) : controller.signal;
+
+    try {
+      return await signalStore.run(signal, () => handler.call(context, req, reply));
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const wrapHandler = (handler) =>
+    async function handlerWithFallback(req, reply) {
+      const candidates = Array.isArray(req.fallbackModels) ? req.fallbackModels : [];
+      if (candidates.length === 0) {
+        return handler.call(this, req, reply);
+      }
+
+      // transformer 可能修改请求体，每次重试都从原始请求体开始
+      const originalBody = structuredClone(req.body);
+      let current = `${req.provider},${req.body.model}`;
+
+      for (let index = 0; ; index++) {
+        try {
+          return await runAttempt(handler, this, req, reply);
+        } catch (error) {
+          if (!isRetryableError(error) || reply.sent || reply.raw.headersSent || reply.raw.destroyed) {
+            throw error;
+          }
+
+          // 跳过不存在或已禁用的 provider
+          while (index < candidates.length && !isProviderAvailable(candidates[index].split(",")[0])) {
+            logger.warn?.(`[fallback] 跳过不可用的备用模型: ${candidates[index]}`);
+            index++;
+          }
+          if (index >= candidates.length) throw error;
+
+          const next = candidates[index];
+          const [providerName, ...modelParts] = next.split(",");
+          const hop = {
+            from: current,
+            to: next,
+            status: error.statusCode || error.status || null,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+          };
+          logger.warn?.(`[fallback] ${hop.from} 请求失败（${hop.status || error.name}），切换到 ${hop.to}`);
+          onHop?.(req, hop);
+
+          // 冷却失败的 key，并为新的 provider 分配 key
+          await keyMiddleware?.onError(req, reply, error);
+          req.rotatedProvider = null;
+          req.rotatedApiKey = null;
+          await keyMiddleware?.assignKey(req, providerName);
+
+          req.body = structuredClone(originalBody);
+          req.body.model = modelParts.join(",");
+          req.provider = providerName;
+          current = next;
+        }
+      }
+    };
+
+  const onRoute = (routeOptions) => {
+    const methods = [].concat(routeOptions.method);
+    if (!methods.includes("POST") || !isMessagesRoute(routeOptions.url)) return;
+    routeOptions.handler = wrapHandler(routeOptions.handler);
+  };
+
+  return { onRoute };
+}
+
+module.exports = {
+  createFallbackMiddleware,
+  isRetryableError,
+};
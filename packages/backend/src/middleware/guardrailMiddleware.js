@@ -0,0 +1,150 @@
+/**
+ * 安全规则中间件（规则见 utils/guardrails.js）
+ *
+ * - preHandler：检查发往上游的 /v1/messages 请求，替换（redact）敏感内容，命中 block 规则时返回 400 invalid_request_error；
+ *   命中记录保存在 req.guardrailHits，由消息日志写入请求文件的 guardrails 字段
+ * - onSend：检查响应内容，流式响应逐个 text_delta 检查，命中 block 规则时以 error 事件结束流，非流式响应返回 502 api_error
+ *
+ * 需要在消息日志中间件之前注册，日志中保存的是替换后的请求
+ */
+
+const { normalizeGuardrails, guardRequest, guardResponse, createStreamGuard } = require("../utils/guardrails");
+const { SSEParserTransform } = require("../utils/SSEParser.transform");
+const { SSESerializerTransform } = require("../utils/SSESerializer.transform");
+const { sendAnthropicError } = require("./authMiddleware");
+
+const isMessagesRequest = (req) =>
+  req.url.startsWith("/v1/messages") && !req.url.startsWith("/v1/messages/count_tokens");
+
+/**
+ * 命中摘要，用于日志和错误信息
+ * @param {Object[]} hits
+ * @returns {string}
+ */
+const describeHits = (hits) => hits.map((hit) => `${hit.rule}(${hit.action} x${hit.count})`).join(", ");
+
+/**
+ * 创建安全规则中间件
+ * @param {Object} config - 配置对象（读取 Guardrails）
+ * @param {Object} [options]
+ * @param {Function} [options.onBlock] - 请求被拦截、返回错误之前调用 (req, reply) => Promise<void>，用于记录被拦截的请求
+ * @param {Function} [options.onHits] - 响应命中规则时调用 (req, hits) => void
+ * @param {Object} [options.logger] - 日志对象
+ * @returns {{preHandler: Function, onSend: Function}}
+ */
+function createGuardrailMiddleware(config, options = {}) {
+  const { onBlock, onHits, logger = console } = options;
+  const guardrails = normalizeGuardrails(config);
+
+  const preHandler = async (req, reply) => {
+    if (!guardrails.enabled || guardrails.request.length === 0 || !isMessagesRequest(req) || !req.body) {
+      return;
+    }
+
+    const { hits, blocked } = guardRequest(req.body, guardrails.request);
+    if (hits.length === 0) return;
+
+    req.guardrailHits = hits;
+    logger.warn?.(`[guardrails] 请求命中安全规则: ${describeHits(hits)}`);
+
+    if (blocked) {
+      await onBlock?.(req, reply);
+      sendAnthropicError(reply, {
+        status: 400,
+        type: "invalid_request_error",
+        message: `请求包含敏感内容，已被安全规则 ${blocked.rule} 拦截`,
+      });
+      return reply;
+    }
+  };
+
+  const recordResponseHits = (req, hits) => {
+    req.guardrailHits = [...(req.guardrailHits || []), ...hits];
+    logger.warn?.(`[guardrails] 响应命中安全规则: ${describeHits(hits)}`);
+    onHits?.(req, hits);
+  };
+
+  const guardStream = (req, payload) => {
+    const guard = createStreamGuard(guardrails.response);
+    // 命中按规则汇总，流结束（或被拦截）时一次性记录
+    const hits = new Map();
+    const flushHits = () => {
+      if (hits.size) recordResponseHits(req, [...hits.values()]);
+      hits.clear();
+    };
+    let blocked = false;
+    const transform = new TransformStream({
+      transform(event, controller) {
+        if (blocked) return;
+        const delta = event.data?.delta;
+        if (event.event === "content_block_delta" && delta?.type === "text_delta" && typeof delta.text === "string") {
+          const result = guard.check(event.data.index, delta.text);
+          for (const hit of result.hits) {
+            const total = hits.get(hit.rule);
+            hits.set(hit.rule, total ? { ...total, count: total.count + hit.count } : hit);
+          }
+          if (result.blocked) {
+            blocked = true;
+            flushHits();
+            controller.enqueue({
+              event: "error",
+              data: {
+                type: "error",
+                error: { type: "api_error", message: `响应包含违规内容，已被安全规则 ${result.blocked.rule} 拦截` },
+              },
+            });
+            controller.terminate();
+            return;
+          }
+          delta.text = result.text;
+        }
+        controller.enqueue(event);
+      },
+      flush: flushHits,
+    });
+
+    return payload
+      .pipeThrough(new SSEParserTransform())
+      .pipeThrough(transform)
+      .pipeThrough(new SSESerializerTransform())
+      .pipeThrough(new TextEncoderStream());
+  };
+
+  const onSend = async (req, reply, payload) => {
+    if (!guardrails.enabled || guardrails.response.length === 0 || !isMessagesRequest(req) || reply.statusCode !== 200) {
+      return payload;
+    }
+
+    if (payload instanceof ReadableStream) {
+      return guardStream(req, payload);
+    }
+
+    if (typeof payload !== "string") return payload;
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch {
+      return payload;
+    }
+    if (!Array.isArray(message?.content)) return payload;
+
+    const { hits, blocked } = guardResponse(message, guardrails.response);
+    if (hits.length === 0) return payload;
+    recordResponseHits(req, hits);
+
+    if (blocked) {
+      reply.status(502);
+      return JSON.stringify({
+        type: "error",
+        error: { type: "api_error", message: `响应包含违规内容，已被安全规则 ${blocked.rule} 拦截` },
+      });
+    }
+    return JSON.stringify(message);
+  };
+
+  return { preHandler, onSend };
+}
+
+module.exports = {
+  createGuardrailMiddleware,
+};
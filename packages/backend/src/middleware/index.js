@@ -5,15 +5,27 @@ const { createAuthMiddleware } = require("./authMiddleware");
 const { createRouteMiddleware } = require("./routeMiddleware");
 const { createUsageCacheMiddleware } = require("./usageCacheMiddleware");
 const { createProviderKeyMiddleware } = require("./providerKeyMiddleware");
+const { createFallbackMiddleware } = require("./fallbackMiddleware");
 const { createMessageLoggerMiddleware } = require("./messageLoggerMiddleware");
 const { createProviderTransformerMiddleware } = require("./providerTransformerMiddleware");
+const { createAccessTokenMiddleware } = require("./accessTokenMiddleware");
+const { createCostMiddleware } = require("./costMiddleware");
+const { createResponseCacheMiddleware } = require("./responseCacheMiddleware");
+const { createOpenAICompatMiddleware } = require("./openaiCompatMiddleware");
+const { createGuardrailMiddleware } = require("./guardrailMiddleware");
 
 module.exports = {
   createAuthMiddleware,
   createRouteMiddleware,
   createUsageCacheMiddleware,
   createProviderKeyMiddleware,
+  createFallbackMiddleware,
   createMessageLoggerMiddleware,
   createProviderTransformerMiddleware,
+  createAccessTokenMiddleware,
+  createCostMiddleware,
+  createResponseCacheMiddleware,
+  createOpenAICompatMiddleware,
+  createGuardrailMiddleware,
 };
 
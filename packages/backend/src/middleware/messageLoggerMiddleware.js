@@ -1,9 +1,11 @@
 /**
  * 消息日志记录中间件
- * 用于保存 /v1/messages 和 /v1/chat/completions 接口的请求和响应
+ * 用于保存 /v1/messages 接口的请求和响应
+ * /v1/chat/completions 会被转换为 /v1/messages 请求（见 openaiCompatMiddleware），只记录转换后的请求，protocol 字段为 openai
  * 
  * 为每个请求创建以下文件：
- * - {requestId}-req.json: 请求的所有参数
+ * - {requestId}-req.json: 请求的所有参数（token 字段为调用方身份，发生备用模型切换时包含 fallbacks 字段，
+ *   命中安全规则时包含 guardrails 字段）
  * - {requestId}-res.md: 提取的响应内容（Markdown 格式）
  * - {requestId}-res-full.jsonl: 原始响应数据（JSONL 格式，流式响应也记录）
  */
@@ -42,23 +44,25 @@ function createMessageLoggerMiddleware(options = {}) {
     });
   }
 
+  // 请求文件的写入队列（requestId -> Promise），备用模型切换和安全规则命中会在响应过程中重写请求文件，
+  // 同一文件的写入需要串行，否则并发的 writeFile 会写出损坏的 JSON
+  const requestFileWrites = new Map();
+
   /**
    * 保存请求文件
    */
   async function saveRequestFile(requestId, requestData) {
     if (!saveToFile) return;
 
-    try {
-      const fileName = `${requestId}-req.json`;
-      const filePath = path.join(logDir, fileName);
-      await fs.writeFile(
-        filePath,
-        JSON.stringify(requestData, null, 2),
-        "utf8"
-      );
-    } catch (error) {
-      console.error(`[MessageLogger] 保存请求文件失败:`, error);
-    }
+    const content = JSON.stringify(requestData, null, 2);
+    const write = (requestFileWrites.get(requestId) || Promise.resolve())
+      .then(() => fs.writeFile(path.join(logDir, `${requestId}-req.json`), content, "utf8"))
+      .catch((error) => {
+        console.error(`[MessageLogger] 保存请求文件失败:`, error);
+      });
+    requestFileWrites.set(requestId, write);
+    await write;
+    if (requestFileWrites.get(requestId) === write) requestFileWrites.delete(requestId);
   }
 
   /**
@@ -282,6 +286,12 @@ function createMessageLoggerMiddleware(options = {}) {
       body: req.body ? JSON.parse(JSON.stringify(req.body)) : null,
       query: req.query,
       ip: req.ip,
+      // 调用方身份：访问令牌为 { id, name }，全局 APIKEY 为 { id: null, name: "APIKEY" }
+      token: req.authIdentity || null,
+      // 客户端使用的协议：anthropic 或 openai
+      protocol: req.headers["x-inbound-protocol"] === "openai" ? "openai" : "anthropic",
+      // 命中的安全规则（见 guardrailMiddleware），请求体为替换后的内容
+      ...(req.guardrailHits && { guardrails: [...req.guardrailHits] }),
       requestId: req.id,
       timestamp: new Date().toISOString(),
     };
@@ -314,10 +324,10 @@ function createMessageLoggerMiddleware(options = {}) {
    * preHandler hook - 记录请求
    */
   const preHandler = async (req, reply) => {
-    // 只处理 /v1/messages 和 /v1/chat/completions 接口
+    // 只处理 /v1/messages 接口
     // 排除 /v1/messages/count_tokens
     if (
-      (!req.url.startsWith("/v1/messages") && !req.url.startsWith("/v1/chat/completions")) ||
+      !req.url.startsWith("/v1/messages") ||
       req.url.startsWith("/v1/messages/count_tokens")
     ) {
       return;
@@ -367,10 +377,10 @@ function createMessageLoggerMiddleware(options = {}) {
    * onSend hook - 记录响应
    */
   const onSend = async (req, reply, payload) => {
-    // 只处理 /v1/messages 和 /v1/chat/completions 接口
+    // 只处理 /v1/messages 接口
     // 排除 /v1/messages/count_tokens
     if (
-      (!req.url.startsWith("/v1/messages") && !req.url.startsWith("/v1/chat/completions")) ||
+      !req.url.startsWith("/v1/messages") ||
       req.url.startsWith("/v1/messages/count_tokens")
     ) {
       return payload;
@@ -523,9 +533,41 @@ function createMessageLoggerMiddleware(options = {}) {
     return payload;
   };
 
+  /**
+   * 记录备用模型切换（由备用模型中间件调用），写入请求文件的 fallbacks 字段
+   * @param {Object} req - 请求对象
+   * @param {Object} hop - 切换信息 { from, to, status, error, timestamp }
+   */
+  const logFallbackHop = (req, hop) => {
+    if (!req._messageLogger) return;
+
+    const { requestData, uniqueRequestId } = req._messageLogger;
+    requestData.fallbacks = [...(requestData.fallbacks || []), hop];
+    saveRequestFile(uniqueRequestId, requestData).catch((err) => {
+      console.error(`[MessageLogger] 保存请求文件失败:`, err);
+    });
+  };
+
+  /**
+   * 记录响应命中的安全规则（由安全规则中间件调用），写入请求文件的 guardrails 字段
+   * @param {Object} req - 请求对象
+   * @param {Object[]} hits - 命中信息 [{ rule, action, count, target, timestamp }]
+   */
+  const logGuardrailHits = (req, hits) => {
+    if (!req._messageLogger) return;
+
+    const { requestData, uniqueRequestId } = req._messageLogger;
+    requestData.guardrails = [...(requestData.guardrails || []), ...hits];
+    saveRequestFile(uniqueRequestId, requestData).catch((err) => {
+      console.error(`[MessageLogger] 保存请求文件失败:`, err);
+    });
+  };
+
   return {
     preHandler,
     onSend,
+    logFallbackHop,
+    logGuardrailHits,
   };
 }
 
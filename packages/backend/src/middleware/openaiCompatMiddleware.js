@@ -0,0 +1,114 @@
+/**
+ * OpenAI 兼容中间件
+ *
+ * 替换 llms 注册的 /v1/chat/completions 处理函数：把 OpenAI 格式的请求转换为 Anthropic 格式后，
+ * 转发到本服务的 /v1/messages，再把响应（包括流式响应）转换回 OpenAI 格式
+ *
+ * 这样 OpenAI 客户端的请求同样经过路由规则、访问令牌、预算、响应缓存、key 轮换、备用模型、MCP agent 工具和消息日志，
+ * 转发的请求带有 x-inbound-protocol: openai 请求头，消息日志据此记录请求来源
+ */
+
+const { buildBaseUrl } = require("../utils");
+const { SSEParserTransform } = require("../utils/SSEParser.transform");
+const {
+  toAnthropicRequest,
+  toOpenAIResponse,
+  toOpenAIError,
+  OpenAIStreamTransform,
+} = require("../utils/openaiCompat");
+
+/** 转发给 /v1/messages 的请求头 */
+const FORWARDED_HEADERS = [
+  "authorization",
+  "x-api-key",
+  "x-request-id",
+  "x-cache-bypass",
+  "cache-control",
+  "user-agent",
+];
+
+/** 从 /v1/messages 响应带回给客户端的响应头 */
+const RETURNED_HEADERS = ["x-request-id", "x-cache", "x-budget-warning", "retry-after"];
+
+/**
+ * 创建 OpenAI 兼容中间件
+ * @param {Object} config - 配置对象（HOST / PORT 用于转发请求）
+ * @param {Object} [logger] - 日志对象
+ * @returns {{onRoute: Function, handler: Function}}
+ */
+function createOpenAICompatMiddleware(config, logger = console) {
+  const handler = async (req, reply) => {
+    // llms 的 preHandler 已把 model 拆成 req.provider 和 req.body.model，这里还原客户端传入的模型名
+    const model = req.body?.model ? `${req.provider},${req.body.model}` : req.provider;
+    const body = toAnthropicRequest({ ...req.body, model });
+
+    const headers = { "content-type": "application/json", "x-inbound-protocol": "openai" };
+    for (const name of FORWARDED_HEADERS) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+
+    // 客户端断开时中断转发的请求（请求体读取完后 req.raw 就会触发 close，因此监听响应的 close）
+    const abortController = new AbortController();
+    reply.raw.on("close", () => {
+      if (!reply.raw.writableFinished) abortController.abort();
+    });
+
+    let response;
+    try {
+      response = await fetch(`${buildBaseUrl(config)}/v1/messages`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+        signal: abortController.signal,
+      });
+    } catch (error) {
+      if (abortController.signal.aborted) return reply;
+      logger.error?.("[openai] 转发 /v1/messages 失败:", error);
+      return reply.status(502).send(toOpenAIError({ type: "api_error", message: error.message }));
+    }
+
+    for (const name of RETURNED_HEADERS) {
+      const value = response.headers.get(name);
+      if (value) reply.header(name, value);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      let error = text;
+      try {
+        error = JSON.parse(text);
+      } catch {
+        // 纯文本错误（如认证失败）
+      }
+      return reply.status(response.status).send(toOpenAIError(error || response.statusText));
+    }
+
+    if (!body.stream) {
+      return reply.send(toOpenAIResponse(await response.json(), model));
+    }
+
+    reply.header("content-type", "text/event-stream");
+    reply.header("cache-control", "no-cache");
+    reply.header("connection", "keep-alive");
+    return reply.send(
+      response.body
+        .pipeThrough(new SSEParserTransform())
+        .pipeThrough(
+          new OpenAIStreamTransform({ model, includeUsage: req.body?.stream_options?.include_usage === true })
+        )
+    );
+  };
+
+  // 必须在 server.start() 注册路由之前添加
+  const onRoute = (routeOptions) => {
+    const methods = [].concat(routeOptions.method);
+    if (!methods.includes("POST") || routeOptions.url !== "/v1/chat/completions") return;
+    routeOptions.handler = handler;
+  };
+
+  return { onRoute, handler };
+}
+
+module.exports = {
+  createOpenAICompatMiddleware,
+};
@@ -1,13 +1,16 @@
 /**
  * Provider 层密钥轮换中间件：
  * - 支持 api_keys 数组（优先）/api_key 单键
- * - 轮询选择可用 key，遇到 401/403/429/5xx 时冷却当前 key
- * - 仅在当前进程内维护状态，重启后状态重置
+ * - 按 provider 的 key_strategy 选择可用 key（round_robin / weighted / least_inflight / sticky_session），
+ *   遇到 401/403/429/5xx 时冷却当前 key
+ * - 冷却、手动禁用和请求统计保存在 keyHealthStore 中并持久化，重启后仍然跳过冷却中的 key
  */
 
-// 构造轮询 + 冷却器：记录每个 provider 的 key 列表、当前位置、冷却时间、并发占用
+// 构造轮询 + 冷却器：记录每个 provider 的 key 列表、当前位置、并发占用，冷却时间由 health 维护
 
 const { getProviderService, setProvider } = require("../utils");
+const { SimpleLRUCache } = require("../utils/cache");
+const { keyHealthStore, maskKey } = require("../utils/keyHealth");
 
 const normalize = (name = "") => String(name || "").toLowerCase();
 
@@ -23,7 +26,82 @@ const resolveProviderTarget = (providerService, providerName, config) => {
     : null;
 };
 
-function createKeyRotator(providers = []) {
+/** 支持的 key 选择策略 */
+const KEY_STRATEGIES = ["round_robin", "weighted", "least_inflight", "sticky_session"];
+
+/** 每个 provider 最多记录的会话绑定数 */
+const MAX_STICKY_SESSIONS = 1000;
+
+const normalizeStrategy = (strategy) => (KEY_STRATEGIES.includes(strategy) ? strategy : "round_robin");
+
+// key 的权重：key_weights 与 api_keys 按顺序对应，未配置或无效时为 1，<=0 表示不参与加权选择
+const getWeight = (s, index) => {
+  const weight = Number(s.weights?.[index]);
+  return Number.isFinite(weight) ? weight : 1;
+};
+
+// 各策略的选择函数：(s, isAvailable, options) => key | null，选中后由 next 统一占位
+const pickers = {
+  // 严格轮询：从当前指针开始取第一个可用 key
+  round_robin(s, isAvailable) {
+    for (let i = 0; i < s.keys.length; i += 1) {
+      const key = s.keys[s.index % s.keys.length];
+      s.index = (s.index + 1) % s.keys.length; // 指针后移（轮询）
+      if (isAvailable(key)) return key;
+    }
+    return null;
+  },
+
+  // 平滑加权轮询：每轮给可用 key 累加权重，选当前值最大的，再减去总权重
+  weighted(s, isAvailable) {
+    let total = 0;
+    let best = null;
+    s.keys.forEach((key, index) => {
+      const weight = getWeight(s, index);
+      if (weight <= 0 || !isAvailable(key)) return;
+      const current = (s.currentWeights.get(key) || 0) + weight;
+      s.currentWeights.set(key, current);
+      total += weight;
+      if (best === null || current > s.currentWeights.get(best)) best = key;
+    });
+    if (best !== null) s.currentWeights.set(best, s.currentWeights.get(best) - total);
+    return best;
+  },
+
+  // 最少并发：选当前占用最少的可用 key，并列时从轮询指针开始取
+  least_inflight(s, isAvailable) {
+    let best = null;
+    let bestLoad = Infinity;
+    for (let i = 0; i < s.keys.length; i += 1) {
+      const key = s.keys[(s.index + i) % s.keys.length];
+      const load = s.inflight.get(key) || 0;
+      if (load < bestLoad && isAvailable(key)) {
+        best = key;
+        bestLoad = load;
+      }
+    }
+    s.index = (s.index + 1) % s.keys.length;
+    return best;
+  },
+
+  // 会话粘滞：同一 sessionId 固定使用同一个 key，让上游按 key 缓存的提示词持续命中
+  // 绑定的 key 冷却或被移除时立即换绑；只是并发已满时先返回 null 等待，rebind 为 true 后才换绑
+  sticky_session(s, isAvailable, { sessionId, rebind, isCooling }) {
+    if (!sessionId) return pickers.least_inflight(s, isAvailable);
+
+    const bound = s.sessions.get(sessionId);
+    if (bound && s.keys.includes(bound)) {
+      if (isAvailable(bound)) return bound;
+      if (!rebind && !isCooling(bound)) return null;
+    }
+
+    const key = pickers.least_inflight(s, isAvailable);
+    if (key) s.sessions.put(sessionId, key);
+    return key;
+  },
+};
+
+function createKeyRotator(providers = [], health = keyHealthStore) {
   const state = new Map();
 
   providers.forEach((p) => {
@@ -39,44 +117,51 @@ function createKeyRotator(providers = []) {
     state.set(normalize(p.name), {
       keys,
       index: 0,
-      disabledUntil: new Map(), // key -> timestamp
       inflight: new Map(), // key -> 当前并发数
       limit,
+      strategy: normalizeStrategy(p.key_strategy), // key 选择策略
+      weights: Array.isArray(p.key_weights) ? p.key_weights : [], // 与 keys 按顺序对应的权重
+      currentWeights: new Map(), // key -> 加权轮询的当前值
+      sessions: new SimpleLRUCache(MAX_STICKY_SESSIONS), // sessionId -> key
     });
   });
 
-  const updateKeys = (providerName, keys) => {
+  // 同步运行时的 key 列表，以及 provider 上的 keyStrategy / keyWeights（未设置时保持原配置）
+  const updateKeys = (providerName, keys, options = {}) => {
     const s = state.get(normalize(providerName));
     if (!s) return null;
     s.keys = keys;
+    if (options.strategy !== undefined) s.strategy = normalizeStrategy(options.strategy);
+    if (Array.isArray(options.weights)) s.weights = options.weights;
   };
 
-  const next = (providerName) => {
-    // 轮询取下一个未处于冷却期的 key；若全部在冷却则返回 null
+  /**
+   * 按 provider 的策略选择一个可用 key 并占位；没有可用 key 时返回 null
+   * @param {string} providerName
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - 会话 ID（sticky_session 使用）
+   * @param {boolean} [options.rebind] - 绑定的 key 并发已满时是否允许换绑
+   * @returns {string|null}
+   */
+  const next = (providerName, options = {}) => {
     const s = state.get(normalize(providerName));
-    if (!s) return null;
+    if (!s || !s.keys?.length) return null;
 
     const now = Date.now();
-    for (let i = 0; i < s.keys.length; i += 1) {
-      const idx = s.index; // 当前指针
-      s.index = (s.index + 1) % s.keys.length; // 指针后移（轮询）
-      const key = s.keys[idx]; // 取出本次候选 key
-      const inUse = s.inflight.get(key) || 0;
-      // limit<=0 表示不限制并发；否则要求 inUse < limit
-      if ((s.disabledUntil.get(key) || 0) <= now && (s.limit <= 0 || inUse < s.limit)) {
-        s.inflight.set(key, inUse + 1); // 占位，防止并发超限
-        return key;
-      }
-    }
-    return null;
+    const isCooling = (key) => health.getUnavailableUntil(providerName, key) > now;
+    // limit<=0 表示不限制并发；否则要求 inUse < limit
+    const isAvailable = (key) => !isCooling(key) && (s.limit <= 0 || (s.inflight.get(key) || 0) < s.limit);
+
+    const key = pickers[s.strategy](s, isAvailable, { ...options, isCooling });
+    if (!key) return null;
+    s.inflight.set(key, (s.inflight.get(key) || 0) + 1); // 占位，防止并发超限
+    return key;
   };
 
   const cooldown = (providerName, key, ms) => {
     // 将指定 key 冷却 ms 毫秒，用于 401/429/5xx 等错误后跳过
-    const s = state.get(normalize(providerName));
-    if (!s) return;
-    const until = Date.now() + Math.max(ms, 0); // 计算冷却截止时间
-    s.disabledUntil.set(key, until); // 记录冷却
+    if (!state.has(normalize(providerName))) return;
+    health.cooldown(providerName, key, ms);
   };
 
   const release = (providerName, key) => {
@@ -92,7 +177,10 @@ function createKeyRotator(providers = []) {
     }
   };
 
-  return { state, next, cooldown, release, updateKeys };
+  // key 不可用的截止时间（冷却或手动禁用）
+  const unavailableUntil = (providerName, key) => health.getUnavailableUntil(providerName, key);
+
+  return { state, next, cooldown, release, updateKeys, unavailableUntil };
 }
 
 async function waitForAvailableKey(rotator, providerName, options = {}) {
@@ -100,12 +188,17 @@ async function waitForAvailableKey(rotator, providerName, options = {}) {
     timeoutMs = 15_000, // 等待可用 key 的最大时间
     minSleepMs = 50, // 最小休眠时间，避免忙轮询
     maxSleepMs = 500, // 最大休眠时间，避免等待过长
+    sessionId, // 会话 ID（sticky_session 策略使用）
+    stickyWaitMs = 3_000, // sticky_session 下绑定的 key 并发已满时，最多等待多久再换绑其他 key
   } = options;
 
   const start = Date.now();
-  // 轮询直到拿到可用 key，或超时
+  // 按 provider 的策略轮询直到拿到可用 key，或超时
   while (Date.now() - start < timeoutMs) {
-    const key = rotator.next(providerName);
+    const key = rotator.next(providerName, {
+      sessionId,
+      rebind: Date.now() - start >= stickyWaitMs,
+    });
     if (key) return key;
 
     const state = rotator.state.get(normalize(providerName));
@@ -115,7 +208,7 @@ async function waitForAvailableKey(rotator, providerName, options = {}) {
     const now = Date.now();
     let sleep = maxSleepMs;
     state.keys.forEach((k) => {
-      const disabledUntil = state.disabledUntil.get(k) || 0;
+      const disabledUntil = rotator.unavailableUntil(providerName, k);
       if (disabledUntil > now) {
         sleep = Math.min(sleep, disabledUntil - now);
       }
@@ -128,9 +221,58 @@ async function waitForAvailableKey(rotator, providerName, options = {}) {
   return null; // 超时未获取到可用 key
 }
 
-function createProviderKeyMiddleware(config, server = null) {
+function createProviderKeyMiddleware(config, server = null, logger = console) {
   const providers = config.Providers || config.providers || [];
-  const rotator = createKeyRotator(providers);
+  const health = keyHealthStore;
+  const rotator = createKeyRotator(providers, health);
+
+  // 轮询选择 provider 的可用 key 并写回 provider 配置，记录在 req 上供释放/冷却使用
+  const assignKey = async (req, providerName) => {
+    const providerService = getProviderService(server);
+
+    // 更新 provider 的 keys
+    if (providerService) {
+      const provider = providerService.getProvider(providerName);
+      if (provider) {
+        rotator.updateKeys(providerName, provider.apiKeys, {
+          strategy: provider.keyStrategy,
+          weights: provider.keyWeights,
+        });
+      }
+    }
+
+    // 判断是否存在 api_keys 如果存在才会进行轮询，否则直接退出
+    const stateData = rotator.state.get(normalize(providerName));
+    if (!stateData || !Array.isArray(stateData.keys)) return;
+
+    // 若并发已满或处于冷却，则等待可用 key
+    const apiKey = await waitForAvailableKey(rotator, providerName, {
+      timeoutMs:
+        Number(config.keyWaitTimeoutMs) > 0 ? Number(config.keyWaitTimeoutMs) : 60_000,
+      sessionId: req.sessionId,
+    });
+
+    // 将选出的 key 写回当前 provider 配置，供后续上游请求使用
+    // 优先从 server 实例获取 provider
+    const target = resolveProviderTarget(providerService, providerName, config);
+
+    if (!apiKey) {
+      if (target) {
+        await setProvider(target, { apiKey: "sk-xxx" }, config, server);
+      }
+      return;
+    }
+
+    if (target) {
+      await setProvider(target, { apiKey }, config, server);
+      req.rotatedProvider = providerName;
+      req.rotatedApiKey = apiKey;
+      req.rotatedReleased = false; // 避免重复释放
+      req.rotatedRecorded = false; // 避免重复记录结果
+      req.rotatedAt = Date.now();
+      health.recordStart(providerName, apiKey);
+    }
+  };
 
   const preHandler = async (req, _reply) => {
     // 仅对 /v1/messages 生效；token 计数接口直接跳过
@@ -170,41 +312,7 @@ function createProviderKeyMiddleware(config, server = null) {
       return;
     }
 
-    // 更新 provider 的 keys
-    if (providerService) {
-      const provider = providerService.getProvider(providerName);
-      if (provider) {
-        rotator.updateKeys(providerName, provider.apiKeys);
-      }
-    }
-
-    // 判断是否存在 api_keys 如果存在才会进行轮询，否则直接退出
-    const stateData = rotator.state.get(normalize(providerName));
-    if (!stateData || !Array.isArray(stateData.keys)) return;
-
-    // 若并发已满或处于冷却，则等待可用 key
-    const apiKey = await waitForAvailableKey(rotator, providerName, {
-      timeoutMs:
-        Number(config.keyWaitTimeoutMs) > 0 ? Number(config.keyWaitTimeoutMs) : 60_000,
-    });
-
-    // 将选出的 key 写回当前 provider 配置，供后续上游请求使用
-    // 优先从 server 实例获取 provider
-    const target = resolveProviderTarget(providerService, providerName, config);
-
-    if (!apiKey) {
-      if (target) {
-        await setProvider(target, { apiKey: "sk-xxx" }, config, server);
-      }
-      return;
-    }
-
-    if (target) {
-      await setProvider(target, { apiKey }, config, server);
-      req.rotatedProvider = providerName;
-      req.rotatedApiKey = apiKey;
-      req.rotatedReleased = false; // 避免重复释放
-    }
+    await assignKey(req, providerName);
   };
 
   const releaseOnce = (req) => {
@@ -213,13 +321,27 @@ function createProviderKeyMiddleware(config, server = null) {
     req.rotatedReleased = true;
   };
 
+  // 记录本次请求的结果（临时 key 不统计）
+  const recordOnce = (req, result) => {
+    if (!req.rotatedProvider || !req.rotatedApiKey || req.rotatedRecorded !== false) return;
+    req.rotatedRecorded = true;
+    health.recordResult(req.rotatedProvider, req.rotatedApiKey, {
+      ...result,
+      latencyMs: Date.now() - req.rotatedAt,
+    });
+  };
+
   const onError = async (req, _reply, error) => {
     // 按上游错误类型冷却当前 key，防止短期重复触发失败
     if (!req.rotatedProvider || !req.rotatedApiKey) return;
     releaseOnce(req); // 出错立即释放占用
     const status = error?.statusCode || error?.status || error?.code;
+    recordOnce(req, { ok: false, status: Number(status) || null, message: error?.message });
     if (status === 401 || status === 403) {
       // 鉴权失败/禁用：长时间冷却，防止继续打无效 key
+      logger.warn?.(
+        `[key] ${req.rotatedProvider} 的 key ${maskKey(req.rotatedApiKey)} 鉴权失败（${status}），冷却 1 小时`
+      );
       rotator.cooldown(req.rotatedProvider, req.rotatedApiKey, 60 * 60 * 1000); // 1h 冷却
     } else if (status === 429) {
       // 触发限流：短期冷却让配额恢复
@@ -230,12 +352,13 @@ function createProviderKeyMiddleware(config, server = null) {
     }
   };
 
-  const onSend = async (req, _reply, _payload) => {
+  const onSend = async (req, reply, _payload) => {
     // 正常返回时释放并发占用
     releaseOnce(req);
+    recordOnce(req, { ok: reply.statusCode < 400, status: reply.statusCode });
   };
 
-  return { preHandler, onError, onSend };
+  return { preHandler, onError, onSend, assignKey };
 }
 
 module.exports = {
@@ -0,0 +1,139 @@
+/**
+ * 响应缓存中间件
+ *
+ * 配置项 ResponseCache: { enabled, ttl, maxEntries, maxBytes, maxEntryBytes }（见 utils/responseCache.js）
+ * - preHandler：在路由之后计算缓存键，命中时直接返回缓存的响应（流式响应按原 SSE 分片重放），响应头 x-cache 为 HIT / MISS / BYPASS
+ * - onSend：未命中的请求成功返回后写入缓存，流式响应需要完整收到 message_stop 才会缓存
+ *
+ * 请求头 x-cache-bypass（非 0 / false）或 Cache-Control: no-cache / no-store 可以跳过缓存
+ * 命中的请求不经过 key 分配和上游请求，也不计入令牌配额和用量账本
+ */
+
+const { responseCache, buildCacheKey } = require("../utils/responseCache");
+
+/**
+ * 请求是否要求跳过缓存
+ * @param {Object} headers
+ * @returns {boolean}
+ */
+const isBypassed = (headers = {}) => {
+  const bypass = headers["x-cache-bypass"];
+  if (bypass !== undefined && !["0", "false"].includes(String(bypass).toLowerCase())) return true;
+  return /no-cache|no-store/i.test(headers["cache-control"] || "");
+};
+
+/**
+ * 将缓存的 SSE 分片重新组装为流
+ * @param {string[]} chunks
+ * @returns {ReadableStream}
+ */
+const replayStream = (chunks) => {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+};
+
+/**
+ * 创建响应缓存中间件
+ * @param {Object} config - 配置对象
+ * @param {Object} [cache] - 缓存实例，默认使用全局 responseCache
+ * @returns {{preHandler: Function, onSend: Function}}
+ */
+function createResponseCacheMiddleware(config, cache = responseCache) {
+  const options = config?.ResponseCache || {};
+  const enabled = options.enabled === true;
+  cache.configure(options);
+
+  const preHandler = async (req, reply) => {
+    if (
+      !enabled ||
+      req.method !== "POST" ||
+      !req.url.startsWith("/v1/messages") ||
+      req.url.startsWith("/v1/messages/count_tokens") ||
+      typeof req.body?.model !== "string"
+    ) {
+      return;
+    }
+
+    if (isBypassed(req.headers)) {
+      cache.stats.bypasses += 1;
+      reply.header("x-cache", "BYPASS");
+      return;
+    }
+
+    const key = buildCacheKey(req.body);
+    const entry = cache.get(key);
+    if (!entry) {
+      req.responseCacheKey = key;
+      reply.header("x-cache", "MISS");
+      return;
+    }
+
+    req.responseCacheHit = true;
+    reply.header("x-cache", "HIT");
+    reply.header("content-type", entry.contentType);
+    if (entry.stream) {
+      reply.header("cache-control", "no-cache");
+      return reply.send(replayStream(entry.chunks));
+    }
+    return reply.send(entry.body);
+  };
+
+  const onSend = async (req, reply, payload) => {
+    // agents 会改写流式响应并追加请求，不缓存
+    if (!req.responseCacheKey || req.agents || reply.statusCode !== 200) {
+      return payload;
+    }
+    const key = req.responseCacheKey;
+    const meta = {
+      model: req.body?.model,
+      contentType: reply.getHeader("content-type") || "application/json",
+    };
+
+    if (payload instanceof ReadableStream) {
+      const [originalStream, clonedStream] = payload.tee();
+      const collect = async () => {
+        const reader = clonedStream.getReader();
+        const decoder = new TextDecoder();
+        const chunks = [];
+        let size = 0;
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const chunk = decoder.decode(value, { stream: true });
+            size += chunk.length;
+            if (size > cache.options.maxEntryBytes || /^event: error/m.test(chunk)) {
+              // 过大或上游报错时放弃缓存，取消克隆的分支避免缓冲
+              await reader.cancel();
+              return;
+            }
+            chunks.push(chunk);
+          }
+        } catch {
+          return;
+        }
+        if (chunks.some((chunk) => chunk.includes("message_stop"))) {
+          cache.set(key, { ...meta, stream: true, chunks });
+        }
+      };
+      collect();
+      return originalStream;
+    }
+
+    if (typeof payload === "string") {
+      cache.set(key, { ...meta, stream: false, body: payload });
+    }
+    return payload;
+  };
+
+  return { preHandler, onSend };
+}
+
+module.exports = {
+  createResponseCacheMiddleware,
+};
@@ -6,6 +6,8 @@ const path = require("path");
 const { CLAUDE_PROJECTS_DIR } = require("../config/constants");
 const { SimpleLRUCache } = require("../utils/cache");
 const { readConfigFile } = require("../utils/configFile");
+const { evaluateRules } = require("../utils/routeRules");
+const { countRequestTokens, getTokenizer } = require("../utils/tokenizer");
 
 const sessionProjectCache = new SimpleLRUCache(500);
 
@@ -182,62 +184,38 @@ const getProjectSpecificRouter = async (sessionId) => {
   return undefined;
 };
 
-// Lightweight token estimator: counts UTF-8 bytes then divides; not exact but
-// good enough for routing thresholds.
-const estimateTokens = (text) => {
-  if (!text) return 0;
-  return Buffer.byteLength(String(text), "utf8") / 4;
-};
-
-const calculateTokenCount = (messages = [], system = [], tools = []) => {
-  let tokens = 0;
-
-  const addFromMessageContent = (content) => {
-    if (typeof content === "string") {
-      tokens += estimateTokens(content);
-      return;
-    }
-    if (Array.isArray(content)) {
-      content.forEach((part) => {
-        if (part?.type === "text") {
-          tokens += estimateTokens(part.text);
-        } else if (part?.type === "tool_use") {
-          tokens += estimateTokens(JSON.stringify(part.input ?? {}));
-        } else if (part?.type === "tool_result") {
-          const payload =
-            typeof part.content === "string"
-              ? part.content
-              : JSON.stringify(part.content ?? {});
-          tokens += estimateTokens(payload);
-        }
-      });
-    }
-  };
-
-  messages.forEach((msg) => addFromMessageContent(msg.content));
-
-  if (typeof system === "string") {
-    tokens += estimateTokens(system);
-  } else if (Array.isArray(system)) {
-    system.forEach((item) => {
-      if (item?.type === "text") {
-        if (typeof item.text === "string") {
-          tokens += estimateTokens(item.text);
-        } else if (Array.isArray(item.text)) {
-          item.text.forEach((t) => (tokens += estimateTokens(t)));
-        }
-      }
-    });
-  }
+/**
+ * 计算请求的输入 token 数
+ * @param {Array} [messages]
+ * @param {string|Array} [system]
+ * @param {Array} [tools]
+ * @param {string} [model] - 目标模型（provider,model），决定使用的分词器，不传时按默认分词器计算
+ * @param {Object} [config] - 配置对象，用于读取 Provider 的 tokenizer 字段
+ * @returns {number}
+ */
+const calculateTokenCount = (messages = [], system = [], tools = [], model, config) =>
+  countRequestTokens({ messages, system, tools }, { model, config });
 
-  tools.forEach((tool) => {
-    if (tool?.description)
-      tokens += estimateTokens(tool.name + tool.description);
-    if (tool?.input_schema)
-      tokens += estimateTokens(JSON.stringify(tool.input_schema));
-  });
+/**
+ * 获取 token 数的计数来源，供调用方判断是否为估算值
+ * @param {string} [model] - 目标模型（provider,model）
+ * @param {Object} [config] - 配置对象
+ * @returns {{tokenizer: string, source: string, exact: boolean}} source 为 vocab / bundled / custom / estimate
+ */
+const getTokenCountSource = (model, config) => {
+  const { name, source, exact } = getTokenizer(model, config);
+  return { tokenizer: name, source, exact };
+};
 
-  return Math.round(tokens);
+/**
+ * 确定路由前计算 token 数使用的模型：显式指定了 provider,model 时使用该模型，否则使用 Router.default 的首选模型
+ * @param {Object} body - 请求体
+ * @param {Object} config - 配置对象
+ * @returns {string|undefined}
+ */
+const getTokenizerModel = (body, config) => {
+  if (typeof body?.model === "string" && body.model.includes(",")) return body.model;
+  return toModelCandidates(config?.Router?.default)[0] || body?.model;
 };
 
 /**
@@ -245,39 +223,49 @@ const calculateTokenCount = (messages = [], system = [], tools = []) => {
  * 
  * 模型選擇優先級（從高到低）：
  * 1. 用戶顯式指定模型（格式：provider,model）
- * 2. 長上下文路由（token 數超過閾值）
- * 3. 子代理模型（system 中包含 <CCR-SUBAGENT-MODEL> 標籤）
- * 4. Claude Haiku 背景模型
- * 5. Web 搜尋工具路由（請求包含 web_search 工具）
- * 6. 思考/推理路由（請求包含 thinking 或 reasoning 參數）
- * 7. 預設模型（Router.default）
+ * 2. 聲明式規則（Router.rules，按順序第一條命中的規則，見 utils/routeRules.js）
+ * 3. 長上下文路由（token 數超過閾值）
+ * 4. 子代理模型（system 中包含 <CCR-SUBAGENT-MODEL> 標籤）
+ * 5. Claude Haiku 背景模型
+ * 6. Web 搜尋工具路由（請求包含 web_search 工具）
+ * 7. 思考/推理路由（請求包含 thinking 或 reasoning 參數）
+ * 8. 預設模型（Router.default）
  * 
- * @param {Object} req - 請求對象，包含 body、sessionId 等
+ * @param {Object} req - 請求對象，包含 body、headers、sessionId 等
  * @param {number} tokenCount - 當前請求估算的 token 數量
  * @param {Object} config - 配置對象，包含 Router 和 Providers
  * @param {Object} lastUsage - 上次使用記錄，包含 input_tokens 等資訊
- * @returns {Promise<string>} 選擇的模型字串（格式：provider,model 或 model）
+ * @param {Object} [options] - 試運行時使用的覆蓋項
+ * @param {Object} [options.router] - 使用指定的 Router 配置（不讀取配置文件和項目配置）
+ * @param {string} [options.project] - 指定項目目錄名（不根據 sessionId 查找）
+ * @param {Date|number} [options.now] - 指定當前時間
+ * @returns {Promise<{model: string|string[], source: string, detail?: string, rule?: Object, evaluations?: Array}>}
+ *   model 為選擇的模型字串（格式：provider,model 或 model），Router 配置項為陣列時原樣返回候選列表；
+ *   source 為命中的路由來源（explicit/rule/longContext/subagent/background/webSearch/think/default）
  */
-const selectModel = async (req, tokenCount, config, lastUsage) => {
+const selectModel = async (req, tokenCount, config, lastUsage, options = {}) => {
   const logger = req.logger || console;
   logger?.debug?.(
     `[router] tokenCount=${tokenCount} sessionId=${req.sessionId || "n/a"}`
   );
 
-  // 動態讀取 Router 配置（支持運行時更新，無需重啟）
-  let currentRouter = config.Router;
-  try {
-    const fileConfig = await readConfigFile();
-    if (fileConfig?.Router) {
-      currentRouter = fileConfig.Router;
+  let Router = options.router;
+  if (!Router) {
+    // 動態讀取 Router 配置（支持運行時更新，無需重啟）
+    let currentRouter = config.Router;
+    try {
+      const fileConfig = await readConfigFile();
+      if (fileConfig?.Router) {
+        currentRouter = fileConfig.Router;
+      }
+    } catch (error) {
+      logger?.warn?.("讀取 Router 配置失敗，使用內存中的配置:", error.message);
     }
-  } catch (error) {
-    logger?.warn?.("讀取 Router 配置失敗，使用內存中的配置:", error.message);
-  }
 
-  // 優先使用項目/會話特定的路由配置，否則使用全局配置
-  const projectRouter = await getProjectSpecificRouter(req.sessionId);
-  const Router = projectRouter || currentRouter || {};
+    // 優先使用項目/會話特定的路由配置，否則使用全局配置
+    const projectRouter = await getProjectSpecificRouter(req.sessionId);
+    Router = projectRouter || currentRouter || {};
+  }
 
   // ========== 情況 1：用戶顯式指定模型 ==========
   // 條件：req.body.model 為字串且包含逗號（格式：provider,model）
@@ -295,15 +283,45 @@ const selectModel = async (req, tokenCount, config, lastUsage) => {
       logger?.info?.(
         `[router] 用戶顯式指定模型 -> ${finalProvider.name},${finalModel}`
       );
-      return `${finalProvider.name},${finalModel}`;
+      return { model: `${finalProvider.name},${finalModel}`, source: "explicit" };
     }
     logger?.info?.(
       `[router] 未找到匹配的顯式模型，回退原值: ${req.body.model}`
     );
-    return req.body.model;
+    return { model: req.body.model, source: "explicit", detail: "未找到匹配的 provider/model，使用原值" };
   }
 
-  // ========== 情況 2：長上下文路由 ==========
+  // ========== 情況 2：聲明式規則 ==========
+  // 條件：配置了 Router.rules，且其中一條規則的所有條件都滿足
+  // 行為：返回第一條命中規則的 model
+  // 用途：在配置中描述路由策略（token 數、工具、圖片、system 提示詞、請求頭、項目/會話、時間段），無需編寫自定義路由腳本
+  let evaluations;
+  if (Array.isArray(Router.rules) && Router.rules.length > 0) {
+    const result = await evaluateRules(Router.rules, {
+      body: req.body,
+      headers: req.headers || {},
+      tokenCount,
+      sessionId: req.sessionId,
+      // 只有检查到 projects 条件时才查找项目
+      project: options.project,
+      resolveProject: () => searchProjectBySession(req.sessionId),
+      now: options.now || new Date(),
+    });
+    evaluations = result.evaluations;
+    if (result.rule) {
+      const name = result.evaluations[result.index].name;
+      logger?.info?.(`[router] 命中規則「${name}」`);
+      return {
+        model: result.rule.model,
+        source: "rule",
+        detail: name,
+        rule: { index: result.index, name },
+        evaluations,
+      };
+    }
+  }
+
+  // ========== 情況 3：長上下文路由 ==========
   // 條件：滿足以下任一條件且配置了 Router.longContext
   //   - 當前 token 數 > longContextThreshold（預設 60000）
   //   - 上次使用記錄的 input_tokens > longContextThreshold 且當前 token 數 > 20000
@@ -317,10 +335,10 @@ const selectModel = async (req, tokenCount, config, lastUsage) => {
   const tokenCountThreshold = tokenCount > longContextThreshold;
   if ((lastUsageThreshold || tokenCountThreshold) && Router.longContext) {
     logger?.info?.("[router] 命中長上下文路由");
-    return Router.longContext;
+    return { model: Router.longContext, source: "longContext", detail: `tokenCount=${tokenCount}`, evaluations };
   }
 
-  // ========== 情況 3：子代理模型 ==========
+  // ========== 情況 4：子代理模型 ==========
   // 條件：req.body.system 是陣列，且第二個元素包含 <CCR-SUBAGENT-MODEL> 標籤
   // 行為：從標籤中提取模型名稱，並從 system 中移除該標籤
   // 用途：支持子代理指定特定模型，用於多代理協作場景
@@ -338,11 +356,11 @@ const selectModel = async (req, tokenCount, config, lastUsage) => {
         `<CCR-SUBAGENT-MODEL>${modelMatch[1]}</CCR-SUBAGENT-MODEL>`,
         ""
       );
-      return modelMatch[1];
+      return { model: modelMatch[1], source: "subagent", evaluations };
     }
   }
 
-  // ========== 情況 4：Claude Haiku 背景模型 ==========
+  // ========== 情況 5：Claude Haiku 背景模型 ==========
   // 條件：req.body.model 包含 "claude" 和 "haiku"（不區分大小寫）且配置了 Router.background
   // 行為：返回 Router.background 指定的模型
   // 用途：將 Haiku 請求路由到專門的背景處理模型
@@ -351,10 +369,10 @@ const selectModel = async (req, tokenCount, config, lastUsage) => {
     req.body?.model?.toLowerCase?.().includes("haiku");
   if (isClaudeHaiku && Router.background) {
     logger?.info?.("[router] 發現 haiku 背景模型，使用 background 配置");
-    return Router.background;
+    return { model: Router.background, source: "background", evaluations };
   }
 
-  // ========== 情況 5：Web 搜尋工具路由 ==========
+  // ========== 情況 6：Web 搜尋工具路由 ==========
   // 條件：req.body.tools 是陣列，且包含 type 以 "web_search" 開頭的工具，且配置了 Router.webSearch
   // 行為：返回 Router.webSearch 指定的模型
   // 用途：使用 Web 搜尋功能時，可能需要特定模型來處理搜尋結果
@@ -363,10 +381,10 @@ const selectModel = async (req, tokenCount, config, lastUsage) => {
     req.body.tools.some((tool) => tool?.type?.startsWith?.("web_search"));
   if (hasWebSearchTool && Router.webSearch) {
     logger?.info?.("[router] 請求包含 web_search 工具，使用 webSearch 配置");
-    return Router.webSearch;
+    return { model: Router.webSearch, source: "webSearch", evaluations };
   }
 
-  // ========== 情況 6：思考/推理路由 ==========
+  // ========== 情況 7：思考/推理路由 ==========
   // 條件：req.body.thinking 或 req.body.reasoning 存在且不為 "none"，且配置了 Router.think
   // 行為：返回 Router.think 指定的模型
   // 用途：需要模型進行深度思考或推理時，使用專門的思考模型
@@ -374,18 +392,49 @@ const selectModel = async (req, tokenCount, config, lastUsage) => {
   const hasReasoning = req.body?.reasoning && req.body.reasoning !== "none";
   if ((hasThinking || hasReasoning) && Router.think) {
     logger?.info?.("[router] 請求要求 thinking/reasoning，使用 think 配置");
-    return Router.think;
+    return { model: Router.think, source: "think", evaluations };
   }
 
-  // ========== 情況 7：預設模型 ==========
+  // ========== 情況 8：預設模型 ==========
   // 條件：以上所有情況都不滿足
   // 行為：返回 Router.default 指定的模型
   // 用途：作為所有請求的最終回退選項
-  return Router.default;
+  return { model: Router.default, source: "default", evaluations };
+};
+
+/**
+ * 将 Router 配置项展开为候选模型列表
+ * 配置项可以是单个模型（"provider,model"），也可以是按优先级排列的数组，
+ * 第一个为首选模型，其余依次作为上游失败时的备用模型
+ * @param {string|string[]|undefined} value - Router 配置项或自定义路由的返回值
+ * @returns {string[]} 去重后的候选模型列表
+ */
+const toModelCandidates = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  const candidates = [];
+  list.forEach((item) => {
+    const model = typeof item === "string" ? item.trim() : "";
+    if (model && !candidates.includes(model)) candidates.push(model);
+  });
+  return candidates;
+};
+
+/**
+ * 从 metadata.user_id（格式：..._session_<id>）中提取会话 ID
+ * @param {Object} body - 请求体
+ * @returns {string|undefined}
+ */
+const getSessionId = (body) => {
+  const userId = body?.metadata?.user_id;
+  if (userId && typeof userId === "string" && userId.includes("_session_")) {
+    return userId.split("_session_")[1] || undefined;
+  }
+  return undefined;
 };
 
 /**
- * Core router entry. Mutates req.body.model with the chosen upstream model.
+ * Core router entry. Mutates req.body.model with the chosen upstream model
+ * and stores the remaining candidates on req.fallbackModels.
  * @param {Object} req - Incoming request-like object containing body + metadata
  * @param {Object} config - Configuration object { Router, Providers, CUSTOM_ROUTER_PATH? }
  * @param {Object} opts - { lastUsageCache?: Map, logger?: console }
@@ -397,16 +446,13 @@ const route = async (req, config, opts = {}) => {
   req.logger = logger;
 
   // extract session id from metadata.user_id
-  const userId = req.body?.metadata?.user_id;
-  if (userId && typeof userId === "string" && userId.includes("_session_")) {
-    const parts = userId.split("_session_");
-    if (parts.length > 1) {
-      req.sessionId = parts[1];
-    }
+  const sessionId = getSessionId(req.body);
+  if (sessionId) {
+    req.sessionId = sessionId;
   }
 
   const { messages = [], system = [], tools = [] } = req.body || {};
-  const tokenCount = calculateTokenCount(messages, system, tools);
+  const tokenCount = calculateTokenCount(messages, system, tools, getTokenizerModel(req.body, config), config);
   req.tokenCount = tokenCount;
   logger?.debug?.(`[router] 估算 token 数: ${tokenCount}`);
 
@@ -424,12 +470,60 @@ const route = async (req, config, opts = {}) => {
 
   if (!model) {
     const lastUsage = lastUsageCache?.get?.(req.sessionId);
-    model = await selectModel(req, tokenCount, config, lastUsage);
+    ({ model } = await selectModel(req, tokenCount, config, lastUsage));
   }
 
-  req.body.model = model;
-  logger?.info?.(`[router] 最终选择模型: ${model}`);
-  return model;
+  const [primary, ...fallbacks] = toModelCandidates(model);
+  req.body.model = primary;
+  req.fallbackModels = fallbacks;
+  logger?.info?.(
+    `[router] 最终选择模型: ${primary}` +
+      (fallbacks.length ? `，备用模型: ${fallbacks.join(" -> ")}` : "")
+  );
+  return primary;
+};
+
+/**
+ * 路由试运行：计算示例请求会命中的路由及原因，不修改请求、不执行自定义路由脚本
+ * @param {Object} sample - 示例请求 { body, headers?, sessionId?, project? }
+ * @param {Object} config - 配置对象
+ * @param {Object} [opts] - { router?: 使用指定的 Router 配置, now?: 指定当前时间, lastUsage?: 上次用量 }
+ * @returns {Promise<Object>} { model, fallbacks, source, detail, rule, evaluations, tokenCount, tokenCountSource, sessionId }
+ */
+const explainRoute = async (sample, config, opts = {}) => {
+  const body = structuredClone(sample?.body || {});
+  const headers = Object.fromEntries(
+    Object.entries(sample?.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const req = {
+    body,
+    headers,
+    sessionId: sample?.sessionId || getSessionId(body),
+    logger: { debug() {}, info() {}, warn() {} },
+  };
+  const { messages = [], system = [], tools = [] } = body;
+  const tokenizerModel = getTokenizerModel(body, { ...config, Router: opts.router || config.Router });
+  const tokenCount = calculateTokenCount(messages, system, tools, tokenizerModel, config);
+
+  const decision = await selectModel(req, tokenCount, config, opts.lastUsage, {
+    router: opts.router,
+    project: sample?.project,
+    now: opts.now,
+  });
+  const [model = null, ...fallbacks] = toModelCandidates(decision.model);
+
+  return {
+    model,
+    fallbacks,
+    source: decision.source,
+    detail: decision.detail || null,
+    rule: decision.rule || null,
+    evaluations: decision.evaluations || [],
+    tokenCount,
+    // 计数来源：exact 为 false 时 tokenCount 是按字符比例估算的
+    tokenCountSource: getTokenCountSource(tokenizerModel, config),
+    sessionId: req.sessionId || null,
+  };
 };
 
 function createRouteMiddleware(config, sessionUsageCache, logger) {
@@ -448,5 +542,9 @@ function createRouteMiddleware(config, sessionUsageCache, logger) {
 
 module.exports = {
   calculateTokenCount,
+  getTokenCountSource,
+  searchProjectBySession,
+  toModelCandidates,
+  explainRoute,
   createRouteMiddleware,
 };
@@ -7,7 +7,7 @@
  * 3. 支持 agents 工具调用场景，能够拦截工具调用、执行工具、并将结果返回给模型继续对话
  *
  * 工作流程：
- * - 流式响应（带 agents）：解析 SSE 流 → 检测工具调用 → 执行工具 → 发送新请求 → 转发响应流
+ * - 流式响应（带 agents）：解析 SSE 流 → 提取每轮 usage → 检测工具调用 → 执行工具 → 发送新请求 → 转发响应流
  * - 流式响应（无 agents）：克隆流 → 后台读取提取 usage → 缓存 → 返回原流
  * - 非流式响应：直接提取 usage → 缓存 → 返回原响应
  */
@@ -15,24 +15,33 @@ const { SSEParserTransform } = require("../utils/SSEParser.transform");
 const { SSESerializerTransform } = require("../utils/SSESerializer.transform");
 const { rewriteStream } = require("../utils/rewriteStream");
 const JSON5 = require("json5");
+const { randomUUID } = require("crypto");
 
 // 兼容 Node.js 环境的 fetch
 const fetch =
   globalThis.fetch ||
   ((...args) => import("node-fetch").then(({ default: f }) => f(...args)));
 
+// agents 工具调用后继续对话的内部请求使用全局 APIKEY 认证，
+// 通过该请求头找到发起请求，沿用其访问令牌和费用上下文，使每轮用量计入原调用方
+const CONTINUATION_HEADER = "x-agent-continuation";
+const agentContinuations = new Map();
+
 /**
  * 创建用量缓存中间件
  *
  * @param {Object} sessionUsageCache - 会话用量缓存对象，提供 put(sessionId, usage) 方法
  * @param {Object} config - 配置对象，包含 PORT（端口）和 APIKEY（API 密钥）等
  * @param {Object} agentsManager - Agents 管理器，提供 getAgent(name) 方法获取 agent 实例
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - 提取到 usage 时的回调 (req, usage)，没有会话 ID 的请求也会触发
  * @returns {Object} 包含 preHandler 和 onSend 方法的对象
  */
 function createUsageCacheMiddleware(
   sessionUsageCache,
   config = null,
-  agentsManager = null
+  agentsManager = null,
+  { onUsage } = {}
 ) {
   const preHandler = async (req, _reply) => {
     if (
@@ -79,23 +88,41 @@ function createUsageCacheMiddleware(
       if (useAgents.length) {
         req.agents = useAgents;
       }
+
+      const origin = agentContinuations.get(req.headers[CONTINUATION_HEADER]);
+      if (origin) {
+        req.accessToken = origin.accessToken;
+        req.authIdentity = origin.authIdentity;
+        if (origin.costContext) req.costContext = origin.costContext;
+      }
     }
   };
 
   const onSend = (req, reply, payload, done) => {
     // ========== 条件检查：只处理符合条件的请求 ==========
-    // 1. 必须有会话 ID
+    // 1. 必须有会话 ID（或设置了 onUsage 回调）
     // 2. 必须是 /v1/messages 接口（排除 count_tokens 子接口）
     if (
-      req.sessionId &&
+      (req.sessionId || onUsage) &&
       req.url.startsWith("/v1/messages") &&
       !req.url.startsWith("/v1/messages/count_tokens")
     ) {
+      /**
+       * 缓存会话用量并通知 onUsage
+       * @param {Object} usage
+       */
+      const handleUsage = (usage) => {
+        if (req.sessionId) {
+          sessionUsageCache.put(req.sessionId, usage);
+        }
+        onUsage?.(req, usage);
+      };
+
       // ========== 流式响应处理 ==========
       if (payload instanceof ReadableStream) {
         // ========== 场景 1：处理 agents 工具调用 ==========
         // 当请求包含 agents 且提供了 agentsManager 时，需要拦截工具调用并执行
-        if (req.agents && agentsManager) {
+        if (req.agents && agentsManager && req.sessionId) {
           // 创建中止控制器，用于在流提前关闭时取消操作
           const abortController = new AbortController();
 
@@ -118,6 +145,11 @@ function createUsageCacheMiddleware(
             null,
             rewriteStream(eventStream, async (data, controller) => {
               try {
+                // 每轮上游响应的 usage 都在自己的 message_delta 中（继续对话的轮次由内部请求自行统计）
+                if (data.event === "message_delta" && data.data?.usage) {
+                  handleUsage(data.data.usage);
+                }
+
                 // ========== 阶段 1：检测工具调用开始 ==========
                 // 当收到 content_block_start 事件且包含工具名称时，说明模型开始调用工具
                 if (
@@ -304,12 +336,26 @@ function createUsageCacheMiddleware(
                       headers["Authorization"] = `Bearer ${config.APIKEY}`;
                     }
 
-                    // 发送新的请求到 API，让模型基于工具结果继续生成
-                    const response = await fetch(`http://${host}:${port}/v1/messages`, {
-                      method: "POST",
-                      headers,
-                      body: JSON.stringify(req.body),
+                    // 内部请求的用量计入当前请求的调用方，收到响应时其 preHandler 已执行，可以移除
+                    const continuationId = randomUUID();
+                    agentContinuations.set(continuationId, {
+                      accessToken: req.accessToken,
+                      authIdentity: req.authIdentity,
+                      costContext: req.costContext,
                     });
+                    headers[CONTINUATION_HEADER] = continuationId;
+
+                    // 发送新的请求到 API，让模型基于工具结果继续生成
+                    let response;
+                    try {
+                      response = await fetch(`http://${host}:${port}/v1/messages`, {
+                        method: "POST",
+                        headers,
+                        body: JSON.stringify(req.body),
+                      });
+                    } finally {
+                      agentContinuations.delete(continuationId);
+                    }
 
                     // 如果请求失败，发送 tool:continue_error 事件并返回
                     if (!response.ok) {
@@ -483,7 +529,7 @@ function createUsageCacheMiddleware(
 
                 // 如果包含 usage 信息，则缓存到会话缓存中
                 if (message.usage) {
-                  sessionUsageCache.put(req.sessionId, message.usage);
+                  handleUsage(message.usage);
                 }
               } catch {
                 // 忽略解析错误（可能是数据不完整或其他格式问题）
@@ -513,9 +559,17 @@ function createUsageCacheMiddleware(
       }
 
       // ========== 非流式响应处理 ==========
-      // 对于非流式响应（JSON 对象），直接提取 usage 并缓存
-      if (payload && typeof payload === "object" && payload.usage) {
-        sessionUsageCache.put(req.sessionId, payload.usage);
+      // 对于非流式响应（JSON 对象，或 Fastify 已序列化的 JSON 字符串），直接提取 usage 并缓存
+      let body = payload;
+      if (typeof payload === "string" && payload.includes('"usage"')) {
+        try {
+          body = JSON.parse(payload);
+        } catch {
+          // 不是 JSON 时忽略
+        }
+      }
+      if (body && typeof body === "object" && body.usage) {
+        handleUsage(body.usage);
       }
 
       // 处理错误响应
@@ -551,6 +605,7 @@ module.exports = {
 // 参数拼好后，直接调用对应 agent 的工具函数拿结果。
 // 然后把「模型调用了哪个工具」和「工具返回了啥」塞回消息里，再自己发一个新的 /v1/messages 请求，让模型继续基于工具结果回复。
 // 新的回复流里，跳过开头/结尾控制事件，其余内容再转发给客户端。
+// 每一轮回复的 message_delta 里带的 usage 也会记下来；新请求带着 x-agent-continuation 头，它的用量算在最初调用方的令牌上。
 // 如果是普通流式（没有 agents）：
 // 把流复制成两份。一份原样给客户端；另一份后台读，只关心 message_delta 事件，看到里面带 usage 就存缓存。
 // 如果是非流式 JSON：
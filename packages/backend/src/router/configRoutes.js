@@ -5,6 +5,8 @@ const {
 } = require("../utils/configFile");
 const { getProviderService } = require("../utils");
 const { setProvider } = require("../utils/providerService");
+const { explainRoute } = require("../middleware/routeMiddleware");
+const { RULE_CONDITIONS } = require("../utils/routeRules");
 const {
   CLAUDE_DIR,
   CLAUDE_SETTINGS_PATH,
@@ -56,6 +58,8 @@ function registerConfigRoutes(server) {
             {
               apiKeys: cfgProvider.api_keys,
               limit: cfgProvider.limit,
+              keyStrategy: cfgProvider.key_strategy,
+              keyWeights: cfgProvider.key_weights,
               sort: cfgProvider.sort,
               enabled: cfgProvider.enabled,
               originalTransformer: cfgProvider.transformer,
@@ -115,7 +119,9 @@ function registerConfigRoutes(server) {
 
       // 为没有 sort 值的 provider 分配 sort 值
       let nextSort = maxSort + 1;
+      const localProviders = localConfig.Providers || localConfig.providers || [];
       const configProviders = providers.map((provider) => {
+        const localProvider = localProviders.find((p) => p.name === provider.name);
         let sortValue = provider.sort;
         if (sortValue === undefined || sortValue === null) {
           sortValue = nextSort++;
@@ -130,6 +136,11 @@ function registerConfigRoutes(server) {
           ...(provider.originalTransformer && { transformer: provider.originalTransformer }),
           ...(provider.limit !== undefined && { limit: provider.limit }),
           ...(provider.apiKeys && { api_keys: provider.apiKeys }),
+          ...(provider.keyStrategy && { key_strategy: provider.keyStrategy }),
+          ...(provider.keyWeights && { key_weights: provider.keyWeights }),
+          // 只存在于配置文件中的字段，同步时保留
+          ...(localProvider?.tokenizer && { tokenizer: localProvider.tokenizer }),
+          ...(localProvider?.pricing && { pricing: localProvider.pricing }),
           sort: sortValue,
           ...(provider.enabled !== undefined && { enabled: provider.enabled }),
         };
@@ -162,6 +173,48 @@ function registerConfigRoutes(server) {
     }
   });
 
+  // 路由试运行：返回示例请求会命中的规则/路由及每条规则的判断原因
+  // Body: { request: { body, headers?, sessionId?, project? }, Router?: 未保存的 Router 配置, now?: 时间 }
+  app.post("/api/router/dry-run", async (req, reply) => {
+    try {
+      const { request, Router, now } = req.body || {};
+      if (!request || typeof request.body !== "object" || request.body === null) {
+        return reply.status(400).send({
+          success: false,
+          message: "参数错误，需提供 request.body",
+        });
+      }
+      if (Router !== undefined && (typeof Router !== "object" || Router === null)) {
+        return reply.status(400).send({ success: false, message: "Router 必须是对象" });
+      }
+      const date = now !== undefined ? new Date(now) : new Date();
+      if (Number.isNaN(date.getTime())) {
+        return reply.status(400).send({ success: false, message: "now 不是有效的时间" });
+      }
+
+      const config = (await readConfigFile()) || {};
+      const result = await explainRoute(request, config, {
+        router: Router || config.Router || {},
+        now: date,
+      });
+
+      return {
+        success: true,
+        ...result,
+        // 自定义路由脚本优先于 Router 配置，试运行不会执行它
+        customRouter: config.CUSTOM_ROUTER_PATH || null,
+        conditions: RULE_CONDITIONS,
+      };
+    } catch (error) {
+      console.error("路由试运行失败:", error);
+      reply.status(500).send({
+        success: false,
+        message: "路由试运行失败",
+        error: error.message,
+      });
+    }
+  });
+
   // 更新 Claude settings.json 中的 statusLine 配置
   app.get("/api/statusline/update", async (req, reply) => {
     try {
@@ -0,0 +1,95 @@
+const { readConfigFile } = require("../utils/configFile");
+const { getProviderService } = require("../utils");
+const { keyHealthStore } = require("../utils/keyHealth");
+
+/** 支持的 key 操作 */
+const KEY_ACTIONS = ["disable", "enable", "reset"];
+
+/**
+ * 获取 provider 当前的 key 列表和选择策略，优先使用运行中的 providerService，否则读取配置文件
+ * @param {Object} server - 服务器实例
+ * @param {string} name - provider 名称
+ * @returns {Promise<{keys: string[], strategy: string, weights: number[]}|null>} provider 不存在时返回 null
+ */
+async function getProviderKeys(server, name) {
+  const lowerName = String(name).toLowerCase();
+  const runtimeProvider = getProviderService(server)?.getProvider(name);
+  const configData = (await readConfigFile()) || {};
+  const configProvider = (configData.Providers || configData.providers || []).find(
+    (p) => String(p.name).toLowerCase() === lowerName
+  );
+  if (!runtimeProvider && !configProvider) return null;
+
+  const keys = Array.isArray(runtimeProvider?.apiKeys) && runtimeProvider.apiKeys.length
+    ? runtimeProvider.apiKeys
+    : Array.isArray(configProvider?.api_keys) && configProvider.api_keys.length
+    ? configProvider.api_keys
+    : [configProvider?.api_key || runtimeProvider?.apiKey].filter(Boolean);
+  return {
+    keys: [...new Set(keys)],
+    strategy: runtimeProvider?.keyStrategy || configProvider?.key_strategy || "round_robin",
+    weights: runtimeProvider?.keyWeights || configProvider?.key_weights || [],
+  };
+}
+
+/**
+ * 注册 provider 密钥健康状态相关路由
+ */
+function registerKeyRoutes(server) {
+  const app = server.app;
+
+  // 获取 provider 各 key 的健康状态（key 已掩码）
+  app.get("/api/providers/:name/keys", async (req, reply) => {
+    try {
+      const provider = await getProviderKeys(server, req.params.name);
+      if (!provider) {
+        return reply.status(404).send({ success: false, message: "未找到指定的 provider" });
+      }
+      return {
+        success: true,
+        provider: req.params.name,
+        strategy: provider.strategy,
+        keys: keyHealthStore.list(req.params.name, provider.keys).map((item) => ({
+          ...item,
+          weight: Number.isFinite(Number(provider.weights[item.index])) ? Number(provider.weights[item.index]) : 1,
+        })),
+      };
+    } catch (error) {
+      console.error("获取 key 状态失败:", error);
+      return reply.status(500).send({ success: false, message: "获取 key 状态失败" });
+    }
+  });
+
+  // 手动禁用 / 启用 / 重置 key（:id 为列表接口返回的 key 指纹）
+  app.post("/api/providers/:name/keys/:id/:action", async (req, reply) => {
+    const { name, id, action } = req.params;
+    if (!KEY_ACTIONS.includes(action)) {
+      return reply.status(400).send({
+        success: false,
+        message: `不支持的操作: ${action}，可选 ${KEY_ACTIONS.join(" / ")}`,
+      });
+    }
+
+    try {
+      const { keys } = (await getProviderKeys(server, name)) || {};
+      if (!keys) {
+        return reply.status(404).send({ success: false, message: "未找到指定的 provider" });
+      }
+      const key = keyHealthStore.findKey(keys, id);
+      if (!key) {
+        return reply.status(404).send({ success: false, message: "未找到指定的 key" });
+      }
+
+      keyHealthStore[action](name, key);
+      return {
+        success: true,
+        key: keyHealthStore.list(name, keys).find((item) => item.id === id),
+      };
+    } catch (error) {
+      console.error("更新 key 状态失败:", error);
+      return reply.status(500).send({ success: false, message: "更新 key 状态失败" });
+    }
+  });
+}
+
+module.exports = { registerKeyRoutes };
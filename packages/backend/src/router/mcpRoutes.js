@@ -57,15 +57,29 @@ function registerMcpRoutes(server) {
       const updatedConfig = configService.setConfig(req.body || {});
       await mcpService.disconnectAllUpstreams();
       await mcpService.initUpstreamServers();
+      // 全局 toolNaming 可能已修改，已有会话需要重新获取工具名称
+      mcpService.notifyHubToolsChanged();
       return { success: true, config: updatedConfig };
     } catch (error) {
       reply.code(400).send({ error: error.message });
     }
   });
 
-  // API：获取所有服务器
+  // API：获取所有服务器（附带运行时字段，不写入配置文件）
+  // status 为连接状态，toolCollisions 为聚合 hub 中与其它服务器重名的工具
   app.get("/api/mcp/servers", async (_req, _reply) => {
-    return configService.getAllServers();
+    const servers = configService.getAllServers();
+    const collisions = mcpService.getToolCollisions();
+    return Object.fromEntries(
+      Object.entries(servers).map(([name, config]) => [
+        name,
+        {
+          ...config,
+          status: mcpService.getServerStatus(name),
+          toolCollisions: collisions.get(name) || [],
+        },
+      ])
+    );
   });
 
   // API：获取单个服务器
@@ -122,6 +136,7 @@ function registerMcpRoutes(server) {
 
       try {
         // 确保先断开再重连，涵盖从关闭到开启的情况
+        // 断开和重连都会通知 hub 工具列表已变化，命名规则、前缀和别名的修改随之生效
         await mcpService.disconnectUpstream(name);
         await mcpService.connectToUpstream(name, updatedConfig);
         return { success: true, config: configService.getServer(name) };
@@ -156,6 +171,38 @@ function registerMcpRoutes(server) {
     }
   });
 
+  // API：获取所有虚拟分组（附带 publishedTools：分组端点 /mcp/:name 当前发布的工具名称）
+  app.get("/api/mcp/groups", async (_req, _reply) => {
+    const groups = configService.getAllGroups();
+    return Object.fromEntries(
+      Object.entries(groups).map(([name, group]) => {
+        const { tools, collisions } = mcpService.buildToolIndex(name);
+        return [name, { ...group, publishedTools: Array.from(tools.keys()), collisions }];
+      })
+    );
+  });
+
+  // API：创建或更新虚拟分组（不需要重连，已连接 /mcp/:name 的会话会收到工具列表变更通知）
+  app.put("/api/mcp/groups/:name", async (req, reply) => {
+    try {
+      const group = configService.setGroup(req.params.name, req.body?.config);
+      mcpService.notifyHubToolsChanged(req.params.name);
+      return { success: true, config: group };
+    } catch (error) {
+      reply.code(400).send({ error: error.message });
+    }
+  });
+
+  // API：删除虚拟分组
+  app.delete("/api/mcp/groups/:name", async (req, reply) => {
+    if (!configService.deleteGroup(req.params.name)) {
+      reply.code(404).send({ error: "分组未找到" });
+      return;
+    }
+    mcpService.notifyHubToolsChanged(req.params.name);
+    return { success: true };
+  });
+
   // API：获取指定服务器的工具列表（直接获取，不通过 SSE）
   app.get("/api/mcp/servers/:name/tools", async (req, reply) => {
     try {
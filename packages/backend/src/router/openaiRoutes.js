@@ -0,0 +1,38 @@
+const { readConfigFile } = require("../utils/configFile");
+const { getProviderService } = require("../utils");
+const { accessTokenStore } = require("../utils/accessTokens");
+
+/**
+ * 注册 OpenAI 兼容的模型列表路由（/v1/chat/completions 见 openaiCompatMiddleware）
+ */
+function registerOpenAIRoutes(server) {
+  const app = server.app;
+
+  // 列出可用模型，id 为 provider,model，可直接作为 /v1/chat/completions 或 /v1/messages 的 model
+  // 跳过已禁用的 provider；使用访问令牌时只列出令牌允许的模型
+  app.get("/v1/models", async (req, reply) => {
+    try {
+      const configData = (await readConfigFile()) || {};
+      const configProviders = configData.Providers || configData.providers || [];
+      const runtimeProviders = getProviderService(server)?.getProviders() || [];
+      const providers = runtimeProviders.length ? runtimeProviders : configProviders;
+
+      const data = [];
+      for (const provider of providers) {
+        const configProvider = configProviders.find((p) => p.name === provider.name);
+        if ((provider.enabled ?? configProvider?.enabled) === false) continue;
+        for (const model of provider.models || []) {
+          const id = `${provider.name},${model}`;
+          if (req.accessToken && !accessTokenStore.allowsModel(req.accessToken, id)) continue;
+          data.push({ id, object: "model", created: 0, owned_by: provider.name });
+        }
+      }
+      return { object: "list", data };
+    } catch (error) {
+      console.error("获取模型列表失败:", error);
+      return reply.status(500).send({ error: { message: "获取模型列表失败", type: "api_error", code: null } });
+    }
+  });
+}
+
+module.exports = { registerOpenAIRoutes };
@@ -0,0 +1,34 @@
+const { readConfigFile } = require("../utils/configFile");
+const { responseCache } = require("../utils/responseCache");
+
+/**
+ * 注册响应缓存管理路由
+ */
+function registerResponseCacheRoutes(server) {
+  const app = server.app;
+
+  // 查看缓存配置、命中统计和条目列表（不含响应内容）
+  app.get("/api/response-cache", async () => {
+    const config = (await readConfigFile()) || {};
+    return {
+      success: true,
+      enabled: config.ResponseCache?.enabled === true,
+      ...responseCache.describe(),
+    };
+  });
+
+  // 清空缓存
+  app.delete("/api/response-cache", async () => {
+    return { success: true, cleared: responseCache.clear() };
+  });
+
+  // 删除单个缓存条目
+  app.delete("/api/response-cache/:key", async (req, reply) => {
+    if (!responseCache.delete(req.params.key)) {
+      return reply.status(404).send({ success: false, message: "未找到指定的缓存条目" });
+    }
+    return { success: true };
+  });
+}
+
+module.exports = { registerResponseCacheRoutes };
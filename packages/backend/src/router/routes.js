@@ -1,6 +1,12 @@
 const fastifyStatic = require("@fastify/static");
-const { calculateTokenCount } = require("../middleware/routeMiddleware");
+const { calculateTokenCount, getTokenCountSource, explainRoute } = require("../middleware/routeMiddleware");
+const { readConfigFile } = require("../utils/configFile");
 const { registerConfigRoutes } = require("./configRoutes");
+const { registerKeyRoutes } = require("./keyRoutes");
+const { registerTokenRoutes } = require("./tokenRoutes");
+const { registerUsageRoutes } = require("./usageRoutes");
+const { registerResponseCacheRoutes } = require("./responseCacheRoutes");
+const { registerOpenAIRoutes } = require("./openaiRoutes");
 const { registerUpdateRoutes } = require("./updateRoutes");
 const { registerLogRoutes } = require("./logRoutes");
 const { registerClipboardWatchRoutes } = require("./clipboardWatch");
@@ -17,13 +23,31 @@ function registerApiRoutes(server) {
   const app = server.app;
 
   // 兼容 Claude 的 token 计数接口
-  app.post("/v1/messages/count_tokens", async (req) => {
+  // Claude CLI 根据返回值决定何时自动压缩上下文，因此按路由后实际使用的模型选择分词器
+  // 响应头 x-token-count-source / x-token-count-exact 标明计数来源，没有词表时为估算值
+  app.post("/v1/messages/count_tokens", async (req, reply) => {
     const { messages = [], tools = [], system = [] } = req.body || {};
-    const tokenCount = calculateTokenCount(messages, system, tools);
+    const config = (await readConfigFile()) || {};
+    let model = req.body?.model;
+    try {
+      ({ model } = await explainRoute({ body: req.body, headers: req.headers }, config));
+    } catch (error) {
+      req.log?.warn?.(`[count_tokens] 无法确定目标模型，使用请求中的模型: ${error.message}`);
+    }
+    const targetModel = model || req.body?.model;
+    const tokenCount = calculateTokenCount(messages, system, tools, targetModel, config);
+    const { source, exact } = getTokenCountSource(targetModel, config);
+    reply.header("x-token-count-source", source);
+    reply.header("x-token-count-exact", String(exact));
     return { input_tokens: tokenCount };
   });
 
   registerConfigRoutes(server);
+  registerKeyRoutes(server);
+  registerTokenRoutes(server);
+  registerUsageRoutes(server);
+  registerResponseCacheRoutes(server);
+  registerOpenAIRoutes(server);
   registerUpdateRoutes(server);
   registerLogRoutes(server);
   registerClipboardWatchRoutes(server.app);
@@ -0,0 +1,83 @@
+const { accessTokenStore } = require("../utils/accessTokens");
+
+/**
+ * 校验并整理创建令牌的请求体
+ * @param {Object} body
+ * @returns {{options?: Object, error?: string}}
+ */
+function parseTokenOptions(body = {}) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "name 不能为空" };
+
+  const lists = {};
+  for (const field of ["models", "providers"]) {
+    const value = body[field] ?? [];
+    if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+      return { error: `${field} 必须是字符串数组` };
+    }
+    lists[field] = value.map((item) => item.trim());
+  }
+
+  const limits = {};
+  for (const field of ["rpm", "tokensPerDay"]) {
+    const value = Number(body[field] ?? 0);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} 必须是非负数，0 表示不限制` };
+    }
+    limits[field] = Math.floor(value);
+  }
+
+  let expiresAt = null;
+  if (body.expiresAt) {
+    const time = new Date(body.expiresAt).getTime();
+    if (Number.isNaN(time)) return { error: "expiresAt 不是有效的时间" };
+    expiresAt = new Date(time).toISOString();
+  } else if (body.expiresInDays) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) return { error: "expiresInDays 必须是正数" };
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  return { options: { name, ...lists, ...limits, expiresAt } };
+}
+
+/**
+ * 注册访问令牌管理路由
+ */
+function registerTokenRoutes(server) {
+  const app = server.app;
+
+  // 获取所有访问令牌（不含令牌明文）
+  app.get("/api/tokens", async () => {
+    return { success: true, tokens: accessTokenStore.list() };
+  });
+
+  // 创建访问令牌，令牌明文只在此接口返回一次
+  app.post("/api/tokens", async (req, reply) => {
+    const { options, error } = parseTokenOptions(req.body || {});
+    if (error) {
+      return reply.status(400).send({ success: false, message: error });
+    }
+
+    try {
+      const { token, record } = accessTokenStore.create(options);
+      await accessTokenStore.save();
+      return { success: true, token, record };
+    } catch (error) {
+      console.error("创建访问令牌失败:", error);
+      return reply.status(500).send({ success: false, message: "创建访问令牌失败" });
+    }
+  });
+
+  // 吊销访问令牌（保留记录和用量）
+  app.delete("/api/tokens/:id", async (req, reply) => {
+    const record = accessTokenStore.revoke(req.params.id);
+    if (!record) {
+      return reply.status(404).send({ success: false, message: "未找到指定的令牌" });
+    }
+    await accessTokenStore.save().catch((error) => console.error("保存访问令牌失败:", error.message));
+    return { success: true, record };
+  });
+}
+
+module.exports = { registerTokenRoutes };
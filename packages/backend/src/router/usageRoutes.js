@@ -0,0 +1,42 @@
+const { readConfigFile } = require("../utils/configFile");
+const { usageLedger } = require("../utils/usageLedger");
+const { normalizeBudgets, getBudgetStatus } = require("../utils/budgets");
+
+/**
+ * 注册用量与费用统计路由
+ */
+function registerUsageRoutes(server) {
+  const app = server.app;
+
+  // 按日期 / 模型 / provider / 会话 / 对话 / 项目 / 令牌汇总用量和费用
+  // 查询参数：from、to（YYYY-MM-DD），groupBy，以及 provider / model / sessionId / conversationId / project / token 过滤条件
+  app.get("/api/usage/summary", async (req, reply) => {
+    const { from, to, groupBy, provider, model, sessionId, conversationId, project, token } = req.query || {};
+    try {
+      return {
+        success: true,
+        ...usageLedger.summarize({
+          from,
+          to,
+          groupBy,
+          filter: { provider, model, sessionId, conversationId, project, token },
+        }),
+      };
+    } catch (error) {
+      return reply.status(400).send({ success: false, message: error.message });
+    }
+  });
+
+  // 获取各预算当天 / 当月的花费情况
+  app.get("/api/usage/budgets", async (_req, reply) => {
+    try {
+      const config = (await readConfigFile()) || {};
+      return { success: true, budgets: getBudgetStatus(normalizeBudgets(config), usageLedger) };
+    } catch (error) {
+      console.error("获取预算状态失败:", error);
+      return reply.status(500).send({ success: false, message: "获取预算状态失败" });
+    }
+  });
+}
+
+module.exports = { registerUsageRoutes };
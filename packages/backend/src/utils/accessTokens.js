@@ -0,0 +1,256 @@
+/**
+ * 访问令牌
+ *
+ * 在全局 APIKEY 之外为每个使用者签发独立的令牌，每个令牌可以配置：
+ * - models / providers：允许使用的模型（匹配 "provider,model" 或模型名）和 provider，支持 * 通配，为空表示不限制
+ * - rpm：每分钟请求数上限
+ * - tokensPerDay：每天 token 用量上限（输入 + 输出 + 缓存读写，按本地日期统计）
+ * - expiresAt：过期时间
+ *
+ * 令牌只在创建时返回一次，文件中只保存 sha256 哈希；每日用量随令牌一起持久化到 ACCESS_TOKENS_FILE
+ */
+
+const crypto = require("crypto");
+const { ACCESS_TOKENS_FILE } = require("../config/constants");
+const { matchWildcard } = require("./routeRules");
+const { toDay } = require("./usageLedger");
+const { JsonFileStore } = require("./jsonFileStore");
+
+/** 每个令牌保留的每日用量天数 */
+const USAGE_RETENTION_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * 距离本地次日零点的秒数
+ * @returns {number}
+ */
+const secondsUntilTomorrow = () => {
+  const now = new Date();
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return Math.max(1, Math.ceil((tomorrow - now) / 1000));
+};
+
+/**
+ * 统计 usage 中的 token 总数
+ * @param {Object} usage - Anthropic 格式的 usage
+ * @returns {number}
+ */
+const totalTokens = (usage = {}) =>
+  ["input_tokens", "output_tokens", "cache_creation_input_tokens", "cache_read_input_tokens"].reduce(
+    (sum, field) => sum + (Number(usage[field]) || 0),
+    0
+  );
+
+class AccessTokenStore extends JsonFileStore {
+  /**
+   * @param {string|null} file - 持久化文件路径，为 null 时只保存在内存中
+   */
+  constructor(file = ACCESS_TOKENS_FILE) {
+    super(file, "访问令牌");
+    this.requestTimes = new Map(); // id -> 最近一分钟的请求时间（不持久化）
+  }
+
+  /** @returns {Map<string, Object>} id -> 令牌记录 */
+  restore(json) {
+    return new Map((json?.tokens || []).map((record) => [record.id, { usage: {}, ...record }]));
+  }
+
+  serialize(tokens) {
+    return { tokens: [...tokens.values()] };
+  }
+
+  /**
+   * 去掉哈希后的令牌信息
+   * @param {Object} record
+   * @returns {Object}
+   */
+  toPublic(record) {
+    const { hash, usage, ...rest } = record;
+    const today = usage?.[toDay()] || { requests: 0, tokens: 0 };
+    return {
+      ...rest,
+      status: record.revokedAt ? "revoked" : this.isExpired(record) ? "expired" : "active",
+      today,
+      usage,
+    };
+  }
+
+  isExpired(record) {
+    return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * 创建令牌
+   * @param {Object} options
+   * @param {string} options.name - 名称（如使用者或脚本名）
+   * @param {string[]} [options.models] - 允许的模型
+   * @param {string[]} [options.providers] - 允许的 provider
+   * @param {number} [options.rpm] - 每分钟请求数上限，0 表示不限制
+   * @param {number} [options.tokensPerDay] - 每天 token 上限，0 表示不限制
+   * @param {string|null} [options.expiresAt] - 过期时间（ISO 字符串）
+   * @returns {{token: string, record: Object}} token 为明文令牌，只在此时返回
+   */
+  create({ name, models = [], providers = [], rpm = 0, tokensPerDay = 0, expiresAt = null }) {
+    const token = `nm-${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: `tok_${crypto.randomBytes(6).toString("hex")}`,
+      name,
+      prefix: token.slice(0, 10),
+      hash: hashToken(token),
+      models,
+      providers,
+      rpm,
+      tokensPerDay,
+      expiresAt,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+      usage: {},
+    };
+    this.load().set(record.id, record);
+    this.scheduleSave();
+    return { token, record: this.toPublic(record) };
+  }
+
+  /** @returns {Object[]} 所有令牌（不含哈希） */
+  list() {
+    return [...this.load().values()].map((record) => this.toPublic(record));
+  }
+
+  /**
+   * 吊销令牌
+   * @param {string} id
+   * @returns {Object|null} 不存在时返回 null
+   */
+  revoke(id) {
+    const record = this.load().get(id);
+    if (!record) return null;
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    this.requestTimes.delete(id);
+    this.scheduleSave();
+    return this.toPublic(record);
+  }
+
+  /**
+   * 根据明文令牌查找记录
+   * @param {string} token
+   * @returns {Object|null}
+   */
+  find(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    for (const record of this.load().values()) {
+      if (record.hash === hash) return record;
+    }
+    return null;
+  }
+
+  /**
+   * 检查令牌是否仍然有效（未吊销、未过期）
+   * @param {Object} record
+   * @returns {{ok: true}|{ok: false, status: number, type: string, message: string}}
+   */
+  validate(record) {
+    if (record.revokedAt) {
+      return { ok: false, status: 401, type: "authentication_error", message: `令牌 ${record.name} 已被吊销` };
+    }
+    if (this.isExpired(record)) {
+      return { ok: false, status: 401, type: "authentication_error", message: `令牌 ${record.name} 已过期` };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * 检查令牌是否可以发起新的请求，可以时计入本分钟的请求数
+   * @param {Object} record
+   * @returns {{ok: true}|{ok: false, status: number, type: string, message: string, retryAfter?: number}}
+   */
+  admit(record) {
+    const valid = this.validate(record);
+    if (!valid.ok) return valid;
+
+    const used = record.usage?.[toDay()]?.tokens || 0;
+    if (record.tokensPerDay > 0 && used >= record.tokensPerDay) {
+      return {
+        ok: false,
+        status: 429,
+        type: "rate_limit_error",
+        message: `令牌 ${record.name} 今日已使用 ${used} tokens，超过每日上限 ${record.tokensPerDay}`,
+        retryAfter: secondsUntilTomorrow(),
+      };
+    }
+
+    const now = Date.now();
+    const times = (this.requestTimes.get(record.id) || []).filter((time) => now - time < 60_000);
+    if (record.rpm > 0 && times.length >= record.rpm) {
+      this.requestTimes.set(record.id, times);
+      return {
+        ok: false,
+        status: 429,
+        type: "rate_limit_error",
+        message: `令牌 ${record.name} 超过每分钟 ${record.rpm} 次请求的限制`,
+        retryAfter: Math.max(1, Math.ceil((times[0] + 60_000 - now) / 1000)),
+      };
+    }
+    times.push(now);
+    this.requestTimes.set(record.id, times);
+
+    const today = this.dayUsage(record);
+    today.requests += 1;
+    record.lastUsedAt = new Date(now).toISOString();
+    this.scheduleSave();
+    return { ok: true };
+  }
+
+  /**
+   * 检查令牌是否允许使用指定模型
+   * @param {Object} record
+   * @param {string} model - 路由后的模型（provider,model）
+   * @returns {boolean}
+   */
+  allowsModel(record, model = "") {
+    const [provider, ...rest] = String(model).split(",");
+    const modelName = rest.join(",");
+    const models = Array.isArray(record.models) ? record.models : [];
+    const providers = Array.isArray(record.providers) ? record.providers : [];
+    if (providers.length && !providers.some((pattern) => matchWildcard(pattern, provider))) return false;
+    if (models.length && !models.some((pattern) => matchWildcard(pattern, model) || matchWildcard(pattern, modelName))) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 当天的用量记录（同时清理过期的记录）
+   * @param {Object} record
+   * @returns {{requests: number, tokens: number}}
+   */
+  dayUsage(record) {
+    record.usage = record.usage || {};
+    const day = toDay();
+    if (!record.usage[day]) {
+      record.usage[day] = { requests: 0, tokens: 0 };
+      const days = Object.keys(record.usage).sort();
+      days.slice(0, Math.max(0, days.length - USAGE_RETENTION_DAYS)).forEach((old) => delete record.usage[old]);
+    }
+    return record.usage[day];
+  }
+
+  /**
+   * 记录令牌的 token 用量
+   * @param {string} id
+   * @param {Object} usage - Anthropic 格式的 usage
+   */
+  recordUsage(id, usage) {
+    const record = this.load().get(id);
+    if (!record) return;
+    this.dayUsage(record).tokens += totalTokens(usage);
+    this.scheduleSave();
+  }
+}
+
+module.exports = {
+  AccessTokenStore,
+  accessTokenStore: new AccessTokenStore(),
+};
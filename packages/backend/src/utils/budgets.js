@@ -0,0 +1,115 @@
+/**
+ * 花费预算
+ *
+ * 配置项 Budgets 为预算列表，每项：
+ *   { name?, scope, match?, period, soft?, hard? }
+ * - scope：统计维度，global / provider / model / session / conversation / project / token
+ * - 预算对维度的每个取值分别生效（如 scope 为 session 时每个会话各自计算），match 限定生效的取值，支持 * 通配
+ * - period：day（当天）/ month（当月）
+ * - soft：达到后继续放行，但在响应头 x-budget-warning 中提示并记录警告日志；hard：达到后拒绝请求（美元）
+ */
+
+const { matchWildcard } = require("./routeRules");
+const { LEDGER_DIMENSIONS } = require("./usageLedger");
+
+const BUDGET_PERIODS = ["day", "month"];
+
+/**
+ * 读取并校验配置中的预算，无效项会被忽略
+ * @param {Object} config - 配置对象
+ * @returns {Object[]}
+ */
+function normalizeBudgets(config) {
+  const budgets = Array.isArray(config?.Budgets) ? config.Budgets : [];
+  return budgets
+    .filter((budget) => {
+      const valid =
+        budget &&
+        LEDGER_DIMENSIONS.includes(budget.scope) &&
+        BUDGET_PERIODS.includes(budget.period || "day") &&
+        (Number(budget.soft) > 0 || Number(budget.hard) > 0);
+      if (!valid) console.warn("忽略无效的预算配置:", JSON.stringify(budget));
+      return valid;
+    })
+    .map((budget) => ({
+      name: budget.name || `${budget.scope}${budget.match ? `:${budget.match}` : ""}/${budget.period || "day"}`,
+      scope: budget.scope,
+      match: budget.match || null,
+      period: budget.period || "day",
+      soft: Number(budget.soft) > 0 ? Number(budget.soft) : null,
+      hard: Number(budget.hard) > 0 ? Number(budget.hard) : null,
+    }));
+}
+
+/**
+ * 预算是否对维度取值生效
+ * @param {Object} budget
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+function budgetApplies(budget, value) {
+  if (!value) return false;
+  if (!budget.match) return true;
+  if (matchWildcard(budget.match, value)) return true;
+  // model 维度的取值为 "provider,model"，也允许只写模型名
+  return budget.scope === "model" && matchWildcard(budget.match, value.split(",").slice(1).join(","));
+}
+
+/**
+ * 花费对应的预算状态
+ * @param {Object} budget
+ * @param {number} spent
+ * @returns {"ok"|"warning"|"exceeded"}
+ */
+function budgetState(budget, spent) {
+  if (budget.hard && spent >= budget.hard) return "exceeded";
+  if (budget.soft && spent >= budget.soft) return "warning";
+  return "ok";
+}
+
+/**
+ * 检查请求涉及的预算
+ * @param {Object[]} budgets - normalizeBudgets 的返回值
+ * @param {Object} values - 请求在各维度上的取值（global/provider/model/session/conversation/project/token）
+ * @param {Object} ledger - 用量账本
+ * @returns {{exceeded: Object[], warnings: Object[]}} 每项为 { budget, value, spent }
+ */
+function checkBudgets(budgets, values, ledger) {
+  const result = { exceeded: [], warnings: [] };
+  for (const budget of budgets) {
+    const value = values[budget.scope];
+    if (!budgetApplies(budget, value)) continue;
+    const spent = ledger.getSpend(budget.period, budget.scope, value);
+    const state = budgetState(budget, spent);
+    if (state === "exceeded") result.exceeded.push({ budget, value, spent });
+    else if (state === "warning") result.warnings.push({ budget, value, spent });
+  }
+  return result;
+}
+
+/**
+ * 各预算当前的花费情况
+ * @param {Object[]} budgets - normalizeBudgets 的返回值
+ * @param {Object} ledger - 用量账本
+ * @returns {Object[]} 每个预算附带 entries: [{ value, spent, status }]（按花费降序）
+ */
+function getBudgetStatus(budgets, ledger) {
+  return budgets.map((budget) => {
+    const spends = ledger.getSpendByDimension(budget.period, budget.scope);
+    if (budget.scope === "global" && spends.length === 0) spends.push({ value: "*", cost: 0 });
+    return {
+      ...budget,
+      entries: spends
+        .filter(({ value }) => budgetApplies(budget, value))
+        .map(({ value, cost }) => ({ value, spent: cost, status: budgetState(budget, cost) }))
+        .sort((a, b) => b.spent - a.spent),
+    };
+  });
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  normalizeBudgets,
+  checkBudgets,
+  getBudgetStatus,
+};
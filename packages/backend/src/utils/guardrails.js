@@ -0,0 +1,327 @@
+/**
+ * 请求 / 响应安全规则（guardrails）
+ *
+ * 配置项 Guardrails：
+ *   {
+ *     enabled,
+ *     builtin: { api_key, private_key, env_file, high_entropy },  // 内置检测的动作，off 表示关闭
+ *     entropy: { minLength, threshold },                          // high_entropy 的最小长度和香农熵阈值（bit/字符）
+ *     rules: [{ name, pattern, flags?, target?, action?, replacement? }],
+ *   }
+ * - 内置检测只检查请求；自定义规则的 target 为 request（默认）/ response / both
+ * - action：redact 替换为 replacement（默认 [REDACTED:<name>]，可使用 $1 等分组），
+ *   block 拒绝请求或中断响应（同样会替换内容），warn 只记录
+ */
+
+const GUARDRAIL_ACTIONS = ["redact", "block", "warn"];
+const GUARDRAIL_TARGETS = ["request", "response", "both"];
+
+const DEFAULT_ENTROPY = { minLength: 32, threshold: 4.5 };
+
+/** 内置检测（按顺序执行，私钥先于其它规则替换，避免私钥内容再被高熵规则重复命中） */
+const BUILTIN_RULES = [
+  {
+    name: "private_key",
+    action: "redact",
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY-----/g,
+  },
+  {
+    name: "api_key",
+    action: "redact",
+    pattern: new RegExp(
+      [
+        "\\bsk-(?:ant-)?[A-Za-z0-9_-]{20,}",
+        "\\bAKIA[0-9A-Z]{16}\\b",
+        "\\bgh[pousr]_[A-Za-z0-9]{36,}",
+        "\\bgithub_pat_[A-Za-z0-9_]{22,}",
+        "\\bglpat-[A-Za-z0-9_-]{20,}",
+        "\\bxox[abprs]-[A-Za-z0-9-]{10,}",
+        "\\bAIza[0-9A-Za-z_-]{35}",
+        "\\bnm-[A-Za-z0-9_-]{32,}",
+      ].join("|"),
+      "g"
+    ),
+  },
+  {
+    // .env 风格的敏感变量（变量名大写），只替换值，保留变量名
+    name: "env_file",
+    action: "redact",
+    pattern:
+      /^(\s*(?:export\s+)?[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|ACCESS_KEY|CREDENTIALS?)[A-Z0-9_]*\s*=\s*)(?!\[REDACTED)\S.*$/gm,
+    replacement: "$1[REDACTED:env_file]",
+  },
+  {
+    name: "high_entropy",
+    action: "warn",
+    pattern: /[A-Za-z0-9+/_=-]{20,}/g,
+    entropy: true,
+  },
+];
+
+/**
+ * 字符串的香农熵（bit/字符）
+ * @param {string} value
+ * @returns {number}
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * 是否为疑似密钥的高熵字符串（需同时包含字母和数字）
+ * @param {string} value
+ * @param {{minLength: number, threshold: number}} options
+ * @returns {boolean}
+ */
+const isHighEntropy = (value, { minLength, threshold }) =>
+  value.length >= minLength && /[A-Za-z]/.test(value) && /\d/.test(value) && shannonEntropy(value) >= threshold;
+
+/**
+ * 读取并校验配置中的安全规则，无效的自定义规则会被忽略
+ * @param {Object} config - 配置对象
+ * @returns {{enabled: boolean, request: Object[], response: Object[]}}
+ */
+function normalizeGuardrails(config) {
+  const options = config?.Guardrails || {};
+  const builtin = options.builtin || {};
+  const entropy = {
+    minLength: Number(options.entropy?.minLength) > 0 ? Number(options.entropy.minLength) : DEFAULT_ENTROPY.minLength,
+    threshold: Number(options.entropy?.threshold) > 0 ? Number(options.entropy.threshold) : DEFAULT_ENTROPY.threshold,
+  };
+
+  const request = [];
+  const response = [];
+  for (const rule of BUILTIN_RULES) {
+    const action = builtin[rule.name] ?? rule.action;
+    if (action === "off" || action === false) continue;
+    if (!GUARDRAIL_ACTIONS.includes(action)) {
+      console.warn(`忽略无效的内置安全规则动作: ${rule.name}=${action}`);
+      continue;
+    }
+    request.push({
+      name: rule.name,
+      action,
+      regex: rule.pattern,
+      replacement: rule.replacement || `[REDACTED:${rule.name}]`,
+      entropy: rule.entropy ? entropy : null,
+    });
+  }
+
+  for (const rule of Array.isArray(options.rules) ? options.rules : []) {
+    const target = rule?.target || "request";
+    const action = rule?.action || "block";
+    let regex = null;
+    try {
+      regex = new RegExp(rule.pattern, `${String(rule.flags || "").replace(/g/g, "")}g`);
+    } catch {
+      // 在下面统一提示
+    }
+    if (!rule?.name || typeof rule.pattern !== "string" || !regex || !GUARDRAIL_TARGETS.includes(target) || !GUARDRAIL_ACTIONS.includes(action)) {
+      console.warn("忽略无效的安全规则配置:", JSON.stringify(rule));
+      continue;
+    }
+    const normalized = {
+      name: rule.name,
+      action,
+      regex,
+      replacement: typeof rule.replacement === "string" ? rule.replacement : `[REDACTED:${rule.name}]`,
+      entropy: null,
+    };
+    if (target !== "response") request.push(normalized);
+    if (target !== "request") response.push(normalized);
+  }
+
+  return { enabled: options.enabled === true, request, response };
+}
+
+/**
+ * 按规则检查一段文本
+ * @param {string} text
+ * @param {Object[]} rules - normalizeGuardrails 返回的规则
+ * @param {Map} hits - 命中统计，规则名 -> { rule, action, count }
+ * @returns {string} redact 之后的文本
+ */
+function scanText(text, rules, hits) {
+  let result = text;
+  for (const rule of rules) {
+    let count = 0;
+    result = result.replace(rule.regex, (...args) => {
+      const match = args[0];
+      if (rule.entropy && !isHighEntropy(match, rule.entropy)) return match;
+      count += 1;
+      // block 的内容同样替换，被拦截的请求记录到日志时不会保存原文
+      if (rule.action === "warn") return match;
+      return rule.replacement.replace(/\$(\d)/g, (_, index) => {
+        const group = args[Number(index)];
+        return typeof group === "string" ? group : "";
+      });
+    });
+    if (count > 0) {
+      const hit = hits.get(rule.name) || { rule: rule.name, action: rule.action, count: 0 };
+      hit.count += count;
+      hits.set(rule.name, hit);
+    }
+  }
+  return result;
+}
+
+/**
+ * 检查对象中所有字符串（tool_use 的 input）
+ * @param {*} value
+ * @param {Object[]} rules
+ * @param {Map} hits
+ * @returns {*}
+ */
+function scanValue(value, rules, hits) {
+  if (typeof value === "string") return scanText(value, rules, hits);
+  if (Array.isArray(value)) return value.map((item) => scanValue(item, rules, hits));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scanValue(item, rules, hits)]));
+  }
+  return value;
+}
+
+/**
+ * 检查消息内容（字符串或内容块数组），就地替换
+ * thinking 块带有签名，修改后上游会拒绝，不检查；图片等二进制内容也不检查
+ * @param {string|Array} content
+ * @param {Object[]} rules
+ * @param {Map} hits
+ * @returns {string|Array}
+ */
+function scanContent(content, rules, hits) {
+  if (typeof content === "string") return scanText(content, rules, hits);
+  if (!Array.isArray(content)) return content;
+  for (const block of content) {
+    if (block?.type === "text" && typeof block.text === "string") {
+      block.text = scanText(block.text, rules, hits);
+    } else if (block?.type === "tool_use" && block.input) {
+      block.input = scanValue(block.input, rules, hits);
+    } else if (block?.type === "tool_result") {
+      block.content = scanContent(block.content, rules, hits);
+    } else if (block?.type === "document" && block.source?.type === "text") {
+      block.source.data = scanText(block.source.data || "", rules, hits);
+    }
+  }
+  return content;
+}
+
+/**
+ * 整理命中统计
+ * @param {Map} hits
+ * @param {string} target - request / response
+ * @returns {{hits: Object[], blocked: Object|null}}
+ */
+function collectHits(hits, target) {
+  const timestamp = new Date().toISOString();
+  const list = [...hits.values()].map((hit) => ({ ...hit, target, timestamp }));
+  return { hits: list, blocked: list.find((hit) => hit.action === "block") || null };
+}
+
+/**
+ * 检查请求体（system 和 messages），redact 的内容直接替换到请求体中
+ * @param {Object} body - Anthropic 格式请求体
+ * @param {Object[]} rules
+ * @returns {{hits: Object[], blocked: Object|null}}
+ */
+function guardRequest(body, rules) {
+  const hits = new Map();
+  if (body?.system) body.system = scanContent(body.system, rules, hits);
+  for (const message of Array.isArray(body?.messages) ? body.messages : []) {
+    message.content = scanContent(message.content, rules, hits);
+  }
+  return collectHits(hits, "request");
+}
+
+/**
+ * 检查非流式响应的内容块，redact 的内容直接替换到响应中
+ * @param {Object} message - Anthropic 格式响应
+ * @param {Object[]} rules
+ * @returns {{hits: Object[], blocked: Object|null}}
+ */
+function guardResponse(message, rules) {
+  const hits = new Map();
+  scanContent(message?.content, rules, hits);
+  return collectHits(hits, "response");
+}
+
+/** 流式检查时保留的上一段文本长度，跨增量的命中（如多行私钥）需要在此长度内 */
+const STREAM_OVERLAP = 4096;
+
+/**
+ * 查找文本中规则的命中位置（不替换）
+ * @param {string} text
+ * @param {Object} rule
+ * @returns {{start: number, end: number}[]}
+ */
+function findMatches(text, rule) {
+  const matches = [];
+  for (const match of text.matchAll(rule.regex)) {
+    if (!match[0] || (rule.entropy && !isHighEntropy(match[0], rule.entropy))) continue;
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return matches;
+}
+
+/**
+ * 流式响应的检查器：redact 按单个 text_delta 替换（跨增量的内容无法替换），
+ * block / warn 只检查新增文本和上一段文本的末尾（最多 STREAM_OVERLAP 个字符），
+ * 每条规则记录已统计命中的结束位置，避免同一处内容重复统计
+ * @param {Object[]} rules
+ * @returns {{check: (index: number, text: string) => {text: string, hits: Object[], blocked: Object|null}}}
+ */
+function createStreamGuard(rules) {
+  const redactRules = rules.filter((rule) => rule.action === "redact");
+  const detectRules = rules.filter((rule) => rule.action !== "redact");
+  const blocks = new Map(); // 内容块 index -> { tail, length, lastEnd }
+
+  const check = (index, text) => {
+    const hits = new Map();
+    const redacted = scanText(text, redactRules, hits);
+
+    const block = blocks.get(index) || { tail: "", length: 0, lastEnd: {} };
+    blocks.set(index, block);
+    const window = block.tail + text;
+    // window 在整个内容块中的起始位置
+    const offset = block.length - block.tail.length;
+
+    for (const rule of detectRules) {
+      let count = 0;
+      for (const { start, end } of findMatches(window, rule)) {
+        // 只统计包含新增文本、且不与已统计命中重叠的内容
+        if (end <= block.tail.length) continue;
+        const lastEnd = block.lastEnd[rule.name] || 0;
+        if (offset + start >= lastEnd) count += 1;
+        block.lastEnd[rule.name] = Math.max(lastEnd, offset + end);
+      }
+      if (count > 0) {
+        const hit = hits.get(rule.name) || { rule: rule.name, action: rule.action, count: 0 };
+        hit.count += count;
+        hits.set(rule.name, hit);
+      }
+    }
+
+    // 保留末尾文本，从行首开始，使 ^ 和 \b 的判断与完整文本一致
+    block.length += text.length;
+    let tail = window.slice(-STREAM_OVERLAP);
+    const lineStart = tail.indexOf("\n");
+    if (tail.length < window.length && lineStart !== -1) tail = tail.slice(lineStart + 1);
+    block.tail = tail;
+
+    return { text: redacted, ...collectHits(hits, "response") };
+  };
+
+  return { check };
+}
+
+module.exports = {
+  normalizeGuardrails,
+  guardRequest,
+  guardResponse,
+  createStreamGuard,
+};
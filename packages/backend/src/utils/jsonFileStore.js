@@ -0,0 +1,81 @@
+/**
+ * 防抖写入的 JSON 文件存储
+ *
+ * 数据在第一次访问时从文件加载到内存，修改后调用 scheduleSave 合并写入；
+ * 子类实现 restore / serialize，分别负责文件内容与内存数据之间的转换
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/** 写入文件的防抖间隔（毫秒） */
+const SAVE_DELAY_MS = 1000;
+
+class JsonFileStore {
+  /**
+   * @param {string|null} file - 持久化文件路径，为 null 时只保存在内存中
+   * @param {string} label - 日志中显示的数据名称
+   */
+  constructor(file, label) {
+    this.file = file;
+    this.label = label;
+    this.data = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * 将文件内容转换为内存数据，文件不存在或读取失败时 json 为 null
+   * @param {Object|null} _json
+   * @returns {*}
+   */
+  restore(_json) {
+    throw new Error("restore 未实现");
+  }
+
+  /**
+   * 将内存数据转换为写入文件的内容（updatedAt 由 save 添加）
+   * @param {*} _data
+   * @returns {Object}
+   */
+  serialize(_data) {
+    throw new Error("serialize 未实现");
+  }
+
+  /** 第一次访问时从文件加载 */
+  load() {
+    if (this.data) return this.data;
+    let json = null;
+    if (this.file && fs.existsSync(this.file)) {
+      try {
+        json = JSON.parse(fs.readFileSync(this.file, "utf-8"));
+      } catch (error) {
+        console.error(`读取${this.label}失败:`, error.message);
+      }
+    }
+    this.data = this.restore(json);
+    return this.data;
+  }
+
+  /** 防抖写入文件 */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) => console.error(`保存${this.label}失败:`, error.message));
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  async save() {
+    if (!this.file) return;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(
+      this.file,
+      JSON.stringify({ updatedAt: new Date().toISOString(), ...this.serialize(this.load()) }, null, 2)
+    );
+  }
+}
+
+module.exports = {
+  JsonFileStore,
+};
@@ -0,0 +1,231 @@
+/**
+ * Provider 密钥健康状态
+ *
+ * 记录每个 key 的请求数、成功数、401/403/429/5xx 次数、最近一次错误、平均延迟，以及冷却和手动禁用状态，
+ * 持久化到 KEY_HEALTH_FILE，重启后仍然跳过刚被封禁或冷却中的 key
+ *
+ * 文件中以 key 的指纹（sha256 前 12 位）作为标识，不保存原始 key
+ */
+
+const crypto = require("crypto");
+const { KEY_HEALTH_FILE } = require("../config/constants");
+const { JsonFileStore } = require("./jsonFileStore");
+
+const normalize = (name = "") => String(name || "").toLowerCase();
+
+/**
+ * 计算 key 指纹
+ * @param {string} key
+ * @returns {string}
+ */
+const fingerprint = (key) => crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 12);
+
+/**
+ * 掩码显示 key，只保留前 4 位和后 4 位
+ * @param {string} key
+ * @returns {string}
+ */
+const maskKey = (key = "") => {
+  const value = String(key);
+  if (value.length <= 10) return `${value.slice(0, 2)}****`;
+  return `${value.slice(0, 4)}****${value.slice(-4)}`;
+};
+
+/**
+ * 将状态码归类为统计字段
+ * @param {number} status
+ * @returns {"401"|"403"|"429"|"5xx"|"other"}
+ */
+const errorBucket = (status) => {
+  if (status === 401 || status === 403 || status === 429) return String(status);
+  if (status >= 500 && status < 600) return "5xx";
+  return "other";
+};
+
+const createStats = () => ({
+  requests: 0,
+  successes: 0,
+  errors: { 401: 0, 403: 0, 429: 0, "5xx": 0, other: 0 },
+  lastError: null,
+  totalLatencyMs: 0,
+  latencySamples: 0,
+  lastUsedAt: null,
+  disabledUntil: 0,
+  disabled: false,
+});
+
+class KeyHealthStore extends JsonFileStore {
+  /**
+   * @param {string|null} file - 持久化文件路径，为 null 时只保存在内存中
+   */
+  constructor(file = KEY_HEALTH_FILE) {
+    super(file, "key 健康状态");
+    this.inflight = new Map(); // "provider:fingerprint" -> 当前并发数（不持久化）
+  }
+
+  /** @returns {Object} provider -> { fingerprint -> stats } */
+  restore(json) {
+    const providers = {};
+    for (const [provider, keys] of Object.entries(json?.providers || {})) {
+      providers[provider] = {};
+      for (const [id, stats] of Object.entries(keys || {})) {
+        providers[provider][id] = { ...createStats(), ...stats, errors: { ...createStats().errors, ...stats?.errors } };
+      }
+    }
+    return providers;
+  }
+
+  serialize(providers) {
+    return { providers };
+  }
+
+  /**
+   * 获取（不存在时创建）key 的统计记录
+   * @param {string} provider
+   * @param {string} key - 原始 key
+   * @returns {Object}
+   */
+  entry(provider, key) {
+    const providers = this.load();
+    const name = normalize(provider);
+    const id = fingerprint(key);
+    providers[name] = providers[name] || {};
+    providers[name][id] = providers[name][id] || createStats();
+    return providers[name][id];
+  }
+
+  /**
+   * key 不可用的截止时间，手动禁用时为 Infinity
+   * @param {string} provider
+   * @param {string} key
+   * @returns {number}
+   */
+  getUnavailableUntil(provider, key) {
+    const stats = this.load()[normalize(provider)]?.[fingerprint(key)];
+    if (!stats) return 0;
+    return stats.disabled ? Infinity : stats.disabledUntil || 0;
+  }
+
+  /**
+   * 冷却 key
+   * @param {string} provider
+   * @param {string} key
+   * @param {number} ms - 冷却时长
+   */
+  cooldown(provider, key, ms) {
+    this.entry(provider, key).disabledUntil = Date.now() + Math.max(ms, 0);
+    this.scheduleSave();
+  }
+
+  /**
+   * 记录 key 开始处理请求
+   * @param {string} provider
+   * @param {string} key
+   */
+  recordStart(provider, key) {
+    const stats = this.entry(provider, key);
+    stats.requests += 1;
+    stats.lastUsedAt = new Date().toISOString();
+    const inflightKey = `${normalize(provider)}:${fingerprint(key)}`;
+    this.inflight.set(inflightKey, (this.inflight.get(inflightKey) || 0) + 1);
+    this.scheduleSave();
+  }
+
+  /**
+   * 记录请求结果
+   * @param {string} provider
+   * @param {string} key
+   * @param {Object} result
+   * @param {boolean} result.ok - 是否成功
+   * @param {number} [result.status] - 上游状态码
+   * @param {string} [result.message] - 错误信息
+   * @param {number} [result.latencyMs] - 从分配 key 到收到响应的耗时
+   */
+  recordResult(provider, key, { ok, status, message, latencyMs }) {
+    const stats = this.entry(provider, key);
+    if (ok) {
+      stats.successes += 1;
+    } else {
+      stats.errors[errorBucket(Number(status))] += 1;
+      stats.lastError = { status: status || null, message: message || null, at: new Date().toISOString() };
+    }
+    if (Number.isFinite(latencyMs)) {
+      stats.totalLatencyMs += latencyMs;
+      stats.latencySamples += 1;
+    }
+
+    const inflightKey = `${normalize(provider)}:${fingerprint(key)}`;
+    const inUse = this.inflight.get(inflightKey) || 0;
+    if (inUse <= 1) this.inflight.delete(inflightKey);
+    else this.inflight.set(inflightKey, inUse - 1);
+    this.scheduleSave();
+  }
+
+  /**
+   * 查找 provider 下指纹对应的 key
+   * @param {string[]} keys - provider 当前的 key 列表
+   * @param {string} id - 指纹
+   * @returns {string|undefined}
+   */
+  findKey(keys, id) {
+    return keys.find((key) => fingerprint(key) === id);
+  }
+
+  /** 手动禁用，直到手动启用 */
+  disable(provider, key) {
+    this.entry(provider, key).disabled = true;
+    this.scheduleSave();
+  }
+
+  /** 启用并清除冷却 */
+  enable(provider, key) {
+    const stats = this.entry(provider, key);
+    stats.disabled = false;
+    stats.disabledUntil = 0;
+    this.scheduleSave();
+  }
+
+  /** 清空统计和冷却（保留手动禁用状态） */
+  reset(provider, key) {
+    const stats = this.entry(provider, key);
+    Object.assign(stats, createStats(), { disabled: stats.disabled });
+    this.scheduleSave();
+  }
+
+  /**
+   * 获取 provider 下各 key 的健康状态
+   * @param {string} provider
+   * @param {string[]} keys - provider 当前的 key 列表（按配置顺序）
+   * @returns {Array<Object>} 每项包含 id、掩码 key、状态和统计
+   */
+  list(provider, keys = []) {
+    const now = Date.now();
+    const saved = this.load()[normalize(provider)] || {};
+    return keys.map((key, index) => {
+      const id = fingerprint(key);
+      const stats = { ...createStats(), ...saved[id] };
+      const cooldownRemainingMs = Math.max(0, (stats.disabledUntil || 0) - now);
+      return {
+        id,
+        index,
+        key: maskKey(key),
+        status: stats.disabled ? "disabled" : cooldownRemainingMs > 0 ? "cooldown" : "active",
+        disabled: stats.disabled,
+        cooldownRemainingMs,
+        inflight: this.inflight.get(`${normalize(provider)}:${id}`) || 0,
+        requests: stats.requests,
+        successes: stats.successes,
+        errors: stats.errors,
+        lastError: stats.lastError,
+        avgLatencyMs: stats.latencySamples ? Math.round(stats.totalLatencyMs / stats.latencySamples) : null,
+        lastUsedAt: stats.lastUsedAt,
+      };
+    });
+  }
+}
+
+module.exports = {
+  KeyHealthStore,
+  keyHealthStore: new KeyHealthStore(),
+  maskKey,
+};
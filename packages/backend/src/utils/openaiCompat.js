@@ -0,0 +1,323 @@
+/**
+ * OpenAI Chat Completions 与 Anthropic Messages 格式互转
+ *
+ * - toAnthropicRequest：/v1/chat/completions 请求体 → /v1/messages 请求体
+ * - toOpenAIResponse：/v1/messages 非流式响应 → chat.completion
+ * - OpenAIStreamTransform：/v1/messages 的 SSE 事件对象（SSEParserTransform 的输出）→ chat.completion.chunk SSE 文本
+ * - toOpenAIError：Anthropic 错误（或纯文本错误）→ OpenAI 错误格式
+ */
+
+/** 未指定 max_tokens 时使用的默认值（Anthropic 格式要求必填） */
+const DEFAULT_MAX_TOKENS = 8192;
+
+/** reasoning_effort 对应的思考预算 */
+const REASONING_BUDGETS = { minimal: 1024, low: 2048, medium: 8192, high: 16384 };
+
+const FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+  refusal: "content_filter",
+};
+
+/**
+ * 解析 JSON 字符串，失败时原样包装
+ * @param {string} text
+ * @returns {Object}
+ */
+const parseArguments = (text) => {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { raw: text };
+  }
+};
+
+/**
+ * OpenAI 消息内容 → Anthropic 内容块
+ * @param {string|Array|null} content
+ * @returns {Array}
+ */
+function toContentBlocks(content) {
+  if (content === null || content === undefined) return [];
+  if (typeof content === "string") return content ? [{ type: "text", text: content }] : [];
+  return content
+    .map((part) => {
+      if (part?.type === "text") return { type: "text", text: part.text || "" };
+      if (part?.type === "image_url") {
+        const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url || "";
+        const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+        return dataUrl
+          ? { type: "image", source: { type: "base64", media_type: dataUrl[1], data: dataUrl[2] } }
+          : { type: "image", source: { type: "url", url } };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 文本内容（system / developer / tool 消息）
+ * @param {string|Array} content
+ * @returns {string}
+ */
+const toText = (content) =>
+  typeof content === "string"
+    ? content
+    : (content || []).map((part) => (part?.type === "text" ? part.text : "")).join("");
+
+/**
+ * OpenAI tool_choice → Anthropic tool_choice
+ * @param {string|Object} toolChoice
+ * @returns {Object|undefined}
+ */
+function toToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (toolChoice === "auto") return { type: "auto" };
+  if (toolChoice === "none") return { type: "none" };
+  if (toolChoice === "required") return { type: "any" };
+  if (toolChoice?.function?.name) return { type: "tool", name: toolChoice.function.name };
+  return undefined;
+}
+
+/**
+ * /v1/chat/completions 请求体 → /v1/messages 请求体
+ * @param {Object} body - OpenAI 格式请求体
+ * @returns {Object} Anthropic 格式请求体
+ */
+function toAnthropicRequest(body = {}) {
+  const system = [];
+  const messages = [];
+
+  // Anthropic 要求 user / assistant 交替，连续的同角色消息合并
+  const push = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = messages[messages.length - 1];
+    if (last?.role === role) last.content.push(...blocks);
+    else messages.push({ role, content: blocks });
+  };
+
+  for (const message of body.messages || []) {
+    switch (message?.role) {
+      case "system":
+      case "developer":
+        system.push({ type: "text", text: toText(message.content) });
+        break;
+      case "user":
+        push("user", toContentBlocks(message.content));
+        break;
+      case "assistant":
+        push("assistant", [
+          ...toContentBlocks(message.content),
+          ...(message.tool_calls || []).map((call) => ({
+            type: "tool_use",
+            id: call.id,
+            name: call.function?.name,
+            input: parseArguments(call.function?.arguments),
+          })),
+        ]);
+        break;
+      case "tool":
+        push("user", [{ type: "tool_result", tool_use_id: message.tool_call_id, content: toText(message.content) }]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_completion_tokens || body.max_tokens || DEFAULT_MAX_TOKENS,
+    stream: body.stream === true,
+  };
+  if (system.length) request.system = system;
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (body.stop) request.stop_sequences = [].concat(body.stop);
+  if (Array.isArray(body.tools) && body.tools.length) {
+    request.tools = body.tools
+      .filter((tool) => tool?.type === "function" && tool.function?.name)
+      .map(({ function: fn }) => ({
+        name: fn.name,
+        description: fn.description || "",
+        input_schema: fn.parameters || { type: "object", properties: {} },
+      }));
+  }
+  const toolChoice = toToolChoice(body.tool_choice);
+  if (toolChoice) request.tool_choice = toolChoice;
+  if (REASONING_BUDGETS[body.reasoning_effort]) {
+    request.thinking = { type: "enabled", budget_tokens: REASONING_BUDGETS[body.reasoning_effort] };
+  }
+  if (typeof body.user === "string" && body.user) {
+    request.metadata = { user_id: body.user };
+  }
+  return request;
+}
+
+/**
+ * Anthropic usage → OpenAI usage
+ * @param {Object} usage
+ * @returns {Object}
+ */
+function toOpenAIUsage(usage = {}) {
+  const cached = usage.cache_read_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + cached + (usage.cache_creation_input_tokens || 0);
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: cached },
+  };
+}
+
+/**
+ * /v1/messages 非流式响应 → chat.completion
+ * @param {Object} message - Anthropic 格式响应
+ * @param {string} model - 客户端请求的模型名
+ * @returns {Object}
+ */
+function toOpenAIResponse(message, model) {
+  const blocks = Array.isArray(message?.content) ? message.content : [];
+  const text = blocks.filter((block) => block.type === "text").map((block) => block.text).join("");
+  const reasoning = blocks.filter((block) => block.type === "thinking").map((block) => block.thinking).join("");
+  const toolCalls = blocks
+    .filter((block) => block.type === "tool_use")
+    .map((block) => ({
+      id: block.id,
+      type: "function",
+      function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) },
+    }));
+
+  return {
+    id: `chatcmpl-${message?.id || Date.now()}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: model || message?.model,
+    choices: [
+      {
+        index: 0,
+        message: {
+          role: "assistant",
+          content: text || (toolCalls.length ? null : ""),
+          ...(reasoning && { reasoning_content: reasoning }),
+          ...(toolCalls.length && { tool_calls: toolCalls }),
+        },
+        finish_reason: FINISH_REASONS[message?.stop_reason] || "stop",
+      },
+    ],
+    usage: toOpenAIUsage(message?.usage),
+  };
+}
+
+/**
+ * Anthropic SSE 事件 → chat.completion.chunk SSE 文本
+ * 输入为 SSEParserTransform 输出的 { event, data } 对象；agents 的 tool:* 等自定义事件会被忽略
+ */
+class OpenAIStreamTransform extends TransformStream {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - 客户端请求的模型名
+   * @param {boolean} [options.includeUsage] - stream_options.include_usage，结束前追加一个只含 usage 的分片
+   */
+  constructor({ model, includeUsage = false }) {
+    const encoder = new TextEncoder();
+    const state = { id: `chatcmpl-${Date.now()}`, created: Math.floor(Date.now() / 1000), usage: {}, toolIndex: -1, blocks: {} };
+    const write = (controller, payload) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+    const chunk = (delta, finishReason = null) => ({
+      id: state.id,
+      object: "chat.completion.chunk",
+      created: state.created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    super({
+      transform({ event, data }, controller) {
+        switch (event) {
+          case "message_start":
+            if (data?.message?.id) state.id = `chatcmpl-${data.message.id}`;
+            Object.assign(state.usage, data?.message?.usage);
+            write(controller, chunk({ role: "assistant", content: "" }));
+            break;
+          case "content_block_start":
+            if (data?.content_block?.type === "tool_use") {
+              state.toolIndex += 1;
+              state.blocks[data.index] = state.toolIndex;
+              write(
+                controller,
+                chunk({
+                  tool_calls: [
+                    {
+                      index: state.toolIndex,
+                      id: data.content_block.id,
+                      type: "function",
+                      function: { name: data.content_block.name, arguments: "" },
+                    },
+                  ],
+                })
+              );
+            }
+            break;
+          case "content_block_delta": {
+            const delta = data?.delta || {};
+            if (delta.type === "text_delta") write(controller, chunk({ content: delta.text }));
+            else if (delta.type === "thinking_delta") write(controller, chunk({ reasoning_content: delta.thinking }));
+            else if (delta.type === "input_json_delta" && state.blocks[data.index] !== undefined) {
+              write(
+                controller,
+                chunk({ tool_calls: [{ index: state.blocks[data.index], function: { arguments: delta.partial_json || "" } }] })
+              );
+            }
+            break;
+          }
+          case "message_delta":
+            Object.assign(state.usage, data?.usage);
+            write(controller, chunk({}, FINISH_REASONS[data?.delta?.stop_reason] || "stop"));
+            break;
+          case "message_stop":
+            if (includeUsage) {
+              write(controller, { ...chunk({}), choices: [], usage: toOpenAIUsage(state.usage) });
+            }
+            controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+            break;
+          case "error":
+            write(controller, toOpenAIError(data));
+            controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+            break;
+          default:
+            break;
+        }
+      },
+    });
+  }
+}
+
+/**
+ * Anthropic 错误（或纯文本错误）→ OpenAI 错误格式
+ * @param {Object|string} error
+ * @returns {{error: {message: string, type: string, code: null}}}
+ */
+function toOpenAIError(error) {
+  if (typeof error === "string") {
+    return { error: { message: error, type: "invalid_request_error", code: null } };
+  }
+  const detail = error?.error || error || {};
+  return {
+    error: {
+      message: detail.message || (typeof detail === "string" ? detail : JSON.stringify(detail)),
+      type: detail.type || "api_error",
+      code: null,
+    },
+  };
+}
+
+module.exports = {
+  toAnthropicRequest,
+  toOpenAIResponse,
+  toOpenAIError,
+  OpenAIStreamTransform,
+};
@@ -0,0 +1,54 @@
+/**
+ * 模型价格
+ *
+ * Provider 配置的 pricing 字段为价格表，以模型名为键（支持 * 通配，精确匹配优先），价格单位为 美元 / 百万 tokens：
+ *   pricing: {
+ *     "glm-4.6": { input: 0.6, output: 2.2, cache_read: 0.11, cache_write: 0.6 },
+ *     "*": { input: 1, output: 4 }
+ *   }
+ * 未配置 cache_read / cache_write 时按 input 价格计算
+ */
+
+const { matchWildcard } = require("./routeRules");
+
+/**
+ * 查找模型价格
+ * @param {Object} config - 配置对象
+ * @param {string} provider - provider 名称
+ * @param {string} model - 模型名称（不含 provider 前缀）
+ * @returns {{input: number, output: number, cache_read?: number, cache_write?: number}|null} 没有配置时返回 null
+ */
+function findModelPrice(config, provider, model) {
+  const providerConfig = (config?.Providers || config?.providers || []).find(
+    (p) => String(p.name).toLowerCase() === String(provider || "").toLowerCase()
+  );
+  const pricing = providerConfig?.pricing;
+  if (!pricing || typeof pricing !== "object") return null;
+  if (pricing[model]) return pricing[model];
+  const pattern = Object.keys(pricing).find((key) => key.includes("*") && matchWildcard(key, model));
+  return pattern ? pricing[pattern] : null;
+}
+
+/**
+ * 按价格计算一次请求的费用（美元）
+ * @param {Object} usage - Anthropic 格式的 usage（input_tokens 不含缓存部分）
+ * @param {Object|null} price - findModelPrice 的返回值
+ * @returns {number}
+ */
+function calculateCost(usage = {}, price) {
+  if (!price) return 0;
+  const input = Number(price.input) || 0;
+  const cacheRead = price.cache_read !== undefined ? Number(price.cache_read) || 0 : input;
+  const cacheWrite = price.cache_write !== undefined ? Number(price.cache_write) || 0 : input;
+  const cost =
+    (Number(usage.input_tokens) || 0) * input +
+    (Number(usage.output_tokens) || 0) * (Number(price.output) || 0) +
+    (Number(usage.cache_read_input_tokens) || 0) * cacheRead +
+    (Number(usage.cache_creation_input_tokens) || 0) * cacheWrite;
+  return cost / 1_000_000;
+}
+
+module.exports = {
+  findModelPrice,
+  calculateCost,
+};
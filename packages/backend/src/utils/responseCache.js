@@ -0,0 +1,189 @@
+/**
+ * /v1/messages 响应缓存
+ *
+ * 以规范化后的请求（路由后的模型、messages、system、tools、temperature 等生成参数）的哈希为键，
+ * 缓存完整的非流式响应或流式响应的全部 SSE 分片，命中时按原顺序重放
+ *
+ * 缓存只保存在内存中，按 LRU 淘汰，受 ttl（秒）、maxEntries、maxBytes、maxEntryBytes 限制
+ */
+
+const crypto = require("crypto");
+
+/** 参与计算缓存键的请求字段（metadata、apiKey 等与输出无关的字段不参与） */
+const CACHE_KEY_FIELDS = [
+  "model",
+  "messages",
+  "system",
+  "tools",
+  "tool_choice",
+  "temperature",
+  "top_p",
+  "top_k",
+  "max_tokens",
+  "stop_sequences",
+  "thinking",
+  "stream",
+];
+
+const DEFAULT_OPTIONS = {
+  ttl: 3600,
+  maxEntries: 500,
+  maxBytes: 50 * 1024 * 1024,
+  maxEntryBytes: 5 * 1024 * 1024,
+};
+
+/**
+ * 键排序后的 JSON，忽略 cache_control（只影响上游的提示缓存，不影响输出）
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => key !== "cache_control" && value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * 计算请求的缓存键
+ * @param {Object} body - 路由后的请求体（model 为 provider,model）
+ * @returns {string}
+ */
+function buildCacheKey(body = {}) {
+  const normalized = Object.fromEntries(CACHE_KEY_FIELDS.map((field) => [field, body[field]]));
+  if (typeof normalized.system === "string") {
+    normalized.system = [{ type: "text", text: normalized.system }];
+  }
+  normalized.stream = body.stream === true;
+  return crypto.createHash("sha256").update(stableStringify(normalized)).digest("hex");
+}
+
+class ResponseCache {
+  constructor(options) {
+    this.entries = new Map(); // key -> entry，按最近使用排序
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, bypasses: 0, stores: 0, evictions: 0 };
+    this.configure(options);
+  }
+
+  /**
+   * 更新限制（会立即按新的限制淘汰）
+   * @param {Object} [options] - { ttl, maxEntries, maxBytes, maxEntryBytes }
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const field of Object.keys(DEFAULT_OPTIONS)) {
+      const value = Number(options[field]);
+      if (Number.isFinite(value) && value > 0) this.options[field] = value;
+    }
+    this.evict();
+  }
+
+  /**
+   * 读取缓存，过期的条目会被删除
+   * @param {string} key
+   * @returns {Object|undefined}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.delete(key);
+      this.stats.misses += 1;
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits += 1;
+    this.stats.hits += 1;
+    return entry;
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key
+   * @param {Object} data - { model, stream, contentType, body } 或 { model, stream, contentType, chunks }
+   * @returns {boolean} 超过单条大小限制时返回 false
+   */
+  set(key, data) {
+    const size = data.stream
+      ? data.chunks.reduce((sum, chunk) => sum + Buffer.byteLength(chunk), 0)
+      : Buffer.byteLength(data.body);
+    if (size > this.options.maxEntryBytes) return false;
+
+    this.delete(key);
+    const now = Date.now();
+    this.entries.set(key, {
+      ...data,
+      key,
+      size,
+      hits: 0,
+      createdAt: now,
+      expiresAt: now + this.options.ttl * 1000,
+    });
+    this.bytes += size;
+    this.stats.stores += 1;
+    this.evict();
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return count;
+  }
+
+  /** 删除过期条目，再按 LRU 淘汰到限制以内 */
+  evict() {
+    if (!this.entries) return;
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.options.maxEntries && this.bytes <= this.options.maxBytes) break;
+      this.delete(key);
+      this.stats.evictions += 1;
+    }
+  }
+
+  /**
+   * 缓存概况和条目列表（不含响应内容）
+   * @returns {Object}
+   */
+  describe() {
+    this.evict();
+    return {
+      options: this.options,
+      stats: { ...this.stats, entries: this.entries.size, bytes: this.bytes },
+      entries: [...this.entries.values()].reverse().map(({ key, model, stream, size, hits, createdAt, expiresAt }) => ({
+        key,
+        model,
+        stream,
+        size,
+        hits,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+      })),
+    };
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  responseCache: new ResponseCache(),
+  buildCacheKey,
+};
@@ -0,0 +1,260 @@
+/**
+ * 声明式路由规则
+ *
+ * Router.rules 是按顺序匹配的规则列表，第一条所有条件都满足的规则决定目标模型：
+ * {
+ *   "name": "长上下文",            // 可选，用于日志和试运行结果
+ *   "enabled": true,              // 可选，false 时跳过
+ *   "when": {                     // 条件之间为“且”关系，未配置的条件不参与判断
+ *     "minTokens": 60000,         // 估算 token 数 >= minTokens
+ *     "maxTokens": 200000,        // 估算 token 数 <= maxTokens
+ *     "tools": ["web_search*"],   // 请求包含任一工具（按 name 或 type 匹配，支持 * 通配）
+ *     "hasImages": true,          // 消息中是否包含图片
+ *     "thinking": true,           // 请求是否开启 thinking/reasoning
+ *     "model": "haiku",           // 客户端请求的模型名称匹配正则
+ *     "system": "/plan mode/i",   // system 提示词匹配正则（支持 /pattern/flags 写法）
+ *     "headers": { "x-team": "^infra$" }, // 请求头匹配正则（头名不区分大小写）
+ *     "projects": ["G--work-app"],        // Claude 项目目录名
+ *     "sessions": ["3ba01274-..."],       // 会话 ID
+ *     "time": { "from": "09:00", "to": "18:00", "days": [1, 2, 3, 4, 5] } // 本地时间段，支持跨午夜，days 中 0 为周日
+ *   },
+ *   "model": "provider,model"     // 目标模型，也可以是候选列表（见备用模型）
+ * }
+ * when 为空的规则总是命中，可以放在末尾作为兜底
+ */
+
+/**
+ * 将字符串转换为正则，支持 "/pattern/flags" 写法
+ * @param {string} pattern
+ * @returns {RegExp} 无效的正则会抛出异常
+ */
+function toRegExp(pattern) {
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+/**
+ * 通配符匹配（只支持 *），不区分大小写
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchWildcard(pattern, value) {
+  const escaped = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i").test(value);
+}
+
+/**
+ * 将 HH:mm 转换为当天的分钟数
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * 提取 system 提示词文本
+ * @param {string|Array} system
+ * @returns {string}
+ */
+function getSystemText(system) {
+  if (typeof system === "string") return system;
+  if (!Array.isArray(system)) return "";
+  return system
+    .map((item) => (typeof item?.text === "string" ? item.text : ""))
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * 检查消息中是否包含图片
+ * @param {Array} messages
+ * @returns {boolean}
+ */
+function hasImageContent(messages = []) {
+  const isImage = (part) => part?.type === "image" || part?.type === "image_url";
+  return messages.some(
+    (message) =>
+      Array.isArray(message?.content) &&
+      message.content.some(
+        (part) =>
+          isImage(part) ||
+          (part?.type === "tool_result" && Array.isArray(part.content) && part.content.some(isImage))
+      )
+  );
+}
+
+/**
+ * 条件检查函数：(expected, context) => { matched, detail }
+ */
+const CONDITIONS = {
+  minTokens: (expected, { tokenCount }) => ({
+    matched: tokenCount >= Number(expected),
+    detail: `tokenCount=${tokenCount} ${tokenCount >= Number(expected) ? ">=" : "<"} ${expected}`,
+  }),
+
+  maxTokens: (expected, { tokenCount }) => ({
+    matched: tokenCount <= Number(expected),
+    detail: `tokenCount=${tokenCount} ${tokenCount <= Number(expected) ? "<=" : ">"} ${expected}`,
+  }),
+
+  tools: (expected, { body }) => {
+    const patterns = [].concat(expected);
+    const names = (Array.isArray(body?.tools) ? body.tools : [])
+      .flatMap((tool) => [tool?.name, tool?.type])
+      .filter((name) => typeof name === "string");
+    const hit = names.find((name) => patterns.some((pattern) => matchWildcard(pattern, name)));
+    return {
+      matched: Boolean(hit),
+      detail: hit ? `包含工具 ${hit}` : `没有匹配 ${patterns.join(", ")} 的工具`,
+    };
+  },
+
+  hasImages: (expected, { body }) => {
+    const actual = hasImageContent(body?.messages);
+    return { matched: actual === Boolean(expected), detail: actual ? "包含图片" : "不包含图片" };
+  },
+
+  thinking: (expected, { body }) => {
+    const actual = Boolean(
+      (body?.thinking && body.thinking !== "none") || (body?.reasoning && body.reasoning !== "none")
+    );
+    return {
+      matched: actual === Boolean(expected),
+      detail: actual ? "已开启 thinking/reasoning" : "未开启 thinking/reasoning",
+    };
+  },
+
+  model: (expected, { body }) => {
+    const model = typeof body?.model === "string" ? body.model : "";
+    const matched = toRegExp(expected).test(model);
+    return { matched, detail: `model="${model}" ${matched ? "匹配" : "不匹配"} ${expected}` };
+  },
+
+  system: (expected, { body }) => {
+    const matched = toRegExp(expected).test(getSystemText(body?.system));
+    return { matched, detail: `system 提示词${matched ? "匹配" : "不匹配"} ${expected}` };
+  },
+
+  headers: (expected, { headers = {} }) => {
+    for (const [name, pattern] of Object.entries(expected || {})) {
+      const value = headers[name.toLowerCase()];
+      if (value === undefined) {
+        return { matched: false, detail: `缺少请求头 ${name}` };
+      }
+      if (!toRegExp(pattern).test(String(value))) {
+        return { matched: false, detail: `请求头 ${name}="${value}" 不匹配 ${pattern}` };
+      }
+    }
+    return { matched: true, detail: "请求头全部匹配" };
+  },
+
+  projects: (expected, { project }) => {
+    const matched = Boolean(project) && [].concat(expected).some((pattern) => matchWildcard(pattern, project));
+    return { matched, detail: project ? `project=${project}` : "无法确定项目" };
+  },
+
+  sessions: (expected, { sessionId }) => {
+    const matched = Boolean(sessionId) && [].concat(expected).includes(sessionId);
+    return { matched, detail: sessionId ? `sessionId=${sessionId}` : "请求没有会话 ID" };
+  },
+
+  time: (expected, { now }) => {
+    const date = now instanceof Date ? now : new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const from = parseClock(expected?.from ?? "00:00");
+    const to = parseClock(expected?.to ?? "24:00");
+    if (from === null || to === null) {
+      throw new Error(`无效的时间段 ${JSON.stringify(expected)}`);
+    }
+
+    const clock = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+    const inRange = from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    const days = Array.isArray(expected?.days) ? expected.days.map(Number) : null;
+    if (days && !days.includes(date.getDay())) {
+      return { matched: false, detail: `星期 ${date.getDay()} 不在 ${days.join(",")} 中` };
+    }
+    return { matched: inRange, detail: `${clock} ${inRange ? "在" : "不在"} ${expected.from || "00:00"}-${expected.to || "24:00"} 内` };
+  },
+};
+
+/** 支持的条件名称 */
+const RULE_CONDITIONS = Object.keys(CONDITIONS);
+
+/**
+ * 检查单条规则
+ * @param {Object} rule - 规则
+ * @param {Object} context - 请求上下文 { body, headers, tokenCount, project, sessionId, now }
+ * @returns {{matched: boolean, conditions: Array<{condition: string, matched: boolean, detail: string}>}}
+ */
+function matchRule(rule, context) {
+  const conditions = [];
+  for (const [condition, expected] of Object.entries(rule?.when || {})) {
+    const check = CONDITIONS[condition];
+    if (!check) {
+      conditions.push({ condition, matched: false, detail: `未知条件 ${condition}` });
+      continue;
+    }
+    try {
+      conditions.push({ condition, ...check(expected, context) });
+    } catch (error) {
+      conditions.push({ condition, matched: false, detail: `条件配置错误: ${error.message}` });
+    }
+  }
+
+  return {
+    matched: conditions.every((item) => item.matched),
+    conditions,
+  };
+}
+
+/**
+ * 按顺序匹配规则列表，返回第一条命中的规则
+ * 没有提供 project 时，在检查第一条带 projects 条件的规则前调用 resolveProject 查找项目（需要扫描会话目录）
+ * @param {Array} rules - Router.rules
+ * @param {Object} context - 请求上下文 { body, headers, tokenCount, project?, resolveProject?, sessionId, now }
+ * @returns {Promise<{rule: Object|null, index: number, evaluations: Array}>} evaluations 记录每条规则的检查结果（命中后停止）
+ */
+async function evaluateRules(rules, context) {
+  const evaluations = [];
+  const list = Array.isArray(rules) ? rules : [];
+
+  for (let index = 0; index < list.length; index++) {
+    const rule = list[index];
+    const name = rule?.name || `规则 ${index + 1}`;
+    if (rule?.enabled === false) {
+      evaluations.push({ index, name, matched: false, skipped: "已禁用", conditions: [] });
+      continue;
+    }
+    if (!rule?.model || (Array.isArray(rule.model) && rule.model.length === 0)) {
+      evaluations.push({ index, name, matched: false, skipped: "没有配置 model", conditions: [] });
+      continue;
+    }
+
+    if (rule.when?.projects !== undefined && context.project === undefined && context.resolveProject) {
+      context = { ...context, project: await context.resolveProject() };
+    }
+
+    const result = matchRule(rule, context);
+    evaluations.push({ index, name, ...result });
+    if (result.matched) {
+      return { rule, index, evaluations };
+    }
+  }
+
+  return { rule: null, index: -1, evaluations };
+}
+
+module.exports = {
+  RULE_CONDITIONS,
+  matchWildcard,
+  matchRule,
+  evaluateRules,
+};
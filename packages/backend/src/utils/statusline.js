@@ -10,6 +10,7 @@ const { existsSync, readFileSync } = require("fs");
 const { readFile } = require("fs/promises");
 const { execSync } = require("child_process");
 const { CONFIG_FILE } = require("../config/constants");
+const { usageLedger, toDay } = require("./usageLedger");
 
 /**
  * 读取配置文件
@@ -493,7 +494,8 @@ async function runStatusLine() {
 
       // 如果仍然没有获取到模型名称，则尝试从配置文件中获取
       if (!model && config.Router && config.Router.default) {
-        const [, defaultModel] = config.Router.default.split(",");
+        const defaultRoute = [].concat(config.Router.default)[0] || "";
+        const [, defaultModel] = defaultRoute.split(",");
         if (defaultModel) {
           model = defaultModel.trim();
         }
@@ -526,6 +528,22 @@ async function runStatusLine() {
         return `${minutes}m${secs}s`;
       };
 
+      // 从用量账本读取按 Provider 价格计算的实际花费（会话花费统计最近 7 天）
+      let todayCost;
+      let sessionCost;
+      try {
+        todayCost = usageLedger.summarize({ from: toDay() }).total.cost;
+        if (input.session_id) {
+          const now = new Date();
+          sessionCost = usageLedger.summarize({
+            from: toDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6)),
+            filter: { sessionId: input.session_id },
+          }).total.cost;
+        }
+      } catch {
+        // 账本读取失败时使用预览变量
+      }
+
       // 获取变量（优先使用实际数据，否则使用预览变量）
       const previewVars = config.StatusLine.previewVariables || {};
       const variables = {
@@ -553,6 +571,15 @@ async function runStatusLine() {
           input.cost?.total_cost_usd !== undefined
             ? formatCost(input.cost.total_cost_usd)
             : previewVars.totalCost || "",
+        // 按 Provider 价格计算的实际花费（用量账本）
+        sessionCost:
+          sessionCost !== undefined
+            ? formatCost(sessionCost)
+            : previewVars.sessionCost || "",
+        todayCost:
+          todayCost !== undefined
+            ? formatCost(todayCost)
+            : previewVars.todayCost || "",
         totalDuration:
           input.cost?.total_duration_ms !== undefined
             ? formatDuration(input.cost.total_duration_ms)
@@ -0,0 +1,109 @@
+/**
+ * tiktoken 格式的 BPE 分词器
+ * 词表文件每行为 "<base64 编码的 token> <rank>"，与 OpenAI 公开的 cl100k_base.tiktoken / o200k_base.tiktoken 格式一致
+ */
+
+const fs = require("fs");
+const { SimpleLRUCache } = require("../cache");
+
+/** 英文缩写后缀（不使用 i 标志，避免 \p{Lu} 等属性在忽略大小写时失效） */
+const CONTRACTIONS = "'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])";
+
+/** 各编码的预分词正则 */
+const SPLIT_PATTERNS = {
+  cl100k_base: new RegExp(
+    `${CONTRACTIONS}|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`,
+    "gu"
+  ),
+  o200k_base: new RegExp(
+    [
+      `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:${CONTRACTIONS})?`,
+      `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:${CONTRACTIONS})?`,
+      `\\p{N}{1,3}`,
+      ` ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*`,
+      `\\s*[\\r\\n]+`,
+      `\\s+(?!\\S)`,
+      `\\s+`,
+    ].join("|"),
+    "gu"
+  ),
+};
+
+/**
+ * 读取词表文件
+ * @param {string} file - 词表文件路径
+ * @returns {Map<string, number>} token（latin1 字符串表示的字节序列）-> rank
+ */
+function loadRanks(file) {
+  const ranks = new Map();
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    const [token, rank] = line.trim().split(" ");
+    if (!token || rank === undefined) continue;
+    ranks.set(Buffer.from(token, "base64").toString("latin1"), Number(rank));
+  }
+  return ranks;
+}
+
+/**
+ * 计算单个预分词片段合并后的 token 数
+ * @param {string} piece - latin1 字符串表示的字节序列
+ * @param {Map<string, number>} ranks
+ * @returns {number}
+ */
+function countPiece(piece, ranks) {
+  if (ranks.has(piece)) return 1;
+
+  // parts 记录每个 token 的起始位置，每轮合并 rank 最小的相邻两段
+  const parts = Array.from({ length: piece.length + 1 }, (_, index) => index);
+  while (parts.length > 2) {
+    let minRank = Infinity;
+    let minIndex = -1;
+    for (let i = 0; i < parts.length - 2; i++) {
+      const rank = ranks.get(piece.slice(parts[i], parts[i + 2]));
+      if (rank !== undefined && rank < minRank) {
+        minRank = rank;
+        minIndex = i;
+      }
+    }
+    if (minIndex < 0) break;
+    parts.splice(minIndex + 1, 1);
+  }
+  return parts.length - 1;
+}
+
+/**
+ * 创建 BPE 分词器，词表在第一次计数时加载
+ * @param {string} name - 编码名称，决定预分词正则（未知编码使用 cl100k_base 的规则）
+ * @param {string} file - 词表文件路径
+ * @returns {{name: string, exact: boolean, count: (text: string) => number}}
+ */
+function createBpeTokenizer(name, file) {
+  const pattern = SPLIT_PATTERNS[name] || SPLIT_PATTERNS.cl100k_base;
+  const pieceCache = new SimpleLRUCache(20000);
+  let ranks = null;
+
+  return {
+    name,
+    exact: true,
+    count(text) {
+      if (!text) return 0;
+      ranks = ranks || loadRanks(file);
+
+      let tokens = 0;
+      for (const [match] of String(text).matchAll(pattern)) {
+        let count = pieceCache.get(match);
+        if (count === undefined) {
+          count = countPiece(Buffer.from(match, "utf8").toString("latin1"), ranks);
+          pieceCache.put(match, count);
+        }
+        tokens += count;
+      }
+      return tokens;
+    },
+  };
+}
+
+module.exports = {
+  SPLIT_PATTERNS,
+  createBpeTokenizer,
+};
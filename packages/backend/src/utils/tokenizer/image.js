@@ -0,0 +1,119 @@
+/**
+ * 图片 token 计算：从 base64 数据的文件头读取尺寸，按各家的计费规则换算
+ */
+
+/** 无法获取尺寸（如 URL 图片）时使用的估算值 */
+const DEFAULT_IMAGE_TOKENS = {
+  anthropic: 1600,
+  openai: 765,
+};
+
+/**
+ * 从图片文件头读取尺寸，支持 PNG / JPEG / GIF / WebP
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number}|null}
+ */
+function getImageSize(buffer) {
+  try {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 30 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+      const chunk = buffer.toString("ascii", 12, 16);
+      if (chunk === "VP8X") {
+        return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+      }
+      if (chunk === "VP8 ") {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === "VP8L") {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+      // 依次跳过各个段，直到 SOF 段（C0-CF，排除 C4/C8/CC）
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          offset++;
+          continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+          offset++;
+          continue;
+        }
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch {
+    // 文件头不完整时按未知尺寸处理
+  }
+  return null;
+}
+
+/**
+ * 提取图片内容块的 base64 数据和 detail 参数
+ * 支持 Anthropic 格式 { type: "image", source: { type: "base64", data } } 和 OpenAI 格式 { type: "image_url", image_url: { url, detail } }
+ * @param {Object} block - 图片内容块
+ * @returns {{data: string|null, detail?: string}}
+ */
+function getImageSource(block) {
+  if (block?.type === "image") {
+    return { data: block.source?.type === "base64" ? block.source.data : null };
+  }
+  const imageUrl = typeof block?.image_url === "string" ? { url: block.image_url } : block?.image_url || {};
+  const dataUrl = /^data:[^;,]+;base64,(.*)$/s.exec(imageUrl.url || "");
+  return { data: dataUrl ? dataUrl[1] : null, detail: imageUrl.detail };
+}
+
+/**
+ * Anthropic 规则：长边超过 1568 或像素超过约 1.15MP 时等比缩小，token ≈ 宽 × 高 / 750
+ * @param {{width: number, height: number}} size
+ * @returns {number}
+ */
+function anthropicImageTokens({ width, height }) {
+  const scale = Math.min(1, 1568 / Math.max(width, height), Math.sqrt(1150000 / (width * height)));
+  return Math.ceil((width * scale * height * scale) / 750);
+}
+
+/**
+ * OpenAI 规则：缩放到 2048 × 2048 以内、短边不超过 768 后按 512 切块，每块 170，另加 85
+ * @param {{width: number, height: number}} size
+ * @param {string} [detail] - low 时固定 85
+ * @returns {number}
+ */
+function openaiImageTokens({ width, height }, detail) {
+  if (detail === "low") return 85;
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return 85 + 170 * tiles;
+}
+
+/**
+ * 计算图片内容块的 token 数
+ * @param {Object} block - 图片内容块
+ * @param {"anthropic"|"openai"} [rule="anthropic"] - 计费规则
+ * @returns {number}
+ */
+function countImageTokens(block, rule = "anthropic") {
+  const { data, detail } = getImageSource(block);
+  const size = data ? getImageSize(Buffer.from(data, "base64")) : null;
+  if (!size || !size.width || !size.height) {
+    return rule === "openai" && detail === "low" ? 85 : DEFAULT_IMAGE_TOKENS[rule] || DEFAULT_IMAGE_TOKENS.anthropic;
+  }
+  return rule === "openai" ? openaiImageTokens(size, detail) : anthropicImageTokens(size);
+}
+
+module.exports = {
+  getImageSize,
+  countImageTokens,
+};
@@ -0,0 +1,318 @@
+/**
+ * 本地 token 计数
+ *
+ * 功能概述：
+ * - 按目标 provider/model 选择分词器：Provider 配置的 tokenizer 字段优先，否则按模型名称匹配 TOKENIZER_FAMILIES
+ * - 优先使用 ~/.claude-llm/tokenizers 中的 <encoding>.tiktoken 词表（tiktoken 格式，可手动放入 claude、cjk 等编码的词表），
+ *   其次使用 js-tiktoken 自带的 o200k_base / cl100k_base 词表，都没有时按该系列的中文/英文比例估算并记录一次日志
+ * - 分词器的 source 字段标明计数来源：vocab（词表文件）/ bundled（js-tiktoken）/ custom（自定义）/ estimate（估算）
+ * - 图片按尺寸计算，工具按 name/description/input_schema 序列化后的 JSON 计算
+ * - 以消息内容的哈希缓存计数结果，多轮对话中未变化的消息不会重复计算
+ * - registerTokenizer 可以注册自定义分词器（如 HuggingFace 分词器），优先于内置系列匹配
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Tiktoken } = require("js-tiktoken/lite");
+const { SimpleLRUCache } = require("../cache");
+const { TOKENIZER_DIR } = require("../../config/constants");
+const { createBpeTokenizer } = require("./bpe");
+const { countImageTokens } = require("./image");
+
+/** js-tiktoken 自带的词表，第一次计数时才加载（o200k_base 约占 100MB 内存） */
+const BUNDLED_RANKS = {
+  o200k_base: () => require("js-tiktoken/ranks/o200k_base"),
+  cl100k_base: () => require("js-tiktoken/ranks/cl100k_base"),
+};
+
+/** 每条消息的角色、分隔符等固定开销 */
+const MESSAGE_OVERHEAD = 3;
+
+/**
+ * 内置分词器系列（按顺序匹配 "provider,model"）
+ * cjkPerToken：每个中日韩字符约占的 token 数；charsPerToken：其余文字每个 token 约含的字符数（仅在没有词表时使用）
+ * image：图片计费规则
+ */
+const TOKENIZER_FAMILIES = [
+  {
+    name: "o200k",
+    encoding: "o200k_base",
+    match: /gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt|(^|[,/-])o[134](-|$)|gpt-oss/i,
+    cjkPerToken: 0.75,
+    charsPerToken: 4.2,
+    image: "openai",
+  },
+  {
+    name: "cl100k",
+    encoding: "cl100k_base",
+    match: /gpt-4|gpt-3\.5|text-embedding/i,
+    cjkPerToken: 1.3,
+    charsPerToken: 4,
+    image: "openai",
+  },
+  {
+    name: "claude",
+    encoding: "claude",
+    match: /claude|anthropic/i,
+    cjkPerToken: 1.1,
+    charsPerToken: 3.6,
+    image: "anthropic",
+  },
+  {
+    // 针对中文优化词表的国产模型
+    name: "cjk",
+    encoding: "cjk",
+    match: /glm|qwen|deepseek|kimi|moonshot|doubao|yi-|minimax|abab|hunyuan|ernie|baichuan|step-/i,
+    cjkPerToken: 0.65,
+    charsPerToken: 4,
+    image: "openai",
+  },
+];
+
+/** 未匹配任何系列时使用的分词器 */
+const DEFAULT_FAMILY = "cl100k";
+
+/** 自定义分词器：name -> { match, create } */
+const customTokenizers = new Map();
+/** 已创建的分词器实例：name -> tokenizer */
+const instances = new Map();
+/** 计数缓存：分词器名称 + 内容哈希 -> token 数 */
+const countCache = new SimpleLRUCache(5000);
+
+const CJK_PATTERN = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿　-〿＀-￯]/gu;
+
+/**
+ * 按字符类别估算 token 数（没有词表时使用）
+ * @param {string} text
+ * @param {{cjkPerToken: number, charsPerToken: number}} family
+ * @returns {number}
+ */
+function estimateTokens(text, family) {
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(/\p{L}+|\p{N}{1,3}|[^\s\p{L}\p{N}]+|\s+/gu)) {
+    if (/^\s/.test(piece)) {
+      // 单个空格通常与后面的单词合并
+      tokens += /[\r\n]/.test(piece) ? 1 : piece.length > 1 ? Math.ceil(piece.length / 16) : 0;
+      continue;
+    }
+    if (/^\p{N}/u.test(piece)) {
+      tokens += 1;
+      continue;
+    }
+    if (/^\p{L}/u.test(piece)) {
+      const cjk = piece.match(CJK_PATTERN)?.length || 0;
+      const rest = piece.length - cjk;
+      const restTokens = rest <= family.charsPerToken * 1.5 ? 1 : rest / family.charsPerToken;
+      tokens += cjk * family.cjkPerToken + (rest > 0 ? restTokens : 0);
+      continue;
+    }
+    // 标点和符号：常见组合（如 "});"、"=>"）通常合并为一个 token
+    tokens += Math.ceil(piece.length / 2);
+  }
+  return Math.ceil(tokens);
+}
+
+/**
+ * 查找用户提供的词表文件
+ * @param {string} encoding
+ * @returns {string|null}
+ */
+function findVocabFile(encoding) {
+  const file = path.join(TOKENIZER_DIR, `${encoding}.tiktoken`);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * 使用 js-tiktoken 自带词表的分词器
+ * @param {string} encoding - BUNDLED_RANKS 中的编码名称
+ * @returns {{exact: boolean, source: string, count: (text: string) => number}}
+ */
+function createBundledTokenizer(encoding) {
+  let encoder = null;
+  return {
+    exact: true,
+    source: "bundled",
+    count(text) {
+      if (!text) return 0;
+      encoder = encoder || new Tiktoken(BUNDLED_RANKS[encoding]());
+      // 特殊 token（如 <|endoftext|>）按普通文本计数，不抛出错误
+      return encoder.encode(String(text), [], []).length;
+    },
+  };
+}
+
+/**
+ * 创建内置系列的分词器：有词表时精确计数，否则估算
+ * @param {Object} family - TOKENIZER_FAMILIES 中的一项
+ * @returns {{name: string, exact: boolean, source: string, image: string, count: (text: string) => number}}
+ */
+function createFamilyTokenizer(family) {
+  const vocabFile = findVocabFile(family.encoding);
+  if (vocabFile) {
+    return { ...createBpeTokenizer(family.encoding, vocabFile), source: "vocab", name: family.name, image: family.image };
+  }
+  if (BUNDLED_RANKS[family.encoding]) {
+    return { ...createBundledTokenizer(family.encoding), name: family.name, image: family.image };
+  }
+  console.warn(
+    `[tokenizer] 未找到 ${family.encoding} 词表（可放入 ${path.join(TOKENIZER_DIR, `${family.encoding}.tiktoken`)}），${family.name} 系列按字符比例估算 token 数`
+  );
+  return {
+    name: family.name,
+    exact: false,
+    source: "estimate",
+    image: family.image,
+    count: (text) => (text ? estimateTokens(text, family) : 0),
+  };
+}
+
+/**
+ * 注册自定义分词器
+ * @param {string} name - 分词器名称，可在 Provider 配置的 tokenizer 字段中引用
+ * @param {Object} options
+ * @param {RegExp|Function} [options.match] - 匹配 "provider,model" 的正则或函数
+ * @param {Function} options.create - 返回 { count(text): number, image?: "anthropic"|"openai" } 的工厂函数
+ */
+function registerTokenizer(name, { match, create }) {
+  customTokenizers.set(name, { match, create });
+  instances.delete(name);
+}
+
+/**
+ * 根据目标模型确定分词器名称
+ * @param {string} [model] - 目标模型（格式：provider,model 或 model）
+ * @param {Object} [config] - 配置对象，用于读取 Provider 的 tokenizer 字段
+ * @returns {string}
+ */
+function resolveTokenizerName(model = "", config) {
+  const target = String(model || "");
+  const [providerName] = target.includes(",") ? target.split(",") : [];
+  const provider = providerName
+    ? (config?.Providers || config?.providers || []).find((p) => p.name === providerName)
+    : null;
+  const isKnown = (name) => customTokenizers.has(name) || TOKENIZER_FAMILIES.some((f) => f.name === name);
+  if (provider?.tokenizer && isKnown(provider.tokenizer)) return provider.tokenizer;
+
+  for (const [name, { match }] of customTokenizers) {
+    if (typeof match === "function" ? match(target) : match?.test(target)) return name;
+  }
+  return TOKENIZER_FAMILIES.find((family) => family.match.test(target))?.name || DEFAULT_FAMILY;
+}
+
+/**
+ * 获取目标模型使用的分词器
+ * @param {string} [model] - 目标模型（格式：provider,model 或 model）
+ * @param {Object} [config] - 配置对象
+ * @returns {{name: string, exact: boolean, source: string, image: string, count: (text: string) => number}}
+ */
+function getTokenizer(model, config) {
+  const name = resolveTokenizerName(model, config);
+  if (!instances.has(name)) {
+    const custom = customTokenizers.get(name);
+    const tokenizer = custom
+      ? { name, exact: true, source: "custom", image: "anthropic", ...custom.create() }
+      : createFamilyTokenizer(TOKENIZER_FAMILIES.find((family) => family.name === name));
+    instances.set(name, tokenizer);
+  }
+  return instances.get(name);
+}
+
+/**
+ * 计算消息内容（字符串或内容块数组）的 token 数
+ * @param {string|Array} content
+ * @param {Object} tokenizer
+ * @returns {number}
+ */
+function countContent(content, tokenizer) {
+  if (typeof content === "string") return tokenizer.count(content);
+  if (!Array.isArray(content)) return content ? tokenizer.count(JSON.stringify(content)) : 0;
+
+  return content.reduce((sum, part) => {
+    switch (part?.type) {
+      case "text":
+        return sum + tokenizer.count(part.text);
+      case "image":
+      case "image_url":
+        return sum + countImageTokens(part, tokenizer.image);
+      case "thinking":
+        return sum + tokenizer.count(part.thinking);
+      case "redacted_thinking":
+        return sum;
+      case "tool_use":
+        return sum + tokenizer.count(part.name) + tokenizer.count(JSON.stringify(part.input ?? {}));
+      case "tool_result":
+        return sum + countContent(part.content ?? "", tokenizer);
+      case "document":
+        return sum + (part.source?.type === "text" ? tokenizer.count(part.source.data) : countContent(part.source?.content, tokenizer));
+      default:
+        return sum + tokenizer.count(JSON.stringify(part ?? {}));
+    }
+  }, 0);
+}
+
+/**
+ * 带缓存的计数：以分词器名称和内容哈希为键
+ * @param {Object} tokenizer
+ * @param {*} value - 要计数的内容（会被序列化后计算哈希）
+ * @param {Function} counter - 实际计数函数
+ * @returns {number}
+ */
+function cachedCount(tokenizer, value, counter) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(value) ?? "").digest("hex");
+  const key = `${tokenizer.name}:${hash}`;
+  let tokens = countCache.get(key);
+  if (tokens === undefined) {
+    tokens = counter();
+    countCache.put(key, tokens);
+  }
+  return tokens;
+}
+
+/**
+ * 计算请求的输入 token 数
+ * @param {Object} request - { messages, system, tools }
+ * @param {Object} [options]
+ * @param {string} [options.model] - 目标模型，决定使用的分词器
+ * @param {Object} [options.config] - 配置对象
+ * @returns {number}
+ */
+function countRequestTokens({ messages = [], system = [], tools = [] } = {}, options = {}) {
+  const tokenizer = getTokenizer(options.model, options.config);
+  let tokens = 0;
+
+  (Array.isArray(messages) ? messages : []).forEach((message) => {
+    tokens += cachedCount(tokenizer, message, () => MESSAGE_OVERHEAD + countContent(message?.content, tokenizer));
+  });
+
+  if (typeof system === "string") {
+    tokens += cachedCount(tokenizer, system, () => tokenizer.count(system));
+  } else if (Array.isArray(system) && system.length > 0) {
+    tokens += cachedCount(tokenizer, system, () =>
+      system.reduce((sum, item) => {
+        if (typeof item?.text === "string") return sum + tokenizer.count(item.text);
+        if (Array.isArray(item?.text)) return sum + item.text.reduce((s, t) => s + tokenizer.count(t), 0);
+        return sum;
+      }, 0)
+    );
+  }
+
+  if (Array.isArray(tools) && tools.length > 0) {
+    tokens += cachedCount(tokenizer, tools, () =>
+      tools.reduce((sum, tool) => {
+        const { name, description, input_schema, type } = tool || {};
+        return sum + tokenizer.count(JSON.stringify({ name, description, input_schema, type }));
+      }, 0)
+    );
+  }
+
+  return tokens;
+}
+
+module.exports = {
+  TOKENIZER_FAMILIES,
+  registerTokenizer,
+  resolveTokenizerName,
+  getTokenizer,
+  countRequestTokens,
+};
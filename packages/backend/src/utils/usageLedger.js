@@ -0,0 +1,241 @@
+/**
+ * 用量账本
+ *
+ * 每次请求的 token 用量和费用按天追加到 USAGE_LEDGER_DIR/<YYYY-MM-DD>.jsonl，每行一条记录：
+ *   { time, requestId, provider, model, sessionId, conversationId, project, token, usage, cost, priced }
+ *
+ * 内存中维护当天和当月按维度（global/provider/model/session/conversation/project/token）汇总的费用，供预算检查使用，
+ * 首次访问时从当月的账本文件重建
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { USAGE_LEDGER_DIR } = require("../config/constants");
+
+/** 汇总维度 */
+const LEDGER_DIMENSIONS = ["global", "provider", "model", "session", "conversation", "project", "token"];
+
+/** 汇总查询支持的分组方式 */
+const LEDGER_GROUP_BY = ["day", ...LEDGER_DIMENSIONS.filter((dimension) => dimension !== "global")];
+
+/** 单次查询最多跨越的天数 */
+const MAX_QUERY_DAYS = 366;
+
+const USAGE_FIELDS = ["input_tokens", "output_tokens", "cache_read_input_tokens", "cache_creation_input_tokens"];
+
+/**
+ * 本地日期（YYYY-MM-DD）
+ * @param {Date} [date]
+ * @returns {string}
+ */
+const toDay = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+/**
+ * 记录在各维度上的取值
+ * @param {Object} entry - 账本记录
+ * @returns {Object} 维度 -> 取值（没有取值的维度为 null）
+ */
+const dimensionValues = (entry) => ({
+  global: "*",
+  provider: entry.provider || null,
+  model: entry.provider && entry.model ? `${entry.provider},${entry.model}` : entry.model || null,
+  session: entry.sessionId || null,
+  conversation: entry.conversationId || null,
+  project: entry.project || null,
+  token: entry.token?.id || null,
+});
+
+class UsageLedger {
+  /**
+   * @param {string} dir - 账本目录
+   */
+  constructor(dir = USAGE_LEDGER_DIR) {
+    this.dir = dir;
+    this.totals = null; // "day|维度|取值" / "month|维度|取值" -> 费用
+    this.totalsDay = null;
+  }
+
+  fileFor(day) {
+    return path.join(this.dir, `${day}.jsonl`);
+  }
+
+  /**
+   * 读取某一天的账本记录
+   * @param {string} day - YYYY-MM-DD
+   * @returns {Object[]}
+   */
+  readDaySync(day) {
+    const file = this.fileFor(day);
+    if (!fs.existsSync(file)) return [];
+    return fs
+      .readFileSync(file, "utf-8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  addToTotals(entry, includeDay) {
+    for (const [dimension, value] of Object.entries(dimensionValues(entry))) {
+      if (!value) continue;
+      const monthKey = `month|${dimension}|${value}`;
+      this.totals.set(monthKey, (this.totals.get(monthKey) || 0) + (entry.cost || 0));
+      if (includeDay) {
+        const dayKey = `day|${dimension}|${value}`;
+        this.totals.set(dayKey, (this.totals.get(dayKey) || 0) + (entry.cost || 0));
+      }
+    }
+  }
+
+  /** 当天 / 当月汇总，日期变化时重置或重建 */
+  ensureTotals() {
+    const today = toDay();
+    if (this.totals && this.totalsDay === today) return this.totals;
+
+    if (this.totals && this.totalsDay.slice(0, 7) === today.slice(0, 7)) {
+      for (const key of this.totals.keys()) {
+        if (key.startsWith("day|")) this.totals.delete(key);
+      }
+      this.totalsDay = today;
+      return this.totals;
+    }
+
+    this.totals = new Map();
+    this.totalsDay = today;
+    const month = today.slice(0, 7);
+    const days = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir).filter((file) => file.startsWith(month) && file.endsWith(".jsonl"))
+      : [];
+    for (const file of days) {
+      const day = file.replace(/\.jsonl$/, "");
+      this.readDaySync(day).forEach((entry) => this.addToTotals(entry, day === today));
+    }
+    return this.totals;
+  }
+
+  /**
+   * 写入一条记录
+   * @param {Object} entry - 不含 time 的账本记录
+   * @returns {Promise<Object>} 写入的记录
+   */
+  async record(entry) {
+    const saved = { time: new Date().toISOString(), ...entry };
+    this.ensureTotals();
+    this.addToTotals(saved, true);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.appendFile(this.fileFor(toDay()), JSON.stringify(saved) + "\n");
+    return saved;
+  }
+
+  /**
+   * 当天或当月在某个维度取值上的费用
+   * @param {"day"|"month"} period
+   * @param {string} dimension - LEDGER_DIMENSIONS 之一
+   * @param {string} value - 维度取值（global 为 "*"）
+   * @returns {number}
+   */
+  getSpend(period, dimension, value) {
+    return this.ensureTotals().get(`${period}|${dimension}|${value}`) || 0;
+  }
+
+  /**
+   * 当天或当月某个维度下所有取值的费用
+   * @param {"day"|"month"} period
+   * @param {string} dimension
+   * @returns {Array<{value: string, cost: number}>}
+   */
+  getSpendByDimension(period, dimension) {
+    const prefix = `${period}|${dimension}|`;
+    return [...this.ensureTotals()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, cost]) => ({ value: key.slice(prefix.length), cost }));
+  }
+
+  /**
+   * 按日期范围和条件汇总用量
+   * @param {Object} options
+   * @param {string} [options.from] - 开始日期（YYYY-MM-DD），默认 30 天前
+   * @param {string} [options.to] - 结束日期（YYYY-MM-DD），默认今天
+   * @param {string} [options.groupBy="day"] - LEDGER_GROUP_BY 之一
+   * @param {Object} [options.filter] - 按 provider / model / sessionId / conversationId / project / token 过滤
+   * @returns {{from: string, to: string, groupBy: string, total: Object, groups: Object[]}}
+   */
+  summarize({ from, to, groupBy = "day", filter = {} } = {}) {
+    const end = to ? new Date(`${to}T00:00:00`) : new Date();
+    const start = from ? new Date(`${from}T00:00:00`) : new Date(end.getFullYear(), end.getMonth(), end.getDate() - 29);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new Error("日期格式应为 YYYY-MM-DD");
+    }
+    if (!LEDGER_GROUP_BY.includes(groupBy)) {
+      throw new Error(`不支持的分组方式: ${groupBy}，可选 ${LEDGER_GROUP_BY.join(" / ")}`);
+    }
+
+    const matches = (entry) => {
+      const values = dimensionValues(entry);
+      return Object.entries(filter).every(([field, expected]) => {
+        if (!expected) return true;
+        switch (field) {
+          case "provider":
+            return values.provider === expected;
+          case "model":
+            return values.model === expected || entry.model === expected;
+          case "token":
+            return values.token === expected || entry.token?.name === expected;
+          default:
+            return entry[field] === expected;
+        }
+      });
+    };
+
+    const createGroup = (key) => ({
+      key,
+      requests: 0,
+      ...Object.fromEntries(USAGE_FIELDS.map((field) => [field, 0])),
+      cost: 0,
+      unpriced: 0,
+    });
+    const total = createGroup("total");
+    const groups = new Map();
+
+    const cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    for (let i = 0; cursor <= end && i < MAX_QUERY_DAYS; i++, cursor.setDate(cursor.getDate() + 1)) {
+      const day = toDay(cursor);
+      for (const entry of this.readDaySync(day)) {
+        if (!matches(entry)) continue;
+        const key = groupBy === "day" ? day : dimensionValues(entry)[groupBy] || "(none)";
+        if (!groups.has(key)) groups.set(key, createGroup(key));
+        for (const group of [total, groups.get(key)]) {
+          group.requests += 1;
+          USAGE_FIELDS.forEach((field) => (group[field] += Number(entry.usage?.[field]) || 0));
+          group.cost += entry.cost || 0;
+          if (!entry.priced) group.unpriced += 1;
+        }
+      }
+    }
+
+    return {
+      from: toDay(start),
+      to: toDay(end),
+      groupBy,
+      total,
+      groups: [...groups.values()].sort((a, b) =>
+        groupBy === "day" ? a.key.localeCompare(b.key) : b.cost - a.cost
+      ),
+    };
+  }
+}
+
+module.exports = {
+  LEDGER_DIMENSIONS,
+  LEDGER_GROUP_BY,
+  UsageLedger,
+  usageLedger: new UsageLedger(),
+  toDay,
+};
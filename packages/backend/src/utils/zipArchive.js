@@ -0,0 +1,226 @@
+/**
+ * 简易 ZIP 读写工具
+ * 仅支持 store（0）和 deflate（8）两种压缩方式，不支持加密、分卷和 ZIP64，
+ * 足够用于对话导出包等小体积归档
+ */
+
+const zlib = require("zlib");
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/** 文件名使用 UTF-8 编码的标志位 */
+const FLAG_UTF8 = 0x0800;
+
+/** 读取时的默认限制，防止压缩炸弹耗尽内存 */
+const DEFAULT_READ_LIMITS = {
+  maxEntries: 10000, // 文件数量上限
+  maxEntrySize: 100 * 1024 * 1024, // 单个文件解压后的大小上限
+  maxTotalSize: 256 * 1024 * 1024, // 所有文件解压后的总大小上限
+};
+
+let crcTable = null;
+
+/**
+ * 计算 CRC32 校验值
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 将时间转换为 DOS 格式的日期和时间
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * 创建 ZIP 归档
+ * @param {Array<{name: string, data: Buffer|string}>} entries - 文件列表（name 使用 / 分隔目录）
+ * @returns {Buffer} ZIP 文件内容
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  const { time, date } = toDosDateTime(new Date());
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf-8");
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), "utf-8");
+    const crc = crc32(data);
+
+    // 压缩后反而更大时直接存储
+    const deflated = zlib.deflateRawSync(data);
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const method = useDeflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4); // 解压所需版本
+    local.writeUInt16LE(FLAG_UTF8, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    localParts.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(20, 4); // 创建版本
+    central.writeUInt16LE(20, 6); // 解压所需版本
+    central.writeUInt16LE(FLAG_UTF8, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * 读取 ZIP 归档
+ * 解压前按中央目录中声明的大小检查限制，解压时输出不能超过声明的大小
+ * @param {Buffer} buffer - ZIP 文件内容
+ * @param {Object} [limits] - 覆盖 DEFAULT_READ_LIMITS 中的限制
+ * @returns {Array<{name: string, data: Buffer}>} 文件列表（不包含目录）
+ * @throws {Error} 不是有效的 ZIP 文件、使用了不支持的压缩方式或超过限制时抛出
+ */
+function readZip(buffer, limits = {}) {
+  const { maxEntries, maxEntrySize, maxTotalSize } = { ...DEFAULT_READ_LIMITS, ...limits };
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new Error("无效的 ZIP 文件");
+  }
+
+  // 从末尾查找中央目录结束记录（可能带有注释）
+  let endOffset = -1;
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= minOffset; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("无效的 ZIP 文件：未找到中央目录");
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  if (count > maxEntries) {
+    throw new Error(`ZIP 文件包含 ${count} 个文件，超过上限 ${maxEntries}`);
+  }
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (pointer + 46 > buffer.length || buffer.readUInt32LE(pointer) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error("无效的 ZIP 文件：中央目录损坏");
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const crc = buffer.readUInt32LE(pointer + 16);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const uncompressedSize = buffer.readUInt32LE(pointer + 24);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString("utf-8", pointer + 46, pointer + 46 + nameLength);
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`无效的 ZIP 文件：${name} 的文件头损坏`);
+    }
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (uncompressedSize > maxEntrySize) {
+      throw new Error(`ZIP 文件中 ${name} 解压后为 ${uncompressedSize} 字节，超过单个文件上限 ${maxEntrySize}`);
+    }
+    totalSize += uncompressedSize;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`ZIP 文件解压后超过总大小上限 ${maxTotalSize} 字节`);
+    }
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(body);
+    } else if (method === 8) {
+      try {
+        // maxOutputLength 必须为正数，声明为 0 字节但解压出内容的文件由下面的长度检查拒绝
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(1, uncompressedSize) });
+      } catch (error) {
+        if (error.code === "ERR_BUFFER_TOO_LARGE") {
+          throw new Error(`ZIP 文件中 ${name} 解压后超过声明的大小`);
+        }
+        throw error;
+      }
+    } else {
+      throw new Error(`不支持的压缩方式 ${method}：${name}`);
+    }
+    if (data.length !== uncompressedSize) {
+      throw new Error(`ZIP 文件中 ${name} 的大小与声明不一致`);
+    }
+    if (crc32(data) !== crc) {
+      throw new Error(`ZIP 文件校验失败：${name}`);
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+};
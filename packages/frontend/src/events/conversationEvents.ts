@@ -1,4 +1,8 @@
-import type { ConversationMode, Conversation } from "@/views/LlmDashboard/Chat/types";
+import type {
+  ConversationMode,
+  Conversation,
+  CanvasDiffBlockResult,
+} from "@/views/LlmDashboard/Chat/types";
 
 /**
  * 对话相关事件类型定义
@@ -56,12 +60,30 @@ export type ConversationEvents = {
     recordId: string;
     codeType: "full" | "diff";
     code?: string;
+    files?: string[]; // 多文件项目的全部文件路径
+    changedFiles?: string[];
   };
   /** Canvas 记录创建事件 */
   "canvas:record_created": {
     conversationId: string;
     recordId: string;
   };
+  /** Canvas diff 已在后端全部应用 */
+  "canvas:diff_applied": {
+    conversationId: string;
+    recordId: string;
+    code: string;
+    results: CanvasDiffBlockResult[];
+  };
+  /** Canvas diff 存在未能应用的块（未找到或匹配不唯一） */
+  "canvas:diff_conflict": {
+    conversationId: string;
+    recordId: string;
+    code: string;
+    appliedCount: number;
+    results: CanvasDiffBlockResult[];
+    failedBlocks: CanvasDiffBlockResult[];
+  };
   /** Canvas 代码历史变化事件 */
   "canvas:history-changed": {
     conversationId: string;
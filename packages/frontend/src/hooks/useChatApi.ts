@@ -2,7 +2,11 @@ import { computed } from "vue";
 import { useLlmApi } from "./useLlmApi";
 import type {
   ApiConversation,
+  ConversationExportFormat,
+  ConversationSearchParams,
+  ConversationSearchResult,
   CreateConversationParams,
+  ImportedConversation,
   SendMessageParams,
 } from "@/views/LlmDashboard/Chat/types";
 
@@ -20,6 +24,12 @@ interface SendMessageResponse {
   streamUrl: string;
 }
 
+interface BranchMessageResponse extends SendMessageResponse {
+  messageKey: string;
+  versionId: string;
+  assistantMessageKey?: string;
+}
+
 /**
  * Chat API Hook
  * 封装所有对话相关的 API 调用
@@ -179,6 +189,182 @@ export function useChatApi() {
     return result;
   }
 
+  /**
+   * 重新生成 assistant 消息（新版本，原版本之后的轮次保留为分支）
+   */
+  async function regenerateMessage(
+    conversationId: string,
+    messageKey: string,
+    params: Omit<SendMessageParams, "content" | "messageKey"> = {}
+  ): Promise<BranchMessageResponse> {
+    const { abortSignal, ...body } = params;
+    return apiCall<BranchMessageResponse>(
+      `/api/ai_chat/conversations/${conversationId}/messages/${messageKey}/regenerate`,
+      {
+        method: "POST",
+        body: JSON.stringify(body),
+        signal: abortSignal,
+      }
+    );
+  }
+
+  /**
+   * 从被中断的 assistant 回复继续生成（新版本，包含部分输出和续写内容）
+   */
+  async function continueMessage(
+    conversationId: string,
+    messageKey: string,
+    params: Pick<SendMessageParams, "model" | "apiKey" | "config"> = {}
+  ): Promise<BranchMessageResponse> {
+    return apiCall<BranchMessageResponse>(
+      `/api/ai_chat/conversations/${conversationId}/messages/${messageKey}/continue`,
+      {
+        method: "POST",
+        body: JSON.stringify(params),
+      }
+    );
+  }
+
+  /**
+   * 编辑用户消息并从该处重新发送（新版本，原版本之后的轮次保留为分支）
+   */
+  async function editMessage(
+    conversationId: string,
+    messageKey: string,
+    params: Omit<SendMessageParams, "messageKey">
+  ): Promise<BranchMessageResponse> {
+    const { abortSignal, ...body } = params;
+    return apiCall<BranchMessageResponse>(
+      `/api/ai_chat/conversations/${conversationId}/messages/${messageKey}/edit`,
+      {
+        method: "POST",
+        body: JSON.stringify(body),
+        signal: abortSignal,
+      }
+    );
+  }
+
+  /**
+   * 设置消息的激活版本（同时切换到该版本所在的分支），返回更新后的对话
+   */
+  async function setActiveVersion(
+    conversationId: string,
+    messageKey: string,
+    versionId: string
+  ): Promise<ApiConversation> {
+    return apiCall<ApiConversation>(
+      `/api/ai_chat/conversations/${conversationId}/messages/${messageKey}/active`,
+      {
+        method: "PUT",
+        body: JSON.stringify({ versionId }),
+      }
+    );
+  }
+
+  /**
+   * 从指定消息处分叉出新对话
+   */
+  async function forkConversation(
+    conversationId: string,
+    messageKey: string,
+    params: { model?: string; apiKey?: string } = {}
+  ): Promise<ApiConversation> {
+    return apiCall<ApiConversation>(`/api/ai_chat/conversations/${conversationId}/fork`, {
+      method: "POST",
+      body: JSON.stringify({ messageKey, ...params }),
+    });
+  }
+
+  /**
+   * 全文搜索对话
+   */
+  async function searchConversations(
+    params: ConversationSearchParams
+  ): Promise<{ query: string; total: number; results: ConversationSearchResult[] }> {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== "") {
+        query.set(key, String(value));
+      }
+    }
+    return apiCall(`/api/ai_chat/conversations/search?${query.toString()}`);
+  }
+
+  /**
+   * 下载文件，返回文件内容和文件名（来自 Content-Disposition）
+   */
+  async function downloadFile(
+    path: string,
+    options: RequestInit = {}
+  ): Promise<{ blob: Blob; fileName: string }> {
+    const res = await fetch(`${endpoint.value}${path}`, options);
+    if (!res.ok) {
+      const data = (await res.json().catch(() => ({}))) as { error?: string };
+      const error = new Error(data.error || "下载失败") as Error & { status?: number };
+      error.status = res.status;
+      throw error;
+    }
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+    const fileName = encodedName
+      ? decodeURIComponent(encodedName)
+      : disposition.match(/filename="([^"]+)"/i)?.[1] || "download";
+    return { blob: await res.blob(), fileName };
+  }
+
+  /**
+   * 导出单个对话
+   */
+  async function exportConversation(
+    id: string,
+    format: ConversationExportFormat = "markdown",
+    options: { model?: string; maxTokens?: number } = {}
+  ): Promise<{ blob: Blob; fileName: string }> {
+    const query = new URLSearchParams({ format });
+    if (options.model) query.set("model", options.model);
+    if (options.maxTokens) query.set("maxTokens", String(options.maxTokens));
+
+    if (format === "anthropic") {
+      // 请求体以 JSON 返回，转换为文件下载
+      const body = await apiCall<Record<string, unknown>>(
+        `/api/ai_chat/conversations/${id}/export?${query.toString()}`
+      );
+      return {
+        blob: new Blob([JSON.stringify(body, null, 2)], { type: "application/json" }),
+        fileName: `${id}-anthropic.json`,
+      };
+    }
+    return downloadFile(`/api/ai_chat/conversations/${id}/export?${query.toString()}`);
+  }
+
+  /**
+   * 批量导出对话（返回 ZIP）
+   */
+  async function exportConversations(
+    ids: string[],
+    format: ConversationExportFormat = "bundle"
+  ): Promise<{ blob: Blob; fileName: string }> {
+    return downloadFile("/api/ai_chat/conversations/export", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ids, format }),
+    });
+  }
+
+  /**
+   * 导入对话导出包（ZIP）
+   */
+  async function importConversations(
+    file: Blob
+  ): Promise<{ success: boolean; imported: ImportedConversation[] }> {
+    return apiCall("/api/ai_chat/conversations/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/zip" },
+      body: file,
+    });
+  }
+
   /**
    * 删除对话
    */
@@ -251,6 +437,13 @@ export function useChatApi() {
     );
   }
 
+  /**
+   * 获取 Canvas 多文件项目的预览地址（以 / 结尾，作为预览页面的 base URL，相对路径引用的文件从这里加载）
+   */
+  function getCanvasPreviewUrl(conversationId: string): string {
+    return `${endpoint.value}/api/ai_chat/conversations/${conversationId}/canvas/preview/`;
+  }
+
   /**
    * 中断正在进行的流式请求
    */
@@ -270,12 +463,22 @@ export function useChatApi() {
     endpoint: computed(() => endpoint.value),
     fetchConversations,
     fetchConversation,
+    searchConversations,
+    exportConversation,
+    exportConversations,
+    importConversations,
     createConversation,
     sendMessage,
+    regenerateMessage,
+    continueMessage,
+    editMessage,
+    setActiveVersion,
+    forkConversation,
     deleteConversation,
     fetchCanvas,
     updateCanvas,
     applyCanvasDiff,
+    getCanvasPreviewUrl,
     abortRequest,
   };
 }
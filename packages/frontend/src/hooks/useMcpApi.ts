@@ -1,6 +1,10 @@
-import type { McpServerConfig, McpTool } from "../interface";
+import type { McpServer, McpServerConfig, McpTool } from "../interface";
 import { useLlmApi } from "./useLlmApi";
 
+/** /api/mcp/servers 返回的服务器配置，附带连接状态和工具名称冲突 */
+type McpServerWithRuntime = McpServerConfig &
+  Pick<McpServer, "status" | "toolCollisions">;
+
 export function useMcpApi() {
   const { baseUrl, endpoint } = useLlmApi();
 
@@ -37,8 +41,8 @@ export function useMcpApi() {
   /**
    * 获取所有 MCP 服务器
    */
-  async function fetchServers(): Promise<Record<string, McpServerConfig>> {
-    return await apiCall<Record<string, McpServerConfig>>("/api/mcp/servers");
+  async function fetchServers(): Promise<Record<string, McpServerWithRuntime>> {
+    return await apiCall<Record<string, McpServerWithRuntime>>("/api/mcp/servers");
   }
 
   /**
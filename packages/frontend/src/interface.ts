@@ -12,6 +12,9 @@ export interface TransformerConfig {
   | undefined;
 }
 
+/** Provider 的 key 选择策略 */
+export type KeyStrategy = "round_robin" | "weighted" | "least_inflight" | "sticky_session";
+
 /** LLM Provider 配置 */
 export interface LlmProvider {
   id?: string;
@@ -21,6 +24,10 @@ export interface LlmProvider {
   apiKeys?: string[];
   models: string[];
   limit?: number;
+  /** key 选择策略，默认 round_robin */
+  keyStrategy?: KeyStrategy;
+  /** weighted 策略的权重，与 apiKeys 按顺序对应 */
+  keyWeights?: number[];
   enabled?: boolean;
   type?: string;
   sort?: number;
@@ -72,20 +79,60 @@ export interface ToastItem {
 }
 
 /** MCP 服务器配置 */
+/** MCP 上游服务器传输方式（http 为 streamable-http 的别名） */
+export type McpTransportType =
+  | "stdio"
+  | "streamable-http"
+  | "http"
+  | "sse"
+  | "websocket"
+  | "auto";
+
 export interface McpServerConfig {
   command?: string;
   args?: string[];
   url?: string;
-  type?: "stdio" | "sse" | "streamable-http";
+  /** 传输方式，未设置时有 command 为 stdio，有 url 为 auto（先尝试 Streamable HTTP，失败后改用 SSE） */
+  type?: McpTransportType;
   env?: Record<string, string>;
   headers?: Record<string, string>;
   enabled?: boolean;
+  /** 聚合 hub 中工具的命名方式（默认使用全局配置，全局默认 raw） */
+  toolNaming?: "raw" | "prefixed";
+  /** 聚合 hub 中工具名称的自定义前缀 */
+  toolPrefix?: string;
+  /** 工具别名 { 原始名称: 别名 } */
+  toolAliases?: Record<string, string>;
+}
+
+/** MCP 服务器连接状态（/api/mcp/servers 返回，不属于配置） */
+export interface McpServerStatus {
+  state: "connected" | "reconnecting" | "failed" | "disconnected";
+  /** 实际使用的传输方式（auto 时为探测结果） */
+  transport: string | null;
+  lastError: string | null;
+  connectedAt: string | null;
+  attempts: number;
+  nextRetryAt: string | null;
+  updatedAt?: string;
+}
+
+/** 聚合 hub 中与其它服务器重名的工具（/api/mcp/servers 返回） */
+export interface McpToolCollision {
+  tool: string;
+  /** 冲突的名称 */
+  name: string;
+  /** 实际发布的名称（<服务器名>__<原始名称>），null 表示未发布 */
+  resolvedName: string | null;
+  conflictsWith: string[];
 }
 
 /** MCP 服务器（包含名称） */
 export interface McpServer {
   name: string;
   config: McpServerConfig;
+  status?: McpServerStatus;
+  toolCollisions?: McpToolCollision[];
 }
 
 /** MCP 工具 */
@@ -106,4 +153,4 @@ export interface McpTool {
 /** MCP 工具列表响应 */
 export interface McpToolsResponse {
   tools: McpTool[];
-}
\ No newline at end of file
+}
@@ -10,6 +10,7 @@ import type {
   ConversationMode,
   CodeHistory,
   ContentBlock,
+  ConversationCheckpoint,
   MessageVersionStatus,
 } from "@/views/LlmDashboard/Chat/types";
 import { nanoid } from "nanoid";
@@ -43,6 +44,7 @@ function apiMessageToMessageType(apiMessage: ApiMessage, _index: number): Messag
           : "completed",
       errorMessage: v.errorMessage,
     })),
+    activeVersionId: apiMessage.activeVersionId,
   };
 }
 
@@ -61,6 +63,8 @@ function apiConversationToConversation(apiConversation: ApiConversation): Conver
       apiMessageToMessageType(msg, index)
     ),
     codeHistory: apiConversation.codeHistory,
+    checkpoints: apiConversation.checkpoints,
+    forkedFrom: apiConversation.forkedFrom,
   };
 }
 
@@ -471,6 +475,22 @@ export const useConversationStore = defineStore("conversation", () => {
     }
   }
 
+  /**
+   * 添加上下文压缩检查点
+   */
+  function addConversationCheckpoint(
+    conversationId: string,
+    checkpoint: ConversationCheckpoint
+  ) {
+    const conversation = conversations.value.find((c) => c.id === conversationId);
+    if (conversation) {
+      const checkpoints = conversation.checkpoints || [];
+      if (!checkpoints.some((c) => c.id === checkpoint.id)) {
+        conversation.checkpoints = [...checkpoints, checkpoint];
+      }
+    }
+  }
+
   /**
    * 更新对话模式
    */
@@ -612,6 +632,7 @@ export const useConversationStore = defineStore("conversation", () => {
     addAssistantVersionPlaceholder,
     updateMessageVersionStatus,
     updateConversationTitle,
+    addConversationCheckpoint,
     updateConversationMode,
     updateConversationCodeHistory,
     removeConversation,
@@ -1,6 +1,6 @@
 import { defineStore } from "pinia";
 import { ref } from "vue";
-import type { LlmProvider, TransformerConfig } from "@/interface";
+import type { KeyStrategy, LlmProvider, TransformerConfig } from "@/interface";
 import { useLlmApi } from "@/hooks/useLlmApi";
 
 export const useLlmDashboardStore = defineStore("llmDashboard", () => {
@@ -18,6 +18,8 @@ export const useLlmDashboardStore = defineStore("llmDashboard", () => {
     apiKeys: [] as string[],
     models: [] as string[],
     limit: 0,
+    keyStrategy: "round_robin" as KeyStrategy,
+    keyWeights: [] as number[],
     transformer: undefined as TransformerConfig | undefined,
   });
   const newArrayKey = ref("");
@@ -101,6 +103,13 @@ export const useLlmDashboardStore = defineStore("llmDashboard", () => {
       enabled: true,
     };
 
+    if (editForm.value.keyStrategy && editForm.value.keyStrategy !== "round_robin") {
+      result.keyStrategy = editForm.value.keyStrategy;
+    }
+    if (editForm.value.keyStrategy === "weighted") {
+      result.keyWeights = apiKeys.map((_, i) => editForm.value.keyWeights[i] ?? 1);
+    }
+
     if (editForm.value.transformer) {
       result.transformer = editForm.value.transformer;
     }
@@ -137,6 +146,8 @@ export const useLlmDashboardStore = defineStore("llmDashboard", () => {
           apiKeys: provider.apiKeys.filter(Boolean),
           models: provider.models || [],
           limit: provider.limit || 0,
+          keyStrategy: provider.keyStrategy || "round_robin",
+          keyWeights: [...(provider.keyWeights || [])],
           transformer: provider.transformer,
         };
       } else {
@@ -151,6 +162,8 @@ export const useLlmDashboardStore = defineStore("llmDashboard", () => {
           apiKeys: merged.filter(Boolean),
           models: provider.models || [],
           limit: provider.limit || 0,
+          keyStrategy: provider.keyStrategy || "round_robin",
+          keyWeights: [...(provider.keyWeights || [])],
           transformer: provider.transformer,
         };
       }
@@ -162,6 +175,8 @@ export const useLlmDashboardStore = defineStore("llmDashboard", () => {
         apiKeys: [],
         models: [],
         limit: 0,
+        keyStrategy: "round_robin",
+        keyWeights: [],
         transformer: undefined,
       };
     }
@@ -227,6 +242,7 @@ export const useLlmDashboardStore = defineStore("llmDashboard", () => {
   // 移除 API Key
   function removeArrayKey(i: number) {
     editForm.value.apiKeys.splice(i, 1);
+    editForm.value.keyWeights.splice(i, 1);
   }
 
   // 保存设置
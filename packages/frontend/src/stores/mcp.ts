@@ -50,10 +50,15 @@ export const useMcpStore = defineStore("mcp", () => {
     try {
       isLoading.value = true;
       const serversData = await fetchServers();
-      servers.value = Object.entries(serversData).map(([name, config]) => ({
-        name,
-        config: config as McpServerConfig,
-      }));
+      // status / toolCollisions 为运行时信息，与配置分开保存，避免更新服务器时写回配置
+      servers.value = Object.entries(serversData).map(
+        ([name, { status, toolCollisions, ...config }]) => ({
+          name,
+          config,
+          status,
+          toolCollisions,
+        })
+      );
 
       // 自动为已启用的服务器加载工具列表
       for (const server of servers.value) {
@@ -230,6 +230,84 @@ export function useConversation() {
     }
   }
 
+  /**
+   * 从被中断的 assistant 回复继续生成（新版本包含部分输出和续写内容）
+   */
+  async function continueGeneration(
+    conversationId: string,
+    messageKey: string,
+    params: { model?: string; config?: SendMessageParams["config"] } = {}
+  ): Promise<{ requestId: string }> {
+    store.setError(null);
+
+    try {
+      const result = await chatApi.continueMessage(conversationId, messageKey, params);
+
+      // 重新加载对话，获取包含部分输出的新版本
+      await loadConversation(conversationId);
+      connectToStream(conversationId, result.requestId);
+
+      return { requestId: result.requestId };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "继续生成失败";
+      store.setError(message);
+      console.error("继续生成失败:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 重新生成 assistant 回复（新版本，原版本之后的轮次保留为分支）
+   */
+  async function regenerateReply(
+    conversationId: string,
+    messageKey: string,
+    params: Omit<SendMessageParams, "content" | "messageKey"> = {}
+  ): Promise<{ requestId: string }> {
+    store.setError(null);
+
+    try {
+      const result = await chatApi.regenerateMessage(conversationId, messageKey, params);
+
+      // 重新加载对话，获取切换分支后的消息列表
+      await loadConversation(conversationId);
+      connectToStream(conversationId, result.requestId);
+
+      return { requestId: result.requestId };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "重新生成失败";
+      store.setError(message);
+      console.error("重新生成失败:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * 编辑用户消息并从该处重新发送（新版本，原版本之后的轮次保留为分支）
+   */
+  async function editAndResend(
+    conversationId: string,
+    messageKey: string,
+    params: Omit<SendMessageParams, "messageKey">
+  ): Promise<{ requestId: string }> {
+    store.setError(null);
+
+    try {
+      const result = await chatApi.editMessage(conversationId, messageKey, params);
+
+      // 重新加载对话，获取编辑后的用户消息和新的 assistant 占位消息
+      await loadConversation(conversationId);
+      connectToStream(conversationId, result.requestId);
+
+      return { requestId: result.requestId };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "编辑消息失败";
+      store.setError(message);
+      console.error("编辑消息失败:", error);
+      throw error;
+    }
+  }
+
   /**
    * 连接到 SSE 流
    */
@@ -341,6 +419,11 @@ export function useConversation() {
         store.updateConversationTitle(data.conversationId, data.title);
       },
 
+      onConversationCompacted: (data) => {
+        // 后端压缩了较早的消息，记录检查点
+        store.addConversationCheckpoint(data.conversationId, data.checkpoint);
+      },
+
       onComplete: () => {
         // 更新消息状态为已完成
         store.updateMessageVersionStatus(conversationId, requestId, "completed");
@@ -361,6 +444,12 @@ export function useConversation() {
         });
       },
 
+      onInterrupted: () => {
+        // 服务重启导致生成中断，重新加载对话以获取已保存的部分输出
+        store.updateMessageVersionStatus(conversationId, requestId, "interrupted");
+        loadConversation(conversationId);
+      },
+
       onError: (errorMessage: string) => {
         // 更新消息状态为错误（不再添加错误文字块，避免重复显示）
         store.updateMessageVersionStatus(conversationId, requestId, "error", errorMessage);
@@ -396,6 +485,8 @@ export function useConversation() {
         recordId: string;
         codeType: "full" | "diff";
         code?: string;
+        files?: string[];
+        changedFiles?: string[];
       }) => {
         eventBus.emit("canvas:code_complete", {
           conversationId,
@@ -409,6 +500,20 @@ export function useConversation() {
           recordId,
         });
       },
+
+      onCanvasDiffApplied: (data) => {
+        eventBus.emit("canvas:diff_applied", {
+          conversationId,
+          ...data,
+        });
+      },
+
+      onCanvasDiffConflict: (data) => {
+        eventBus.emit("canvas:diff_conflict", {
+          conversationId,
+          ...data,
+        });
+      },
     });
   }
 
@@ -507,6 +612,9 @@ export function useConversation() {
     loadConversation,
     createConversation,
     sendMessage,
+    continueGeneration,
+    regenerateReply,
+    editAndResend,
     selectConversation,
     deleteConversation,
     updateMode,
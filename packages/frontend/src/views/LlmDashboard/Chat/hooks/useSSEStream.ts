@@ -126,6 +126,27 @@ export function useSSEStream() {
             }
             break;
 
+          case "conversation:compacting":
+            // 历史过长，后端正在压缩较早的消息
+            if (data.conversationId) {
+              callbacks.onConversationCompacting?.({
+                conversationId: data.conversationId,
+                tokens: data.tokens,
+                threshold: data.threshold,
+              });
+            }
+            break;
+
+          case "conversation:compacted":
+            // 压缩完成，生成了新的检查点
+            if (data.conversationId && data.checkpoint) {
+              callbacks.onConversationCompacted?.({
+                conversationId: data.conversationId,
+                checkpoint: data.checkpoint,
+              });
+            }
+            break;
+
           case "message_complete":
             // 标记消息完成
             isCompleted = true;
@@ -152,6 +173,13 @@ export function useSSEStream() {
             disconnect(requestId);
             break;
 
+          case "request_interrupted":
+            // 服务重启导致生成中断（重连后从事件日志回放得到）
+            isCompleted = true;
+            callbacks.onInterrupted?.();
+            disconnect(requestId);
+            break;
+
           case "error":
             const errorMessage = data.error || "未知错误";
             callbacks.onError?.(errorMessage);
@@ -185,6 +213,8 @@ export function useSSEStream() {
                 recordId: data.recordId,
                 codeType: data.codeType,
                 code: data.code,
+                files: data.files,
+                changedFiles: data.changedFiles,
               });
             }
             break;
@@ -195,6 +225,28 @@ export function useSSEStream() {
             }
             break;
 
+          case "canvas:diff_applied":
+            if (data.recordId && data.code !== undefined) {
+              callbacks.onCanvasDiffApplied?.({
+                recordId: data.recordId,
+                code: data.code,
+                results: data.results || [],
+              });
+            }
+            break;
+
+          case "canvas:diff_conflict":
+            if (data.recordId) {
+              callbacks.onCanvasDiffConflict?.({
+                recordId: data.recordId,
+                code: data.code || "",
+                appliedCount: data.appliedCount || 0,
+                results: data.results || [],
+                failedBlocks: data.failedBlocks || [],
+              });
+            }
+            break;
+
           // 工具事件处理
           case "tool:start":
             if (data.tool_id && data.tool_name) {
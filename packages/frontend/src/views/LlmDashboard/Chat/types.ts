@@ -24,6 +24,7 @@ export interface ApiMessageVersion {
   status?: MessageVersionStatus; // 消息状态
   errorMessage?: string; // 错误信息
   createdAt?: number;
+  branchMessages?: ApiMessage[]; // 该版本被取代后暂存的后续轮次（非激活分支）
 }
 
 /**
@@ -33,6 +34,7 @@ export interface ApiMessage {
   messageKey: string; // 消息唯一标识
   role: "user" | "assistant";
   versions: ApiMessageVersion[]; // 版本数组
+  activeVersionId?: string; // 当前激活的版本（未设置时为最后一个版本）
   createdAt: number;
   updatedAt?: number;
 }
@@ -49,6 +51,90 @@ export interface ApiConversation {
   createdAt: number;
   updatedAt: number;
   codeHistory?: CodeHistory;
+  checkpoints?: ConversationCheckpoint[]; // 上下文压缩检查点
+  forkedFrom?: ConversationForkSource; // 分叉来源
+}
+
+/**
+ * 对话分叉来源
+ */
+export interface ConversationForkSource {
+  conversationId: string;
+  messageKey: string; // 分叉点消息
+  title: string; // 源对话标题
+  forkedAt: number;
+}
+
+/**
+ * 对话导出格式
+ * - markdown：可读的 Markdown 记录
+ * - bundle：可再次导入的 ZIP 导出包（对话 JSON + Canvas 文件）
+ * - anthropic：可重放的 Anthropic /v1/messages 请求体
+ */
+export type ConversationExportFormat = "markdown" | "bundle" | "anthropic";
+
+/**
+ * 导入的对话
+ */
+export interface ImportedConversation {
+  id: string; // 新的对话ID
+  sourceId: string; // 导出包中的原对话ID
+  title: string;
+  mode: ConversationMode;
+}
+
+/**
+ * 对话搜索参数
+ */
+export interface ConversationSearchParams {
+  q: string; // 查询字符串，支持 "短语" 和 前缀*
+  mode?: ConversationMode;
+  model?: string;
+  from?: string | number; // 更新时间下限（毫秒时间戳或日期字符串）
+  to?: string | number; // 更新时间上限
+  limit?: number;
+  offset?: number;
+}
+
+/**
+ * 对话搜索匹配片段
+ */
+export interface ConversationSearchMatch {
+  messageKey: string | null; // 标题匹配时为 null
+  versionId: string | null;
+  branchVersionId: string | null; // 匹配位于该版本暂存的 branchMessages（非激活分支）中，激活分支为 null
+  role: "user" | "assistant" | null;
+  field: "title" | "user" | "assistant" | "tool";
+  snippet: string; // 已转义的 HTML，匹配部分使用 <mark> 包裹
+}
+
+/**
+ * 对话搜索结果
+ */
+export interface ConversationSearchResult {
+  id: string;
+  title: string;
+  mode: ConversationMode;
+  models: string[];
+  createdAt: number;
+  updatedAt: number;
+  score: number;
+  matches: ConversationSearchMatch[];
+}
+
+/**
+ * 上下文压缩检查点（较早的消息被总结为摘要）
+ */
+export interface ConversationCheckpoint {
+  id: string;
+  summary: string; // 摘要内容
+  upToMessageKey: string; // 摘要覆盖到的最后一条消息
+  coveredMessageKeys: string[]; // 摘要覆盖的所有消息
+  previousCheckpointId?: string | null;
+  tokensBefore?: number; // 压缩前的历史 token 数
+  tokensAfter?: number; // 压缩后的历史 token 数
+  model?: string;
+  createdAt: number;
 }
 
 /**
@@ -59,12 +145,16 @@ export interface CodeHistory {
     id: string;
     timestamp: number;
     label: string;
+    customLabel?: boolean; // 標籤是否經過手動修改（清理舊版本時默認保留）
     records: Array<{
       id: string;
       code?: string; // 可選，如果沒有則使用 originalCode
       diffTarget?: string; // 前端格式
       diff?: string; // 後端格式（與 diffTarget 等價）
       originalCode?: string; // 後端格式，當沒有 code 時使用此作為 code
+      files?: Record<string, string>; // 多文件項目中入口文件（index.html）以外的文件
+      diffResults?: Omit<CanvasDiffBlockResult, "search" | "replace">[]; // 後端應用 diff 的結果
+      restoredFrom?: string; // 恢復來源的記錄ID
       timestamp: number;
     }>;
     currentIndex: number;
@@ -72,6 +162,20 @@ export interface CodeHistory {
   currentVersionIndex: number;
 }
 
+/**
+ * Canvas diff 块的应用结果（后端应用 SEARCH/REPLACE diff 时生成）
+ */
+export interface CanvasDiffBlockResult {
+  index: number;
+  status: "applied" | "ambiguous" | "not_found";
+  matchType: "exact" | "whitespace" | "fuzzy" | null; // 匹配方式，未找到时为 null
+  similarity?: number; // 模糊匹配的相似度
+  matchCount?: number; // 匹配不唯一时的匹配数量
+  file?: string; // diff 作用的文件（多文件项目）
+  search: string;
+  replace: string;
+}
+
 /**
  * 内容块类型
  */
@@ -86,6 +190,7 @@ export type MessageVersionStatus =
   | "streaming"  // 正在流式生成
   | "completed"  // 已完成
   | "aborted"    // 已取消
+  | "interrupted" // 服务重启导致生成中断（可继续生成）
   | "error";     // 发生错误
 
 /**
@@ -135,6 +240,7 @@ export interface MessageType {
   from: "user" | "assistant";
   sources?: MessageSource[];
   versions: MessageVersion[];
+  activeVersionId?: string; // 当前激活的版本
   reasoning?: MessageReasoning;
   tools?: MessageTool[];
 }
@@ -152,6 +258,8 @@ export interface Conversation {
   mode?: ConversationMode;
   codeHistory?: CodeHistory;
   codeVersion?: number; // codeHistory 的版本号，用于判断 codeHistory 是否已加载
+  checkpoints?: ConversationCheckpoint[]; // 上下文压缩检查点
+  forkedFrom?: ConversationForkSource; // 分叉来源
 }
 
 /**
@@ -173,8 +281,10 @@ export interface ChatModelExtensionConfig {
   temperature?: number;
   topP?: number;
   maxTokens?: number;
-  tools?: Record<string, "all" | string[]>; // key: MCP 服务器名称, value: "all" 或工具名称数组
+  tools?: Record<string, "all" | string[]>; // key: MCP 服务器名称或虚拟分组名称, value: "all" 或工具名称数组
   reasoning?: "none" | "normal" | "hard" | "mega" | "ultra" | undefined;
+  historyTokenBudget?: number; // 历史消息 token 预算
+  compactThreshold?: number; // 上下文压缩阈值（token），<= 0 表示禁用
 }
 
 /**
@@ -217,6 +327,8 @@ export type SSEEventType =
   | "message_delta"
   | "message_complete"
   | "session_end"
+  | "request_aborted"
+  | "request_interrupted"
   | "error"
   | "request_id"
   | "tool:start"
@@ -226,11 +338,15 @@ export type SSEEventType =
   | "tool:continue_complete"
   | "conversation:updated"
   | "conversation:title_updated"
+  | "conversation:compacting"
+  | "conversation:compacted"
   | "canvas:code_delta"
   | "canvas:diff_detected"
   | "canvas:show_editor"
   | "canvas:code_complete"
-  | "canvas:record_created";
+  | "canvas:record_created"
+  | "canvas:diff_applied"
+  | "canvas:diff_conflict";
 
 /**
  * SSE 事件数据
@@ -261,12 +377,20 @@ export interface SSEEvent {
   conversationId?: string;
   messages?: ApiMessage[];
   title?: string;
+  checkpoint?: ConversationCheckpoint;
+  tokens?: number;
+  threshold?: number;
   // Canvas 事件相关字段
   code?: string;
   diff?: string;
   originalCode?: string;
   recordId?: string;
   codeType?: "full" | "diff";
+  files?: string[]; // 多文件项目的全部文件路径
+  changedFiles?: string[]; // 本次修改的文件路径
+  appliedCount?: number;
+  results?: CanvasDiffBlockResult[];
+  failedBlocks?: CanvasDiffBlockResult[];
 }
 
 /**
@@ -278,6 +402,7 @@ export interface StreamCallbacks {
   onComplete?: () => void;
   onError?: (error: string) => void;
   onAborted?: () => void; // 请求被中断
+  onInterrupted?: () => void; // 服务重启导致生成中断
   // 内容块回调
   onContentBlockStart?: (data: {
     index: number;
@@ -327,6 +452,15 @@ export interface StreamCallbacks {
     conversationId: string;
     title: string;
   }) => void;
+  onConversationCompacting?: (data: {
+    conversationId: string;
+    tokens?: number;
+    threshold?: number;
+  }) => void;
+  onConversationCompacted?: (data: {
+    conversationId: string;
+    checkpoint: ConversationCheckpoint;
+  }) => void;
   // Canvas 事件回调
   onCanvasCodeDelta?: (code: string) => void;
   onCanvasDiffDetected?: (data: {
@@ -339,7 +473,21 @@ export interface StreamCallbacks {
     recordId: string;
     codeType: "full" | "diff";
     code?: string;
+    files?: string[];
+    changedFiles?: string[];
   }) => void;
   onCanvasRecordCreated?: (recordId: string) => void;
+  onCanvasDiffApplied?: (data: {
+    recordId: string;
+    code: string;
+    results: CanvasDiffBlockResult[];
+  }) => void;
+  onCanvasDiffConflict?: (data: {
+    recordId: string;
+    code: string; // 部分应用后的代码
+    appliedCount: number;
+    results: CanvasDiffBlockResult[];
+    failedBlocks: CanvasDiffBlockResult[];
+  }) => void;
 }
 
@@ -24,6 +24,8 @@ export function useStatusLineVariableContext(
       totalOutputTokens: vars.totalOutputTokens || "",
       contextWindowSize: vars.contextWindowSize || "",
       totalCost: vars.totalCost || "",
+      sessionCost: vars.sessionCost || "",
+      todayCost: vars.todayCost || "",
       totalDuration: vars.totalDuration || "",
       totalApiDuration: vars.totalApiDuration || "",
       totalLinesAdded: vars.totalLinesAdded || "",
@@ -48,6 +50,8 @@ export function useStatusLineVariableContext(
       { name: "totalOutputTokens", label: "总输出 Tokens", path: "statusLine.totalOutputTokens" },
       { name: "contextWindowSize", label: "上下文窗口大小", path: "statusLine.contextWindowSize" },
       { name: "totalCost", label: "总成本 (USD)", path: "statusLine.totalCost" },
+      { name: "sessionCost", label: "会话实际花费 (USD)", path: "statusLine.sessionCost" },
+      { name: "todayCost", label: "今日实际花费 (USD)", path: "statusLine.todayCost" },
       { name: "totalDuration", label: "总耗时", path: "statusLine.totalDuration" },
       { name: "totalApiDuration", label: "API 总耗时", path: "statusLine.totalApiDuration" },
       { name: "totalLinesAdded", label: "总新增行数", path: "statusLine.totalLinesAdded" },